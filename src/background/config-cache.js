@@ -0,0 +1,37 @@
+// Browser Inspector - In-memory config snapshot for the request path
+// Busy pages fire hundreds of webRequest events; each one reads the snapshot instead of
+// chrome.storage.local. The service worker drops it whenever the stored config changes.
+
+import { getConfig, createDomainFilter } from '../lib/storage.js';
+
+let snapshotPromise = null;
+
+/**
+ * Get the current config together with its precompiled domain filter
+ * Loaded once and shared until invalidateConfigCache() is called
+ * @returns {Promise<{ config: Object, domainFilter: Object }>}
+ */
+export function getConfigSnapshot() {
+  if (!snapshotPromise) {
+    const pending = getConfig()
+      .then(config => ({ config, domainFilter: createDomainFilter(config) }))
+      .catch(error => {
+        // Let the next request try again
+        if (snapshotPromise === pending) snapshotPromise = null;
+        throw error;
+      });
+    snapshotPromise = pending;
+  }
+  return snapshotPromise;
+}
+
+/**
+ * Get the cached config - treat it as read-only, it is shared by every caller
+ */
+export async function getCachedConfig() {
+  return (await getConfigSnapshot()).config;
+}
+
+export function invalidateConfigCache() {
+  snapshotPromise = null;
+}
@@ -0,0 +1,82 @@
+// Browser Inspector - Pre-expiry warnings scheduled with chrome.alarms
+// Alarms survive service worker restarts, so a warning still fires if the worker was unloaded
+
+import { getCapturedData, getConfig, getExpiryWarningMinutes } from '../lib/storage.js';
+
+export const EXPIRY_ALARM_PREFIX = 'expiry-warning::';
+
+function getAlarmName(key) {
+  return `${EXPIRY_ALARM_PREFIX}${key}`;
+}
+
+/**
+ * Schedule (or replace) the pre-expiry warning for a captured item
+ * @returns {Promise<number|null>} - When the warning will fire, or null if none was scheduled
+ */
+export async function scheduleExpiryWarning(key, item, config) {
+  const alarmName = getAlarmName(key);
+
+  if (!config.notifications || !item?.expiresAt || item.status === 'expired') {
+    await chrome.alarms.clear(alarmName);
+    return null;
+  }
+
+  const minutes = getExpiryWarningMinutes(item.source?.domain, config);
+  const warnAt = item.expiresAt - minutes * 60 * 1000;
+
+  // Too late to warn ahead of time - the expiry itself will show up in the popup
+  if (minutes <= 0 || warnAt <= Date.now()) {
+    await chrome.alarms.clear(alarmName);
+    return null;
+  }
+
+  await chrome.alarms.create(alarmName, { when: warnAt });
+  return warnAt;
+}
+
+export async function clearExpiryWarning(key) {
+  await chrome.alarms.clear(getAlarmName(key));
+}
+
+export async function clearAllExpiryWarnings() {
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(alarms
+    .filter(alarm => alarm.name.startsWith(EXPIRY_ALARM_PREFIX))
+    .map(alarm => chrome.alarms.clear(alarm.name)));
+}
+
+/**
+ * Handle a fired alarm - shows the warning if the item is still live and unchanged
+ * @returns {Promise<boolean>} - Whether a notification was shown
+ */
+export async function handleExpiryAlarm(alarm) {
+  if (!alarm?.name?.startsWith(EXPIRY_ALARM_PREFIX)) return false;
+
+  const config = await getConfig();
+  if (!config.notifications) return false;
+
+  const key = alarm.name.slice(EXPIRY_ALARM_PREFIX.length);
+  const data = await getCapturedData();
+  const item = data[key];
+
+  // Removed, rotated to a token without expiry, or already expired since scheduling
+  if (!item?.expiresAt || item.status === 'expired' || item.expiresAt <= Date.now()) {
+    return false;
+  }
+
+  showExpiryWarningNotification(key, item);
+  return true;
+}
+
+function showExpiryWarningNotification(key, item) {
+  const domain = item.source?.domain || 'unknown';
+  const minutesLeft = Math.max(1, Math.round((item.expiresAt - Date.now()) / 60000));
+
+  chrome.notifications.create(getAlarmName(key), {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/icon-128.png'),
+    title: '⌛ Token Expiring Soon',
+    message: `${item.displayName || item.type} from ${domain} expires in ${minutesLeft} min. Refresh the session before it breaks.`,
+    priority: 1
+  });
+}
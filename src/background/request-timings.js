@@ -0,0 +1,79 @@
+// Browser Inspector - Per-request timing metrics
+// How long the service worker spends on each webRequest event, so the overhead the extension
+// adds on busy pages can be read back with GET_REQUEST_TIMINGS. Kept in memory only.
+
+// Most recent durations kept per stage for percentiles
+const MAX_SAMPLES = 500;
+
+let stages = {};
+let since = Date.now();
+
+function getStage(name) {
+  if (!stages[name]) {
+    stages[name] = { count: 0, totalMs: 0, maxMs: 0, samples: [] };
+  }
+  return stages[name];
+}
+
+/**
+ * Record how long one stage of one request took
+ * @param {string} name - 'request' / 'response' for a listener call up to the hand-off to storage,
+ *   one of their parts ('filter', 'handlers'), or 'storage' for the writes that follow
+ * @param {number} durationMs
+ */
+export function recordTiming(name, durationMs) {
+  const stage = getStage(name);
+  stage.count++;
+  stage.totalMs += durationMs;
+  stage.maxMs = Math.max(stage.maxMs, durationMs);
+
+  stage.samples.push(durationMs);
+  if (stage.samples.length > MAX_SAMPLES) {
+    stage.samples.shift();
+  }
+}
+
+/**
+ * Time an async function as one stage
+ * @returns {Promise<*>} - Whatever fn resolves to
+ */
+export async function timeStage(name, fn) {
+  const start = performance.now();
+  try {
+    return await fn();
+  } finally {
+    recordTiming(name, performance.now() - start);
+  }
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+const round = ms => Math.round(ms * 100) / 100;
+
+/**
+ * Summarize the recorded timings
+ * avg and max cover every request since the last reset, p50/p95 the most recent MAX_SAMPLES
+ * @returns {{ since: number, stages: Object }} - stages: { [name]: { count, avgMs, p50Ms, p95Ms, maxMs } }
+ */
+export function getTimingStats() {
+  const summary = {};
+  for (const [name, stage] of Object.entries(stages)) {
+    const sorted = [...stage.samples].sort((a, b) => a - b);
+    summary[name] = {
+      count: stage.count,
+      avgMs: round(stage.totalMs / stage.count),
+      p50Ms: round(percentile(sorted, 0.5)),
+      p95Ms: round(percentile(sorted, 0.95)),
+      maxMs: round(stage.maxMs)
+    };
+  }
+  return { since, stages: summary };
+}
+
+export function resetTimings() {
+  stages = {};
+  since = Date.now();
+}
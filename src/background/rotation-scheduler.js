@@ -0,0 +1,57 @@
+// Browser Inspector - Rotation grace period checks scheduled with chrome.alarms
+// A key holding several live values retires the ones it stops sending once rotationGraceMinutes
+// pass; the alarm makes that happen when the grace period ends instead of on the key's next request
+
+import { getConfig, getNextRetirementAt, retireIdleValues } from '../lib/storage.js';
+
+export const ROTATION_ALARM_PREFIX = 'rotation-grace::';
+
+function getAlarmName(key) {
+  return `${ROTATION_ALARM_PREFIX}${key}`;
+}
+
+/**
+ * Schedule (or replace) the grace period check for a captured item
+ * @returns {Promise<number|null>} - When the check will run, or null while the item has a single live value
+ */
+export async function scheduleRotationCheck(key, item, config) {
+  const alarmName = getAlarmName(key);
+  const retireAt = getNextRetirementAt(item, config);
+
+  if (retireAt === null) {
+    await chrome.alarms.clear(alarmName);
+    return null;
+  }
+
+  // chrome.alarms fires a time in the past straight away
+  await chrome.alarms.create(alarmName, { when: retireAt });
+  return retireAt;
+}
+
+export async function clearRotationCheck(key) {
+  await chrome.alarms.clear(getAlarmName(key));
+}
+
+export async function clearAllRotationChecks() {
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(alarms
+    .filter(alarm => alarm.name.startsWith(ROTATION_ALARM_PREFIX))
+    .map(alarm => chrome.alarms.clear(alarm.name)));
+}
+
+/**
+ * Handle a fired alarm - retires the item's idle values and schedules the next check
+ * @returns {Promise<Object|null>} - { key, data, rotationDetected, previousToken }, or null if the alarm
+ *   is not a rotation check or the item is gone
+ */
+export async function handleRotationAlarm(alarm) {
+  if (!alarm?.name?.startsWith(ROTATION_ALARM_PREFIX)) return null;
+
+  const key = alarm.name.slice(ROTATION_ALARM_PREFIX.length);
+  const config = await getConfig();
+  const result = await retireIdleValues(key, config);
+  if (!result) return null;
+
+  await scheduleRotationCheck(key, result.data[key], config);
+  return { key, ...result };
+}
@@ -13,15 +13,57 @@ import {
   clearAllCapturedData,
   getExpiredTokens,
   clearExpiredTokens,
-  shouldCaptureDomain,
+  removeExpiredTokens,
+  unsealCapturedData,
+  unsealEntries,
+  sealStoredData,
+  refreshFingerprints,
+  getTokenLineage,
+  appendJournalEntry,
+  getJournal,
+  getJournalStats,
+  unsealJournal,
+  clearJournal,
+  recordOAuthFlowStep,
+  getOAuthFlows,
+  unsealOAuthFlows,
+  clearOAuthFlows,
+  getRequestBodyUrlPatterns,
   // API Tracker
   trackApiRequest,
+  recordApiResponse,
   getApiTracker,
   getTrackedDomains,
   getApiTrackerForDomain,
   clearApiTracker,
   extractRootDomain
 } from '../lib/storage.js';
+import {
+  scheduleExpiryWarning,
+  clearExpiryWarning,
+  clearAllExpiryWarnings,
+  handleExpiryAlarm
+} from './expiry-scheduler.js';
+import {
+  scheduleRotationCheck,
+  clearRotationCheck,
+  clearAllRotationChecks,
+  handleRotationAlarm
+} from './rotation-scheduler.js';
+import { getConfigSnapshot, getCachedConfig, invalidateConfigCache } from './config-cache.js';
+import { recordTiming, timeStage, getTimingStats, resetTimings } from './request-timings.js';
+import { parseRequestBody } from '../lib/request-body.js';
+import { parseHar } from '../lib/har.js';
+import {
+  getVaultStatus,
+  setupVault,
+  unlockVault,
+  lockVault,
+  resetVault,
+  touchVault,
+  setVaultLockMinutes,
+  handleVaultLockAlarm
+} from '../lib/vault.js';
 
 // Initialize handler manager
 const handlerManager = new HandlerManager();
@@ -29,12 +71,28 @@ const handlerManager = new HandlerManager();
 // Track active state
 let isEnabled = true;
 
+// In-flight API requests by requestId, awaiting onCompleted/onErrorOccurred
+const pendingApiRequests = new Map();
+const MAX_PENDING_API_REQUESTS = 500;
+
+// Parsed request bodies by requestId, picked up again in onBeforeSendHeaders
+const pendingRequestBodies = new Map();
+const MAX_PENDING_REQUEST_BODIES = 100;
+
+// Match patterns the request body listener is registered for (joined), to re-register on change
+let requestBodyUrlsKey = '';
+
+// Journal records by requestId, written once the request completes so they include timing
+const pendingJournalEntries = new Map();
+const MAX_PENDING_JOURNAL_ENTRIES = 200;
+
 // Initialize on startup
 async function initialize() {
   console.log('[Browser Inspector] Initializing...');
 
   const config = await getConfig();
   isEnabled = config.enabled !== false;
+  setVaultLockMinutes(config.vaultLockMinutes);
 
   handlerManager.initialize({
     authToken: config.authTokenConfig || {},
@@ -42,6 +100,8 @@ async function initialize() {
     customRules: config.rules || []
   });
 
+  syncRequestBodyListener(config);
+
   console.log('[Browser Inspector] Initialized with handlers:', handlerManager.getCapabilities());
 }
 
@@ -52,65 +112,276 @@ chrome.webRequest.onBeforeSendHeaders.addListener(
   ['requestHeaders', 'extraHeaders']
 );
 
-async function handleRequest(details) {
-  if (!isEnabled) return;
+// Set up response listener - 'extraHeaders' is required to see Set-Cookie
+chrome.webRequest.onHeadersReceived.addListener(
+  handleResponse,
+  { urls: ['<all_urls>'] },
+  ['responseHeaders', 'extraHeaders']
+);
+
+// Set up completion listeners - correlated with tracked API requests by requestId
+chrome.webRequest.onCompleted.addListener(
+  handleApiCompleted,
+  { urls: ['<all_urls>'], types: ['xmlhttprequest'] }
+);
+
+chrome.webRequest.onErrorOccurred.addListener(
+  handleApiCompleted,
+  { urls: ['<all_urls>'], types: ['xmlhttprequest'] }
+);
+
+// Journal records are finished on completion for every resource type
+chrome.webRequest.onCompleted.addListener(
+  handleJournalCompleted,
+  { urls: ['<all_urls>'] }
+);
+
+chrome.webRequest.onErrorOccurred.addListener(
+  handleJournalCompleted,
+  { urls: ['<all_urls>'] }
+);
+
+// Request bodies are opt-in - only listen for them while captureRequestBodies is on, and only on
+// allowlisted domains, so Chrome never hands the extension a body from any other site
+function syncRequestBodyListener(config) {
+  const onBeforeRequest = chrome.webRequest.onBeforeRequest;
+  const urls = getRequestBodyUrlPatterns(config);
+  const urlsKey = urls.join(' ');
+  const listening = onBeforeRequest.hasListener(handleRequestBody);
+
+  if (listening && urlsKey === requestBodyUrlsKey) return;
+
+  // A listener's filter is fixed when it is added, so a changed allowlist means adding it again
+  if (listening) {
+    onBeforeRequest.removeListener(handleRequestBody);
+    pendingRequestBodies.clear();
+  }
+  requestBodyUrlsKey = urlsKey;
+  if (urls.length > 0) {
+    onBeforeRequest.addListener(handleRequestBody, { urls }, ['requestBody']);
+  }
+}
+
+// onBeforeRequest fires before onBeforeSendHeaders, so the parse is stored as a promise
+// that handleRequest awaits for the same requestId
+function handleRequestBody(details) {
+  if (!details.requestBody) return;
+
+  if (pendingRequestBodies.size >= MAX_PENDING_REQUEST_BODIES) {
+    const oldestId = pendingRequestBodies.keys().next().value;
+    pendingRequestBodies.delete(oldestId);
+  }
+
+  pendingRequestBodies.set(details.requestId, readRequestBody(details));
+}
+
+// Bodies are only parsed for allowlisted domains (see shouldCaptureRequestBody)
+async function readRequestBody(details) {
+  if (!(await shouldInspect(details))) return null;
+
+  try {
+    const { domainFilter } = await getConfigSnapshot();
+    if (!domainFilter.captureRequestBody(new URL(details.url).hostname)) return null;
+
+    return parseRequestBody(details.requestBody);
+  } catch (error) {
+    console.error('[Browser Inspector] Error reading request body:', error);
+    return null;
+  }
+}
+
+// Remove and return the parsed body for a request (resolves to null when there is none)
+function takeRequestBody(requestId) {
+  const pending = pendingRequestBodies.get(requestId);
+  pendingRequestBodies.delete(requestId);
+  return pending || Promise.resolve(null);
+}
+
+// Check enabled state, URL scheme and domain filtering before inspecting a request/response
+async function shouldInspect(details) {
+  if (!isEnabled) return false;
 
   // Skip extension and chrome URLs
   if (details.url.startsWith('chrome://') ||
       details.url.startsWith('chrome-extension://') ||
       details.url.startsWith('moz-extension://')) {
-    return;
+    return false;
   }
 
   // Apply domain filtering
   try {
     const url = new URL(details.url);
-    const config = await getConfig();
+    const { domainFilter } = await getConfigSnapshot();
 
-    if (!shouldCaptureDomain(url.hostname, config)) {
-      return; // Skip this domain
-    }
+    return domainFilter.captureDomain(url.hostname);
   } catch (e) {
     // Invalid URL, skip
-    return;
+    return false;
   }
+}
+
+// 'request' and 'response' are timed up to the hand-off to storage; 'storage' is timed on its own,
+// since it includes waiting for the write batch to commit
+async function handleRequest(details) {
+  try {
+    const results = await timeStage('request', () => inspectRequest(details));
+    if (!results) return;
+
+    await timeStage('storage', async () => {
+      await journalRequest(details, results);
+      await storeResults(results, details.tabId);
+    });
+  } catch (error) {
+    console.error('[Browser Inspector] Error processing request:', error);
+  }
+}
+
+// Returns the handler results, or null when the request is filtered out
+async function inspectRequest(details) {
+  const bodyPromise = takeRequestBody(details.requestId);
+  if (!(await timeStage('filter', () => shouldInspect(details)))) return null;
 
   // Track API requests (XHR/fetch) grouped by page domain
   if (details.type === 'xmlhttprequest' && details.tabId > 0) {
-    handleApiMonitoring(details);
+    addPendingApiRequest(details, handleApiMonitoring(details));
   }
 
+  const parsedBody = await bodyPromise;
+  return runHandlers(() => handlerManager.processRequest(parsedBody ? { ...details, parsedBody } : details));
+}
+
+async function handleResponse(details) {
   try {
-    const results = handlerManager.processRequest(details);
-
-    for (const result of results) {
-      const key = generateKey(result);
-      const { data, rotationDetected, previousToken } = await updateCapturedItem(key, result);
-
-      // Notify popup if open
-      chrome.runtime.sendMessage({
-        type: rotationDetected ? 'TOKEN_ROTATED' : 'DATA_CAPTURED',
-        key,
-        data: result,
-        rotationDetected,
-        previousToken,
-        currentData: data[key]
-      }).catch(() => {
-        // Popup not open, ignore
-      });
+    const results = await timeStage('response', () => inspectResponse(details));
+    if (!results) return;
 
-      // Show notification if enabled
-      const config = await getConfig();
-      if (config.notifications) {
-        if (rotationDetected) {
-          showRotationNotification(result, data[key]);
-        } else {
-          showNotification(result);
-        }
+    await timeStage('storage', async () => {
+      await journalResponse(details, results);
+      await storeResults(results, details.tabId);
+    });
+  } catch (error) {
+    console.error('[Browser Inspector] Error processing response:', error);
+  }
+}
+
+async function inspectResponse(details) {
+  if (!(await timeStage('filter', () => shouldInspect(details)))) return null;
+
+  return runHandlers(() => handlerManager.processResponse(details));
+}
+
+// Handlers run synchronously, so they are timed without awaiting
+function runHandlers(process) {
+  const start = performance.now();
+  try {
+    return process();
+  } finally {
+    recordTiming('handlers', performance.now() - start);
+  }
+}
+
+// Persist handler results, notify the popup and show notifications
+// (notify: false for bulk imports, where the popup reloads once at the end)
+async function storeResults(results, tabId, { notify = true } = {}) {
+  const config = await getCachedConfig();
+  let session;
+
+  for (const result of results) {
+    // OAuth steps are grouped into flow records instead of captured items
+    if (result.type === 'oauth-flow') {
+      await storeOAuthFlowStep(result);
+      continue;
+    }
+
+    // Looked up once per request, and only when something was captured
+    if (session === undefined) {
+      session = await getSessionInfo(tabId, config.sessionScope);
+    }
+    if (session) {
+      result.session = session;
+    }
+
+    const key = generateKey(result);
+    const { data, rotationDetected, previousToken } = await updateCapturedItem(key, result, config);
+    await scheduleExpiryWarning(key, data[key], config);
+    await scheduleRotationCheck(key, data[key], config);
+    if (!notify) continue;
+
+    // Stored values may be sealed - the popup gets them decrypted (or flagged locked)
+    const currentData = (await unsealCapturedData({ [key]: data[key] }))[key];
+
+    // Notify popup if open
+    chrome.runtime.sendMessage({
+      type: rotationDetected ? 'TOKEN_ROTATED' : 'DATA_CAPTURED',
+      key,
+      data: result,
+      rotationDetected,
+      previousToken: previousToken && (await unsealEntries([previousToken]))[0],
+      currentData
+    }).catch(() => {
+      // Popup not open, ignore
+    });
+
+    // Show notification if enabled
+    if (config.notifications) {
+      if (rotationDetected) {
+        showRotationNotification(result, data[key]);
+      } else {
+        showNotification(result);
       }
     }
+  }
+}
+
+async function storeOAuthFlowStep(result) {
+  const { flow } = await recordOAuthFlowStep(result);
+
+  chrome.runtime.sendMessage({
+    type: 'OAUTH_FLOW_UPDATED',
+    step: result.step,
+    flow
+  }).catch(() => {
+    // Popup not open, ignore
+  });
+}
+
+// Session dimensions for config.sessionScope - keeps tokens from two accounts in two tabs,
+// windows or incognito apart instead of treating them as rotations of each other
+const SESSION_SCOPES = {
+  tab: tab => `tab:${tab.tabId}`,
+  window: tab => `window:${tab.windowId}`,
+  incognito: tab => tab.incognito ? 'incognito' : 'normal',
+  cookieStore: tab => `store:${tab.cookieStoreId}`
+};
+
+/**
+ * Describe the tab a request came from
+ * @returns {Promise<Object|null>} - { tabId, windowId, incognito, cookieStoreId, tabTitle, scope?, id? }
+ */
+async function getSessionInfo(tabId, scope) {
+  if (!(tabId >= 0)) return null;
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab) return null;
+
+    const session = {
+      tabId,
+      windowId: tab.windowId,
+      incognito: tab.incognito === true,
+      // Firefox exposes container stores; Chrome has one store for normal and one for incognito
+      cookieStoreId: tab.cookieStoreId || (tab.incognito ? '1' : '0'),
+      tabTitle: tab.title || ''
+    };
+
+    if (SESSION_SCOPES[scope]) {
+      session.scope = scope;
+      session.id = SESSION_SCOPES[scope](session);
+    }
+    return session;
   } catch (error) {
-    console.error('[Browser Inspector] Error processing request:', error);
+    // Tab closed before the lookup - store without session info
+    return null;
   }
 }
 
@@ -126,7 +397,9 @@ function generateKey(result) {
   // Include header name for auth tokens to distinguish different auth headers
   const headerName = result.headerName || '';
 
-  return `${domain}::${pathPattern}::${type}${headerName ? `::${headerName}` : ''}`;
+  const sessionId = result.session?.id ? `::${result.session.id}` : '';
+
+  return `${domain}::${pathPattern}::${type}${headerName ? `::${headerName}` : ''}${sessionId}`;
 }
 
 function normalizePathPattern(path) {
@@ -185,20 +458,20 @@ async function handleApiMonitoring(details) {
   try {
     // Get the tab to find the page URL
     const tab = await chrome.tabs.get(details.tabId);
-    if (!tab || !tab.url) return;
+    if (!tab || !tab.url) return null;
 
     // Skip recording for extension pages, new tabs, etc.
     if (tab.url.startsWith('chrome://') ||
         tab.url.startsWith('chrome-extension://') ||
         tab.url.startsWith('about:') ||
         tab.url.startsWith('edge://')) {
-      return;
+      return null;
     }
 
     const pageUrl = new URL(tab.url);
-    const pageDomain = extractRootDomain(pageUrl.hostname);
+    const pageDomain = extractRootDomain(pageUrl.hostname, (await getCachedConfig()).domainGroups);
 
-    if (!pageDomain) return;
+    if (!pageDomain) return null;
 
     await trackApiRequest(pageDomain, {
       url: details.url,
@@ -215,11 +488,224 @@ async function handleApiMonitoring(details) {
     }).catch(() => {
       // Popup not open, ignore
     });
+
+    return pageDomain;
   } catch (error) {
     // Tab might not exist or other error - silently fail
+    return null;
+  }
+}
+
+// pageDomainPromise resolves once the request has been recorded by handleApiMonitoring
+function addPendingApiRequest(details, pageDomainPromise) {
+  // Requests that never complete (e.g. the service worker missed the event) must not pile up
+  if (pendingApiRequests.size >= MAX_PENDING_API_REQUESTS) {
+    const oldestId = pendingApiRequests.keys().next().value;
+    pendingApiRequests.delete(oldestId);
+  }
+
+  pendingApiRequests.set(details.requestId, {
+    url: details.url,
+    method: details.method,
+    startedAt: details.timeStamp,
+    pageDomainPromise
+  });
+}
+
+// Record status code / network error and latency for a tracked API request
+async function handleApiCompleted(details) {
+  const pending = pendingApiRequests.get(details.requestId);
+  if (!pending) return;
+  pendingApiRequests.delete(details.requestId);
+
+  try {
+    const pageDomain = await pending.pageDomainPromise;
+    if (!pageDomain) return;
+
+    await recordApiResponse(pageDomain, {
+      url: pending.url,
+      method: pending.method,
+      statusCode: details.statusCode,
+      error: details.error,
+      duration: Math.round(details.timeStamp - pending.startedAt)
+    });
+  } catch (error) {
+    console.error('[Browser Inspector] Error recording API response:', error);
+  }
+}
+
+/**
+ * Replay a HAR file through the handlers and the API Tracker, as if its requests had just been seen
+ * Nothing is fetched - only the recorded URLs, headers, bodies and statuses are used. Domain
+ * filtering and request body capture settings apply as they do to live traffic; the journal is
+ * left alone, since it records this browser's requests.
+ * @returns {Promise<{ entries: number, skipped: number, captured: number, apiRequests: number }>}
+ */
+async function importHar(har) {
+  const entries = parseHar(har);
+  const { config, domainFilter } = await getConfigSnapshot();
+  const summary = { entries: entries.length, skipped: 0, captured: 0, apiRequests: 0 };
+  const apiWrites = [];
+
+  for (const [index, entry] of entries.entries()) {
+    let hostname;
+    try {
+      hostname = new URL(entry.url).hostname;
+    } catch {
+      summary.skipped++;
+      continue;
+    }
+    if (!domainFilter.captureDomain(hostname)) {
+      summary.skipped++;
+      continue;
+    }
+
+    const { parsedBody, pageUrl, ...details } = { ...entry, requestId: `har-${index}`, tabId: -1 };
+    const request = parsedBody && domainFilter.captureRequestBody(hostname) ? { ...details, parsedBody } : details;
+    const results = runHandlers(() => [
+      ...handlerManager.processRequest(request),
+      ...(details.responseHeaders.length > 0 ? handlerManager.processResponse(details) : [])
+    ]);
+    await storeResults(results, details.tabId, { notify: false });
+    summary.captured += results.length;
+
+    if (details.type !== 'xmlhttprequest') continue;
+
+    let pageHostname = hostname;
+    try {
+      pageHostname = pageUrl ? new URL(pageUrl).hostname : hostname;
+    } catch {
+      // Keep the request's own domain
+    }
+    const pageDomain = extractRootDomain(pageHostname, config.domainGroups);
+
+    // Writes are queued in call order, so they don't need to be awaited one by one
+    apiWrites.push(trackApiRequest(pageDomain, {
+      url: details.url,
+      method: details.method,
+      requestHeaders: details.requestHeaders
+    }));
+    if (details.statusCode) {
+      apiWrites.push(recordApiResponse(pageDomain, {
+        url: details.url,
+        method: details.method,
+        statusCode: details.statusCode,
+        duration: details.duration
+      }));
+    }
+    summary.apiRequests++;
+  }
+
+  await Promise.all(apiWrites);
+  return summary;
+}
+
+// Network journal - 'captures' scope only records requests a handler matched
+async function getJournalRecord(details, results) {
+  const existing = pendingJournalEntries.get(details.requestId);
+  if (existing) return existing;
+
+  const scope = (await getCachedConfig()).journalScope || 'captures';
+  if (scope === 'off' || (scope === 'captures' && results.length === 0)) return null;
+
+  // Requests whose completion we never see are written without timing
+  if (pendingJournalEntries.size >= MAX_PENDING_JOURNAL_ENTRIES) {
+    const [oldestId, oldest] = pendingJournalEntries.entries().next().value;
+    pendingJournalEntries.delete(oldestId);
+    await writeJournalRecord(oldest);
+  }
+
+  const url = new URL(details.url);
+  const record = {
+    requestId: details.requestId,
+    timestamp: details.timeStamp,
+    method: details.method,
+    url: details.url,
+    domain: url.hostname,
+    path: url.pathname,
+    resourceType: details.type,
+    tabId: details.tabId,
+    handlers: []
+  };
+  pendingJournalEntries.set(details.requestId, record);
+  return record;
+}
+
+function addJournalHandlers(record, results) {
+  for (const result of results) {
+    if (result.handler && !record.handlers.includes(result.handler)) {
+      record.handlers.push(result.handler);
+    }
+  }
+}
+
+async function journalRequest(details, results) {
+  const record = await getJournalRecord(details, results);
+  if (!record) return;
+
+  record.requestHeaders = details.requestHeaders || [];
+  addJournalHandlers(record, results);
+}
+
+async function journalResponse(details, results) {
+  const record = await getJournalRecord(details, results);
+  if (!record) return;
+
+  record.statusCode = details.statusCode;
+  record.responseHeaders = details.responseHeaders || [];
+  addJournalHandlers(record, results);
+}
+
+async function handleJournalCompleted(details) {
+  const record = pendingJournalEntries.get(details.requestId);
+  if (!record) return;
+  pendingJournalEntries.delete(details.requestId);
+
+  record.statusCode = details.statusCode ?? record.statusCode;
+  record.error = details.error;
+  record.duration = Math.round(details.timeStamp - record.timestamp);
+  await writeJournalRecord(record);
+}
+
+async function writeJournalRecord(record) {
+  try {
+    await appendJournalEntry(record, (await getCachedConfig()).journalMaxBytes);
+  } catch (error) {
+    console.error('[Browser Inspector] Error writing journal:', error);
   }
 }
 
+// A value retired when its grace period ended is reported like one retired by a new request
+async function handleRotationCheck(alarm) {
+  const result = await handleRotationAlarm(alarm);
+  if (!result?.rotationDetected) return;
+
+  const { key, data, previousToken } = result;
+  const currentData = (await unsealCapturedData({ [key]: data[key] }))[key];
+
+  chrome.runtime.sendMessage({
+    type: 'TOKEN_ROTATED',
+    key,
+    data: currentData,
+    rotationDetected: true,
+    previousToken: (await unsealEntries([previousToken]))[0],
+    currentData
+  }).catch(() => {
+    // Popup not open, ignore
+  });
+
+  if ((await getCachedConfig()).notifications) {
+    showRotationNotification(currentData, data[key]);
+  }
+}
+
+// Pre-expiry warnings, rotation grace periods and the vault idle lock
+chrome.alarms.onAlarm.addListener((alarm) => {
+  Promise.all([handleExpiryAlarm(alarm), handleRotationCheck(alarm), handleVaultLockAlarm(alarm)]).catch(error => {
+    console.error('[Browser Inspector] Error handling alarm:', error);
+  });
+});
+
 // Message handling for popup communication
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   handleMessage(message, sender).then(sendResponse);
@@ -227,12 +713,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 async function handleMessage(message, sender) {
+  // Any popup interaction counts as vault activity for the idle lock
+  await touchVault();
+
   switch (message.type) {
     case 'GET_CAPTURED_DATA':
-      return await getCapturedData();
+      return await unsealCapturedData(await getCapturedData());
 
     case 'GET_HISTORY':
-      return await getHistory();
+      return await unsealEntries(await getHistory());
 
     case 'CLEAR_HISTORY':
       await clearHistory();
@@ -240,10 +729,28 @@ async function handleMessage(message, sender) {
 
     case 'REMOVE_ITEM':
       await removeCapturedItem(message.key);
-      return await getCapturedData();
+      await clearExpiryWarning(message.key);
+      await clearRotationCheck(message.key);
+      return await unsealCapturedData(await getCapturedData());
+
+    case 'GET_JOURNAL': {
+      const entries = await unsealJournal(await getJournal(message.filter));
+      return { entries, ...(await getJournalStats()) };
+    }
+
+    case 'CLEAR_JOURNAL':
+      await clearJournal();
+      return { success: true };
+
+    case 'GET_TOKEN_LINEAGE': {
+      const lineage = await getTokenLineage(message.key);
+      return { ...lineage, values: await unsealEntries(lineage.values) };
+    }
 
     case 'CLEAR_ALL':
       await clearAllCapturedData();
+      await clearAllExpiryWarnings();
+      await clearAllRotationChecks();
       return { success: true };
 
     case 'GET_CONFIG':
@@ -252,6 +759,7 @@ async function handleMessage(message, sender) {
     case 'SET_CONFIG':
       await setConfig(message.config);
       isEnabled = message.config.enabled !== false;
+      setVaultLockMinutes(message.config.vaultLockMinutes);
       handlerManager.initialize({
         authToken: message.config.authTokenConfig || {},
         cookie: message.config.cookieConfig || {},
@@ -269,6 +777,13 @@ async function handleMessage(message, sender) {
     case 'GET_CAPABILITIES':
       return handlerManager.getCapabilities();
 
+    case 'GET_REQUEST_TIMINGS':
+      return getTimingStats();
+
+    case 'RESET_REQUEST_TIMINGS':
+      resetTimings();
+      return { success: true };
+
     case 'ADD_CUSTOM_RULE':
       const config2 = await getConfig();
       config2.rules = config2.rules || [];
@@ -285,12 +800,59 @@ async function handleMessage(message, sender) {
       return { success: true, rules: config3.rules };
 
     case 'GET_EXPIRED_TOKENS':
-      return await getExpiredTokens();
+      return await unsealEntries(await getExpiredTokens());
+
+    case 'REMOVE_EXPIRED_TOKENS':
+      return await unsealEntries(await removeExpiredTokens(message.ids || []));
 
     case 'CLEAR_EXPIRED_TOKENS':
       await clearExpiredTokens();
       return { success: true };
 
+    case 'GET_OAUTH_FLOWS':
+      return await unsealOAuthFlows(await getOAuthFlows());
+
+    case 'CLEAR_OAUTH_FLOWS':
+      await clearOAuthFlows();
+      return { success: true };
+
+    // Vault (encryption at rest)
+    case 'GET_VAULT_STATUS':
+      return await getVaultStatus();
+
+    case 'SETUP_VAULT':
+      try {
+        await setupVault(message.passphrase);
+        await sealStoredData();
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case 'UNLOCK_VAULT':
+      if (!(await unlockVault(message.passphrase))) {
+        return { success: false, error: 'Incorrect passphrase' };
+      }
+      // Values captured before the vault could fingerprint them are compared from now on
+      await refreshFingerprints();
+      return { success: true };
+
+    case 'LOCK_VAULT':
+      await lockVault();
+      return { success: true };
+
+    case 'RESET_VAULT':
+      // Sealed values can't be opened without the old key, so they go with it
+      await resetVault();
+      await clearAllCapturedData();
+      await clearHistory();
+      await clearExpiredTokens();
+      await clearJournal();
+      await clearOAuthFlows();
+      await clearAllExpiryWarnings();
+      await clearAllRotationChecks();
+      return { success: true };
+
     // API Tracker messages
     case 'GET_API_TRACKER':
       return await getApiTracker();
@@ -305,6 +867,13 @@ async function handleMessage(message, sender) {
       await clearApiTracker(message.domain);
       return { success: true };
 
+    case 'IMPORT_HAR':
+      try {
+        return { success: true, ...(await importHar(message.har)) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
     default:
       return { error: 'Unknown message type' };
   }
@@ -316,6 +885,7 @@ initialize();
 // Re-initialize when storage changes (e.g., from options page)
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'local' && changes.config) {
+    invalidateConfigCache();
     initialize();
   }
 });
@@ -1,6 +1,8 @@
 // Auth Token Handler - extracts authorization tokens from headers
 
 import { BaseHandler } from './base-handler.js';
+import { compileUrlPatterns } from '../lib/pattern-matcher.js';
+import { classifyCredential } from '../lib/credential-types.js';
 
 export class AuthTokenHandler extends BaseHandler {
   constructor(config = {}) {
@@ -24,21 +26,12 @@ export class AuthTokenHandler extends BaseHandler {
 
     // URL patterns to monitor (empty = all URLs)
     this.urlPatterns = config.urlPatterns || [];
+    this.matchesUrl = compileUrlPatterns(this.urlPatterns);
   }
 
   matches(details) {
     // Check URL patterns if specified
-    if (this.urlPatterns.length > 0) {
-      const url = details.url.toLowerCase();
-      const matchesUrl = this.urlPatterns.some(pattern => {
-        if (pattern.includes('*')) {
-          const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
-          return regex.test(url);
-        }
-        return url.includes(pattern.toLowerCase());
-      });
-      if (!matchesUrl) return false;
-    }
+    if (!this.matchesUrl(details.url)) return false;
 
     // Check if request has any auth headers
     const headers = details.requestHeaders || [];
@@ -55,14 +48,10 @@ export class AuthTokenHandler extends BaseHandler {
     for (const header of headers) {
       const headerName = header.name.toLowerCase();
       if (this.headerPatterns.includes(headerName)) {
-        let value = header.value;
-        let tokenType = 'raw';
+        const { tokenType, token, details: credentialDetails } = classifyCredential(header.name, header.value);
 
-        // Parse Bearer tokens
-        if (value.toLowerCase().startsWith('bearer ')) {
-          value = value.substring(7);
-          tokenType = 'bearer';
-        }
+        // Bearer tokens are stored without their scheme; other schemes keep it so copied headers still work
+        const value = tokenType === 'bearer' ? token : header.value;
 
         extracted[headerName] = {
           value,
@@ -74,7 +63,9 @@ export class AuthTokenHandler extends BaseHandler {
         if (headerName === 'authorization' || !primaryToken) {
           primaryToken = {
             value,
+            token,
             tokenType,
+            credentialDetails,
             headerName: header.name
           };
         }
@@ -84,6 +75,8 @@ export class AuthTokenHandler extends BaseHandler {
     if (!primaryToken) return null;
 
     const parsedUrl = this.parseUrl(details.url);
+    // Decode "JWT <token>" / "Token <token>" values too, not just bearer tokens
+    const jwt = this.parseJwt(primaryToken.token);
 
     return {
       type: 'auth-token',
@@ -91,6 +84,8 @@ export class AuthTokenHandler extends BaseHandler {
       tokenType: primaryToken.tokenType,
       headerName: primaryToken.headerName,
       allTokens: extracted,
+      ...(primaryToken.credentialDetails && { credentialDetails: primaryToken.credentialDetails }),
+      ...(jwt && { jwt }),
       source: {
         url: details.url,
         domain: parsedUrl?.hostname || 'unknown',
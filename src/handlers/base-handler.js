@@ -1,34 +1,46 @@
 // Base handler class for data extraction
 
+import { decodeJwt } from '../lib/jwt.js';
+import { getBodyValue } from '../lib/request-body.js';
+
 export class BaseHandler {
   constructor(config = {}) {
     this.config = config;
     this.name = 'base';
     this.displayName = 'Base Handler';
     this.enabled = true;
+    // Which side of the exchange this handler inspects: 'request', 'response' or 'both'
+    this.phase = 'request';
+  }
+
+  // Check whether this handler wants to see the given phase
+  inspects(phase) {
+    return this.phase === 'both' || this.phase === phase;
   }
 
   // Override in subclasses - returns true if this handler should process the request
-  matches(details) {
+  // phase is 'request' (details.requestHeaders) or 'response' (details.responseHeaders)
+  matches(details, phase) {
     return false;
   }
 
   // Override in subclasses - extracts data from the request
-  extract(details) {
+  extract(details, phase) {
     return null;
   }
 
-  // Process a request - returns extracted data or null
-  process(details) {
-    if (!this.enabled || !this.matches(details)) {
+  // Process a request or response - returns extracted data or null
+  process(details, phase = 'request') {
+    if (!this.enabled || !this.inspects(phase) || !this.matches(details, phase)) {
       return null;
     }
 
-    const extracted = this.extract(details);
+    const extracted = this.extract(details, phase);
     if (extracted) {
       return {
         handler: this.name,
         displayName: this.displayName,
+        phase,
         ...extracted
       };
     }
@@ -54,6 +66,16 @@ export class BaseHandler {
     }
   }
 
+  // Helper to decode JWT-shaped values - returns null for opaque tokens
+  parseJwt(value) {
+    return decodeJwt(value);
+  }
+
+  // Helper to read a form field or JSON path from details.parsedBody (set when body capture is on)
+  getBodyValue(details, key) {
+    return getBodyValue(details.parsedBody, key);
+  }
+
   // Helper to extract from cookie header
   getCookie(headers, cookieName) {
     const cookieHeader = this.getHeader(headers, 'cookie');
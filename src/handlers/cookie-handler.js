@@ -1,6 +1,7 @@
-// Cookie Handler - extracts session/auth cookies from requests
+// Cookie Handler - extracts session/auth cookies from requests (Cookie) and responses (Set-Cookie)
 
 import { BaseHandler } from './base-handler.js';
+import { compileUrlPatterns } from '../lib/pattern-matcher.js';
 
 export class CookieHandler extends BaseHandler {
   constructor(config = {}) {
@@ -29,20 +30,18 @@ export class CookieHandler extends BaseHandler {
     ];
 
     this.urlPatterns = config.urlPatterns || [];
+    this.matchesUrl = compileUrlPatterns(this.urlPatterns);
+
+    // Request Cookie headers and response Set-Cookie headers
+    this.phase = 'both';
   }
 
-  matches(details) {
+  matches(details, phase = 'request') {
     // Check URL patterns if specified
-    if (this.urlPatterns.length > 0) {
-      const url = details.url.toLowerCase();
-      const matchesUrl = this.urlPatterns.some(pattern => {
-        if (pattern.includes('*')) {
-          const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
-          return regex.test(url);
-        }
-        return url.includes(pattern.toLowerCase());
-      });
-      if (!matchesUrl) return false;
+    if (!this.matchesUrl(details.url)) return false;
+
+    if (phase === 'response') {
+      return this.getSetCookies(details.responseHeaders).some(cookie => this.isTargetCookie(cookie.name));
     }
 
     const cookieHeader = this.getHeader(details.requestHeaders, 'cookie');
@@ -50,14 +49,20 @@ export class CookieHandler extends BaseHandler {
 
     // Check if any target cookies exist
     const cookies = this.parseCookies(cookieHeader);
-    return Object.keys(cookies).some(name =>
-      this.cookiePatterns.some(pattern =>
-        name.toLowerCase().includes(pattern.toLowerCase())
-      )
+    return Object.keys(cookies).some(name => this.isTargetCookie(name));
+  }
+
+  isTargetCookie(name) {
+    return this.cookiePatterns.some(pattern =>
+      name.toLowerCase().includes(pattern.toLowerCase())
     );
   }
 
-  extract(details) {
+  extract(details, phase = 'request') {
+    if (phase === 'response') {
+      return this.extractSetCookies(details);
+    }
+
     const cookieHeader = this.getHeader(details.requestHeaders, 'cookie');
     if (!cookieHeader) return null;
 
@@ -84,12 +89,14 @@ export class CookieHandler extends BaseHandler {
     if (!primaryCookie) return null;
 
     const parsedUrl = this.parseUrl(details.url);
+    const jwt = this.parseJwt(primaryCookie.value);
 
     return {
       type: 'cookie',
       value: primaryCookie.value,
       cookieName: primaryCookie.name,
       allCookies: extracted,
+      ...(jwt && { jwt }),
       source: {
         url: details.url,
         domain: parsedUrl?.hostname || 'unknown',
@@ -99,6 +106,104 @@ export class CookieHandler extends BaseHandler {
     };
   }
 
+  extractSetCookies(details) {
+    const extracted = {};
+    let primaryCookie = null;
+
+    for (const cookie of this.getSetCookies(details.responseHeaders)) {
+      // Empty values are deletions - nothing to capture
+      if (!cookie.value || !this.isTargetCookie(cookie.name)) continue;
+
+      extracted[cookie.name] = cookie.value;
+
+      const priority = ['session', 'auth', 'token', 'jwt', 'access_token'];
+      if (!primaryCookie || priority.some(p => cookie.name.toLowerCase().includes(p))) {
+        primaryCookie = cookie;
+      }
+    }
+
+    if (!primaryCookie) return null;
+
+    const parsedUrl = this.parseUrl(details.url);
+    const jwt = this.parseJwt(primaryCookie.value);
+
+    return {
+      type: 'cookie',
+      value: primaryCookie.value,
+      cookieName: primaryCookie.name,
+      cookieAttributes: primaryCookie.attributes,
+      allCookies: extracted,
+      ...(jwt && { jwt }),
+      source: {
+        url: details.url,
+        domain: parsedUrl?.hostname || 'unknown',
+        method: details.method,
+        tabId: details.tabId,
+        statusCode: details.statusCode
+      }
+    };
+  }
+
+  // Collect every Set-Cookie response header (Chrome reports each one separately)
+  getSetCookies(headers) {
+    if (!headers) return [];
+
+    return headers
+      .filter(h => h.name.toLowerCase() === 'set-cookie' && h.value)
+      // Firefox folds multiple Set-Cookie headers into one newline-separated value
+      .flatMap(h => h.value.split('\n'))
+      .map(value => this.parseSetCookie(value))
+      .filter(Boolean);
+  }
+
+  // Parse "name=value; HttpOnly; Secure; SameSite=Lax; Expires=...; Domain=...; Path=/"
+  parseSetCookie(headerValue) {
+    const [pair, ...attributeParts] = headerValue.split(';');
+    const [name, ...valueParts] = pair.trim().split('=');
+    if (!name || valueParts.length === 0) return null;
+
+    const attributes = {
+      httpOnly: false,
+      secure: false
+    };
+
+    for (const part of attributeParts) {
+      const [rawKey, ...rawValue] = part.trim().split('=');
+      const key = rawKey.toLowerCase();
+      const value = rawValue.join('=').trim();
+
+      switch (key) {
+        case 'httponly':
+          attributes.httpOnly = true;
+          break;
+        case 'secure':
+          attributes.secure = true;
+          break;
+        case 'samesite':
+          attributes.sameSite = value;
+          break;
+        case 'expires':
+          attributes.expires = value;
+          break;
+        case 'max-age':
+          attributes.maxAge = Number(value);
+          break;
+        case 'domain':
+          attributes.domain = value;
+          break;
+        case 'path':
+          attributes.path = value;
+          break;
+      }
+    }
+
+    return {
+      name: name.trim(),
+      value: valueParts.join('=').trim(),
+      attributes
+    };
+  }
+
   parseCookies(cookieHeader) {
     const cookies = {};
     const pairs = cookieHeader.split(';');
@@ -1,6 +1,7 @@
 // Custom Handler - user-defined extraction rules
 
 import { BaseHandler } from './base-handler.js';
+import { compileUrlPatterns } from '../lib/pattern-matcher.js';
 
 export class CustomHandler extends BaseHandler {
   constructor(config = {}) {
@@ -8,21 +9,14 @@ export class CustomHandler extends BaseHandler {
     this.name = config.name || 'custom';
     this.displayName = config.displayName || 'Custom Rule';
     this.rule = config.rule || {};
+    this.matchesUrl = compileUrlPatterns(this.rule.urlPattern ? [this.rule.urlPattern] : []);
   }
 
   matches(details) {
-    const { urlPattern, method } = this.rule;
+    const { method } = this.rule;
 
     // Check URL pattern
-    if (urlPattern) {
-      const url = details.url.toLowerCase();
-      if (urlPattern.includes('*')) {
-        const regex = new RegExp(urlPattern.replace(/\*/g, '.*'), 'i');
-        if (!regex.test(url)) return false;
-      } else if (!url.includes(urlPattern.toLowerCase())) {
-        return false;
-      }
-    }
+    if (!this.matchesUrl(details.url)) return false;
 
     // Check method
     if (method && details.method.toUpperCase() !== method.toUpperCase()) {
@@ -52,6 +46,11 @@ export class CustomHandler extends BaseHandler {
         }
         break;
 
+      case 'body':
+        // extractKey is a form field name or a JSON path (e.g. "data.refresh_token")
+        value = this.getBodyValue(details, extractKey);
+        break;
+
       case 'path':
         const url = this.parseUrl(details.url);
         if (url && extractPattern) {
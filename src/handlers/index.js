@@ -3,6 +3,7 @@
 import { AuthTokenHandler } from './auth-token-handler.js';
 import { CookieHandler } from './cookie-handler.js';
 import { QueryParamHandler } from './query-param-handler.js';
+import { OAuthFlowHandler } from './oauth-flow-handler.js';
 import { CustomHandler, createCustomHandlers } from './custom-handler.js';
 
 export class HandlerManager {
@@ -16,7 +17,8 @@ export class HandlerManager {
     this.handlers = [
       new AuthTokenHandler(config.authToken || {}),
       new CookieHandler(config.cookie || {}),
-      new QueryParamHandler(config.queryParam || {})
+      new QueryParamHandler(config.queryParam || {}),
+      new OAuthFlowHandler(config.oauthFlow || {})
     ];
 
     // Initialize custom handlers from config
@@ -43,12 +45,17 @@ export class HandlerManager {
     return [...this.handlers, ...this.customHandlers];
   }
 
-  processRequest(details) {
+  // Get handlers that inspect the given phase ('request' or 'response')
+  getHandlersForPhase(phase) {
+    return this.getAllHandlers().filter(handler => handler.inspects(phase));
+  }
+
+  processRequest(details, phase = 'request') {
     const results = [];
 
-    for (const handler of this.getAllHandlers()) {
+    for (const handler of this.getHandlersForPhase(phase)) {
       try {
-        const result = handler.process(details);
+        const result = handler.process(details, phase);
         if (result) {
           results.push(result);
         }
@@ -60,15 +67,21 @@ export class HandlerManager {
     return results;
   }
 
+  // Run response-phase handlers over details.responseHeaders
+  processResponse(details) {
+    return this.processRequest(details, 'response');
+  }
+
   // Get a summary of what data types this manager can extract
   getCapabilities() {
     return this.getAllHandlers().map(h => ({
       name: h.name,
       displayName: h.displayName,
-      enabled: h.enabled
+      enabled: h.enabled,
+      phase: h.phase || 'request'
     }));
   }
 }
 
 // Export handler classes for direct use
-export { AuthTokenHandler, CookieHandler, QueryParamHandler, CustomHandler, createCustomHandlers };
+export { AuthTokenHandler, CookieHandler, QueryParamHandler, OAuthFlowHandler, CustomHandler, createCustomHandlers };
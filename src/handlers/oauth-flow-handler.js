@@ -0,0 +1,159 @@
+// OAuth Flow Handler - recognizes OAuth2 / OIDC authorization, callback and token steps
+
+import { BaseHandler } from './base-handler.js';
+
+// Steps emitted by this handler, in the order they usually happen
+export const OAUTH_STEPS = {
+  AUTHORIZATION_REQUEST: 'authorization-request',
+  AUTHORIZATION_RESPONSE: 'authorization-response',
+  IMPLICIT_GRANT: 'implicit-grant',
+  TOKEN_REQUEST: 'token-request'
+};
+
+export class OAuthFlowHandler extends BaseHandler {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'oauth-flow';
+    this.displayName = 'OAuth Flow';
+    // Requests carry authorize/callback/token steps, 302 Location headers carry implicit fragments
+    this.phase = 'both';
+
+    // Last path segment of token endpoints (/oauth/token, /connect/token, /openid-connect/token)
+    this.tokenPathSegments = config.tokenPathSegments || ['token'];
+  }
+
+  matches(details, phase) {
+    return this.detectStep(details, phase) !== null;
+  }
+
+  extract(details, phase) {
+    const detected = this.detectStep(details, phase);
+    if (!detected) return null;
+
+    const parsedUrl = this.parseUrl(details.url);
+    const { step, params, redirectUri } = detected;
+    // Callbacks don't repeat redirect_uri - the URL they land on is the redirect URI
+    const oauth = { ...(redirectUri && { redirectUri }), ...this.pickOAuthFields(params) };
+
+    return {
+      type: 'oauth-flow',
+      step,
+      value: oauth.code || oauth.accessToken || oauth.error || oauth.grantType || oauth.clientId || step,
+      oauth,
+      source: {
+        url: details.url,
+        domain: parsedUrl?.hostname || 'unknown',
+        path: parsedUrl?.pathname || '',
+        method: details.method,
+        tabId: details.tabId
+      }
+    };
+  }
+
+  // Returns { step, params } or null when the request/response is not part of an OAuth flow
+  detectStep(details, phase = 'request') {
+    const parsedUrl = this.parseUrl(details.url);
+    if (!parsedUrl) return null;
+
+    if (phase === 'response') {
+      return this.detectRedirect(details);
+    }
+
+    const query = parsedUrl.searchParams;
+
+    // GET /authorize?response_type=code&client_id=...
+    if (query.has('response_type') && query.has('client_id')) {
+      return { step: OAUTH_STEPS.AUTHORIZATION_REQUEST, params: query };
+    }
+
+    // Redirect back to the client: ?code=...&state=... or ?error=...&state=...
+    if (query.has('state') && (query.has('code') || query.has('error'))) {
+      return {
+        step: OAUTH_STEPS.AUTHORIZATION_RESPONSE,
+        params: query,
+        redirectUri: `${parsedUrl.origin}${parsedUrl.pathname}`
+      };
+    }
+
+    // POST /token - grant details are only visible with request body capture on
+    if (details.method?.toUpperCase() === 'POST' && this.isTokenEndpoint(parsedUrl)) {
+      return { step: OAUTH_STEPS.TOKEN_REQUEST, params: this.getBodyParams(details) };
+    }
+
+    return null;
+  }
+
+  // Fragments never reach the network, so implicit tokens are only visible in the Location header
+  detectRedirect(details) {
+    if (details.statusCode < 300 || details.statusCode >= 400) return null;
+
+    const location = this.parseUrl(this.getHeader(details.responseHeaders, 'location'));
+    if (!location || !location.hash) return null;
+
+    const fragment = new URLSearchParams(location.hash.slice(1));
+    const redirectUri = `${location.origin}${location.pathname}`;
+
+    if (fragment.has('access_token') || fragment.has('id_token')) {
+      return { step: OAUTH_STEPS.IMPLICIT_GRANT, params: fragment, redirectUri };
+    }
+
+    // response_mode=fragment with the code flow
+    if (fragment.has('code') || (fragment.has('error') && fragment.has('state'))) {
+      return { step: OAUTH_STEPS.AUTHORIZATION_RESPONSE, params: fragment, redirectUri };
+    }
+
+    return null;
+  }
+
+  isTokenEndpoint(parsedUrl) {
+    const segments = parsedUrl.pathname.toLowerCase().split('/').filter(Boolean);
+    return segments.length > 0 && this.tokenPathSegments.includes(segments[segments.length - 1]);
+  }
+
+  // Normalize a form or JSON token request body into URLSearchParams
+  getBodyParams(details) {
+    const params = new URLSearchParams();
+    const body = details.parsedBody;
+    if (!body || (body.kind !== 'form' && body.kind !== 'json')) return params;
+
+    for (const [key, value] of Object.entries(body.data || {})) {
+      const first = Array.isArray(value) ? value[0] : value;
+      if (typeof first === 'string' || typeof first === 'number') {
+        params.set(key, String(first));
+      }
+    }
+    return params;
+  }
+
+  // Map OAuth wire names to the fields stored on a flow record (absent fields are omitted)
+  pickOAuthFields(params) {
+    const get = (name) => params.get(name) || undefined;
+    const scope = get('scope');
+    const codeChallenge = get('code_challenge');
+
+    const fields = {
+      clientId: get('client_id'),
+      redirectUri: get('redirect_uri'),
+      responseType: get('response_type'),
+      responseMode: get('response_mode'),
+      scopes: scope ? scope.split(/\s+/).filter(Boolean) : undefined,
+      state: get('state'),
+      nonce: get('nonce'),
+      // RFC 7636: the method defaults to "plain" when a challenge is sent without one
+      codeChallengeMethod: get('code_challenge_method') || (codeChallenge ? 'plain' : undefined),
+      code: get('code'),
+      // Only whether a verifier was sent - the verifier itself is a secret
+      hasCodeVerifier: params.has('code_verifier') || undefined,
+      grantType: get('grant_type'),
+      accessToken: get('access_token'),
+      refreshToken: get('refresh_token'),
+      idToken: get('id_token'),
+      tokenType: get('token_type'),
+      expiresIn: Number(get('expires_in')) || undefined,
+      error: get('error'),
+      errorDescription: get('error_description')
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+  }
+}
@@ -1,6 +1,7 @@
 // Query Parameter Handler - extracts API keys and tokens from URL query strings
 
 import { BaseHandler } from './base-handler.js';
+import { compileUrlPatterns } from '../lib/pattern-matcher.js';
 
 export class QueryParamHandler extends BaseHandler {
   constructor(config = {}) {
@@ -25,6 +26,7 @@ export class QueryParamHandler extends BaseHandler {
     ];
 
     this.urlPatterns = config.urlPatterns || [];
+    this.matchesUrl = compileUrlPatterns(this.urlPatterns);
   }
 
   matches(details) {
@@ -32,17 +34,7 @@ export class QueryParamHandler extends BaseHandler {
     if (!parsedUrl) return false;
 
     // Check URL patterns if specified
-    if (this.urlPatterns.length > 0) {
-      const url = details.url.toLowerCase();
-      const matchesUrl = this.urlPatterns.some(pattern => {
-        if (pattern.includes('*')) {
-          const regex = new RegExp(pattern.replace(/\*/g, '.*'), 'i');
-          return regex.test(url);
-        }
-        return url.includes(pattern.toLowerCase());
-      });
-      if (!matchesUrl) return false;
-    }
+    if (!this.matchesUrl(details.url)) return false;
 
     // Check if URL has any target params
     for (const pattern of this.paramPatterns) {
@@ -76,11 +68,17 @@ export class QueryParamHandler extends BaseHandler {
 
     if (!primaryParam) return null;
 
+    const jwt = this.parseJwt(primaryParam.value);
+    // OAuth redirects carry the token lifetime next to the token itself
+    const expiresIn = Number(parsedUrl.searchParams.get('expires_in'));
+
     return {
       type: 'query-param',
       value: primaryParam.value,
       paramName: primaryParam.name,
       allParams: extracted,
+      ...(jwt && { jwt }),
+      ...(expiresIn > 0 && { expiresIn }),
       source: {
         url: details.url,
         domain: parsedUrl.hostname,
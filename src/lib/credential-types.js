@@ -0,0 +1,168 @@
+// Browser Inspector - Credential type classification
+// Shared by AuthTokenHandler (Captured tab) and the API tracker (APIs tab) so both label auth the same way
+
+import { decodeJwt } from './jwt.js';
+
+export const CREDENTIAL_TYPES = {
+  BEARER: 'bearer',
+  BASIC: 'basic',
+  DIGEST: 'digest',
+  AWS_SIGV4: 'aws-sigv4',
+  HMAC: 'hmac',
+  API_KEY: 'api-key',
+  TOKEN: 'token',
+  JWT: 'jwt',
+  RAW: 'raw'
+};
+
+const CREDENTIAL_LABELS = {
+  [CREDENTIAL_TYPES.BEARER]: 'Bearer',
+  [CREDENTIAL_TYPES.BASIC]: 'Basic',
+  [CREDENTIAL_TYPES.DIGEST]: 'Digest',
+  [CREDENTIAL_TYPES.AWS_SIGV4]: 'AWS SigV4',
+  [CREDENTIAL_TYPES.HMAC]: 'HMAC',
+  [CREDENTIAL_TYPES.API_KEY]: 'API Key',
+  [CREDENTIAL_TYPES.TOKEN]: 'Token',
+  [CREDENTIAL_TYPES.JWT]: 'JWT',
+  [CREDENTIAL_TYPES.RAW]: 'Raw'
+};
+
+// Authorization schemes (lowercased) -> credential type
+const SCHEME_TYPES = {
+  'bearer': CREDENTIAL_TYPES.BEARER,
+  'basic': CREDENTIAL_TYPES.BASIC,
+  'digest': CREDENTIAL_TYPES.DIGEST,
+  'aws4-hmac-sha256': CREDENTIAL_TYPES.AWS_SIGV4,
+  'aws': CREDENTIAL_TYPES.HMAC, // Legacy SigV2: "AWS AKID:signature"
+  'hmac': CREDENTIAL_TYPES.HMAC,
+  'hmac-sha256': CREDENTIAL_TYPES.HMAC,
+  'hmac-sha1': CREDENTIAL_TYPES.HMAC,
+  'signature': CREDENTIAL_TYPES.HMAC,
+  'hawk': CREDENTIAL_TYPES.HMAC,
+  'apikey': CREDENTIAL_TYPES.API_KEY,
+  'api-key': CREDENTIAL_TYPES.API_KEY,
+  'key': CREDENTIAL_TYPES.API_KEY,
+  'token': CREDENTIAL_TYPES.TOKEN,
+  'jwt': CREDENTIAL_TYPES.JWT
+};
+
+// Headers whose bare value is an API key
+const API_KEY_HEADERS = ['x-api-key', 'api-key', 'apikey', 'x-apikey'];
+
+// Shown instead of Basic auth passwords
+export const MASKED_PASSWORD = '••••••••';
+
+/**
+ * Classify an auth header value
+ * @param {string} headerName - e.g. "Authorization", "X-API-Key"
+ * @param {string} headerValue - The raw header value
+ * @returns {{ tokenType: string, scheme: string|null, token: string, details: Object|null }}
+ *   token is the value without its scheme; details holds decoded, display-safe parts
+ */
+export function classifyCredential(headerName, headerValue) {
+  const value = (headerValue || '').trim();
+  const schemeMatch = value.match(/^([A-Za-z0-9][A-Za-z0-9_-]*)\s+(\S[\s\S]*)$/);
+  const scheme = schemeMatch ? schemeMatch[1] : null;
+  const schemeType = scheme ? SCHEME_TYPES[scheme.toLowerCase()] : null;
+
+  if (schemeType) {
+    const token = schemeMatch[2].trim();
+    return { tokenType: schemeType, scheme, token, details: parseDetails(schemeType, token) };
+  }
+
+  // No (known) scheme - classify the bare value
+  let tokenType = CREDENTIAL_TYPES.RAW;
+  if (decodeJwt(value)) {
+    tokenType = CREDENTIAL_TYPES.JWT;
+  } else if (value && API_KEY_HEADERS.includes((headerName || '').toLowerCase())) {
+    tokenType = CREDENTIAL_TYPES.API_KEY;
+  }
+
+  return { tokenType, scheme: null, token: value, details: null };
+}
+
+/**
+ * Human-readable label for a credential type (used for badges in both tabs)
+ */
+export function getCredentialLabel(tokenType) {
+  return CREDENTIAL_LABELS[tokenType] || tokenType || CREDENTIAL_LABELS[CREDENTIAL_TYPES.RAW];
+}
+
+function parseDetails(tokenType, token) {
+  switch (tokenType) {
+    case CREDENTIAL_TYPES.BASIC:
+      return parseBasic(token);
+    case CREDENTIAL_TYPES.DIGEST:
+      return pickParams(parseAuthParams(token), ['username', 'realm', 'algorithm', 'qop']);
+    case CREDENTIAL_TYPES.AWS_SIGV4:
+      return parseSigV4(token);
+    case CREDENTIAL_TYPES.HMAC:
+      return parseHmac(token);
+    default:
+      return null;
+  }
+}
+
+// "Basic base64(user:password)" -> { username, password: masked }
+function parseBasic(token) {
+  try {
+    const binary = atob(token);
+    const decoded = decodeURIComponent(Array.from(binary, c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+
+    return {
+      username: decoded.slice(0, separator),
+      password: separator < decoded.length - 1 ? MASKED_PASSWORD : ''
+    };
+  } catch {
+    return null; // Not valid base64 / UTF-8
+  }
+}
+
+// "Credential=AKID/20240101/us-east-1/s3/aws4_request, SignedHeaders=host;x-amz-date, Signature=..."
+function parseSigV4(token) {
+  const params = parseAuthParams(token);
+  const [accessKeyId, date, region, service] = (params.credential || '').split('/');
+  if (!accessKeyId) return null;
+
+  return pickParams({
+    accessKeyId,
+    date,
+    region,
+    service,
+    signedHeaders: params.signedheaders
+  }, ['accessKeyId', 'date', 'region', 'service', 'signedHeaders']);
+}
+
+// keyId="...", algorithm="hmac-sha256", signature="..." or legacy "AKID:signature"
+function parseHmac(token) {
+  const params = parseAuthParams(token);
+  const keyId = params.keyid || params.id || params.username || params.credential ||
+    (!token.includes('=') && token.includes(':') ? token.split(':')[0] : undefined);
+
+  const details = pickParams({ keyId, algorithm: params.algorithm }, ['keyId', 'algorithm']);
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+// Parse comma-separated auth-params (name=value or name="value"); names are lowercased
+function parseAuthParams(token) {
+  const params = {};
+  const regex = /([A-Za-z][A-Za-z0-9_-]*)\s*=\s*(?:"([^"]*)"|([^\s,]*))/g;
+  let match;
+
+  while ((match = regex.exec(token)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return params;
+}
+
+function pickParams(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (source[field]) {
+      picked[field] = source[field];
+    }
+  }
+  return picked;
+}
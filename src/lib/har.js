@@ -0,0 +1,204 @@
+// Browser Inspector - HAR 1.2 conversion
+// 100% LOCAL - HAR files are built and read in memory. Importing replays the recorded
+// requests through the handlers; nothing is sent again.
+
+import { parseBodyText, MAX_BODY_BYTES } from './request-body.js';
+
+export const HAR_VERSION = '1.2';
+
+// webRequest resource types -> the _resourceType names Chrome DevTools writes and reads
+const HAR_RESOURCE_TYPES = {
+  xmlhttprequest: 'xhr',
+  main_frame: 'document',
+  sub_frame: 'document',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  media: 'media',
+  ping: 'ping'
+};
+
+// ...and back; DevTools' 'fetch' is an xmlhttprequest to webRequest
+const REQUEST_TYPES = {
+  xhr: 'xmlhttprequest',
+  fetch: 'xmlhttprequest',
+  document: 'main_frame',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  media: 'media',
+  ping: 'ping'
+};
+
+function getHeader(headers, name) {
+  return headers.find(header => header.name.toLowerCase() === name)?.value;
+}
+
+function toHarHeaders(headers = []) {
+  return headers.map(header => ({ name: header.name, value: header.value ?? '' }));
+}
+
+function getQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function parseCookieHeader(value = '') {
+  return value.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const index = pair.indexOf('=');
+    return index === -1 ? { name: pair, value: '' } : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+  });
+}
+
+// Only the cookie itself - attributes stay in the Set-Cookie header
+function parseSetCookie(value = '') {
+  const [cookie = { name: '', value: '' }] = parseCookieHeader(value.split(';')[0]);
+  return cookie;
+}
+
+/**
+ * Convert one journal-style record into a HAR entry
+ * @param {Object} record - { timestamp, method, url, resourceType, requestHeaders, responseHeaders,
+ *   statusCode, error, duration }
+ */
+function toHarEntry(record) {
+  const requestHeaders = toHarHeaders(record.requestHeaders);
+  const responseHeaders = toHarHeaders(record.responseHeaders);
+  const duration = Math.max(0, Math.round(record.duration || 0));
+
+  return {
+    startedDateTime: new Date(record.timestamp || Date.now()).toISOString(),
+    time: duration,
+    request: {
+      method: record.method || 'GET',
+      url: record.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: parseCookieHeader(getHeader(requestHeaders, 'cookie')),
+      headers: requestHeaders,
+      queryString: getQueryString(record.url),
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: record.statusCode || 0,
+      statusText: record.error || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: responseHeaders.filter(header => header.name.toLowerCase() === 'set-cookie').map(header => parseSetCookie(header.value)),
+      headers: responseHeaders,
+      content: { size: 0, mimeType: getHeader(responseHeaders, 'content-type') || '' },
+      redirectURL: getHeader(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    // Only the total duration is known, so it is all counted as waiting
+    timings: { send: 0, wait: duration, receive: 0 },
+    ...(record.resourceType ? { _resourceType: HAR_RESOURCE_TYPES[record.resourceType] || 'other' } : {})
+  };
+}
+
+/**
+ * Build a HAR 1.2 log from journal-style records
+ * Records without a URL (sealed by a locked vault) are left out
+ * @param {Array} records
+ * @param {Object} options - { creatorVersion }
+ * @returns {Object}
+ */
+export function buildHar(records = [], { creatorVersion = '' } = {}) {
+  const entries = records
+    .filter(record => record.url)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+    .map(toHarEntry);
+
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: { name: 'Browser Inspector', version: creatorVersion },
+      entries
+    }
+  };
+}
+
+// ============ Import ============
+
+// Without _resourceType (Firefox, Charles) a JSON or XML exchange counts as an API call
+function getRequestType(entry, requestHeaders) {
+  if (entry._resourceType) return REQUEST_TYPES[entry._resourceType] || 'other';
+
+  const mimeType = entry.response?.content?.mimeType || '';
+  const accept = getHeader(requestHeaders, 'accept') || '';
+  return /json|xml/i.test(mimeType) || /json/i.test(accept) ? 'xmlhttprequest' : 'other';
+}
+
+function getParsedBody(postData) {
+  if (!postData) return null;
+
+  if (postData.params?.length) {
+    const data = {};
+    for (const { name, value = '' } of postData.params) {
+      (data[name] = data[name] || []).push(value);
+    }
+    return { kind: 'form', data };
+  }
+
+  const text = postData.text || '';
+  return text && text.length <= MAX_BODY_BYTES ? parseBodyText(text) : null;
+}
+
+// The page that made a request: its HAR page, else the Origin or Referer header
+function getPageUrl(entry, pages, requestHeaders) {
+  const candidates = [pages.get(entry.pageref), getHeader(requestHeaders, 'origin'), getHeader(requestHeaders, 'referer')];
+  return candidates.find(candidate => /^https?:\/\//i.test(candidate || '')) || null;
+}
+
+function fromHarEntry(entry, pages) {
+  const { request, response = {} } = entry;
+  const requestHeaders = toHarHeaders(request.headers);
+
+  // Some tools only list cookies separately - the cookie handler reads the header
+  if (!getHeader(requestHeaders, 'cookie') && request.cookies?.length) {
+    requestHeaders.push({ name: 'Cookie', value: request.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') });
+  }
+
+  const timeStamp = Date.parse(entry.startedDateTime);
+
+  return {
+    url: request.url,
+    method: (request.method || 'GET').toUpperCase(),
+    type: getRequestType(entry, requestHeaders),
+    timeStamp: Number.isNaN(timeStamp) ? Date.now() : timeStamp,
+    duration: entry.time >= 0 ? Math.round(entry.time) : undefined,
+    requestHeaders,
+    responseHeaders: toHarHeaders(response.headers),
+    statusCode: response.status || undefined,
+    parsedBody: getParsedBody(request.postData),
+    pageUrl: getPageUrl(entry, pages, requestHeaders)
+  };
+}
+
+/**
+ * Read a HAR file into webRequest-style details, oldest first
+ * @param {string|Object} input - HAR text or the parsed object
+ * @returns {Array<{ url, method, type, timeStamp, duration, requestHeaders, responseHeaders,
+ *   statusCode, parsedBody, pageUrl }>}
+ * @throws {Error} When the input is not a HAR log
+ */
+export function parseHar(input) {
+  const har = typeof input === 'string' ? JSON.parse(input) : input;
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a HAR file: log.entries is missing');
+  }
+
+  const pages = new Map((har.log.pages || []).map(page => [page.id, page.title]));
+
+  return entries
+    .filter(entry => entry?.request?.url)
+    .map(entry => fromHarEntry(entry, pages))
+    .sort((a, b) => a.timeStamp - b.timeStamp);
+}
@@ -0,0 +1,80 @@
+// Browser Inspector - JWT decoding
+// 100% LOCAL - Tokens are decoded in place, signatures are never verified
+
+// Claims persisted on captured items (everything else in the payload is dropped)
+const STORED_CLAIMS = ['iss', 'sub', 'aud', 'exp', 'iat', 'scope'];
+
+// Header fields worth showing next to the claims
+const STORED_HEADER_FIELDS = ['alg', 'typ', 'kid'];
+
+const JWT_SHAPE = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+
+/**
+ * Check if a value looks like a JWT (three base64url segments)
+ */
+export function isJwtShaped(value) {
+  return typeof value === 'string' && JWT_SHAPE.test(value);
+}
+
+/**
+ * Decode a base64url segment into a UTF-8 string
+ */
+function decodeBase64Url(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+
+  // Re-encode bytes as percent escapes so multi-byte UTF-8 survives
+  const escaped = Array.from(binary, c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+  return decodeURIComponent(escaped);
+}
+
+function decodeSegment(segment) {
+  try {
+    const parsed = JSON.parse(decodeBase64Url(segment));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function pick(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Decode a JWT's header and payload without verifying the signature
+ * @param {string} token - The raw token (no "Bearer " prefix)
+ * @returns {{ header: Object, claims: Object }|null} - null when the value is not a JWT
+ */
+export function decodeJwt(token) {
+  if (!isJwtShaped(token)) return null;
+
+  const [headerSegment, payloadSegment] = token.split('.');
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+
+  // A real JWT header always names its algorithm
+  if (!header || !payload || typeof header.alg !== 'string') return null;
+
+  const claims = pick(payload, STORED_CLAIMS);
+
+  // OAuth servers use either a space-delimited "scope" or an "scp" array
+  if (claims.scope === undefined && payload.scp !== undefined) {
+    claims.scope = payload.scp;
+  }
+  if (Array.isArray(claims.scope)) {
+    claims.scope = claims.scope.join(' ');
+  }
+
+  return {
+    header: pick(header, STORED_HEADER_FIELDS),
+    claims
+  };
+}
@@ -0,0 +1,202 @@
+// Browser Inspector - Pattern matching shared by handlers and domain filtering
+// Patterns are compiled once into RegExps (or plain string checks) when a handler or
+// config snapshot is built, never per request.
+//
+// Supported syntax, detected from the pattern itself:
+//   /regex/flags            - a regular expression, used as written (flags: d, g, i, m, s, u, y)
+//   *://*.example.com/api/* - a Chrome match pattern (scheme://host/path with at least one '*'),
+//                             or <all_urls>
+//   api.example.com/*/token - a glob: '*' matches within one path segment (one label for domains),
+//                             '**' matches anything, '?' matches one character; everything else
+//                             is literal, so '.' and '?' no longer act as regex
+//   api.example.com         - a literal: contained in the URL, or equal to the domain
+//
+// URL patterns are case-insensitive and, apart from match patterns, may match anywhere in the URL.
+// Domain patterns must match the whole hostname; a leading '*.' also matches the bare domain,
+// unless that domain is a public suffix ('*.github.io' covers every site on github.io, not github.io).
+
+import { isPublicSuffix } from './public-suffix.js';
+
+// Only real flags count, so a path such as '/oauth/token' stays a literal
+const REGEX_PATTERN = /^\/(.+)\/([dgimsuy]*)$/;
+const MATCH_PATTERN = /^(\*|[a-z][a-z0-9+.-]*):\/\/([^/]*)(\/.*)$/i;
+const ALL_URLS = '<all_urls>';
+
+// Schemes a '*' scheme stands for in a Chrome match pattern
+const WILDCARD_SCHEMES = '(?:https?|wss?)';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Work out which syntax a pattern is written in
+ * @param {string} pattern
+ * @returns {'regex'|'match-pattern'|'glob'|'literal'}
+ */
+export function getPatternSyntax(pattern) {
+  if (REGEX_PATTERN.test(pattern)) return 'regex';
+  if (pattern === ALL_URLS || (MATCH_PATTERN.test(pattern) && pattern.includes('*'))) return 'match-pattern';
+  if (/[*?]/.test(pattern)) return 'glob';
+  return 'literal';
+}
+
+/**
+ * Translate glob wildcards into a regex source
+ * @param {string} glob
+ * @param {string} separator - The character '*' and '?' don't cross ('/' for URLs, '.' for domains)
+ */
+function globToRegexSource(glob, separator) {
+  const notSeparator = `[^${escapeRegex(separator)}]`;
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += `${notSeparator}*`;
+    } else if (char === '?') {
+      source += notSeparator;
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return source;
+}
+
+// '*' = any host, '*.example.com' = example.com and its subdomains, anything else is exact
+function matchPatternHostSource(host) {
+  if (host === '*') return '[^/]*';
+  if (host.startsWith('*.')) return `(?:[^/]*\\.)?${escapeRegex(host.slice(2))}`;
+  return escapeRegex(host);
+}
+
+function compileMatchPattern(pattern) {
+  if (pattern === ALL_URLS) return /^[a-z][a-z0-9+.-]*:\/\//i;
+
+  const [, scheme, host, path] = pattern.match(MATCH_PATTERN);
+  const schemeSource = scheme === '*' ? WILDCARD_SCHEMES : escapeRegex(scheme);
+  // Ports aren't part of a match pattern's host, so any port matches
+  const hostSource = `${matchPatternHostSource(host)}(?::\\d+)?`;
+  const pathSource = path.split('*').map(escapeRegex).join('.*');
+
+  return new RegExp(`^${schemeSource}://${hostSource}${pathSource}$`, 'i');
+}
+
+function compileDomainGlob(pattern) {
+  if (!pattern.startsWith('*.')) {
+    return new RegExp(`^${globToRegexSource(pattern, '.')}$`, 'i');
+  }
+
+  // '*.example.com' also matches example.com itself - but a public suffix is nobody's site
+  const base = pattern.slice(2);
+  const includeBase = /[*?]/.test(base) || !isPublicSuffix(base);
+  return new RegExp(`^(?:.+\\.)${includeBase ? '?' : ''}${globToRegexSource(base, '.')}$`, 'i');
+}
+
+function toMatcher(pattern, syntax, test) {
+  return { pattern, syntax, test };
+}
+
+/**
+ * Compile one pattern
+ * @param {string} pattern
+ * @param {Object} options - { target: 'url' | 'domain' }
+ * @returns {{ pattern: string, syntax: string, test: Function, error?: string }}
+ *   An invalid regex compiles to a matcher that never matches, with the reason in error
+ */
+export function compilePattern(pattern, { target = 'url' } = {}) {
+  const syntax = getPatternSyntax(pattern);
+
+  if (syntax === 'regex') {
+    const [, source, flags] = pattern.match(REGEX_PATTERN);
+    try {
+      const regex = new RegExp(source, flags.replace(/[gy]/g, ''));
+      return toMatcher(pattern, syntax, value => regex.test(value));
+    } catch (error) {
+      return { ...toMatcher(pattern, syntax, () => false), error: error.message };
+    }
+  }
+
+  if (target === 'domain') {
+    if (syntax === 'match-pattern') {
+      // Only the host part of a match pattern says anything about a domain
+      const host = pattern === ALL_URLS ? '*' : pattern.match(MATCH_PATTERN)[2].replace(/:\d+$/, '');
+      return compilePattern(host === '*' ? '**' : host, { target });
+    }
+    if (syntax === 'glob') {
+      const regex = compileDomainGlob(pattern);
+      return toMatcher(pattern, syntax, value => regex.test(value));
+    }
+    const domain = pattern.toLowerCase();
+    return toMatcher(pattern, syntax, value => value.toLowerCase() === domain);
+  }
+
+  if (syntax === 'match-pattern') {
+    const regex = compileMatchPattern(pattern);
+    return toMatcher(pattern, syntax, value => regex.test(value));
+  }
+  if (syntax === 'glob') {
+    const regex = new RegExp(globToRegexSource(pattern, '/'), 'i');
+    return toMatcher(pattern, syntax, value => regex.test(value));
+  }
+  const needle = pattern.toLowerCase();
+  return toMatcher(pattern, syntax, value => value.toLowerCase().includes(needle));
+}
+
+/**
+ * Turn a domain pattern into a Chrome match pattern covering every host it matches, for
+ * webRequest listener filters. Match patterns only know exact hosts and a leading '*.', so a
+ * glob widens to the subdomains of its fixed ending ('api-*.example.com' -> '*://*.example.com/*').
+ * @param {string} pattern
+ * @returns {string|null} - null for regexes and globs without a fixed ending ('example.*'),
+ *   which no match pattern can cover short of every site
+ */
+export function toHostMatchPattern(pattern) {
+  const syntax = getPatternSyntax(pattern);
+  if (syntax === 'regex') return null;
+
+  const host = (syntax === 'match-pattern'
+    ? (pattern === ALL_URLS ? '*' : pattern.match(MATCH_PATTERN)[2].replace(/:\d+$/, ''))
+    : pattern).toLowerCase();
+
+  const labels = host.split('.');
+  const lastWildcard = labels.findLastIndex(label => /[*?]/.test(label));
+  if (lastWildcard === -1) return `*://${host}/*`;
+  if (lastWildcard === labels.length - 1) return null;
+
+  return `*://*.${labels.slice(lastWildcard + 1).join('.')}/*`;
+}
+
+/**
+ * Compile a list of patterns into one check that passes when any of them matches
+ * Empty patterns are skipped
+ * @param {string[]} patterns
+ * @param {Object} options - { target: 'url' | 'domain', matchWhenEmpty: boolean }
+ * @returns {Function} - (value) => boolean
+ */
+export function compilePatterns(patterns = [], { target = 'url', matchWhenEmpty = false } = {}) {
+  const matchers = patterns.filter(Boolean).map(pattern => compilePattern(pattern, { target }));
+  if (matchers.length === 0) return () => matchWhenEmpty;
+
+  return value => {
+    if (!value) return false;
+    return matchers.some(matcher => matcher.test(value));
+  };
+}
+
+/**
+ * URL patterns of a handler or custom rule - no patterns means every URL
+ */
+export function compileUrlPatterns(patterns = []) {
+  return compilePatterns(patterns, { target: 'url', matchWhenEmpty: true });
+}
+
+/**
+ * Domain allowlist/blocklist entries - no patterns means no domain
+ */
+export function compileDomainPatterns(patterns = []) {
+  return compilePatterns(patterns, { target: 'domain' });
+}
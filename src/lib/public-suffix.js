@@ -0,0 +1,194 @@
+// Browser Inspector - Public Suffix List lookup
+// 100% LOCAL - a compact snapshot of the Public Suffix List (https://publicsuffix.org/list/)
+// is bundled with the extension; nothing is downloaded.
+//
+// The snapshot keeps the multi-label ICANN suffixes of the most used country TLDs plus the
+// hosting platforms whose customers share a parent domain (github.io, herokuapp.com, ...).
+// Any other TLD falls back to the list's default rule: the last label is the suffix.
+// Rules are stored per TLD as "label label *.wildcard !exception", relative to that TLD.
+
+const ICANN_RULES = {
+  ar: 'com edu gob gov int mil net org tur',
+  au: 'asn com edu gov id net org',
+  bd: '*',
+  br: 'adv art blog com eco edu eng esp etc far gov ind inf jor leg med mil net nom org psi rec slg srv tmp tur tv',
+  ck: '* !www',
+  cn: 'ac com edu gov mil net org',
+  co: 'com edu gov mil net nom org',
+  cy: 'ac biz com gov ltd net org',
+  eg: 'com edu eun gov mil name net org sci',
+  er: '*',
+  es: 'com edu gob nom org',
+  fk: '*',
+  hk: 'com edu gov idv net org',
+  id: 'ac biz co desa go mil my net or ponpes sch web',
+  il: 'ac co gov idf k12 muni net org',
+  in: 'ac co edu firm gen gov ind mil net nic org res',
+  jm: '*',
+  jp: 'ac ad co ed go gr lg ne or *.kawasaki !city.kawasaki *.kitakyushu !city.kitakyushu *.kobe !city.kobe',
+  ke: 'ac co go info me mobi ne or sc',
+  kh: '*',
+  kr: 'ac co es go hs kg mil ms ne or pe re sc',
+  lk: 'ac assn com edu gov grp hotel int ltd net ngo org sch soc web',
+  mm: '*',
+  mx: 'com edu gob net org',
+  my: 'biz com edu gov mil name net org',
+  ng: 'com edu gov i mil mobi name net org sch',
+  np: '*',
+  nz: 'ac co cri geek gen govt health iwi kiwi maori mil net org parliament school',
+  pe: 'com edu gob mil net nom org',
+  pg: '*',
+  ph: 'com edu gov i mil net ngo org',
+  pk: 'biz com edu fam gob gok gon gop gos gov info net org web',
+  pl: 'com biz edu gov info mil net org',
+  sa: 'com edu gov med net org pub sch',
+  sg: 'com edu gov net org per',
+  th: 'ac co go in mi net or',
+  tr: 'av bbs bel biz com dr edu gen gov info k12 kep mil name net org pol tel tsk tv web',
+  tw: 'club com ebiz edu game gov idv mil net org',
+  ua: 'com edu gov in net org',
+  uk: 'ac co gov ltd me net nhs org plc police sch',
+  uy: 'com edu gub mil net org',
+  ve: 'co com edu gob info mil net org web',
+  vn: 'ac biz com edu gov info int net org',
+  za: 'ac co edu gov law mil net ngo nom org school web'
+};
+
+// Platforms that hand out subdomains to different customers (the list's PRIVATE section)
+const PRIVATE_RULES = [
+  'amplifyapp.com',
+  'appspot.com',
+  'azurestaticapps.net',
+  'azurewebsites.net',
+  'bitbucket.io',
+  'blogspot.com',
+  'cloudapp.net',
+  'cloudfront.net',
+  'codesandbox.io',
+  'deno.dev',
+  'elasticbeanstalk.com',
+  'firebaseapp.com',
+  'fly.dev',
+  'github.io',
+  'githubusercontent.com',
+  'gitlab.io',
+  'glitch.me',
+  'herokuapp.com',
+  'netlify.app',
+  'ngrok-free.app',
+  'ngrok.io',
+  'now.sh',
+  'ondigitalocean.app',
+  'onrender.com',
+  'pages.dev',
+  'readthedocs.io',
+  'repl.co',
+  's3.amazonaws.com',
+  'surge.sh',
+  'translate.goog',
+  'up.railway.app',
+  'vercel.app',
+  'web.app',
+  'workers.dev'
+];
+
+// ============ Trie ============
+
+// Labels are stored right to left: 'github.io' is root -> io -> github
+function createNode() {
+  return { children: new Map(), rule: false, wildcard: false, exception: false };
+}
+
+function addRule(root, rule) {
+  let labels = rule.split('.').reverse();
+  let flag = 'rule';
+
+  if (rule.startsWith('!')) {
+    labels = rule.slice(1).split('.').reverse();
+    flag = 'exception';
+  } else if (rule.startsWith('*.') || rule === '*') {
+    labels = labels.slice(0, -1);
+    flag = 'wildcard';
+  }
+
+  let node = root;
+  for (const label of labels) {
+    if (!node.children.has(label)) node.children.set(label, createNode());
+    node = node.children.get(label);
+  }
+  node[flag] = true;
+}
+
+function buildTrie() {
+  const root = createNode();
+  for (const [tld, rules] of Object.entries(ICANN_RULES)) {
+    addRule(root, tld);
+    for (const rule of rules.split(' ')) {
+      addRule(root, rule === '*' ? `*.${tld}` : rule.replace(/^(!?)(.*)$/, `$1$2.${tld}`));
+    }
+  }
+  PRIVATE_RULES.forEach(rule => addRule(root, rule));
+  return root;
+}
+
+const trie = buildTrie();
+
+/**
+ * Number of labels (from the right) that form the public suffix of a hostname
+ * Follows the list's algorithm: exception rules win, otherwise the longest matching rule,
+ * otherwise the default rule '*' (one label)
+ */
+function getSuffixLabelCount(labels) {
+  let count = 1;
+  let node = trie;
+
+  for (let i = 0; i < labels.length; i++) {
+    const child = node.children.get(labels[i]);
+
+    if (child?.exception) return i;
+    if (node.wildcard) count = Math.max(count, i + 1);
+    if (!child) break;
+    if (child.rule) count = Math.max(count, i + 1);
+
+    node = child;
+  }
+
+  return count;
+}
+
+function toLabels(hostname) {
+  return hostname.toLowerCase().replace(/\.$/, '').split('.').reverse();
+}
+
+/**
+ * Get the public suffix of a hostname (e.g. 'app.example.co.uk' -> 'co.uk', 'me.github.io' -> 'github.io')
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function getPublicSuffix(hostname) {
+  if (!hostname) return '';
+  const labels = toLabels(hostname);
+  return labels.slice(0, getSuffixLabelCount(labels)).reverse().join('.');
+}
+
+/**
+ * Get the registrable domain - the public suffix plus one label (e.g. 'api.example.co.uk' -> 'example.co.uk')
+ * @param {string} hostname
+ * @returns {string|null} - null when the hostname is itself a public suffix
+ */
+export function getRegistrableDomain(hostname) {
+  if (!hostname) return null;
+  const labels = toLabels(hostname);
+  const count = getSuffixLabelCount(labels);
+  if (labels.length <= count) return null;
+  return labels.slice(0, count + 1).reverse().join('.');
+}
+
+/**
+ * Check whether a domain is a public suffix itself (e.g. 'co.uk', 'github.io', 'com')
+ */
+export function isPublicSuffix(domain) {
+  if (!domain) return false;
+  const labels = toLabels(domain);
+  return getSuffixLabelCount(labels) >= labels.length;
+}
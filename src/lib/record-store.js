@@ -0,0 +1,304 @@
+// Browser Inspector - Record Store
+// 100% LOCAL - bulk data lives in IndexedDB object stores inside the extension's own origin
+//
+// Captures, history, expired tokens, API endpoints, rotation logs, OAuth flows and the network journal
+// grow with every request, so each one is an object store of small records: a request only reads and
+// writes the records it touches instead of the whole collection. chrome.storage.local keeps config.
+
+const DB_NAME = 'browser-inspector';
+const DB_VERSION = 4;
+
+export const STORES = {
+  CAPTURES: 'captures',
+  HISTORY: 'history',
+  EXPIRED_TOKENS: 'expiredTokens',
+  API_DOMAINS: 'apiDomains',
+  ENDPOINTS: 'endpoints',
+  ROTATION_LOG: 'rotationLog',
+  OAUTH_FLOWS: 'oauthFlows',
+  JOURNAL: 'journal',
+  META: 'meta'
+};
+
+// Object stores with their primary key and their indexes ({ name: keyPath }) - only indexes
+// something queries. A compound index is queried by its first field and ordered by the rest.
+const SCHEMA = {
+  [STORES.CAPTURES]: { keyPath: 'key', indexes: {} },
+  [STORES.HISTORY]: { keyPath: 'id', indexes: { timestamp: 'timestamp' } },
+  [STORES.EXPIRED_TOKENS]: { keyPath: 'id', indexes: { expiredAt: 'expiredAt' } },
+  [STORES.API_DOMAINS]: { keyPath: 'domain', indexes: { lastVisited: 'lastVisited' } },
+  // A page domain's endpoints, least recently seen first (for counts, reads and LRU eviction)
+  [STORES.ENDPOINTS]: { keyPath: 'id', indexes: { pageDomainLastSeen: ['pageDomain', 'lastSeen'] } },
+  // A key's retired values, oldest first
+  [STORES.ROTATION_LOG]: { keyPath: 'id', indexes: { keyExpiredAt: ['key', 'expiredAt'] } },
+  [STORES.OAUTH_FLOWS]: { keyPath: 'id', indexes: { updatedAt: 'updatedAt' } },
+  // Journal records in the order they were written (ids sort by creation time)
+  [STORES.JOURNAL]: { keyPath: 'id', indexes: {} },
+  // Running totals kept alongside other stores, e.g. { name: 'journal', bytes }
+  [STORES.META]: { keyPath: 'name', indexes: {} }
+};
+
+// Lists stored newest first and addressed by id; entries stored before ids existed use "key::<time>"
+function listLayout(key, timeField) {
+  const getId = entry => entry.id || `${entry.key}::${entry[timeField]}`;
+  return {
+    key,
+    read: raw => (raw || []).map(entry => ({ ...entry, id: getId(entry) })).reverse()
+  };
+}
+
+// How each store was kept under the original chrome.storage.local keys, read by the one-time
+// migration into IndexedDB
+const LOCAL_LAYOUT = {
+  // { [key]: item }
+  [STORES.CAPTURES]: {
+    key: 'capturedData',
+    read: raw => Object.entries(raw || {}).map(([key, item]) => ({ ...item, key }))
+  },
+  [STORES.HISTORY]: listLayout('history', 'timestamp'),
+  [STORES.EXPIRED_TOKENS]: listLayout('expiredTokens', 'expiredAt'),
+  // { [pageDomain]: { ...summary, endpoints: { [endpointKey]: endpoint } } } holds both API stores
+  [STORES.API_DOMAINS]: {
+    key: 'apiTracker',
+    read: raw => Object.entries(raw || {}).map(([domain, { endpoints: _endpoints, ...summary }]) => ({ ...summary, domain }))
+  },
+  [STORES.ENDPOINTS]: {
+    key: 'apiTracker',
+    read: raw => Object.entries(raw || {}).flatMap(([pageDomain, domainData]) =>
+      Object.entries(domainData.endpoints || {}).map(([endpointKey, endpoint]) => ({
+        ...endpoint,
+        id: getEndpointRecordId(pageDomain, endpointKey),
+        pageDomain,
+        endpointKey
+      }))
+    )
+  },
+  // { [key]: [entry, ...] } oldest first; entries stored before ids existed use "key::<position>"
+  [STORES.ROTATION_LOG]: {
+    key: 'rotationLog',
+    read: raw => Object.entries(raw || {}).flatMap(([key, log]) =>
+      log.map((entry, i) => ({ ...entry, id: entry.id || `${key}::${i}`, key }))
+    )
+  },
+  [STORES.OAUTH_FLOWS]: listLayout('oauthFlows', 'updatedAt'),
+  // { entries: [entry, ...], bytes } oldest first holds the journal and its byte total;
+  // entries stored before ids existed use "journal-0-<position>", which sorts before every later id
+  [STORES.JOURNAL]: {
+    key: 'journal',
+    read: raw => (raw?.entries || []).map((entry, i) => ({ ...entry, id: entry.id || `journal-0-${String(i).padStart(6, '0')}` }))
+  },
+  [STORES.META]: {
+    key: 'journal',
+    read: raw => raw ? [{ name: 'journal', bytes: raw.bytes || 0 }] : []
+  }
+};
+
+export function getEndpointRecordId(pageDomain, endpointKey) {
+  return `${pageDomain}::${endpointKey}`;
+}
+
+export function getRecordId(store, record) {
+  return record[SCHEMA[store].keyPath];
+}
+
+function isCompoundIndex(store, index) {
+  return Array.isArray(SCHEMA[store].indexes[index]);
+}
+
+function getIndexKey(store, index, record) {
+  const keyPath = SCHEMA[store].indexes[index];
+  return Array.isArray(keyPath) ? keyPath.map(field => record[field]) : record[keyPath];
+}
+
+// IndexedDB key order for the keys used here: numbers, then strings, then arrays (element by element)
+function compareKeys(a, b) {
+  const rank = key => Array.isArray(key) ? 2 : typeof key === 'string' ? 1 : 0;
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compareKeys(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length - b.length;
+  }
+  if (a === b) return 0;
+  return (a ?? 0) < (b ?? 0) ? -1 : 1;
+}
+
+/**
+ * Filter and order records in memory the way an index query does
+ * Used by write batches, which merge their pending records into query results
+ * @param {string} store
+ * @param {Array} records
+ * @param {Object} options - { index, value, limit } as for getAllRecords()
+ * @returns {Array}
+ */
+export function queryRecords(store, records, { index, value, limit } = {}) {
+  let matches = records;
+  if (index) {
+    if (value !== undefined) matches = matches.filter(record => [].concat(getIndexKey(store, index, record))[0] === value);
+    matches = [...matches].sort((a, b) => compareKeys(getIndexKey(store, index, a), getIndexKey(store, index, b)));
+  } else {
+    // Without an index records come back in primary key order
+    matches = [...matches].sort((a, b) => compareKeys(getRecordId(store, a), getRecordId(store, b)));
+  }
+  return limit ? matches.slice(0, limit) : matches;
+}
+
+// The key range an index query covers - everything under the first field of a compound index
+function getIndexQuery(store, index, value) {
+  if (value === undefined || !isCompoundIndex(store, index)) return value;
+  // Arrays sort after every number and string, so [value, []] is past every [value, ...] key
+  return IDBKeyRange.bound([value], [value, []]);
+}
+
+// ============ IndexedDB ============
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => upgradeDatabase(request.result, request.transaction);
+
+    dbPromise = promisifyRequest(request)
+      .then(async db => {
+        await migrateLegacyData(db);
+        return db;
+      })
+      .catch(error => {
+        dbPromise = null; // Let the next call try again
+        throw error;
+      });
+  }
+  return dbPromise;
+}
+
+// Bring any earlier version up to SCHEMA: add missing stores and indexes, drop indexes nothing queries
+function upgradeDatabase(db, tx) {
+  for (const [name, { keyPath, indexes }] of Object.entries(SCHEMA)) {
+    const store = db.objectStoreNames.contains(name) ? tx.objectStore(name) : db.createObjectStore(name, { keyPath });
+
+    [...store.indexNames]
+      .filter(index => !(index in indexes))
+      .forEach(index => store.deleteIndex(index));
+    Object.entries(indexes)
+      .filter(([index]) => !store.indexNames.contains(index))
+      .forEach(([index, indexKeyPath]) => store.createIndex(index, indexKeyPath));
+  }
+}
+
+/**
+ * Run fn against the named object stores in one transaction
+ * Resolves with fn's return value (an IDBRequest's result) once the transaction commits
+ */
+function runTransaction(db, storeNames, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+    const request = fn(...stores);
+
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function withStore(store, mode, fn) {
+  return runTransaction(await openDatabase(), store, mode, fn);
+}
+
+/**
+ * Copy data kept under the original chrome.storage.local keys into IndexedDB, then drop the keys
+ * Runs whenever the database is opened; after the first run there is nothing left to copy
+ */
+async function migrateLegacyData(db) {
+  const keys = [...new Set(Object.values(LOCAL_LAYOUT).map(layout => layout.key))];
+  const legacy = await chrome.storage.local.get(keys);
+  const present = keys.filter(key => legacy[key] !== undefined);
+  if (present.length === 0) return;
+
+  const storeNames = Object.keys(SCHEMA);
+  await runTransaction(db, storeNames, 'readwrite', (...stores) => {
+    stores.forEach((objectStore, i) => {
+      const { key, read } = LOCAL_LAYOUT[storeNames[i]];
+      if (legacy[key] === undefined) return;
+      read(legacy[key]).forEach(record => objectStore.put(record));
+    });
+  });
+
+  await chrome.storage.local.remove(present);
+}
+
+/**
+ * Close the database (tests reopen it against a fresh IndexedDB)
+ */
+export async function closeRecordStore() {
+  const pending = dbPromise;
+  dbPromise = null;
+  if (pending) {
+    (await pending.catch(() => null))?.close();
+  }
+}
+
+// ============ Record API ============
+
+/**
+ * Get one record by primary key
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getRecord(store, id) {
+  return withStore(store, 'readonly', objectStore => objectStore.get(id));
+}
+
+/**
+ * Get every record of a store
+ * With an index, records come back in index order, optionally only those whose index value
+ * (the first field of a compound index) equals value, and at most limit of them
+ * (e.g. the oldest N entries for eviction)
+ * @param {string} store
+ * @param {Object} options - { index, value, limit }
+ * @returns {Promise<Array>}
+ */
+export async function getAllRecords(store, { index, value, limit } = {}) {
+  return withStore(store, 'readonly', objectStore => {
+    const source = index ? objectStore.index(index) : objectStore;
+    return source.getAll(index ? getIndexQuery(store, index, value) : value, limit);
+  });
+}
+
+/**
+ * Count the records of a store (only those matching value on index, when given)
+ * @returns {Promise<number>}
+ */
+export async function countRecords(store, { index, value } = {}) {
+  return withStore(store, 'readonly', objectStore => {
+    const source = index ? objectStore.index(index) : objectStore;
+    return source.count(index ? getIndexQuery(store, index, value) : value);
+  });
+}
+
+/**
+ * Apply puts and deletes to several stores in one IndexedDB transaction, so a batch lands
+ * entirely or not at all
+ * @param {Object} changes - { [store]: { clear: boolean, put: Array, delete: Array } }
+ */
+export async function commitChanges(changes) {
+  const storeNames = Object.keys(SCHEMA).filter(store => changes[store]);
+  if (storeNames.length === 0) return;
+  await runTransaction(await openDatabase(), storeNames, 'readwrite', (...objectStores) => {
+    objectStores.forEach((objectStore, i) => {
+      const { clear, put = [], delete: remove = [] } = changes[storeNames[i]];
+      if (clear) objectStore.clear();
+      remove.forEach(id => objectStore.delete(id));
+      put.forEach(record => objectStore.put(record));
+    });
+  });
+}
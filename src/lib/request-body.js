@@ -0,0 +1,113 @@
+// Browser Inspector - Request body parsing
+// 100% LOCAL - Bodies are parsed in memory and only the fields matched by a rule are kept
+
+// Larger bodies are uploads, not credentials - skip them
+export const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Parse the requestBody reported by chrome.webRequest.onBeforeRequest
+ * @param {Object} requestBody - { formData } for form posts, { raw: [{ bytes }] } otherwise
+ * @returns {{ kind: 'json'|'form'|'text', data: * }|null} - null when there is nothing usable
+ */
+export function parseRequestBody(requestBody) {
+  if (!requestBody || requestBody.error) return null;
+
+  // Chrome already parses multipart/form-data and urlencoded bodies into name -> values
+  if (requestBody.formData) {
+    return { kind: 'form', data: requestBody.formData };
+  }
+
+  const text = readRawBody(requestBody.raw);
+  if (!text) return null;
+
+  return parseBodyText(text);
+}
+
+/**
+ * Parse a raw body string as JSON, urlencoded form or plain text
+ */
+export function parseBodyText(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return { kind: 'json', data: JSON.parse(trimmed) };
+    } catch {
+      // Not JSON after all, fall through
+    }
+  }
+
+  // e.g. grant_type=refresh_token&refresh_token=abc (sent as raw by fetch with a string body)
+  if (/^[^\s=&]+=[^\s]*$/.test(trimmed)) {
+    const data = {};
+    for (const [key, value] of new URLSearchParams(trimmed)) {
+      (data[key] = data[key] || []).push(value);
+    }
+    return { kind: 'form', data };
+  }
+
+  return { kind: 'text', data: trimmed };
+}
+
+/**
+ * Look up a field in a parsed body
+ * @param {Object} body - Result of parseRequestBody
+ * @param {string} key - Form field name, or JSON path like "data.tokens[0].refresh" ("$." prefix optional)
+ * @returns {string|null}
+ */
+export function getBodyValue(body, key) {
+  if (!body || !key) return null;
+
+  if (body.kind === 'form') {
+    const values = body.data[key];
+    return Array.isArray(values) && values.length > 0 ? String(values[0]) : null;
+  }
+
+  if (body.kind === 'json') {
+    const value = resolveJsonPath(body.data, key);
+    // Only scalar values are useful as tokens
+    if (typeof value === 'string') return value || null;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  }
+
+  return null;
+}
+
+function resolveJsonPath(data, path) {
+  const segments = path
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+
+  let current = data;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+// Concatenate the raw chunks and decode as UTF-8
+function readRawBody(raw) {
+  if (!Array.isArray(raw)) return null;
+
+  const chunks = raw.filter(part => part.bytes).map(part => new Uint8Array(part.bytes));
+  const size = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  if (size === 0 || size > MAX_BODY_BYTES) return null;
+
+  let binary = '';
+  for (const chunk of chunks) {
+    for (const byte of chunk) {
+      binary += String.fromCharCode(byte);
+    }
+  }
+
+  // Re-encode bytes as percent escapes so multi-byte UTF-8 survives (see jwt.js)
+  try {
+    return decodeURIComponent(Array.from(binary, c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+  } catch {
+    return binary; // Not valid UTF-8, keep the bytes as-is
+  }
+}
@@ -1,155 +1,1219 @@
 // Browser Inspector - Storage Manager
-// 100% LOCAL - All data stored in chrome.storage.local only
+// 100% LOCAL - Config lives in chrome.storage.local, bulk records in IndexedDB (see record-store.js)
+
+import { classifyCredential } from './credential-types.js';
+import { sealValue, openValue, isSealed, fingerprintValue } from './vault.js';
+import { compilePattern, compileDomainPatterns, toHostMatchPattern } from './pattern-matcher.js';
+import { getRegistrableDomain } from './public-suffix.js';
+import {
+  STORES,
+  getRecord,
+  getAllRecords,
+  countRecords,
+  commitChanges,
+  queryRecords,
+  getRecordId,
+  getEndpointRecordId
+} from './record-store.js';
 
 const STORAGE_KEYS = {
-  CAPTURED_DATA: 'capturedData',
-  CONFIG: 'config',
-  HISTORY: 'history',
-  EXPIRED_TOKENS: 'expiredTokens',
-  API_TRACKER: 'apiTracker'
+  CONFIG: 'config'
 };
 
 const MAX_HISTORY_ITEMS = 100;
 const MAX_EXPIRED_TOKENS = 50;
+const MAX_ROTATION_LOG_ENTRIES = 100; // Per key
+const DEFAULT_JOURNAL_MAX_BYTES = 512 * 1024;
 const MAX_TRACKED_DOMAINS = 50;
 const MAX_ENDPOINTS_PER_DOMAIN = 200;
+const MAX_OAUTH_FLOWS = 20;
+// Steps without a state/code to match on join the latest flow for the same server within this window
+const OAUTH_FLOW_WINDOW_MS = 10 * 60 * 1000;
+const DEFAULT_IDENTITY_CLAIMS = ['iss', 'sub'];
+const DEFAULT_ROTATION_GRACE_MINUTES = 5;
+const WRITE_BATCH_WINDOW_MS = 10;
 
+// Write queue - webRequest events arrive concurrently and every capture is a read-modify-write,
+// so all writes go through one queue. Writes queued within WRITE_BATCH_WINDOW_MS share a batch:
+// they run one after another against the batch's view of the data and are committed together.
+
+// Mutations change what they read in place, so the batch hands out and keeps copies
+const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * A batch's view of the data: reads see the batch's own pending writes, writes are held until commit
+ */
+function createWriteBatch() {
+  let records = new Map(); // store -> { cleared, values: Map<id, record | null> }
+
+  const changesFor = store => {
+    if (!records.has(store)) records.set(store, { cleared: false, values: new Map() });
+    return records.get(store);
+  };
+
+  const get = async (store, id) => {
+    const changes = records.get(store);
+    if (changes?.values.has(id)) return copy(changes.values.get(id) || undefined);
+    if (changes?.cleared) return undefined;
+    return copy(await getRecord(store, id));
+  };
+
+  const getAll = async (store, { index, value, limit } = {}) => {
+    const changes = records.get(store);
+    if (!changes) return copy(await getAllRecords(store, { index, value, limit }));
+
+    // Only pending records can displace stored ones, so limit + pending stored records are enough
+    const stored = changes.cleared ? [] : await getAllRecords(store, { index, value, limit: limit && limit + changes.values.size });
+    const merged = stored.filter(record => !changes.values.has(getRecordId(store, record)));
+    for (const record of changes.values.values()) {
+      if (record) merged.push(record);
+    }
+    return copy(queryRecords(store, merged, { index, value, limit }));
+  };
+
+  const count = async (store, options = {}) => {
+    if (!records.has(store)) return countRecords(store, options);
+    return (await getAll(store, options)).length;
+  };
+
+  return {
+    get,
+    getAll,
+    count,
+    put: (store, record) => changesFor(store).values.set(getRecordId(store, record), copy(record)),
+    delete: (store, id) => changesFor(store).values.set(id, null),
+    clear: store => records.set(store, { cleared: true, values: new Map() }),
+
+    // Undo the writes of a mutation that failed part way
+    checkpoint: () => new Map([...records].map(([store, { cleared, values }]) => [store, { cleared, values: new Map(values) }])),
+    rollback: (checkpoint) => {
+      records = checkpoint;
+    },
+
+    commit: async () => {
+      const changes = {};
+      for (const [store, { cleared, values }] of records) {
+        const entries = [...values];
+        changes[store] = {
+          clear: cleared,
+          put: entries.filter(([, record]) => record).map(([, record]) => record),
+          delete: entries.filter(([, record]) => !record).map(([id]) => id)
+        };
+      }
+      await commitChanges(changes);
+    }
+  };
+}
+
+async function runWriteBatch(queued) {
+  const batch = createWriteBatch();
+  const outcomes = [];
+
+  for (const { mutation } of queued) {
+    const checkpoint = batch.checkpoint();
+    try {
+      outcomes.push({ result: await mutation(batch) });
+    } catch (error) {
+      batch.rollback(checkpoint);
+      outcomes.push({ error });
+    }
+  }
+
+  try {
+    await batch.commit();
+  } catch (error) {
+    queued.forEach(({ reject }) => reject(error));
+    return;
+  }
+
+  queued.forEach(({ resolve, reject }, i) => {
+    if (outcomes[i].error) {
+      reject(outcomes[i].error);
+    } else {
+      resolve(outcomes[i].result);
+    }
+  });
+}
+
+let openBatch = null;
+let lastBatch = Promise.resolve();
+
+/**
+ * Queue a read-modify-write
+ * @param {Function} mutation - async (batch) => result; reads and writes only through the batch
+ * @returns {Promise<*>} - The mutation's result, once its batch has been committed
+ */
+function queueWrite(mutation) {
+  return new Promise((resolve, reject) => {
+    if (!openBatch) {
+      const queued = [];
+      openBatch = queued;
+      lastBatch = lastBatch
+        .then(() => new Promise(done => setTimeout(done, WRITE_BATCH_WINDOW_MS)))
+        .then(() => {
+          openBatch = null;
+          return runWriteBatch(queued);
+        });
+    }
+    openBatch.push({ mutation, resolve, reject });
+  });
+}
+
+// Reads never write: 'expired' is worked out here for every reader, and stored when the item is next updated
 export async function getCapturedData() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.CAPTURED_DATA);
-  return result[STORAGE_KEYS.CAPTURED_DATA] || {};
+  const records = await getAllRecords(STORES.CAPTURES);
+  const data = Object.fromEntries(records.map(({ key, ...item }) => [key, item]));
+  refreshExpiryStatus(data);
+  return data;
 }
 
 export async function setCapturedData(data) {
-  await chrome.storage.local.set({ [STORAGE_KEYS.CAPTURED_DATA]: data });
+  await queueWrite(async batch => {
+    batch.clear(STORES.CAPTURES);
+    for (const [key, item] of Object.entries(data)) {
+      putCapturedItem(batch, key, item);
+    }
+  });
+}
+
+// Single-record access, so a request only touches the key it captured
+async function getCapturedItem(key, batch) {
+  const record = batch ? await batch.get(STORES.CAPTURES, key) : await getRecord(STORES.CAPTURES, key);
+  if (!record) return undefined;
+
+  const { key: _key, ...item } = record;
+  return item;
+}
+
+function putCapturedItem(batch, key, item) {
+  batch.put(STORES.CAPTURES, { ...item, key });
 }
 
 /**
- * Update a captured item with rotation detection
- * Returns { data, rotationDetected, previousToken }
+ * Work out when a captured item stops being valid
+ * Prefers the JWT exp claim, then an OAuth expires_in, then the cookie Expires/Max-Age
+ * @param {Object} item - Captured item (handler result)
+ * @param {number} capturedAt - When the value was first seen, used for relative lifetimes
+ * @returns {number|null} - Expiry timestamp in ms, or null when unknown
  */
-export async function updateCapturedItem(key, value) {
-  const data = await getCapturedData();
-  const existingItem = data[key];
-  let rotationDetected = false;
-  let previousToken = null;
+export function computeExpiresAt(item, capturedAt = Date.now()) {
+  const exp = item?.jwt?.claims?.exp;
+  if (typeof exp === 'number' && Number.isFinite(exp)) {
+    return exp * 1000;
+  }
 
-  const now = Date.now();
+  const expiresIn = Number(item?.expiresIn);
+  if (item?.expiresIn !== undefined && item?.expiresIn !== '' && Number.isFinite(expiresIn)) {
+    return capturedAt + expiresIn * 1000;
+  }
 
-  if (existingItem && existingItem.value !== value.value) {
-    // Token rotation detected - same key, different value
-    rotationDetected = true;
-    previousToken = {
-      value: existingItem.value,
-      capturedAt: existingItem.capturedAt,
-      expiredAt: now
-    };
+  const attributes = item?.cookieAttributes;
+  if (attributes) {
+    // Max-Age wins over Expires per RFC 6265
+    if (attributes.maxAge !== undefined && Number.isFinite(Number(attributes.maxAge))) {
+      return capturedAt + Number(attributes.maxAge) * 1000;
+    }
+    if (attributes.expires) {
+      const expires = new Date(attributes.expires).getTime();
+      if (Number.isFinite(expires)) return expires;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Flip items whose expiresAt has passed to status 'expired'
+ * @returns {boolean} - Whether any item changed
+ */
+export function refreshExpiryStatus(data, now = Date.now()) {
+  let changed = false;
 
-    // Add to expired tokens list
-    await addToExpiredTokens(key, existingItem);
+  for (const item of Object.values(data)) {
+    if (item.expiresAt && item.expiresAt <= now && item.status !== 'expired') {
+      item.status = 'expired';
+      changed = true;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Work out which principal a captured value belongs to, so a second account's token on the
+ * same key isn't mistaken for a rotation
+ * Cookies are told apart by name (a cookie jar holds one value per name), then by the
+ * identityClaims of a JWT (default iss + sub) or the Basic / SigV4 / HMAC user or key id
+ * @param {Object} item - Captured item (handler result)
+ * @param {string[]} identityClaims - JWT claims that identify the principal
+ * @returns {string|null} - null for opaque values with no identity
+ */
+export function getValueIdentity(item, identityClaims = DEFAULT_IDENTITY_CLAIMS) {
+  const parts = [];
+
+  if (item?.type === 'cookie' && item.cookieName) {
+    parts.push(`cookie:${item.cookieName}`);
+  }
+
+  const claims = item?.jwt?.claims;
+  const details = item?.credentialDetails;
+  const principal = details?.username || details?.accessKeyId || details?.keyId;
+
+  if (claims && identityClaims.some(claim => claims[claim] !== undefined)) {
+    parts.push(`jwt:${identityClaims.map(claim => claims[claim] ?? '').join('|')}`);
+  } else if (principal) {
+    parts.push(`principal:${principal}`);
+  }
+
+  return parts.length > 0 ? parts.join('::') : null;
+}
+
+function isSameLiveValue(entry, value) {
+  return entry.valueFingerprint
+    ? entry.valueFingerprint === value.valueFingerprint
+    : entry.value === value.value;
+}
+
+function createLiveValue(value, identity, now) {
+  return {
+    value: value.value,
+    ...(value.valueFingerprint && { valueFingerprint: value.valueFingerprint }),
+    identity,
+    firstSeenAt: now,
+    lastSeenAt: now,
+    expiresAt: computeExpiresAt(value, now)
+  };
+}
+
+// Items stored before live values were tracked hold a single value
+function getLiveValues(item, identityClaims = DEFAULT_IDENTITY_CLAIMS) {
+  if (item.liveValues) {
+    return item.liveValues.map(entry => ({ ...entry }));
+  }
+
+  return [{
+    value: item.value,
+    ...(item.valueFingerprint && { valueFingerprint: item.valueFingerprint }),
+    identity: getValueIdentity(item, identityClaims),
+    firstSeenAt: item.capturedAt,
+    lastSeenAt: item.lastSeenAt || item.capturedAt,
+    expiresAt: item.expiresAt
+  }];
+}
+
+function getRotationGraceMs(config) {
+  return (config.rotationGraceMinutes ?? DEFAULT_ROTATION_GRACE_MINUTES) * 60 * 1000;
+}
+
+// Values other than the one sent last that have not been sent for the grace period
+function getIdleLiveValues(liveValues, current, graceMs, now) {
+  return liveValues.filter(entry => entry !== current && now - entry.lastSeenAt >= graceMs);
+}
+
+/**
+ * Update a captured item with identity-aware rotation detection
+ * A key can carry several live values at once (e.g. two accounts, or two API keys used in turn).
+ * A new value for a known identity replaces that identity's value straight away; any other value
+ * is retired once it has not been sent for rotationGraceMinutes - by the key's next request, or by
+ * retireIdleValues() when the grace period alarm fires first.
+ * Retired values move to the expired tokens list and count as rotations.
+ * Returns { data, rotationDetected, previousToken } - data holds just the updated key
+ * @param {string} key
+ * @param {Object} plainValue - Handler result
+ * @param {Object} [config] - Config snapshot (the service worker passes its cached one); read when omitted
+ */
+export async function updateCapturedItem(key, plainValue, config) {
+  config = config || await getConfig();
+  const identityClaims = config.identityClaims || DEFAULT_IDENTITY_CLAIMS;
+  const graceMs = getRotationGraceMs(config);
+  const identity = getValueIdentity(plainValue, identityClaims);
+  // Secrets are sealed before anything is stored when the vault is set up
+  const value = await sealCapturedItem(plainValue);
+
+  return queueWrite(batch => applyCapturedValue(batch, key, value, { identity, identityClaims, graceMs }));
+}
+
+async function applyCapturedValue(batch, key, value, { identity, identityClaims, graceMs }) {
+  const data = {};
+  const existingItem = await getCapturedItem(key, batch);
+  const now = Date.now();
 
-    // Update the item with rotation info
+  if (!existingItem) {
+    // New token
     data[key] = {
       ...value,
+      identity,
       capturedAt: now,
+      expiresAt: computeExpiresAt(value, now),
       status: 'active',
-      rotationCount: (existingItem.rotationCount || 0) + 1,
-      lastRotatedAt: now,
-      previousValue: existingItem.value,
-      previousCapturedAt: existingItem.capturedAt
+      rotationCount: 0,
+      liveValues: [createLiveValue(value, identity, now)]
     };
-  } else if (existingItem && existingItem.value === value.value) {
-    // Same token, just update the last seen time
+
+    refreshExpiryStatus(data, now);
+    putCapturedItem(batch, key, data[key]);
+    await putHistoryEntry(batch, key, value, false);
+
+    return { data, rotationDetected: false, previousToken: null };
+  }
+
+  // A sealed value the vault can't fingerprint yet (not unlocked since the browser started) can't be
+  // told apart from the live values, so until then it only counts as activity on the key
+  if (isSealed(value.value) && !value.valueFingerprint) {
+    data[key] = { ...existingItem, lastSeenAt: now };
+    putCapturedItem(batch, key, data[key]);
+    return { data, rotationDetected: false, previousToken: null };
+  }
+
+  let liveValues = getLiveValues(existingItem, identityClaims);
+  const retired = [];
+
+  let current = liveValues.find(entry => isSameLiveValue(entry, value));
+  if (current) {
+    current.lastSeenAt = now;
+  } else {
+    current = createLiveValue(value, identity, now);
+    // Same principal, new value - the old one has been replaced
+    const replaced = identity && liveValues.find(entry => entry.identity === identity);
+    if (replaced) {
+      retired.push(replaced);
+    }
+    liveValues = [...liveValues.filter(entry => entry !== replaced), current];
+  }
+
+  // Values the key has stopped sending
+  retired.push(...getIdleLiveValues(liveValues, current, graceMs, now));
+  liveValues = liveValues.filter(entry => !retired.includes(entry));
+
+  if (isSameLiveValue(existingItem, value)) {
+    // Same token, just update the last seen time (and the tab title, which changes as you browse)
     data[key] = {
       ...existingItem,
+      ...(value.session && { session: value.session }),
+      identity,
       lastSeenAt: now
     };
+
+    // A re-issued Set-Cookie can extend the lifetime without changing the value
+    if (value.cookieAttributes) {
+      data[key].cookieAttributes = value.cookieAttributes;
+      data[key].expiresAt = computeExpiresAt(value, now);
+      data[key].status = 'active';
+      current.expiresAt = data[key].expiresAt;
+    }
   } else {
-    // New token
+    // Another live value took over - the item shows whichever value was sent last
+    const { previousValue, previousCapturedAt, lastRotatedAt } = existingItem;
     data[key] = {
       ...value,
-      capturedAt: now,
+      identity,
+      capturedAt: current.firstSeenAt,
+      lastSeenAt: now,
+      expiresAt: computeExpiresAt(value, current.firstSeenAt),
       status: 'active',
-      rotationCount: 0
+      rotationCount: existingItem.rotationCount || 0,
+      ...(previousValue !== undefined && { previousValue, previousCapturedAt, lastRotatedAt })
     };
   }
 
-  await setCapturedData(data);
-  await addToHistory(key, value, rotationDetected);
+  const previousToken = await retireLiveValues(batch, key, existingItem, data[key], retired, now);
+  const rotationDetected = previousToken !== null;
+  data[key].liveValues = liveValues;
+
+  refreshExpiryStatus(data, now);
+  putCapturedItem(batch, key, data[key]);
+  await putHistoryEntry(batch, key, value, rotationDetected);
 
   return { data, rotationDetected, previousToken };
 }
 
+/**
+ * Move retired live values to the expired tokens and the rotation log, and count them on the item
+ * @returns {Promise<Object|null>} - The last retired value as { value, capturedAt, expiredAt }, or null
+ */
+async function retireLiveValues(batch, key, existingItem, item, retired, now) {
+  for (const entry of retired) {
+    await putExpiredToken(batch, key, {
+      ...existingItem,
+      value: entry.value,
+      capturedAt: entry.firstSeenAt,
+      expiresAt: entry.expiresAt
+    });
+    await appendRotationLog(batch, key, {
+      value: entry.value,
+      identity: entry.identity,
+      capturedAt: entry.firstSeenAt,
+      lastSeenAt: entry.lastSeenAt,
+      expiredAt: now,
+      expiresAt: entry.expiresAt
+    });
+  }
+
+  if (retired.length === 0) return null;
+
+  const lastRetired = retired[retired.length - 1];
+  Object.assign(item, {
+    rotationCount: (existingItem.rotationCount || 0) + retired.length,
+    lastRotatedAt: now,
+    previousValue: lastRetired.value,
+    previousCapturedAt: lastRetired.firstSeenAt
+  });
+  return { value: lastRetired.value, capturedAt: lastRetired.firstSeenAt, expiredAt: now };
+}
+
+/**
+ * When the next of a key's other live values reaches the end of its grace period
+ * @param {Object} item - Captured item as stored
+ * @param {Object} config
+ * @returns {number|null} - Timestamp, or null while the key holds a single live value
+ */
+export function getNextRetirementAt(item, config) {
+  const liveValues = item?.liveValues || [];
+  if (liveValues.length < 2) return null;
+
+  const latest = Math.max(...liveValues.map(entry => entry.lastSeenAt));
+  const idleSince = Math.min(...liveValues.map(entry => entry.lastSeenAt));
+  return idleSince < latest ? idleSince + getRotationGraceMs(config) : null;
+}
+
+/**
+ * Retire the live values a key has not sent for rotationGraceMinutes (run by the grace period alarm,
+ * so a rotation is reported when the grace period ends rather than on the key's next request)
+ * The value sent last always stays live - a key nothing sends any more keeps it until it expires.
+ * Returns { data, rotationDetected, previousToken } like updateCapturedItem(), or null without an item
+ * @param {string} key
+ * @param {Object} [config] - Config snapshot; read when omitted
+ * @param {number} [now]
+ */
+export async function retireIdleValues(key, config, now = Date.now()) {
+  config = config || await getConfig();
+  const graceMs = getRotationGraceMs(config);
+
+  return queueWrite(async batch => {
+    const existingItem = await getCapturedItem(key, batch);
+    if (!existingItem) return null;
+
+    const liveValues = existingItem.liveValues || [];
+    const latest = liveValues.reduce((last, entry) => entry.lastSeenAt > last.lastSeenAt ? entry : last, liveValues[0]);
+    const retired = getIdleLiveValues(liveValues, latest, graceMs, now);
+
+    const item = { ...existingItem, liveValues: liveValues.filter(entry => !retired.includes(entry)) };
+    const previousToken = await retireLiveValues(batch, key, existingItem, item, retired, now);
+    if (previousToken) {
+      putCapturedItem(batch, key, item);
+    }
+
+    return { data: { [key]: item }, rotationDetected: previousToken !== null, previousToken };
+  });
+}
+
 export async function removeCapturedItem(key) {
-  const data = await getCapturedData();
-  delete data[key];
-  await setCapturedData(data);
-  return data;
+  await queueWrite(async batch => {
+    batch.delete(STORES.CAPTURES, key);
+    for (const entry of await getRotationLogRecords(batch, key)) {
+      batch.delete(STORES.ROTATION_LOG, entry.id);
+    }
+  });
+  return await getCapturedData();
 }
 
 export async function clearAllCapturedData() {
-  await setCapturedData({});
+  await queueWrite(async batch => {
+    batch.clear(STORES.CAPTURES);
+    batch.clear(STORES.ROTATION_LOG);
+  });
+}
+
+// Rotation log - every value a key has retired, oldest first, kept per key so busy keys
+// don't push other keys' lineage out the way the global expired tokens list does
+function getRotationLogRecords(batch, key) {
+  const query = { index: 'keyExpiredAt', value: key };
+  return batch ? batch.getAll(STORES.ROTATION_LOG, query) : getAllRecords(STORES.ROTATION_LOG, query);
+}
+
+export async function getRotationLog(key) {
+  return (await getRotationLogRecords(null, key)).map(({ id: _id, key: _key, ...entry }) => entry);
+}
+
+async function appendRotationLog(batch, key, entry) {
+  batch.put(STORES.ROTATION_LOG, { ...entry, id: createRecordId('rotation', Date.now()), key });
+
+  const log = await getRotationLogRecords(batch, key);
+  log.slice(0, Math.max(0, log.length - MAX_ROTATION_LOG_ENTRIES))
+    .forEach(record => batch.delete(STORES.ROTATION_LOG, record.id));
+}
+
+export async function addToRotationLog(key, entry) {
+  await queueWrite(batch => appendRotationLog(batch, key, entry));
 }
 
-// Expired tokens management
+/**
+ * Build the lineage of a key: retired values from the rotation log followed by the live ones
+ * @param {Object|undefined} item - The captured item (undefined once it has been removed)
+ * @param {Array} log - Rotation log entries for the key
+ * @returns {{ values: Array, rotationCount: number, averageRotationMs: number|null }}
+ *   Each value has capturedAt, expiredAt (null while live), lifetimeMs and status 'retired' | 'live';
+ *   averageRotationMs is the mean lifetime of the retired values
+ */
+export function buildTokenLineage(item, log = [], now = Date.now()) {
+  const retired = log.map(entry => ({
+    ...entry,
+    status: 'retired',
+    lifetimeMs: entry.expiredAt - entry.capturedAt
+  }));
+
+  const live = (item ? getLiveValues(item) : []).map(entry => ({
+    value: entry.value,
+    identity: entry.identity,
+    capturedAt: entry.firstSeenAt,
+    lastSeenAt: entry.lastSeenAt,
+    expiredAt: null,
+    expiresAt: entry.expiresAt,
+    status: 'live',
+    lifetimeMs: now - entry.firstSeenAt
+  }));
+
+  const averageRotationMs = retired.length > 0
+    ? Math.round(retired.reduce((sum, entry) => sum + entry.lifetimeMs, 0) / retired.length)
+    : null;
+
+  return {
+    values: [...retired, ...live].sort((a, b) => a.capturedAt - b.capturedAt),
+    rotationCount: retired.length,
+    averageRotationMs
+  };
+}
+
+/**
+ * Lineage of a captured key (values may be sealed - open them with unsealEntries)
+ */
+export async function getTokenLineage(key, now = Date.now()) {
+  return { key, ...buildTokenLineage(await getCapturedItem(key), await getRotationLog(key), now) };
+}
+
+// Encryption at rest - values, the cookies / query params sent alongside them and the full request URL
+// are the secrets on a record, so domain, type and timestamps stay readable for counts and filters
+// while the vault is locked
+
+const SEALED_OBJECT_FIELDS = ['allCookies', 'allParams'];
+
+// Every cookie or param sent alongside a value is sealed as one JSON envelope; the source keeps its
+// domain, path and method readable and seals only the URL (its query string can hold credentials)
+async function sealDetails(item) {
+  const sealed = {};
+  for (const field of SEALED_OBJECT_FIELDS) {
+    if (item[field]) {
+      sealed[field] = isSealed(item[field]) ? item[field] : await sealValue(JSON.stringify(item[field]));
+    }
+  }
+  if (item.source?.url) {
+    sealed.source = { ...item.source, url: await sealValue(item.source.url) };
+  }
+  return sealed;
+}
+
+// Open what sealDetails() sealed; returns null while locked
+async function openDetails(item) {
+  const opened = {};
+  for (const field of SEALED_OBJECT_FIELDS) {
+    if (isSealed(item[field])) {
+      const json = await openValue(item[field]);
+      if (json === null) return null;
+      opened[field] = JSON.parse(json);
+    }
+  }
+  if (isSealed(item.source?.url)) {
+    const url = await openValue(item.source.url);
+    if (url === null) return null;
+    opened.source = { ...item.source, url };
+  }
+  return opened;
+}
+
+// Sealing is per field and skips fields already sealed, so records sealed before a field was
+// added to what is sealed are completed by sealStoredData()
+async function sealCapturedItem(item) {
+  const sealedValue = await sealValue(item.value);
+  if (!isSealed(sealedValue)) return item; // No vault
+
+  const sealed = { ...item, value: sealedValue, ...await sealDetails(item) };
+  if (!isSealed(item.value)) {
+    sealed.valueFingerprint = await fingerprintValue(item.value);
+  }
+  if (item.previousValue !== undefined) {
+    sealed.previousValue = await sealValue(item.previousValue);
+  }
+  if (item.liveValues) {
+    sealed.liveValues = [];
+    for (const entry of item.liveValues) {
+      sealed.liveValues.push(isSealed(entry.value) ? entry : {
+        ...entry,
+        value: await sealValue(entry.value),
+        valueFingerprint: await fingerprintValue(entry.value)
+      });
+    }
+  }
+  if (item.allTokens) {
+    sealed.allTokens = {};
+    for (const [name, token] of Object.entries(item.allTokens)) {
+      sealed.allTokens[name] = { ...token, value: await sealValue(token.value) };
+    }
+  }
+  return sealed;
+}
+
+// Open one record; while locked, secret fields are dropped and the record is flagged locked
+async function unsealItem(item) {
+  if (!isSealed(item.value)) return item;
+
+  const value = await openValue(item.value);
+  const details = value === null ? null : await openDetails(item);
+  if (details === null) {
+    const { value: _value, previousValue, allTokens, allCookies, allParams, liveValues, source, ...metadata } = item;
+    const { url: _url, ...readableSource } = source || {};
+    return {
+      ...metadata,
+      ...(source && { source: readableSource }),
+      ...(liveValues && { liveValues: liveValues.map(({ value: _live, ...entry }) => ({ ...entry, value: null })) }),
+      value: null,
+      locked: true
+    };
+  }
+
+  const opened = { ...item, value, ...details };
+  delete opened.valueFingerprint;
+  if (item.previousValue !== undefined) {
+    opened.previousValue = await openValue(item.previousValue);
+  }
+  if (item.liveValues) {
+    opened.liveValues = [];
+    for (const { valueFingerprint: _fingerprint, ...entry } of item.liveValues) {
+      opened.liveValues.push({ ...entry, value: await openValue(entry.value) });
+    }
+  }
+  if (item.allTokens) {
+    opened.allTokens = {};
+    for (const [name, token] of Object.entries(item.allTokens)) {
+      opened.allTokens[name] = { ...token, value: await openValue(token.value) };
+    }
+  }
+  return opened;
+}
+
+/**
+ * Decrypt captured data for display (sealed values become null + locked: true while locked)
+ * @param {Object} data - Captured data as stored
+ * @returns {Promise<Object>}
+ */
+export async function unsealCapturedData(data) {
+  const opened = {};
+  for (const [key, item] of Object.entries(data || {})) {
+    opened[key] = await unsealItem(item);
+  }
+  return opened;
+}
+
+/**
+ * Decrypt history / expired token entries for display
+ * @param {Array} entries
+ * @returns {Promise<Array>}
+ */
+export async function unsealEntries(entries) {
+  const opened = [];
+  for (const entry of entries || []) {
+    opened.push(await unsealItem(entry));
+  }
+  return opened;
+}
+
+/**
+ * Seal every plaintext value already stored (run once the vault is set up)
+ */
+export async function sealStoredData() {
+  await queueWrite(async batch => {
+    for (const record of await batch.getAll(STORES.CAPTURES)) {
+      batch.put(STORES.CAPTURES, await sealCapturedItem(record));
+    }
+
+    const sealEntry = async entry => ({ ...entry, value: await sealValue(entry.value), ...await sealDetails(entry) });
+    for (const store of [STORES.HISTORY, STORES.EXPIRED_TOKENS, STORES.ROTATION_LOG]) {
+      for (const entry of await batch.getAll(store)) {
+        batch.put(store, await sealEntry(entry));
+      }
+    }
+
+    for (const flow of await batch.getAll(STORES.OAUTH_FLOWS)) {
+      batch.put(STORES.OAUTH_FLOWS, await sealOAuthFlow(flow));
+    }
+
+    let journalBytes = 0;
+    for (const entry of await batch.getAll(STORES.JOURNAL)) {
+      const { id, size: _size, ...fields } = entry;
+      const sealed = fields.sealed ? fields : await sealJournalEntry(fields);
+      const size = getEntrySize(sealed);
+      batch.put(STORES.JOURNAL, { ...sealed, id, size });
+      journalBytes += size;
+    }
+    batch.put(STORES.META, { name: JOURNAL_TOTALS, bytes: journalBytes });
+  });
+}
+
+/**
+ * Fingerprint sealed values again with the vault's fingerprint key (run after unlocking), so values
+ * captured before the vault could fingerprint them, or under an older scheme, can be compared again
+ */
+export async function refreshFingerprints() {
+  const fingerprint = async (sealed, current) => await fingerprintValue(await openValue(sealed)) || current;
+
+  await queueWrite(async batch => {
+    for (const item of await batch.getAll(STORES.CAPTURES)) {
+      if (!isSealed(item.value)) continue;
+
+      const refreshed = { ...item, valueFingerprint: await fingerprint(item.value, item.valueFingerprint) };
+      if (item.liveValues) {
+        refreshed.liveValues = [];
+        for (const entry of item.liveValues) {
+          refreshed.liveValues.push(isSealed(entry.value)
+            ? { ...entry, valueFingerprint: await fingerprint(entry.value, entry.valueFingerprint) }
+            : entry);
+        }
+      }
+      if (JSON.stringify(refreshed) !== JSON.stringify(item)) {
+        batch.put(STORES.CAPTURES, refreshed);
+      }
+    }
+  });
+}
+
+// Record ids sort in creation order, so entries written in the same millisecond keep their order
+let recordSequence = 0;
+
+function createRecordId(prefix, now) {
+  recordSequence = (recordSequence + 1) % 1e6;
+  return `${prefix}-${now}-${String(recordSequence).padStart(6, '0')}`;
+}
+
+// Drop the oldest records once a store holds more than max (index = the record's timestamp field)
+async function trimRecords(batch, store, index, max) {
+  const excess = await batch.count(store) - max;
+  if (excess <= 0) return;
+
+  const oldest = await batch.getAll(store, { index, limit: excess });
+  oldest.forEach(record => batch.delete(store, record.id));
+}
+
+// Expired tokens management (newest first)
 export async function getExpiredTokens() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.EXPIRED_TOKENS);
-  return result[STORAGE_KEYS.EXPIRED_TOKENS] || [];
+  const records = await getAllRecords(STORES.EXPIRED_TOKENS, { index: 'expiredAt' });
+  return records.reverse();
 }
 
-export async function addToExpiredTokens(key, item) {
-  const expired = await getExpiredTokens();
+async function putExpiredToken(batch, key, item) {
+  const now = Date.now();
 
-  expired.unshift({
+  batch.put(STORES.EXPIRED_TOKENS, {
+    id: createRecordId('expired', now),
     key,
     value: item.value,
     type: item.type,
     source: item.source,
     displayName: item.displayName,
     capturedAt: item.capturedAt,
-    expiredAt: Date.now(),
+    expiredAt: now,
+    expiresAt: item.expiresAt,
     tokenType: item.tokenType,
-    headerName: item.headerName
+    headerName: item.headerName,
+    cookieName: item.cookieName,
+    paramName: item.paramName,
+    session: item.session
   });
 
   // Keep only recent expired tokens
-  if (expired.length > MAX_EXPIRED_TOKENS) {
-    expired.splice(MAX_EXPIRED_TOKENS);
-  }
+  await trimRecords(batch, STORES.EXPIRED_TOKENS, 'expiredAt', MAX_EXPIRED_TOKENS);
+}
+
+export async function addToExpiredTokens(key, item) {
+  await queueWrite(batch => putExpiredToken(batch, key, item));
+}
 
-  await chrome.storage.local.set({ [STORAGE_KEYS.EXPIRED_TOKENS]: expired });
+/**
+ * Remove expired tokens by id
+ * Entries stored before ids were added are addressed as "key::expiredAt"
+ * @param {string[]} ids
+ * @returns {Promise<Array>} - The remaining expired tokens
+ */
+export async function removeExpiredTokens(ids) {
+  await queueWrite(async batch => ids.forEach(id => batch.delete(STORES.EXPIRED_TOKENS, id)));
+  return await getExpiredTokens();
 }
 
 export async function clearExpiredTokens() {
-  await chrome.storage.local.set({ [STORAGE_KEYS.EXPIRED_TOKENS]: [] });
+  await queueWrite(async batch => batch.clear(STORES.EXPIRED_TOKENS));
 }
 
-// History management
+// History management (newest first)
 export async function getHistory() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.HISTORY);
-  return result[STORAGE_KEYS.HISTORY] || [];
+  const records = await getAllRecords(STORES.HISTORY, { index: 'timestamp' });
+  return records.reverse();
 }
 
-export async function addToHistory(key, value, isRotation = false) {
-  const history = await getHistory();
-  history.unshift({
+async function putHistoryEntry(batch, key, value, isRotation) {
+  const now = Date.now();
+
+  batch.put(STORES.HISTORY, {
+    id: createRecordId('history', now),
     key,
     value: value.value,
     type: value.type,
     source: value.source,
-    timestamp: Date.now(),
+    session: value.session,
+    timestamp: now,
     event: isRotation ? 'rotation' : 'capture'
   });
 
   // Keep only the most recent items
-  if (history.length > MAX_HISTORY_ITEMS) {
-    history.splice(MAX_HISTORY_ITEMS);
-  }
+  await trimRecords(batch, STORES.HISTORY, 'timestamp', MAX_HISTORY_ITEMS);
+}
 
-  await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: history });
+export async function addToHistory(key, value, isRotation = false) {
+  await queueWrite(batch => putHistoryEntry(batch, key, value, isRotation));
 }
 
 export async function clearHistory() {
-  await chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: [] });
+  await queueWrite(async batch => batch.clear(STORES.HISTORY));
+}
+
+// Network journal - a ring buffer of raw request records, capped by size rather than count
+// so a burst of requests with large headers can't outgrow the storage quota
+
+// The journal's running byte total, so appending never has to read every record to size it
+const JOURNAL_TOTALS = 'journal';
+
+async function getJournalBytes(batch) {
+  const totals = batch ? await batch.get(STORES.META, JOURNAL_TOTALS) : await getRecord(STORES.META, JOURNAL_TOTALS);
+  return totals?.bytes || 0;
+}
+
+// Serialized size in bytes (what the entry costs in storage)
+export function getEntrySize(entry) {
+  return new TextEncoder().encode(JSON.stringify(entry)).length;
+}
+
+// URL and headers carry secrets - with a vault they are sealed together as one envelope
+async function sealJournalEntry(entry) {
+  const { url, requestHeaders, responseHeaders, ...metadata } = entry;
+  const sealed = await sealValue(JSON.stringify({ url, requestHeaders, responseHeaders }));
+  return isSealed(sealed) ? { ...metadata, sealed } : entry;
+}
+
+async function unsealJournalEntry(entry) {
+  if (!entry.sealed) return entry;
+
+  const { sealed, ...metadata } = entry;
+  const opened = await openValue(sealed);
+  return opened === null ? { ...metadata, locked: true } : { ...metadata, ...JSON.parse(opened) };
+}
+
+/**
+ * Append a request record, dropping the oldest records once the journal exceeds maxBytes
+ * @param {Object} entry - { requestId, timestamp, method, url, domain, path, resourceType, tabId,
+ *   requestHeaders, responseHeaders, handlers, statusCode, error, duration }
+ * @param {number} maxBytes - Size cap (config.journalMaxBytes)
+ */
+export async function appendJournalEntry(entry, maxBytes = DEFAULT_JOURNAL_MAX_BYTES) {
+  const sealed = await sealJournalEntry(entry);
+  const size = getEntrySize(sealed);
+
+  return queueWrite(async batch => {
+    let bytes = await getJournalBytes(batch) + size;
+    batch.put(STORES.JOURNAL, { ...sealed, id: createRecordId('journal', Date.now()), size });
+
+    while (bytes > maxBytes) {
+      const [oldest] = await batch.getAll(STORES.JOURNAL, { limit: 1 });
+      if (!oldest) break;
+      batch.delete(STORES.JOURNAL, oldest.id);
+      bytes -= oldest.size;
+    }
+
+    batch.put(STORES.META, { name: JOURNAL_TOTALS, bytes: Math.max(bytes, 0) });
+  });
+}
+
+/**
+ * Read journal records, newest first
+ * @param {Object} filter - { domain, handler, since, until } (all optional; domain matches subdomains)
+ */
+export async function getJournal({ domain, handler, since, until } = {}) {
+  const entries = await getAllRecords(STORES.JOURNAL);
+
+  return entries.filter(entry => {
+    if (domain && entry.domain !== domain && !entry.domain?.endsWith(`.${domain}`)) return false;
+    if (handler && !entry.handlers?.includes(handler)) return false;
+    if (since && entry.timestamp < since) return false;
+    if (until && entry.timestamp > until) return false;
+    return true;
+  }).reverse();
+}
+
+/**
+ * Size of the journal and the values its filters can take, for the popup
+ * @returns {Promise<{ count: number, bytes: number, domains: string[], handlers: string[] }>}
+ */
+export async function getJournalStats() {
+  const entries = await getAllRecords(STORES.JOURNAL);
+  return {
+    count: entries.length,
+    bytes: await getJournalBytes(),
+    domains: [...new Set(entries.map(entry => entry.domain).filter(Boolean))].sort(),
+    handlers: [...new Set(entries.flatMap(entry => entry.handlers || []))].sort()
+  };
+}
+
+/**
+ * Decrypt journal records for display (locked records keep metadata only)
+ */
+export async function unsealJournal(entries) {
+  const opened = [];
+  for (const entry of entries || []) {
+    opened.push(await unsealJournalEntry(entry));
+  }
+  return opened;
+}
+
+export async function clearJournal() {
+  await queueWrite(async batch => {
+    batch.clear(STORES.JOURNAL);
+    batch.put(STORES.META, { name: JOURNAL_TOTALS, bytes: 0 });
+  });
+}
+
+// OAuth flow management - each flow groups authorize, callback and token steps
+// (values may be sealed - open them with unsealOAuthFlows)
+export async function getOAuthFlows() {
+  const records = await getAllRecords(STORES.OAUTH_FLOWS, { index: 'updatedAt' });
+  return records.reverse();
+}
+
+// The code and tokens a flow links are sealed like captured values, and so are each step's URL and
+// parameters. The code and refresh token are fingerprinted so later steps still find their flow,
+// and step URLs so a redirect chain reporting the same step twice is still recognized.
+const OAUTH_SECRET_FIELDS = ['code', 'accessToken', 'refreshToken', 'idToken'];
+const OAUTH_MATCHED_FIELDS = ['code', 'refreshToken'];
+
+// Seal the secrets among a step's parameters; returns them with fingerprints of the matched ones
+async function sealOAuthSecrets(oauth) {
+  const sealed = { ...oauth };
+  const fingerprints = {};
+  for (const field of OAUTH_SECRET_FIELDS) {
+    if (oauth[field] === undefined || isSealed(oauth[field])) continue;
+    sealed[field] = await sealValue(oauth[field]);
+    if (OAUTH_MATCHED_FIELDS.includes(field) && isSealed(sealed[field])) {
+      fingerprints[field] = await fingerprintValue(oauth[field]);
+    }
+  }
+  return { sealed, fingerprints };
+}
+
+// A step as stored on its flow: URL and parameters sealed (the parameters as one JSON envelope)
+async function sealOAuthFlowStep(step) {
+  const url = await sealValue(step.url);
+  const oauth = isSealed(step.oauth) ? step.oauth : await sealValue(JSON.stringify(step.oauth || {}));
+  if (!isSealed(oauth)) return step; // No vault
+
+  return {
+    ...step,
+    url,
+    oauth,
+    ...(step.url !== undefined && !isSealed(step.url) && { urlFingerprint: await fingerprintValue(step.url) })
+  };
+}
+
+// Seal what a flow recorded before the vault was set up
+async function sealOAuthFlow(flow) {
+  const { sealed, fingerprints } = await sealOAuthSecrets(flow);
+  const steps = [];
+  for (const step of flow.steps || []) {
+    steps.push(await sealOAuthFlowStep(step));
+  }
+  return { ...sealed, fingerprints: { ...flow.fingerprints, ...fingerprints }, steps };
+}
+
+async function unsealOAuthFlow({ fingerprints: _fingerprints, ...flow }) {
+  const steps = (flow.steps || []).map(({ urlFingerprint: _url, ...step }) => step);
+  const sealed = [
+    ...OAUTH_SECRET_FIELDS.map(field => flow[field]),
+    ...steps.flatMap(step => [step.url, step.oauth])
+  ].filter(isSealed);
+  if (sealed.length === 0) return { ...flow, steps };
+
+  // While locked the flow keeps its client, scopes, state and timeline but no secrets
+  if (await openValue(sealed[0]) === null) {
+    const metadata = Object.fromEntries(Object.entries(flow).filter(([field]) => !OAUTH_SECRET_FIELDS.includes(field)));
+    return {
+      ...metadata,
+      steps: steps.map(({ url: _stepUrl, oauth: _oauth, ...step }) => step),
+      locked: true
+    };
+  }
+
+  const opened = { ...flow, steps: [] };
+  for (const field of OAUTH_SECRET_FIELDS) {
+    opened[field] = await openValue(flow[field]);
+  }
+  for (const step of steps) {
+    opened.steps.push({
+      ...step,
+      url: await openValue(step.url),
+      oauth: isSealed(step.oauth) ? JSON.parse(await openValue(step.oauth)) : step.oauth
+    });
+  }
+  return opened;
+}
+
+/**
+ * Decrypt OAuth flows for display (locked flows keep their metadata and timeline only)
+ * @param {Array} flows
+ * @returns {Promise<Array>}
+ */
+export async function unsealOAuthFlows(flows) {
+  const opened = [];
+  for (const flow of flows || []) {
+    opened.push(await unsealOAuthFlow(flow));
+  }
+  return opened;
+}
+
+// Fields copied from a step onto its flow (later steps fill in what earlier ones lacked)
+const OAUTH_FLOW_FIELDS = [
+  'clientId', 'redirectUri', 'responseType', 'responseMode', 'state', 'nonce', 'codeChallengeMethod',
+  'code', 'grantType', 'accessToken', 'refreshToken', 'idToken', 'tokenType', 'expiresIn',
+  'error', 'errorDescription'
+];
+
+// Steps sent to the authorization server (callbacks land on the client's domain)
+const OAUTH_SERVER_STEPS = ['authorization-request', 'implicit-grant', 'token-request'];
+
+/**
+ * Find the flow an OAuth step belongs to
+ * Matches on state, then authorization code, then refresh token, then the latest
+ * recent flow for the same authorization server / client
+ */
+function findOAuthFlow(flows, { step, oauth = {}, source = {}, fingerprints = {} }, now) {
+  // Sealed secrets are compared by fingerprint
+  const isSameSecret = (flow, field) => fingerprints[field]
+    ? flow.fingerprints?.[field] === fingerprints[field]
+    : flow[field] === oauth[field];
+
+  if (oauth.state) {
+    const byState = flows.find(flow => flow.state === oauth.state);
+    if (byState) return byState;
+  }
+
+  // A new authorization request always starts a new flow
+  if (step === 'authorization-request') return null;
+
+  if (oauth.code) {
+    const byCode = flows.find(flow => isSameSecret(flow, 'code'));
+    if (byCode) return byCode;
+  }
+
+  if (oauth.refreshToken) {
+    const byRefreshToken = flows.find(flow => isSameSecret(flow, 'refreshToken'));
+    if (byRefreshToken) return byRefreshToken;
+  }
+
+  if (oauth.state || !OAUTH_SERVER_STEPS.includes(step)) return null;
+
+  // flows are kept most recently updated first
+  return flows.find(flow =>
+    now - flow.updatedAt <= OAUTH_FLOW_WINDOW_MS &&
+    flow.authServer === source.domain &&
+    (!oauth.clientId || !flow.clientId || flow.clientId === oauth.clientId)
+  ) || null;
+}
+
+// webRequest never sees the token response, so a token request alone only means one was sent -
+// a flow is completed once tokens were seen (implicit fragments)
+function getOAuthFlowStatus(flow) {
+  if (flow.error) return 'failed';
+  if (flow.accessToken || flow.idToken) return 'completed';
+  if (flow.steps.some(s => s.step === 'token-request')) return 'token-requested';
+  if (flow.code) return 'authorized';
+  return 'started';
+}
+
+/**
+ * Record an OAuth step from the OAuth flow handler, merging it into its flow
+ * @param {Object} result - Handler result ({ step, oauth, source })
+ * @returns {Promise<{ flows: Array, flow: Object }>}
+ */
+export async function recordOAuthFlowStep(result) {
+  const { step, oauth = {}, source = {} } = result;
+  // Secrets are sealed before anything is stored when the vault is set up
+  const { sealed, fingerprints } = await sealOAuthSecrets(oauth);
+  const stored = await sealOAuthFlowStep({ step, url: source.url, method: source.method, oauth });
+
+  return queueWrite(batch => applyOAuthFlowStep(batch, { step, oauth: sealed, source, fingerprints, stored }));
+}
+
+async function applyOAuthFlowStep(batch, result) {
+  // Most recently updated first
+  const flows = (await batch.getAll(STORES.OAUTH_FLOWS, { index: 'updatedAt' })).reverse();
+  const now = Date.now();
+  const { step, oauth, source, fingerprints, stored } = result;
+
+  let flow = findOAuthFlow(flows, result, now);
+  if (!flow) {
+    flow = {
+      id: `flow-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      authServer: null,
+      scopes: [],
+      steps: [],
+      startedAt: now
+    };
+    flows.unshift(flow);
+  }
+
+  if (!flow.authServer && OAUTH_SERVER_STEPS.includes(step)) {
+    flow.authServer = source.domain;
+  }
+
+  for (const field of OAUTH_FLOW_FIELDS) {
+    if (oauth[field] !== undefined) {
+      flow[field] = oauth[field];
+    }
+  }
+  if (Object.keys(fingerprints).length > 0) {
+    flow.fingerprints = { ...flow.fingerprints, ...fingerprints };
+  }
+  if (oauth.hasCodeVerifier) {
+    flow.codeVerifierSent = true;
+  }
+  flow.scopes = [...new Set([...flow.scopes, ...(oauth.scopes || [])])];
+
+  // Redirect chains can report the same step twice
+  const lastStep = flow.steps[flow.steps.length - 1];
+  const sameUrl = stored.urlFingerprint
+    ? lastStep?.urlFingerprint === stored.urlFingerprint
+    : lastStep?.url === stored.url;
+  if (!lastStep || lastStep.step !== step || !sameUrl) {
+    flow.steps.push({ ...stored, timestamp: now });
+  }
+
+  flow.status = getOAuthFlowStatus(flow);
+  flow.updatedAt = now;
+
+  flows.sort((a, b) => b.updatedAt - a.updatedAt);
+  if (flows.length > MAX_OAUTH_FLOWS) {
+    flows.splice(MAX_OAUTH_FLOWS).forEach(dropped => batch.delete(STORES.OAUTH_FLOWS, dropped.id));
+  }
+
+  batch.put(STORES.OAUTH_FLOWS, flow);
+  return { flows, flow };
+}
+
+export async function clearOAuthFlows() {
+  await queueWrite(async batch => batch.clear(STORES.OAUTH_FLOWS));
 }
 
 // Config management
@@ -181,99 +1245,162 @@ function getDefaultConfig() {
     // Add domains like 'api.myapp.com' to only capture from those
     domainAllowlist: [],
     // Add domains to never capture from
-    domainBlocklist: []
+    domainBlocklist: [],
+    // Minutes before expiry to warn about a captured token (0 disables)
+    expiryWarningMinutes: 5,
+    // Per-domain overrides, e.g. { '*.staging.myapp.com': 15 }
+    expiryWarningDomains: {},
+    // Read POST bodies for custom 'body' rules (only on domainAllowlist domains)
+    captureRequestBodies: false,
+    // Streamer mode: popup shows only the first/last maskVisibleChars of each secret until revealed
+    maskSecrets: false,
+    maskVisibleChars: 4,
+    // Keep captured items apart per 'tab', 'window', 'incognito' or 'cookieStore' ('none' shares them)
+    sessionScope: 'none',
+    // Popup: group captured items under the tab they came from
+    groupByTab: false,
+    // JWT claims that identify who a token belongs to - a new token for the same identity is a rotation
+    identityClaims: [...DEFAULT_IDENTITY_CLAIMS],
+    // Other values on a key only count as rotated once they haven't been sent for this long
+    rotationGraceMinutes: DEFAULT_ROTATION_GRACE_MINUTES,
+    // Network journal: 'captures' records requests where a handler fired, 'all' every inspected request, 'off' nothing
+    journalScope: 'captures',
+    // Oldest journal records are dropped beyond this size
+    journalMaxBytes: DEFAULT_JOURNAL_MAX_BYTES,
+    // Lock the encryption vault after this many idle minutes (0 keeps it unlocked until the browser closes)
+    vaultLockMinutes: 15,
+    // Environment-file export variable names, e.g. { 'auth-token@*.staging.myapp.com': 'STAGING_API_TOKEN' }
+    envVariableNames: {}
   };
 }
 
 /**
- * Check if a domain should be captured based on allowlist/blocklist
- * @param {string} domain - The domain to check
- * @param {Object} config - The config object with domainAllowlist/domainBlocklist
- * @returns {boolean} - Whether to capture from this domain
+ * Get how many minutes before expiry to warn for a domain
+ * @param {string} domain - The captured item's domain
+ * @param {Object} config - The config object with expiryWarningMinutes/expiryWarningDomains
+ * @returns {number}
  */
-export function shouldCaptureDomain(domain, config) {
-  if (!domain) return false;
-
-  const { domainAllowlist = [], domainBlocklist = [] } = config;
+export function getExpiryWarningMinutes(domain, config) {
+  const { expiryWarningMinutes = 5, expiryWarningDomains = {} } = config;
 
-  // Check blocklist first (always applied)
-  if (domainBlocklist.length > 0) {
-    for (const pattern of domainBlocklist) {
+  if (domain) {
+    for (const [pattern, minutes] of Object.entries(expiryWarningDomains)) {
       if (matchDomainPattern(domain, pattern)) {
-        return false;
+        return Number(minutes) || 0;
       }
     }
   }
 
-  // If allowlist is empty, capture all (except blocked)
-  if (domainAllowlist.length === 0) {
-    return true;
-  }
+  return Number(expiryWarningMinutes) || 0;
+}
 
-  // Check allowlist
-  for (const pattern of domainAllowlist) {
-    if (matchDomainPattern(domain, pattern)) {
-      return true;
-    }
-  }
+/**
+ * Compile the allowlist/blocklist of a config once, for checking many requests against it
+ * @param {Object} config - The config object with domainAllowlist/domainBlocklist
+ * @returns {{ captureDomain: Function, captureRequestBody: Function }}
+ */
+export function createDomainFilter(config) {
+  const { domainAllowlist = [], domainBlocklist = [] } = config;
+  const isBlocked = compileDomainPatterns(domainBlocklist);
+  const isAllowed = compileDomainPatterns(domainAllowlist);
+
+  // Blocklist always applies; an empty allowlist captures everything else
+  const captureDomain = domain => {
+    if (!domain || isBlocked(domain)) return false;
+    return domainAllowlist.length === 0 || isAllowed(domain);
+  };
+
+  return {
+    captureDomain,
+    // Bodies need body capture on AND an explicit allowlist entry - an empty allowlist never allows them
+    captureRequestBody: domain => Boolean(config.captureRequestBodies) && domainAllowlist.length > 0 && captureDomain(domain)
+  };
+}
+
+/**
+ * Check if a domain should be captured based on allowlist/blocklist
+ * @param {string} domain - The domain to check
+ * @param {Object} config - The config object with domainAllowlist/domainBlocklist
+ * @returns {boolean} - Whether to capture from this domain
+ */
+export function shouldCaptureDomain(domain, config) {
+  return createDomainFilter(config).captureDomain(domain);
+}
 
-  return false;
+/**
+ * Check if request bodies may be read for a domain
+ * Stricter than shouldCaptureDomain: body capture must be enabled AND the domain
+ * must be explicitly allowlisted - an empty allowlist never allows bodies
+ * @param {string} domain - The domain to check
+ * @param {Object} config - The config object
+ * @returns {boolean}
+ */
+export function shouldCaptureRequestBody(domain, config) {
+  return createDomainFilter(config).captureRequestBody(domain);
 }
 
 /**
- * Match domain against a pattern (supports wildcards)
+ * URL filter for the request body listener, so Chrome only hands over bodies from allowlisted domains
+ * Entries no match pattern can express (regexes, 'example.*') never enable body capture
+ * @param {Object} config
+ * @returns {string[]} - Match patterns; empty when no body may be read
+ */
+export function getRequestBodyUrlPatterns(config) {
+  const { captureRequestBodies, domainAllowlist = [] } = config;
+  if (!captureRequestBodies) return [];
+  return [...new Set(domainAllowlist.filter(Boolean).map(toHostMatchPattern).filter(Boolean))];
+}
+
+/**
+ * Match domain against a single pattern (see lib/pattern-matcher.js for the syntax)
  * @param {string} domain - The domain to check
  * @param {string} pattern - The pattern (e.g., '*.example.com', 'api.myapp.com')
  * @returns {boolean}
  */
 function matchDomainPattern(domain, pattern) {
   if (!pattern) return false;
-
-  // Exact match
-  if (domain === pattern) return true;
-
-  // Wildcard pattern (*.example.com matches sub.example.com)
-  if (pattern.startsWith('*.')) {
-    const suffix = pattern.slice(1); // '.example.com'
-    return domain.endsWith(suffix) || domain === pattern.slice(2);
-  }
-
-  return false;
+  return compilePattern(pattern, { target: 'domain' }).test(domain);
 }
 
 // ============================================================================
 // API Tracker - Track all XHR/fetch requests grouped by page domain
 // ============================================================================
 
-// Known multi-part TLDs that should be kept together
-const MULTI_PART_TLDS = ['co.uk', 'co.id', 'co.jp', 'com.au', 'com.br', 'org.uk'];
+// Compiled config.domainGroups, kept per config object (the service worker reuses its snapshot)
+const compiledDomainGroups = new WeakMap();
+
+function getDomainGroupMatchers(domainGroups) {
+  if (!compiledDomainGroups.has(domainGroups)) {
+    compiledDomainGroups.set(domainGroups, Object.entries(domainGroups).map(([pattern, group]) => ({
+      matches: compilePattern(pattern, { target: 'domain' }).test,
+      group
+    })));
+  }
+  return compiledDomainGroups.get(domainGroups);
+}
 
 /**
  * Extract root domain from hostname (e.g., 'app.stockbit.com' -> 'stockbit.com')
+ * Uses the bundled Public Suffix List, so 'me.github.io' stays 'me.github.io' and
+ * 'shop.example.co.kr' becomes 'example.co.kr'
+ * @param {string} hostname
+ * @param {Object} domainGroups - config.domainGroups: { [domain pattern]: group name }, checked first
  */
-export function extractRootDomain(hostname) {
+export function extractRootDomain(hostname, domainGroups = null) {
   if (!hostname) return '';
 
-  // Handle localhost and IP addresses
-  if (hostname === 'localhost' || /^\d+\.\d+\.\d+\.\d+$/.test(hostname)) {
-    return hostname;
+  if (domainGroups) {
+    const override = getDomainGroupMatchers(domainGroups).find(({ matches }) => matches(hostname));
+    if (override) return override.group;
   }
 
-  const parts = hostname.split('.');
-
-  // Single part domain
-  if (parts.length <= 2) {
+  // Handle localhost and IP addresses
+  if (hostname === 'localhost' || /^\d+\.\d+\.\d+\.\d+$/.test(hostname) || hostname.includes(':')) {
     return hostname;
   }
 
-  // Check for multi-part TLDs
-  const lastTwo = parts.slice(-2).join('.');
-  if (MULTI_PART_TLDS.includes(lastTwo)) {
-    return parts.slice(-3).join('.');
-  }
-
-  // Standard case: return last two parts
-  return parts.slice(-2).join('.');
+  // A hostname that is itself a public suffix (or a single label) is its own group
+  return getRegistrableDomain(hostname) || hostname;
 }
 
 /**
@@ -312,13 +1439,8 @@ function detectAuthType(requestHeaders) {
   for (const header of requestHeaders) {
     const headerName = header.name.toLowerCase();
     if (authHeaders.includes(headerName)) {
-      const value = header.value || '';
-      if (value.toLowerCase().startsWith('bearer ')) {
-        return { hasAuth: true, authType: 'bearer' };
-      } else if (value.toLowerCase().startsWith('basic ')) {
-        return { hasAuth: true, authType: 'basic' };
-      }
-      return { hasAuth: true, authType: 'token' };
+      // Same classification as AuthTokenHandler so both tabs agree
+      return { hasAuth: true, authType: classifyCredential(header.name, header.value).tokenType };
     }
   }
 
@@ -329,24 +1451,55 @@ function detectAuthType(requestHeaders) {
  * Get all API tracker data
  */
 export async function getApiTracker() {
-  const result = await chrome.storage.local.get(STORAGE_KEYS.API_TRACKER);
-  return result[STORAGE_KEYS.API_TRACKER] || {};
+  const tracker = {};
+  for (const { domain, ...summary } of await getAllRecords(STORES.API_DOMAINS)) {
+    tracker[domain] = { ...summary, endpoints: {} };
+  }
+  for (const record of await getAllRecords(STORES.ENDPOINTS)) {
+    const { id: _id, pageDomain, endpointKey, ...endpoint } = record;
+    if (tracker[pageDomain]) {
+      tracker[pageDomain].endpoints[endpointKey] = endpoint;
+    }
+  }
+  return tracker;
+}
+
+// Endpoint records of one page domain, keyed by endpoint key
+async function getDomainEndpoints(pageDomain) {
+  const records = await getAllRecords(STORES.ENDPOINTS, { index: 'pageDomainLastSeen', value: pageDomain });
+  return Object.fromEntries(records.map(({ id: _id, pageDomain: _pageDomain, endpointKey, ...endpoint }) => [endpointKey, endpoint]));
+}
+
+function toEndpointRecord(pageDomain, endpointKey, endpoint) {
+  return { ...endpoint, id: getEndpointRecordId(pageDomain, endpointKey), pageDomain, endpointKey };
+}
+
+// Remove page domains together with their endpoints
+async function removeApiDomains(batch, pageDomains) {
+  for (const pageDomain of pageDomains) {
+    const records = await batch.getAll(STORES.ENDPOINTS, { index: 'pageDomainLastSeen', value: pageDomain });
+    records.forEach(record => batch.delete(STORES.ENDPOINTS, record.id));
+    batch.delete(STORES.API_DOMAINS, pageDomain);
+  }
 }
 
 /**
  * Get API tracker data for a specific domain
  */
 export async function getApiTrackerForDomain(pageDomain) {
-  const tracker = await getApiTracker();
-  return tracker[pageDomain] || null;
+  const record = await getRecord(STORES.API_DOMAINS, pageDomain);
+  if (!record) return null;
+
+  const { domain: _domain, ...summary } = record;
+  return { ...summary, endpoints: await getDomainEndpoints(pageDomain) };
 }
 
 /**
  * Get list of tracked domains sorted by last visited
  */
 export async function getTrackedDomains() {
-  const tracker = await getApiTracker();
-  const domains = Object.entries(tracker).map(([domain, data]) => ({
+  const records = await getAllRecords(STORES.API_DOMAINS);
+  const domains = records.map(({ domain, ...data }) => ({
     domain,
     displayName: data.displayName,
     lastVisited: data.lastVisited,
@@ -396,6 +1549,94 @@ function mergeParamExamples(existing, newParams) {
   return merged;
 }
 
+/**
+ * Build the endpoint key used to group requests (api domain + normalized path + method)
+ */
+function getEndpointKey(parsedUrl, method) {
+  return `${parsedUrl.hostname}::${normalizeApiPath(parsedUrl.pathname)}::${method}`;
+}
+
+const MAX_LATENCY_SAMPLES = 50; // Recent durations kept per endpoint for p95
+
+/**
+ * Fold one response into an endpoint's status histogram, error count and latency stats
+ */
+function applyApiResponse(endpoint, { statusCode, error, duration }) {
+  if (statusCode) {
+    endpoint.statusCodes = endpoint.statusCodes || {};
+    endpoint.statusCodes[statusCode] = (endpoint.statusCodes[statusCode] || 0) + 1;
+  }
+
+  // 4xx/5xx responses and network failures (no response at all) both count as errors
+  const isError = Boolean(error) || statusCode >= 400;
+  if (isError) {
+    endpoint.errorCount = (endpoint.errorCount || 0) + 1;
+    endpoint.lastError = error || `HTTP ${statusCode}`;
+    endpoint.lastErrorAt = Date.now();
+  }
+
+  if (Number.isFinite(duration) && duration >= 0) {
+    const timing = endpoint.timing || { count: 0, total: 0, min: duration, max: duration, samples: [] };
+    timing.count++;
+    timing.total += duration;
+    timing.min = Math.min(timing.min, duration);
+    timing.max = Math.max(timing.max, duration);
+    timing.avg = Math.round(timing.total / timing.count);
+
+    timing.samples.push(duration);
+    if (timing.samples.length > MAX_LATENCY_SAMPLES) {
+      timing.samples.splice(0, timing.samples.length - MAX_LATENCY_SAMPLES);
+    }
+    timing.p95 = percentile(timing.samples, 95);
+
+    endpoint.timing = timing;
+  }
+
+  return isError;
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Record the outcome of a tracked API request (status code, network error, latency)
+ * Correlated by the service worker from onCompleted/onErrorOccurred via requestId
+ */
+export async function recordApiResponse(pageDomain, responseDetails) {
+  const { url, method } = responseDetails;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return; // Invalid URL, skip
+  }
+
+  await queueWrite(async batch => {
+    const domainData = await batch.get(STORES.API_DOMAINS, pageDomain);
+    const endpoint = domainData && await batch.get(
+      STORES.ENDPOINTS,
+      getEndpointRecordId(pageDomain, getEndpointKey(parsedUrl, method))
+    );
+
+    // Endpoint was evicted (LRU) or cleared while the request was in flight
+    if (!endpoint) return;
+
+    if (applyApiResponse(endpoint, responseDetails)) {
+      domainData.stats.errorCount = (domainData.stats.errorCount || 0) + 1;
+      batch.put(STORES.API_DOMAINS, domainData);
+    }
+
+    batch.put(STORES.ENDPOINTS, endpoint);
+  });
+}
+
 /**
  * Track an API request
  */
@@ -416,18 +1657,26 @@ export async function trackApiRequest(pageDomain, requestDetails) {
   const queryParamExamples = extractQueryParamsWithValues(parsedUrl.searchParams);
   const { hasAuth, authType } = detectAuthType(requestHeaders);
 
-  const endpointKey = `${apiDomain}::${normalizedPath}::${method}`;
-  const now = Date.now();
+  const endpointKey = getEndpointKey(parsedUrl, method);
 
-  const tracker = await getApiTracker();
+  await queueWrite(batch => applyApiRequest(batch, pageDomain, {
+    url, method, apiDomain, path, normalizedPath, queryParams, queryParamExamples, hasAuth, authType, endpointKey
+  }));
+}
+
+async function applyApiRequest(batch, pageDomain, request) {
+  const { url, method, apiDomain, path, normalizedPath, queryParams, queryParamExamples, hasAuth, authType, endpointKey } = request;
+  const now = Date.now();
 
   // Initialize domain if not exists
-  if (!tracker[pageDomain]) {
-    tracker[pageDomain] = {
+  let domainData = await batch.get(STORES.API_DOMAINS, pageDomain);
+  const isNewDomain = !domainData;
+  if (isNewDomain) {
+    domainData = {
+      domain: pageDomain,
       displayName: pageDomain,
       lastVisited: now,
       totalRequests: 0,
-      endpoints: {},
       stats: {
         uniqueEndpoints: 0,
         byApiDomain: {},
@@ -436,14 +1685,13 @@ export async function trackApiRequest(pageDomain, requestDetails) {
     };
   }
 
-  const domainData = tracker[pageDomain];
   domainData.lastVisited = now;
   domainData.totalRequests++;
 
   // Check if endpoint exists
-  if (domainData.endpoints[endpointKey]) {
+  let endpoint = await batch.get(STORES.ENDPOINTS, getEndpointRecordId(pageDomain, endpointKey));
+  if (endpoint) {
     // Update existing endpoint
-    const endpoint = domainData.endpoints[endpointKey];
     endpoint.count++;
     endpoint.lastSeen = now;
 
@@ -473,16 +1721,15 @@ export async function trackApiRequest(pageDomain, requestDetails) {
     }
   } else {
     // Check endpoint limit
-    const endpointCount = Object.keys(domainData.endpoints).length;
+    const endpointCount = await batch.count(STORES.ENDPOINTS, { index: 'pageDomainLastSeen', value: pageDomain });
     if (endpointCount >= MAX_ENDPOINTS_PER_DOMAIN) {
-      // Remove oldest endpoint (LRU)
-      const oldestKey = Object.entries(domainData.endpoints)
-        .sort(([, a], [, b]) => a.lastSeen - b.lastSeen)[0][0];
-      delete domainData.endpoints[oldestKey];
+      // Remove the least recently seen endpoint (LRU) - first in the index
+      const [oldest] = await batch.getAll(STORES.ENDPOINTS, { index: 'pageDomainLastSeen', value: pageDomain, limit: 1 });
+      batch.delete(STORES.ENDPOINTS, oldest.id);
     }
 
     // Create new endpoint
-    domainData.endpoints[endpointKey] = {
+    endpoint = toEndpointRecord(pageDomain, endpointKey, {
       apiDomain,
       path,
       normalizedPath,
@@ -496,38 +1743,38 @@ export async function trackApiRequest(pageDomain, requestDetails) {
       lastSeen: now,
       exampleUrl: url,
       exampleUrls: [url]
-    };
+    });
 
     // Update stats
-    domainData.stats.uniqueEndpoints = Object.keys(domainData.endpoints).length;
+    domainData.stats.uniqueEndpoints = Math.min(endpointCount + 1, MAX_ENDPOINTS_PER_DOMAIN);
     domainData.stats.byApiDomain[apiDomain] = (domainData.stats.byApiDomain[apiDomain] || 0) + 1;
   }
 
   // Update method stats
   domainData.stats.byMethod[method] = (domainData.stats.byMethod[method] || 0) + 1;
 
+  batch.put(STORES.API_DOMAINS, domainData);
+  batch.put(STORES.ENDPOINTS, endpoint);
+
   // Check domain limit
-  const domainCount = Object.keys(tracker).length;
-  if (domainCount > MAX_TRACKED_DOMAINS) {
+  if (isNewDomain && await batch.count(STORES.API_DOMAINS) > MAX_TRACKED_DOMAINS) {
     // Remove oldest domain (LRU)
-    const oldestDomain = Object.entries(tracker)
-      .filter(([d]) => d !== pageDomain)
-      .sort(([, a], [, b]) => a.lastVisited - b.lastVisited)[0][0];
-    delete tracker[oldestDomain];
+    const oldest = (await batch.getAll(STORES.API_DOMAINS, { index: 'lastVisited' }))
+      .find(record => record.domain !== pageDomain);
+    await removeApiDomains(batch, [oldest.domain]);
   }
-
-  await chrome.storage.local.set({ [STORAGE_KEYS.API_TRACKER]: tracker });
 }
 
 /**
  * Clear API tracker data
  */
 export async function clearApiTracker(pageDomain = null) {
-  if (pageDomain) {
-    const tracker = await getApiTracker();
-    delete tracker[pageDomain];
-    await chrome.storage.local.set({ [STORAGE_KEYS.API_TRACKER]: tracker });
-  } else {
-    await chrome.storage.local.set({ [STORAGE_KEYS.API_TRACKER]: {} });
-  }
+  await queueWrite(async batch => {
+    if (pageDomain) {
+      await removeApiDomains(batch, [pageDomain]);
+    } else {
+      batch.clear(STORES.ENDPOINTS);
+      batch.clear(STORES.API_DOMAINS);
+    }
+  });
 }
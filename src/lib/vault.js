@@ -0,0 +1,352 @@
+// Browser Inspector - Passphrase vault for encrypting stored secrets at rest
+// 100% LOCAL - keys never leave the browser; only WebCrypto is used
+//
+// Values are sealed with a vault public key (ECDH P-256 + AES-GCM), so new captures are
+// encrypted even while the vault is locked. The matching private key is stored encrypted
+// with an AES-GCM key derived from the passphrase via PBKDF2, and only held in memory
+// (and chrome.storage.session, which is never written to disk) while unlocked.
+//
+// Values are fingerprinted with HMAC-SHA-256 under a random key stored sealed in the vault meta, so
+// rotation can be detected without opening them. Once the vault has been unlocked the fingerprint key
+// stays in chrome.storage.session until the browser closes, so captures made after an idle lock are
+// still compared; before the first unlock of a browser session values can't be fingerprinted.
+
+const VAULT_STORAGE_KEY = 'vault';
+const SESSION_STORAGE_KEY = 'vaultSession';
+const FINGERPRINT_SESSION_KEY = 'vaultFingerprintKey';
+
+export const VAULT_LOCK_ALARM = 'vault-lock';
+export const DEFAULT_PBKDF2_ITERATIONS = 600000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+const AES_PARAMS = { name: 'AES-GCM', length: 256 };
+const HMAC_PARAMS = { name: 'HMAC', hash: 'SHA-256' };
+
+// Unlocked state - cleared by lockVault()
+let privateKey = null;
+let lastActivityAt = 0;
+let lockAfterMs = 15 * 60 * 1000;
+
+// Derived AES keys by ephemeral public key - history and expired entries reuse envelopes
+const openKeyCache = new Map();
+let publicKeyCache = null;
+// Fingerprint key { id, key } - outlives the unlocked state (see above), cleared by resetVault()
+let fingerprintKey = null;
+
+/**
+ * Set the idle timeout after which the vault locks itself (0 disables idle locking)
+ */
+export function setVaultLockMinutes(minutes) {
+  const value = Number(minutes);
+  lockAfterMs = Number.isFinite(value) && value > 0 ? value * 60 * 1000 : 0;
+}
+
+export async function getVaultMeta() {
+  const result = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  return result[VAULT_STORAGE_KEY] || null;
+}
+
+export async function isVaultEnabled() {
+  return (await getVaultMeta()) !== null;
+}
+
+/**
+ * @returns {Promise<{ enabled: boolean, locked: boolean, lockMinutes: number }>}
+ */
+export async function getVaultStatus() {
+  const enabled = await isVaultEnabled();
+  const unlocked = enabled && (await getPrivateKey()) !== null;
+  return { enabled, locked: enabled && !unlocked, lockMinutes: lockAfterMs / 60000 };
+}
+
+/**
+ * Create the vault - generates the key pair and leaves the vault unlocked
+ * @param {string} passphrase
+ * @param {Object} options - { iterations } (PBKDF2 rounds, mainly lowered in tests)
+ */
+export async function setupVault(passphrase, { iterations = DEFAULT_PBKDF2_ITERATIONS } = {}) {
+  if (await isVaultEnabled()) {
+    throw new Error('Vault is already set up');
+  }
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const subtle = crypto.subtle;
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const keyPair = await subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+  const wrappingKey = await derivePassphraseKey(passphrase, salt, iterations);
+
+  const pkcs8 = await subtle.exportKey('pkcs8', keyPair.privateKey);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encryptedPrivateKey = await subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, pkcs8);
+
+  const meta = {
+    version: 2,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    publicKey: toBase64(await subtle.exportKey('raw', keyPair.publicKey)),
+    privateKey: { iv: toBase64(iv), data: toBase64(encryptedPrivateKey) },
+    createdAt: Date.now()
+  };
+  meta.fingerprintKey = await sealWith(meta, toBase64(crypto.getRandomValues(new Uint8Array(32))));
+
+  await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: meta });
+  await setUnlocked(keyPair.privateKey, pkcs8);
+  await getFingerprintKey(meta);
+  return meta;
+}
+
+/**
+ * Unlock with the passphrase
+ * @returns {Promise<boolean>} - false when the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+  const meta = await getVaultMeta();
+  if (!meta) return false;
+
+  let pkcs8;
+  try {
+    const wrappingKey = await derivePassphraseKey(passphrase || '', fromBase64(meta.kdf.salt), meta.kdf.iterations);
+    pkcs8 = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(meta.privateKey.iv) },
+      wrappingKey,
+      fromBase64(meta.privateKey.data)
+    );
+  } catch {
+    return false; // AES-GCM authentication fails for a wrong passphrase
+  }
+
+  const key = await crypto.subtle.importKey('pkcs8', pkcs8, ECDH_PARAMS, false, ['deriveKey']);
+  await setUnlocked(key, pkcs8);
+
+  // Vaults set up before fingerprints were keyed get their key on the next unlock
+  if (!meta.fingerprintKey) {
+    meta.fingerprintKey = await sealWith(meta, toBase64(crypto.getRandomValues(new Uint8Array(32))));
+    meta.version = 2;
+    await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: meta });
+  }
+  await getFingerprintKey(meta);
+  return true;
+}
+
+export async function lockVault() {
+  privateKey = null;
+  lastActivityAt = 0;
+  openKeyCache.clear();
+  await chrome.storage.session?.remove(SESSION_STORAGE_KEY);
+  await chrome.alarms.clear(VAULT_LOCK_ALARM);
+}
+
+/**
+ * Remove the vault entirely - sealed values can no longer be opened afterwards
+ */
+export async function resetVault() {
+  await lockVault();
+  publicKeyCache = null;
+  fingerprintKey = null;
+  await chrome.storage.session?.remove(FINGERPRINT_SESSION_KEY);
+  await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+}
+
+/**
+ * Record popup activity, pushing the idle lock back
+ * An already-idle vault is locked first so activity can't revive it
+ */
+export async function touchVault(now = Date.now()) {
+  const key = await getPrivateKey(now);
+  if (!key) return;
+
+  lastActivityAt = now;
+  await chrome.storage.session?.set({
+    [SESSION_STORAGE_KEY]: { ...(await getSession()), lastActivityAt: now }
+  });
+  await scheduleLockAlarm(now);
+}
+
+/**
+ * Handle the idle-lock alarm
+ * @returns {Promise<boolean>} - Whether the vault was locked
+ */
+export async function handleVaultLockAlarm(alarm, now = Date.now()) {
+  if (alarm?.name !== VAULT_LOCK_ALARM) return false;
+
+  await getPrivateKey(now); // Locks when idle for too long
+  if (privateKey) {
+    await scheduleLockAlarm(now); // Fired early (alarms are coarse) - try again later
+    return false;
+  }
+  return true;
+}
+
+export function isSealed(value) {
+  return !!value && typeof value === 'object' && value.sealed === 1;
+}
+
+/**
+ * Encrypt a string with the vault public key (works while locked)
+ * Returns the value unchanged when no vault is set up
+ */
+export async function sealValue(plaintext) {
+  if (plaintext === undefined || plaintext === null || isSealed(plaintext)) return plaintext;
+
+  const meta = await getVaultMeta();
+  if (!meta) return plaintext;
+  return sealWith(meta, plaintext);
+}
+
+/**
+ * Decrypt a sealed value
+ * @returns {Promise<string|null>} - Plaintext, or null while the vault is locked
+ */
+export async function openValue(envelope) {
+  if (!isSealed(envelope)) return envelope;
+
+  const key = await getPrivateKey();
+  if (!key) return null;
+
+  let aesKey = openKeyCache.get(envelope.epk);
+  if (!aesKey) {
+    const ephemeralPublic = await crypto.subtle.importKey('raw', fromBase64(envelope.epk), ECDH_PARAMS, false, []);
+    aesKey = await crypto.subtle.deriveKey({ name: 'ECDH', public: ephemeralPublic }, key, AES_PARAMS, false, ['decrypt']);
+    openKeyCache.set(envelope.epk, aesKey);
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+    aesKey,
+    fromBase64(envelope.data)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * HMAC-SHA-256 of a value under the vault's fingerprint key, so rotation can be detected
+ * without opening sealed values
+ * @returns {Promise<string|null>} - null without a vault, or before its first unlock this browser session
+ */
+export async function fingerprintValue(value) {
+  const meta = await getVaultMeta();
+  if (!meta || value === undefined || value === null) return null;
+
+  const key = await getFingerprintKey(meta);
+  if (!key) return null;
+
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(String(value)));
+  return toBase64(signature);
+}
+
+// Encrypt to the vault public key (ephemeral ECDH + AES-GCM)
+async function sealWith(meta, plaintext) {
+  const subtle = crypto.subtle;
+  const ephemeral = await subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+  const aesKey = await subtle.deriveKey(
+    { name: 'ECDH', public: await getPublicKey(meta) },
+    ephemeral.privateKey,
+    AES_PARAMS,
+    false,
+    ['encrypt']
+  );
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, new TextEncoder().encode(String(plaintext)));
+
+  return {
+    sealed: 1,
+    epk: toBase64(await subtle.exportKey('raw', ephemeral.publicKey)),
+    iv: toBase64(iv),
+    data: toBase64(data)
+  };
+}
+
+// Fingerprint key from memory or the session, else opened from the meta (needs the vault unlocked)
+// Both copies are tagged with the sealed key they came from, so a reset vault's key is never reused
+async function getFingerprintKey(meta) {
+  if (!meta.fingerprintKey) return null;
+  if (fingerprintKey?.id === meta.fingerprintKey.data) return fingerprintKey.key;
+
+  let raw = chrome.storage.session
+    ? (await chrome.storage.session.get(FINGERPRINT_SESSION_KEY))[FINGERPRINT_SESSION_KEY]
+    : null;
+  if (raw?.id !== meta.fingerprintKey.data) {
+    const opened = await openValue(meta.fingerprintKey);
+    if (opened === null) return null;
+    raw = { id: meta.fingerprintKey.data, key: opened };
+    await chrome.storage.session?.set({ [FINGERPRINT_SESSION_KEY]: raw });
+  }
+
+  const key = await crypto.subtle.importKey('raw', fromBase64(raw.key), HMAC_PARAMS, false, ['sign']);
+  fingerprintKey = { id: raw.id, key };
+  return key;
+}
+
+// Private key while unlocked and not idle; restores it from the session after a worker restart
+async function getPrivateKey(now = Date.now()) {
+  if (!privateKey) {
+    const session = await getSession();
+    if (session?.privateKey) {
+      privateKey = await crypto.subtle.importKey('pkcs8', fromBase64(session.privateKey), ECDH_PARAMS, false, ['deriveKey']);
+      lastActivityAt = session.lastActivityAt || now;
+    }
+  }
+
+  if (privateKey && lockAfterMs > 0 && now - lastActivityAt > lockAfterMs) {
+    await lockVault();
+  }
+
+  return privateKey;
+}
+
+async function setUnlocked(key, pkcs8) {
+  privateKey = key;
+  lastActivityAt = Date.now();
+  openKeyCache.clear();
+  await chrome.storage.session?.set({
+    [SESSION_STORAGE_KEY]: { privateKey: toBase64(pkcs8), lastActivityAt }
+  });
+  await scheduleLockAlarm(lastActivityAt);
+}
+
+async function getSession() {
+  if (!chrome.storage.session) return null;
+  const result = await chrome.storage.session.get(SESSION_STORAGE_KEY);
+  return result[SESSION_STORAGE_KEY] || null;
+}
+
+async function scheduleLockAlarm(now) {
+  if (lockAfterMs > 0) {
+    await chrome.alarms.create(VAULT_LOCK_ALARM, { when: now + lockAfterMs });
+  }
+}
+
+async function getPublicKey(meta) {
+  if (publicKeyCache?.raw !== meta.publicKey) {
+    const key = await crypto.subtle.importKey('raw', fromBase64(meta.publicKey), ECDH_PARAMS, false, []);
+    publicKeyCache = { raw: meta.publicKey, key };
+  }
+  return publicKeyCache.key;
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    AES_PARAMS,
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
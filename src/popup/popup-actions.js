@@ -1,6 +1,7 @@
 // Popup actions - user interaction handlers for copy, delete, and toggle operations
 
 import { sendMessage, showToast } from './popup-utils.js';
+import { SNIPPET_FORMATS, getCapturedRequest, buildSnippet } from './popup-snippets.js';
 
 // Copy value to clipboard
 export async function copyValue(elements, value, format = 'raw') {
@@ -12,7 +13,8 @@ export async function copyValue(elements, value, format = 'raw') {
       'curl': 'Copied cURL',
       'bearer-only': 'Copied token'
     };
-    showToast(elements, labels[format] || 'Copied to clipboard');
+    const snippetLabel = SNIPPET_FORMATS[format] && `Copied ${SNIPPET_FORMATS[format].label} snippet`;
+    showToast(elements, labels[format] || snippetLabel || 'Copied to clipboard');
   } catch (err) {
     console.error('Copy failed:', err);
     showToast(elements, 'Copy failed');
@@ -34,13 +36,15 @@ export function getCopyOptions(data) {
     });
   }
 
-  // Add cURL format
+  // Add code snippets that replay the source request
   if (data.source?.domain) {
-    options.push({
-      format: 'curl',
-      label: 'cURL Command',
-      icon: '⌘'
-    });
+    for (const [format, snippet] of Object.entries(SNIPPET_FORMATS)) {
+      options.push({
+        format,
+        label: format === 'curl' ? 'cURL Command' : snippet.label,
+        icon: '⌘'
+      });
+    }
   }
 
   // Add Bearer format if it's a bearer token
@@ -64,35 +68,20 @@ export function formatCopyValue(data, format) {
     case 'header':
       return `${data.headerName}: ${data.value}`;
 
-    case 'curl': {
-      const domain = data.source?.domain || 'example.com';
-      const path = data.source?.path || '/';
-      const url = `https://${domain}${path}`;
-
-      if (data.type === 'auth-token') {
-        return `curl -X GET "${url}" \\\n  -H "${data.headerName || 'Authorization'}: ${data.value}"`;
-      } else if (data.type === 'cookie') {
-        return `curl -X GET "${url}" \\\n  -H "Cookie: ${data.cookieName}=${data.value}"`;
-      } else if (data.type === 'query-param') {
-        const urlWithParam = `${url}?${data.paramName}=${data.value}`;
-        return `curl -X GET "${urlWithParam}"`;
-      }
-      return `curl -X GET "${url}"`;
-    }
-
     case 'bearer-only':
       // Remove "Bearer " prefix if present
       return data.value.replace(/^bearer\s+/i, '');
 
     default:
+      if (SNIPPET_FORMATS[format]) {
+        return buildSnippet(getCapturedRequest(data), format);
+      }
       return data.value;
   }
 }
 
-// Show copy format menu
-export function showCopyMenu(event, data, key, elements, onCopy) {
-  event.stopPropagation();
-
+// Open a format menu under the button that was clicked; onSelect returns the text to copy
+function openFormatMenu(anchor, options, onSelect, onCopy) {
   // Remove any existing menu
   const existingMenu = document.querySelector('.copy-menu');
   if (existingMenu) existingMenu.remove();
@@ -100,8 +89,6 @@ export function showCopyMenu(event, data, key, elements, onCopy) {
   const menu = document.createElement('div');
   menu.className = 'copy-menu';
 
-  const options = getCopyOptions(data);
-
   menu.innerHTML = options.map(opt => `
     <button class="copy-menu-item" data-format="${opt.format}">
       <span class="copy-menu-icon">${opt.icon}</span>
@@ -110,7 +97,7 @@ export function showCopyMenu(event, data, key, elements, onCopy) {
   `).join('');
 
   // Position menu
-  const rect = event.target.closest('.copy-btn').getBoundingClientRect();
+  const rect = anchor.getBoundingClientRect();
   menu.style.position = 'fixed';
   menu.style.top = `${rect.bottom + 4}px`;
   menu.style.right = `${window.innerWidth - rect.right}px`;
@@ -121,7 +108,7 @@ export function showCopyMenu(event, data, key, elements, onCopy) {
   menu.querySelectorAll('.copy-menu-item').forEach(item => {
     item.addEventListener('click', async () => {
       const format = item.dataset.format;
-      const text = formatCopyValue(data, format);
+      const text = onSelect(format);
       await onCopy(text, format);
       menu.remove();
     });
@@ -139,6 +126,19 @@ export function showCopyMenu(event, data, key, elements, onCopy) {
   }, 0);
 }
 
+// Show copy format menu
+export function showCopyMenu(event, data, key, elements, onCopy) {
+  event.stopPropagation();
+  openFormatMenu(event.target.closest('.copy-btn'), getCopyOptions(data), format => formatCopyValue(data, format), onCopy);
+}
+
+// Show code snippet menu for a request (API Tracker endpoint rows)
+export function showSnippetMenu(event, request, onCopy) {
+  event.stopPropagation();
+  const options = Object.entries(SNIPPET_FORMATS).map(([format, snippet]) => ({ format, label: snippet.label, icon: '⌘' }));
+  openFormatMenu(event.target.closest('.api-snippet-btn'), options, format => buildSnippet(request, format), onCopy);
+}
+
 // Remove a captured item
 export async function removeItem(key) {
   return await sendMessage({ type: 'REMOVE_ITEM', key });
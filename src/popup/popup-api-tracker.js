@@ -1,12 +1,33 @@
 // Popup API Tracker - UI for displaying tracked API requests
 
-import { sendMessage, showToast, escapeHtml, getTimeAgo } from './popup-utils.js';
+import { sendMessage, showToast, escapeHtml, getTimeAgo, downloadFile, getDateString, getExtensionVersion } from './popup-utils.js';
+import { getCredentialLabel } from '../lib/credential-types.js';
+import { buildOpenApiDocument } from './popup-openapi.js';
+import { buildPostmanCollection, buildInsomniaExport } from './popup-collections.js';
+import { buildHar } from '../lib/har.js';
+import { getEndpointRequest } from './popup-snippets.js';
+import { showSnippetMenu } from './popup-actions.js';
+
+// Export formats offered next to the export buttons - each one converts the JSON export.
+// Formats with usesCredentials can carry captured tokens when the user opts in
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', convert: data => data },
+  openapi: { label: 'OpenAPI 3.1', extension: 'openapi.json', convert: buildOpenApiDocument },
+  postman: { label: 'Postman v2.1', extension: 'postman_collection.json', convert: buildPostmanCollection, usesCredentials: true },
+  insomnia: { label: 'Insomnia v4', extension: 'insomnia.json', convert: buildInsomniaExport, usesCredentials: true },
+  har: { label: 'HAR 1.2', extension: 'har', convert: data => buildHar(toHarRecords(data), { creatorVersion: getExtensionVersion() }) }
+};
 
 /**
- * Export API tracker data as JSON file
+ * Export API tracker data as a file
+ * @param {Object} elements
+ * @param {string|null} domain - Page domain, or null for every domain
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - { includeTokens } puts captured tokens in place of placeholders
  */
-export async function exportApiTrackerData(elements, domain = null) {
+export async function exportApiTrackerData(elements, domain = null, format = 'json', { includeTokens = false } = {}) {
   try {
+    const exporter = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
     let data;
     let filename;
 
@@ -19,7 +40,7 @@ export async function exportApiTrackerData(elements, domain = null) {
       }
       // Format for analysis
       data = formatDomainDataForExport(domain, data);
-      filename = `api-tracker-${domain}-${getDateString()}.json`;
+      filename = `api-tracker-${domain}-${getDateString()}.${exporter.extension}`;
     } else {
       // Export all domains
       const tracker = await sendMessage({ type: 'GET_API_TRACKER' });
@@ -28,19 +49,13 @@ export async function exportApiTrackerData(elements, domain = null) {
         return;
       }
       data = formatAllDataForExport(tracker);
-      filename = `api-tracker-all-${getDateString()}.json`;
+      filename = `api-tracker-all-${getDateString()}.${exporter.extension}`;
     }
 
-    // Create and download file
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const credentials = includeTokens && exporter.usesCredentials ? await getCapturedCredentials() : undefined;
+    data = exporter.convert(data, { credentials });
+
+    downloadFile(filename, JSON.stringify(data, null, 2));
 
     showToast(elements, `Exported to ${filename}`);
   } catch (error) {
@@ -49,16 +64,59 @@ export async function exportApiTrackerData(elements, domain = null) {
   }
 }
 
-function getDateString() {
-  const now = new Date();
-  return now.toISOString().slice(0, 10).replace(/-/g, '');
+/**
+ * One HAR record per tracked example URL, with the endpoint's most frequent status and average latency
+ * No headers are tracked, so the HAR carries no credentials
+ */
+function toHarRecords(data) {
+  const domains = data.exportType === 'all-domains' ? data.domains : [data];
+
+  return domains.flatMap(domainData => domainData.endpoints).flatMap(endpoint => {
+    const [statusCode] = Object.entries(endpoint.stats.statusCodes)
+      .sort((a, b) => b[1] - a[1])
+      .map(([code]) => Number(code));
+
+    return endpoint.exampleUrls.filter(Boolean).map(url => ({
+      method: endpoint.method,
+      url,
+      resourceType: 'xmlhttprequest',
+      timestamp: Date.parse(endpoint.stats.lastSeen),
+      statusCode,
+      duration: endpoint.stats.latency?.avg
+    }));
+  });
+}
+
+/**
+ * Latest captured auth token per API domain, for exports the user asked to include tokens in
+ * Values sealed by a locked vault are skipped
+ */
+async function getCapturedCredentials() {
+  const captured = await sendMessage({ type: 'GET_CAPTURED_DATA' }) || {};
+  const credentials = {};
+
+  for (const item of Object.values(captured)) {
+    const apiDomain = item.source?.domain;
+    if (item.type !== 'auth-token' || !item.value || !apiDomain) continue;
+
+    const current = credentials[apiDomain];
+    if (!current || (item.capturedAt || 0) > current.capturedAt) {
+      credentials[apiDomain] = {
+        tokenType: item.tokenType,
+        value: item.value,
+        headerName: item.headerName,
+        capturedAt: item.capturedAt || 0
+      };
+    }
+  }
+  return credentials;
 }
 
 /**
  * Format single domain data for export/analysis
  * Note: Only auth type is included, not actual tokens
  */
-function formatDomainDataForExport(domain, domainData) {
+export function formatDomainDataForExport(domain, domainData) {
   const endpoints = Object.entries(domainData.endpoints || {}).map(([key, ep]) => ({
     id: key,
     method: ep.method,
@@ -75,7 +133,11 @@ function formatDomainDataForExport(domain, domainData) {
     stats: {
       callCount: ep.count,
       firstSeen: new Date(ep.firstSeen).toISOString(),
-      lastSeen: new Date(ep.lastSeen).toISOString()
+      lastSeen: new Date(ep.lastSeen).toISOString(),
+      statusCodes: ep.statusCodes || {},
+      errorCount: ep.errorCount || 0,
+      lastError: ep.lastError || null,
+      latency: formatLatencyForExport(ep.timing)
     }
   }));
 
@@ -91,16 +153,32 @@ function formatDomainDataForExport(domain, domainData) {
       totalRequests: domainData.totalRequests,
       lastVisited: new Date(domainData.lastVisited).toISOString(),
       methodBreakdown: domainData.stats?.byMethod || {},
+      errorCount: domainData.stats?.errorCount || 0,
       apiDomains: Object.keys(domainData.stats?.byApiDomain || {})
     },
     endpoints: endpoints
   };
 }
 
+/**
+ * Format latency stats for export (milliseconds, raw samples omitted)
+ */
+function formatLatencyForExport(timing) {
+  if (!timing) return null;
+
+  return {
+    samples: timing.count,
+    min: timing.min,
+    avg: timing.avg,
+    p95: timing.p95,
+    max: timing.max
+  };
+}
+
 /**
  * Format all tracker data for export
  */
-function formatAllDataForExport(tracker) {
+export function formatAllDataForExport(tracker) {
   const domains = Object.entries(tracker).map(([domain, data]) =>
     formatDomainDataForExport(domain, data)
   );
@@ -217,6 +295,10 @@ export function renderApiStats(elements, domainData) {
       <span class="api-stat-label">Total Requests:</span>
       <span class="api-stat-value">${domainData.totalRequests || 0}</span>
     </div>
+    <div class="api-stat-row">
+      <span class="api-stat-label">Errors:</span>
+      <span class="api-stat-value ${stats.errorCount ? 'has-errors' : ''}">${stats.errorCount || 0}</span>
+    </div>
     <div class="api-stat-row">
       <span class="api-stat-label">Methods:</span>
       <span class="api-stat-methods">${methodCounts || 'None'}</span>
@@ -227,7 +309,7 @@ export function renderApiStats(elements, domainData) {
 /**
  * Render endpoint list
  */
-export function renderEndpointList(elements, domainData, searchQuery, onCopyUrl) {
+export function renderEndpointList(elements, domainData, searchQuery, onCopyUrl, onCopySnippet) {
   if (!domainData || !domainData.endpoints) {
     elements.apiEndpointList.innerHTML = `
       <div class="empty-state">
@@ -249,6 +331,7 @@ export function renderEndpointList(elements, domainData, searchQuery, onCopyUrl)
       ep.path.toLowerCase().includes(query) ||
       ep.apiDomain.toLowerCase().includes(query) ||
       ep.method.toLowerCase().includes(query) ||
+      (ep.authType && getCredentialLabel(ep.authType).toLowerCase().includes(query)) ||
       (ep.queryParams || []).some(p => p.toLowerCase().includes(query))
     );
   }
@@ -273,6 +356,15 @@ export function renderEndpointList(elements, domainData, searchQuery, onCopyUrl)
       onCopyUrl(url);
     });
   });
+
+  // Attach code snippet menus
+  const endpointsByKey = new Map(endpoints.map(ep => [ep.key, ep]));
+  elements.apiEndpointList.querySelectorAll('.api-snippet-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const endpoint = endpointsByKey.get(btn.dataset.key);
+      showSnippetMenu(e, getEndpointRequest(endpoint), onCopySnippet);
+    });
+  });
 }
 
 /**
@@ -280,8 +372,17 @@ export function renderEndpointList(elements, domainData, searchQuery, onCopyUrl)
  */
 function createEndpointItemHTML(endpoint) {
   const methodClass = endpoint.method.toLowerCase();
+  const authLabel = endpoint.authType ? getCredentialLabel(endpoint.authType) : 'auth';
   const authBadge = endpoint.hasAuth
-    ? `<span class="auth-badge" title="Requires ${endpoint.authType || 'auth'}">🔐</span>`
+    ? `<span class="auth-badge ${escapeHtml(endpoint.authType || '')}" title="Requires ${escapeHtml(authLabel)}">🔐 ${escapeHtml(authLabel)}</span>`
+    : '';
+
+  const errorBadge = endpoint.errorCount > 0
+    ? `<span class="endpoint-error-badge" title="${escapeHtml(endpoint.lastError || 'Request failed')}">${endpoint.errorCount} err</span>`
+    : '';
+
+  const timing = endpoint.timing
+    ? `<span class="endpoint-timing" title="min ${endpoint.timing.min}ms · max ${endpoint.timing.max}ms">avg ${endpoint.timing.avg}ms · p95 ${endpoint.timing.p95}ms</span>`
     : '';
 
   const params = endpoint.queryParams?.length > 0
@@ -294,11 +395,13 @@ function createEndpointItemHTML(endpoint) {
         <span class="endpoint-method ${methodClass}">${endpoint.method}</span>
         <span class="endpoint-path">${escapeHtml(endpoint.normalizedPath || endpoint.path)}</span>
         ${authBadge}
+        ${errorBadge}
       </div>
       <div class="endpoint-domain">${escapeHtml(endpoint.apiDomain)}</div>
       ${params}
       <div class="endpoint-meta">
         <span class="endpoint-count">${endpoint.count} call${endpoint.count !== 1 ? 's' : ''}</span>
+        ${timing}
         <span class="endpoint-time">${getTimeAgo(endpoint.lastSeen)}</span>
         <button class="api-copy-btn" data-url="${escapeHtml(endpoint.exampleUrl)}" title="Copy example URL">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
@@ -306,6 +409,12 @@ function createEndpointItemHTML(endpoint) {
             <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
           </svg>
         </button>
+        <button class="api-snippet-btn" data-key="${escapeHtml(endpoint.key)}" title="Copy as code">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+            <polyline points="16 18 22 12 16 6"/>
+            <polyline points="8 6 2 12 8 18"/>
+          </svg>
+        </button>
       </div>
     </div>
   `;
@@ -336,10 +445,10 @@ export async function loadApiTracker(elements, state, handlers) {
     });
 
     renderApiStats(elements, domainData);
-    renderEndpointList(elements, domainData, state.apiSearchQuery, handlers.onCopyUrl);
+    renderEndpointList(elements, domainData, state.apiSearchQuery, handlers.onCopyUrl, handlers.onCopySnippet);
   } else {
     renderApiStats(elements, null);
-    renderEndpointList(elements, null, '', handlers.onCopyUrl);
+    renderEndpointList(elements, null, '', handlers.onCopyUrl, handlers.onCopySnippet);
   }
 }
 
@@ -0,0 +1,246 @@
+// Popup collection export - turns the API Tracker export into a Postman or Insomnia collection
+// Built from formatDomainDataForExport() output: one folder per API domain, a base URL variable per
+// folder and collection-level auth that points at a placeholder variable. Real tokens are only
+// filled in when the caller passes the captured credentials (the user opted in).
+
+import { CREDENTIAL_TYPES } from '../lib/credential-types.js';
+import { templatePath } from './popup-openapi.js';
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Where each kind of credential goes in a request, and the variable that holds it
+const AUTH_PLACEHOLDERS = {
+  bearer: { kind: 'bearer', variable: 'bearerToken', placeholder: '<bearer token>' },
+  apiKey: { kind: 'apikey', header: 'X-API-Key', variable: 'apiKey', placeholder: '<api key>' },
+  authorization: { kind: 'apikey', header: 'Authorization', variable: 'authorization', placeholder: '<authorization header value>' }
+};
+
+// Bearer and API keys get their own auth; every other scheme is sent as a whole Authorization header
+export function getAuthPlaceholder(authType) {
+  if (authType === CREDENTIAL_TYPES.BEARER) return AUTH_PLACEHOLDERS.bearer;
+  if (authType === CREDENTIAL_TYPES.API_KEY) return AUTH_PLACEHOLDERS.apiKey;
+  return AUTH_PLACEHOLDERS.authorization;
+}
+
+// 'api.example.com' -> 'api_example_com_baseUrl'
+export function getBaseUrlVariable(apiDomain) {
+  return `${apiDomain.replace(/[^a-zA-Z0-9]+/g, '_')}_baseUrl`;
+}
+
+function getBaseUrl(endpoint) {
+  try {
+    return new URL(endpoint.fullUrl).origin;
+  } catch {
+    return `https://${endpoint.apiDomain}`;
+  }
+}
+
+/**
+ * Work out the folders, variables and auth shared by both collection formats
+ * @param {Object} exportData - formatDomainDataForExport() or formatAllDataForExport() output
+ * @param {Object} credentials - { [apiDomain]: { tokenType, value, headerName } }, only when opted in
+ */
+function planCollection(exportData, credentials = {}) {
+  const domains = exportData.exportType === 'all-domains' ? exportData.domains : [exportData];
+  const folders = new Map();
+  const seen = new Set();
+  const authUsage = new Map();
+
+  for (const endpoint of domains.flatMap(domainData => domainData.endpoints)) {
+    // The same endpoint called from several pages is one request
+    const id = `${endpoint.apiDomain}::${endpoint.method}::${endpoint.normalizedPath}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    if (!folders.has(endpoint.apiDomain)) {
+      folders.set(endpoint.apiDomain, {
+        name: endpoint.apiDomain,
+        variable: getBaseUrlVariable(endpoint.apiDomain),
+        baseUrl: getBaseUrl(endpoint),
+        requests: []
+      });
+    }
+
+    const auth = endpoint.authentication?.required ? getAuthPlaceholder(endpoint.authentication.type) : null;
+    if (auth) {
+      const usage = authUsage.get(auth) || { calls: 0, endpoints: [] };
+      usage.calls += endpoint.stats?.callCount || 0;
+      usage.endpoints.push(endpoint);
+      authUsage.set(auth, usage);
+    }
+
+    const { path, parameters } = templatePath(endpoint.normalizedPath, endpoint.path);
+    folders.get(endpoint.apiDomain).requests.push({
+      name: `${endpoint.method} ${path}`,
+      method: endpoint.method,
+      path: endpoint.path,
+      templatedPath: path,
+      pathParameters: parameters.map(param => ({ name: param.name, value: String(param.example ?? '') })),
+      query: (endpoint.parameters || []).map(param => ({ name: param.name, value: param.exampleValues[0] ?? '' })),
+      auth
+    });
+  }
+
+  // The most used kind of auth goes on the collection, any other kind on its requests
+  const [defaultAuth = null] = [...authUsage.entries()].sort((a, b) => b[1].calls - a[1].calls).map(([auth]) => auth);
+
+  const authVariables = [...authUsage.entries()].map(([auth, usage]) => {
+    const credential = usage.endpoints
+      .map(endpoint => credentials[endpoint.apiDomain])
+      .find(found => found?.value && getAuthPlaceholder(found.tokenType) === auth);
+
+    return {
+      ...auth,
+      header: auth.kind === 'apikey' && credential?.headerName ? credential.headerName : auth.header,
+      value: credential ? credential.value : auth.placeholder
+    };
+  });
+
+  return {
+    name: exportData.exportType === 'all-domains' ? 'Browser Inspector APIs' : `${exportData.domain} APIs`,
+    folders: [...folders.values()],
+    defaultAuth,
+    authVariables
+  };
+}
+
+function findAuthVariable(plan, auth) {
+  return plan.authVariables.find(variable => variable.variable === auth.variable);
+}
+
+// ============ Postman Collection v2.1 ============
+
+function toPostmanAuth(variable) {
+  if (variable.kind === 'bearer') {
+    return { type: 'bearer', bearer: [{ key: 'token', value: `{{${variable.variable}}}`, type: 'string' }] };
+  }
+  return {
+    type: 'apikey',
+    apikey: [
+      { key: 'key', value: variable.header, type: 'string' },
+      { key: 'value', value: `{{${variable.variable}}}`, type: 'string' },
+      { key: 'in', value: 'header', type: 'string' }
+    ]
+  };
+}
+
+function toPostmanRequest(plan, folder, request) {
+  // Path parameters become Postman's :name path variables
+  const path = request.templatedPath.split('/').filter(Boolean)
+    .map(segment => segment.replace(/^\{(.+)\}$/, ':$1'));
+  const query = request.query.map(param => ({ key: param.name, value: param.value }));
+  const queryString = query.length > 0 ? `?${query.map(param => `${encodeURIComponent(param.key)}=${encodeURIComponent(param.value)}`).join('&')}` : '';
+
+  const item = {
+    name: request.name,
+    request: {
+      method: request.method,
+      header: [],
+      url: {
+        raw: `{{${folder.variable}}}/${path.join('/')}${queryString}`,
+        host: [`{{${folder.variable}}}`],
+        path,
+        ...(query.length > 0 ? { query } : {}),
+        ...(request.pathParameters.length > 0
+          ? { variable: request.pathParameters.map(param => ({ key: param.name, value: param.value })) }
+          : {})
+      }
+    }
+  };
+
+  if (!request.auth) {
+    item.request.auth = { type: 'noauth' };
+  } else if (request.auth !== plan.defaultAuth) {
+    item.request.auth = toPostmanAuth(findAuthVariable(plan, request.auth));
+  }
+  return item;
+}
+
+/**
+ * Build a Postman Collection v2.1 from exported API Tracker data
+ * @param {Object} exportData - formatDomainDataForExport() or formatAllDataForExport() output
+ * @param {Object} options - { credentials } to use captured tokens instead of placeholders
+ * @returns {Object}
+ */
+export function buildPostmanCollection(exportData, { credentials } = {}) {
+  const plan = planCollection(exportData, credentials);
+
+  return {
+    info: {
+      name: plan.name,
+      description: 'Generated by Browser Inspector from observed requests.',
+      schema: POSTMAN_SCHEMA
+    },
+    item: plan.folders.map(folder => ({
+      name: folder.name,
+      item: folder.requests.map(request => toPostmanRequest(plan, folder, request))
+    })),
+    ...(plan.defaultAuth ? { auth: toPostmanAuth(findAuthVariable(plan, plan.defaultAuth)) } : {}),
+    variable: [
+      ...plan.folders.map(folder => ({ key: folder.variable, value: folder.baseUrl, type: 'string' })),
+      ...plan.authVariables.map(variable => ({ key: variable.variable, value: variable.value, type: 'string' }))
+    ]
+  };
+}
+
+// ============ Insomnia v4 ============
+
+function toInsomniaAuth(variable) {
+  if (variable.kind === 'bearer') {
+    return { type: 'bearer', token: `{{ _.${variable.variable} }}` };
+  }
+  return { type: 'apikey', key: variable.header, value: `{{ _.${variable.variable} }}`, addTo: 'header' };
+}
+
+/**
+ * Build an Insomnia v4 export (workspace, base environment, folders and requests)
+ * Insomnia v4 has no workspace-level auth, so every request points at the shared auth variables
+ * @param {Object} exportData - formatDomainDataForExport() or formatAllDataForExport() output
+ * @param {Object} options - { credentials } to use captured tokens instead of placeholders
+ * @returns {Object}
+ */
+export function buildInsomniaExport(exportData, { credentials } = {}) {
+  const plan = planCollection(exportData, credentials);
+  const workspaceId = 'wrk_browser_inspector';
+  const resources = [
+    { _id: workspaceId, _type: 'workspace', parentId: null, name: plan.name, description: '', scope: 'collection' },
+    {
+      _id: 'env_browser_inspector',
+      _type: 'environment',
+      parentId: workspaceId,
+      name: 'Base Environment',
+      data: Object.fromEntries([
+        ...plan.folders.map(folder => [folder.variable, folder.baseUrl]),
+        ...plan.authVariables.map(variable => [variable.variable, variable.value])
+      ])
+    }
+  ];
+
+  plan.folders.forEach((folder, folderIndex) => {
+    const folderId = `fld_${folderIndex + 1}`;
+    resources.push({ _id: folderId, _type: 'request_group', parentId: workspaceId, name: folder.name, environment: {} });
+
+    folder.requests.forEach((request, requestIndex) => {
+      resources.push({
+        _id: `req_${folderIndex + 1}_${requestIndex + 1}`,
+        _type: 'request',
+        parentId: folderId,
+        name: request.name,
+        method: request.method,
+        url: `{{ _.${folder.variable} }}${request.path}`,
+        parameters: request.query.map(param => ({ name: param.name, value: param.value })),
+        headers: [],
+        body: {},
+        authentication: request.auth ? toInsomniaAuth(findAuthVariable(plan, request.auth)) : {}
+      });
+    });
+  });
+
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_date: exportData.exportedAt || new Date().toISOString(),
+    __export_source: 'browser-inspector',
+    resources
+  };
+}
@@ -0,0 +1,196 @@
+// Popup environment-file export - writes selected captured items as .env, shell exports,
+// a Postman environment or a JSON map, so a CLI or test suite can pick up a new session at once.
+// Variable names come from config.envVariableNames templates, matched per handler type and domain.
+
+import { showToast, downloadFile, getDateString, getExtensionVersion } from './popup-utils.js';
+import { compilePattern } from '../lib/pattern-matcher.js';
+
+const DEFAULT_TEMPLATE = '{domain}_{name}';
+const HANDLER_TYPES = ['auth-token', 'cookie', 'query-param', 'custom'];
+
+// 'api.example.com' -> 'API_EXAMPLE_COM'
+function toEnvName(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// What the value is called where it was captured - an Authorization header holds the token itself
+function getItemName(data) {
+  switch (data.type) {
+    case 'auth-token':
+      return !data.headerName || data.headerName.toLowerCase() === 'authorization' ? 'token' : data.headerName;
+    case 'cookie':
+      return data.cookieName;
+    case 'query-param':
+      return data.paramName;
+    case 'custom':
+      return data.ruleName || data.extractKey;
+    default:
+      return data.displayName || data.type;
+  }
+}
+
+/**
+ * Pick the naming template for an item
+ * Keys are 'type@domain pattern', a domain pattern or a handler type, checked in that order
+ * @param {Object} data - Captured item
+ * @param {Object} names - config.envVariableNames: { [key]: template }
+ * @returns {string}
+ */
+function getNameTemplate(data, names = {}) {
+  const domain = data.source?.domain || '';
+  const matchesDomain = pattern => Boolean(domain) && compilePattern(pattern, { target: 'domain' }).test(domain);
+  const entries = Object.entries(names);
+
+  const scoped = entries.find(([key]) => {
+    const [type, pattern] = key.split('@');
+    return pattern !== undefined && type === data.type && matchesDomain(pattern);
+  });
+  const byDomain = entries.find(([key]) => !key.includes('@') && !HANDLER_TYPES.includes(key) && matchesDomain(key));
+  const byType = entries.find(([key]) => key === data.type);
+
+  return (scoped || byDomain || byType)?.[1] || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Variable name for a captured item, before duplicates are numbered
+ * Templates may use {domain}, {name} and {type}: '{domain}_{name}' -> 'API_EXAMPLE_COM_TOKEN'
+ * @param {Object} data - Captured item
+ * @param {Object} names - config.envVariableNames
+ * @returns {string}
+ */
+export function getEnvVariableName(data, names = {}) {
+  const values = { domain: data.source?.domain || 'unknown', name: getItemName(data), type: data.type };
+  const name = toEnvName(getNameTemplate(data, names).replace(/\{(domain|name|type)\}/g, (_, part) => toEnvName(values[part])));
+  // Environment variable names cannot start with a digit
+  return /^[0-9]/.test(name) ? `_${name}` : (name || 'VALUE');
+}
+
+/**
+ * Turn [key, data] entries into variables, numbering names that come out the same
+ * Values sealed by a locked vault are counted and left out
+ * @param {Array} items - [key, data] entries
+ * @param {Object} names - config.envVariableNames
+ * @returns {{ variables: Array<{ name, value, key, data }>, locked: number }}
+ */
+export function buildEnvVariables(items, names = {}) {
+  const used = new Set();
+  const variables = [];
+  let locked = 0;
+
+  for (const [key, data] of items) {
+    if (data.locked || data.value === null || data.value === undefined) {
+      locked++;
+      continue;
+    }
+
+    const base = getEnvVariableName(data, names);
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}_${n}`;
+    used.add(name);
+
+    variables.push({ name, value: String(data.value), key, data });
+  }
+
+  return { variables, locked };
+}
+
+// ============ Formats ============
+
+function getHeaderLines(exportedAt) {
+  return [
+    `# Browser Inspector credentials - exported ${exportedAt}`,
+    '# Treat this file like the credentials themselves'
+  ];
+}
+
+function describe(variable) {
+  return `# ${variable.data.type} · ${variable.data.source?.domain || 'unknown'}`;
+}
+
+// Plain values stay bare, anything else is quoted the way dotenv parsers read it back
+function dotenvValue(value) {
+  if (/^[A-Za-z0-9_\-.:/+=@~]*$/.test(value)) return value;
+  if (!/['\n\r]/.test(value)) return `'${value}'`;
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+function buildDotenv(variables, { exportedAt }) {
+  const lines = getHeaderLines(exportedAt);
+  for (const variable of variables) {
+    lines.push('', describe(variable), `${variable.name}=${dotenvValue(variable.value)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Single quotes keep $, backticks and backslashes literal in any POSIX shell
+function shellValue(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+function buildShell(variables, { exportedAt, filename }) {
+  const lines = ['#!/bin/sh', ...getHeaderLines(exportedAt), `# Load with: . ./${filename}`];
+  for (const variable of variables) {
+    lines.push('', describe(variable), `export ${variable.name}=${shellValue(variable.value)}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function buildPostmanEnvironment(variables, { exportedAt, creatorVersion }) {
+  return `${JSON.stringify({
+    name: 'Browser Inspector credentials',
+    values: variables.map(variable => ({ key: variable.name, value: variable.value, type: 'secret', enabled: true })),
+    _postman_variable_scope: 'environment',
+    _postman_exported_at: exportedAt,
+    _postman_exported_using: `Browser Inspector${creatorVersion ? `/${creatorVersion}` : ''}`
+  }, null, 2)}\n`;
+}
+
+function buildJsonMap(variables) {
+  return `${JSON.stringify(Object.fromEntries(variables.map(variable => [variable.name, variable.value])), null, 2)}\n`;
+}
+
+// Environment file formats offered in the Captured list's selection bar
+export const ENV_FORMATS = {
+  dotenv: { label: '.env', extension: 'env', type: 'text/plain', build: buildDotenv },
+  shell: { label: 'Shell exports', extension: 'sh', type: 'text/x-sh', build: buildShell },
+  postman: { label: 'Postman environment', extension: 'postman_environment.json', type: 'application/json', build: buildPostmanEnvironment },
+  json: { label: 'JSON map', extension: 'json', type: 'application/json', build: buildJsonMap }
+};
+
+/**
+ * Render variables in one of the ENV_FORMATS
+ * @param {Array} variables - From buildEnvVariables()
+ * @param {string} format - Key of ENV_FORMATS
+ * @param {Object} options - { exportedAt, creatorVersion, filename }
+ * @returns {string}
+ */
+export function buildEnvFile(variables, format, { exportedAt = new Date().toISOString(), creatorVersion = '', filename = '' } = {}) {
+  const exporter = ENV_FORMATS[format];
+  if (!exporter) throw new Error(`Unknown environment format: ${format}`);
+  return exporter.build(variables, { exportedAt, creatorVersion, filename });
+}
+
+/**
+ * Download the selected captured items as an environment file
+ * @param {Object} elements
+ * @param {Array} items - Selected [key, data] entries
+ * @param {Object} config - Uses config.envVariableNames
+ * @param {string} format - Key of ENV_FORMATS
+ * @returns {number} - Number of variables written
+ */
+export function exportEnvFile(elements, items, config = {}, format = 'dotenv') {
+  const exporter = ENV_FORMATS[format] ? format : 'dotenv';
+  const { variables, locked } = buildEnvVariables(items, config.envVariableNames);
+
+  if (variables.length === 0) {
+    showToast(elements, locked > 0 ? 'Unlock the vault to export' : 'Select items to export');
+    return 0;
+  }
+
+  const filename = `credentials-${getDateString()}.${ENV_FORMATS[exporter].extension}`;
+  const text = buildEnvFile(variables, exporter, { creatorVersion: getExtensionVersion(), filename });
+  downloadFile(filename, text, ENV_FORMATS[exporter].type);
+
+  showToast(elements, locked > 0 ? `Exported to ${filename} (${locked} locked skipped)` : `Exported to ${filename}`);
+  return variables.length;
+}
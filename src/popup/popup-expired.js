@@ -0,0 +1,256 @@
+// Popup expired tokens - search, per-domain filter, copy, compare with the live value and bulk delete
+
+import { sendMessage, showToast, escapeHtml, formatTime, formatDuration, highlightMatches } from './popup-utils.js';
+import { getDisplayValue, createCredentialBadgeHTML, createRevealButtonHTML } from './popup-render.js';
+import { decodeJwt } from '../lib/jwt.js';
+import { getCredentialLabel } from '../lib/credential-types.js';
+
+// Entries stored before ids were added are addressed by key and expiry time (matches storage.js)
+export function getExpiredTokenId(entry) {
+  return entry.id || `${entry.key}::${entry.expiredAt}`;
+}
+
+// Domains present in the list, for the domain filter
+export function getExpiredDomains(tokens) {
+  return [...new Set(tokens.map(entry => entry.source?.domain).filter(Boolean))].sort();
+}
+
+// Filter by domain and search query (values are only searched while they are visible)
+export function filterExpiredTokens(tokens, { domain = '', query = '', searchValues = true } = {}) {
+  return tokens.filter(entry => {
+    if (domain && entry.source?.domain !== domain) return false;
+    if (!query) return true;
+
+    const searchableText = [
+      searchValues ? entry.value || '' : '',
+      entry.source?.domain || '',
+      entry.displayName || '',
+      entry.type || '',
+      entry.tokenType ? getCredentialLabel(entry.tokenType) : '',
+      entry.headerName || '',
+      entry.key || ''
+    ].join(' ').toLowerCase();
+
+    return searchableText.includes(query);
+  });
+}
+
+// Decoded JWT claims of a value, or null for opaque values
+function getClaims(value) {
+  if (typeof value !== 'string') return null;
+  return decodeJwt(value.replace(/^bearer\s+/i, ''))?.claims || null;
+}
+
+function formatClaim(value) {
+  if (value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Field-by-field comparison of an expired token with the item currently captured under its key
+ * @returns {Array<{ field: string, expired: string, current: string, changed: boolean }>}
+ */
+export function compareWithCurrent(entry, current, masking = {}) {
+  const rows = [
+    ['value', getDisplayValue(entry.value, masking), getDisplayValue(current.value, masking), entry.value !== current.value],
+    ['captured', formatTime(entry.capturedAt), formatTime(current.capturedAt)],
+    ['expires', formatTime(entry.expiresAt) || '—', formatTime(current.expiresAt) || '—'],
+    ['type', getCredentialLabel(entry.tokenType || entry.type), getCredentialLabel(current.tokenType || current.type)],
+    ['header', entry.headerName || '—', current.headerName || '—']
+  ];
+
+  if (entry.capturedAt && entry.expiredAt && current.capturedAt) {
+    rows.push(['lifetime', formatDuration(entry.expiredAt - entry.capturedAt), `${formatDuration(Date.now() - current.capturedAt)} so far`, false]);
+  }
+
+  // Claim-level diff when both values are JWTs
+  const expiredClaims = getClaims(entry.value);
+  const currentClaims = getClaims(current.value);
+  if (expiredClaims && currentClaims) {
+    const names = [...new Set([...Object.keys(expiredClaims), ...Object.keys(currentClaims)])];
+    for (const name of names) {
+      rows.push([name, formatClaim(expiredClaims[name]), formatClaim(currentClaims[name])]);
+    }
+  }
+
+  return rows.map(([field, expired, currentValue, changed]) => ({
+    field,
+    expired,
+    current: currentValue,
+    changed: changed !== undefined ? changed : expired !== currentValue
+  }));
+}
+
+// Create the comparison table shown under an expired token
+export function createComparisonHTML(entry, current, masking = {}) {
+  if (!current) {
+    return '<div class="expired-compare empty">No live value is captured for this key any more</div>';
+  }
+  if (entry.value === null || current.locked) {
+    return '<div class="expired-compare empty">Unlock the vault to compare values</div>';
+  }
+
+  return `
+    <div class="expired-compare">
+      <span class="compare-head"></span>
+      <span class="compare-head">Expired</span>
+      <span class="compare-head">Current</span>
+      ${compareWithCurrent(entry, current, masking).map(row => `
+        <span class="compare-field">${escapeHtml(row.field)}</span>
+        <span class="compare-value ${row.changed ? 'changed' : ''}">${escapeHtml(row.expired)}</span>
+        <span class="compare-value ${row.changed ? 'changed' : ''}">${escapeHtml(row.current)}</span>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Create a single expired token row
+export function createExpiredItemHTML(entry, { masking = {}, selected = false, searchQuery = '', current, comparing = false } = {}) {
+  const id = getExpiredTokenId(entry);
+  const isMasked = masking.enabled && !masking.revealed;
+  const valueClass = entry.value === null ? 'locked' : (isMasked ? 'masked' : '');
+
+  let displayValue = escapeHtml(getDisplayValue(entry.value, masking));
+  if (searchQuery && !isMasked && entry.value !== null) {
+    displayValue = highlightMatches(displayValue, searchQuery);
+  }
+
+  return `
+    <div class="data-item expired-item ${entry.type || ''} ${selected ? 'selected' : ''}" data-id="${escapeHtml(id)}">
+      <div class="data-item-header">
+        <label class="expired-select-label">
+          <input type="checkbox" class="expired-select" data-id="${escapeHtml(id)}" ${selected ? 'checked' : ''}>
+        </label>
+        <div class="data-item-info">
+          <div class="data-item-type">
+            <span>⌛</span>
+            ${escapeHtml(entry.displayName || entry.type || 'Token')}
+          </div>
+          <div class="data-item-domain">${escapeHtml(entry.source?.domain || entry.key || 'Unknown')}</div>
+        </div>
+        <div class="data-item-actions">
+          ${masking.enabled && entry.value !== null ? createRevealButtonHTML(id, masking.revealed) : ''}
+          <button class="data-item-btn compare-btn ${comparing ? 'active' : ''}" data-id="${escapeHtml(id)}" title="Compare with current" ${current ? '' : 'disabled'}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M16 3h5v5M4 20L21 3M21 16v5h-5M15 15l6 6M4 4l5 5"/>
+            </svg>
+          </button>
+          <button class="data-item-btn copy-btn" data-id="${escapeHtml(id)}" title="Copy">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+              <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+      <div class="data-item-value ${valueClass}">${displayValue}</div>
+      <div class="data-item-meta">
+        <span>Expired ${formatTime(entry.expiredAt)}</span>
+        ${entry.capturedAt && entry.expiredAt ? `<span>lived ${formatDuration(entry.expiredAt - entry.capturedAt)}</span>` : ''}
+        ${entry.headerName ? `<span>◉ ${escapeHtml(entry.headerName)}</span>` : ''}
+        ${createCredentialBadgeHTML(entry.tokenType)}
+      </div>
+      ${comparing ? createComparisonHTML(entry, current, masking) : ''}
+    </div>
+  `;
+}
+
+// Fill the domain filter, keeping the current choice when it still exists
+export function updateExpiredDomainOptions(elements, tokens, selectedDomain = '') {
+  const domains = getExpiredDomains(tokens);
+  elements.expiredDomainSelect.innerHTML = `
+    <option value="">All domains</option>
+    ${domains.map(domain => `
+      <option value="${escapeHtml(domain)}" ${domain === selectedDomain ? 'selected' : ''}>${escapeHtml(domain)}</option>
+    `).join('')}
+  `;
+  return domains.includes(selectedDomain) ? selectedDomain : '';
+}
+
+/**
+ * Render the expired tokens list
+ * @param {Object} state - { tokens, domain, query, selectedIds: Set, comparingId, capturedData, masking }
+ *   masking: { enabled, visibleChars, revealedIds: Set } - entries are revealed by expired token id
+ * @param {Object} handlers - { onSelect(id, checked), onCopy(event, entry), onCompare(id), onRevealToggle(id) }
+ */
+export function renderExpiredList(elements, state, handlers) {
+  const { tokens, domain, query, selectedIds, comparingId, capturedData = {}, masking = {} } = state;
+  const visible = filterExpiredTokens(tokens, { domain, query, searchValues: !masking.enabled });
+
+  elements.expiredSelectedCount.textContent = selectedIds.size;
+  elements.deleteExpiredBtn.disabled = selectedIds.size === 0;
+
+  if (tokens.length === 0) {
+    elements.expiredList.innerHTML = `
+      <div class="empty-state">
+        <p class="empty-text">No expired tokens</p>
+        <p class="empty-subtext">Rotated and retired values show up here</p>
+      </div>
+    `;
+    return visible;
+  }
+
+  if (visible.length === 0) {
+    elements.expiredList.innerHTML = `
+      <div class="empty-state">
+        <p class="empty-text">No matches</p>
+      </div>
+    `;
+    return visible;
+  }
+
+  elements.expiredList.innerHTML = visible.map(entry => {
+    const id = getExpiredTokenId(entry);
+    return createExpiredItemHTML(entry, {
+      masking: { ...masking, revealed: Boolean(masking.revealedIds?.has(id)) },
+      selected: selectedIds.has(id),
+      searchQuery: query,
+      current: capturedData[entry.key],
+      comparing: comparingId === id
+    });
+  }).join('');
+
+  const byId = new Map(visible.map(entry => [getExpiredTokenId(entry), entry]));
+
+  elements.expiredList.querySelectorAll('.expired-select').forEach(checkbox => {
+    checkbox.addEventListener('change', () => handlers.onSelect(checkbox.dataset.id, checkbox.checked));
+  });
+
+  elements.expiredList.querySelectorAll('.copy-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => handlers.onCopy(e, byId.get(btn.dataset.id)));
+  });
+
+  elements.expiredList.querySelectorAll('.reveal-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handlers.onRevealToggle?.(btn.dataset.key);
+    });
+  });
+
+  elements.expiredList.querySelectorAll('.compare-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handlers.onCompare(btn.dataset.id);
+    });
+  });
+
+  return visible;
+}
+
+// Load expired tokens (values opened, or null while the vault is locked)
+export async function loadExpiredTokens() {
+  return await sendMessage({ type: 'GET_EXPIRED_TOKENS' }) || [];
+}
+
+// Delete the selected tokens
+export async function removeExpiredTokens(elements, ids) {
+  const remaining = await sendMessage({ type: 'REMOVE_EXPIRED_TOKENS', ids }) || [];
+  showToast(elements, `Deleted ${ids.length} expired token${ids.length === 1 ? '' : 's'}`);
+  return remaining;
+}
+
+// Delete every expired token
+export async function clearExpiredTokens(elements) {
+  await sendMessage({ type: 'CLEAR_EXPIRED_TOKENS' });
+  showToast(elements, 'Expired tokens cleared');
+}
@@ -0,0 +1,189 @@
+// Popup network journal - recent requests filtered by domain, handler and time range
+
+import {
+  sendMessage,
+  showToast,
+  escapeHtml,
+  formatTime,
+  formatDuration,
+  maskValue,
+  downloadFile,
+  getDateString,
+  getExtensionVersion
+} from './popup-utils.js';
+import { buildHar } from '../lib/har.js';
+
+// Time range choices for the range filter (null = everything still in the journal)
+export const JOURNAL_RANGES = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  all: null
+};
+
+// Turn the popup's filter state into the worker's GET_JOURNAL filter
+export function getJournalFilter({ domain = '', handler = '', range = 'all' } = {}, now = Date.now()) {
+  const filter = {};
+  if (domain) filter.domain = domain;
+  if (handler) filter.handler = handler;
+  if (JOURNAL_RANGES[range]) filter.since = now - JOURNAL_RANGES[range];
+  return filter;
+}
+
+// Format a byte count as a compact size (e.g. "812 B", "14.2 KB")
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function getStatusClass(entry) {
+  if (entry.error || entry.statusCode >= 400) return 'error';
+  if (entry.statusCode >= 300) return 'redirect';
+  return entry.statusCode ? 'ok' : '';
+}
+
+function createHeadersHTML(title, headers, masking) {
+  if (!headers?.length) return '';
+
+  return `
+    <div class="journal-headers-title">${title}</div>
+    ${headers.map(header => `
+      <div class="journal-header">
+        <span class="journal-header-name">${escapeHtml(header.name)}</span>
+        <span class="journal-header-value">${escapeHtml(masking.enabled ? maskValue(header.value || '', masking.visibleChars) : header.value)}</span>
+      </div>
+    `).join('')}
+  `;
+}
+
+// Create a single journal row - headers are folded away until expanded
+export function createJournalEntryHTML(entry, masking = {}) {
+  const status = entry.error || entry.statusCode || '—';
+  const headers = entry.locked
+    ? '<div class="journal-locked">🔒 Locked - unlock the vault to see the URL and headers</div>'
+    : createHeadersHTML('Request', entry.requestHeaders, masking) + createHeadersHTML('Response', entry.responseHeaders, masking);
+
+  return `
+    <details class="journal-entry ${entry.locked ? 'locked' : ''}">
+      <summary class="journal-summary">
+        <span class="journal-method">${escapeHtml(entry.method || '')}</span>
+        <span class="journal-status ${getStatusClass(entry)}">${escapeHtml(String(status))}</span>
+        <span class="journal-target" title="${masking.enabled ? '' : escapeHtml(entry.url || '')}">
+          <span class="journal-domain">${escapeHtml(entry.domain || '')}</span><span class="journal-path">${escapeHtml(entry.path || '')}</span>
+        </span>
+      </summary>
+      <div class="journal-meta">
+        <span>${formatTime(entry.timestamp)}</span>
+        ${entry.duration !== undefined ? `<span>${formatDuration(entry.duration)}</span>` : ''}
+        ${entry.tabId >= 0 ? `<span>tab ${entry.tabId}</span>` : ''}
+        ${(entry.handlers || []).map(handler => `<span class="journal-handler">${escapeHtml(handler)}</span>`).join('')}
+      </div>
+      <div class="journal-headers">${headers}</div>
+    </details>
+  `;
+}
+
+function fillSelect(select, values, selected, allLabel) {
+  const options = selected && !values.includes(selected) ? [...values, selected] : values;
+  select.innerHTML = `
+    <option value="">${allLabel}</option>
+    ${options.map(value => `
+      <option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)}</option>
+    `).join('')}
+  `;
+}
+
+/**
+ * Render a GET_JOURNAL result
+ * @param {Object} result - { entries, count, bytes, domains, handlers }
+ * @param {Object} state - { domain, handler, range }
+ */
+export function renderJournal(elements, result, state = {}, masking = {}) {
+  const { entries = [], count = 0, bytes = 0, domains = [], handlers = [] } = result;
+
+  fillSelect(elements.journalDomainSelect, domains, state.domain, 'All domains');
+  fillSelect(elements.journalHandlerSelect, handlers, state.handler, 'All handlers');
+  elements.journalStats.textContent = `Showing ${entries.length} of ${count} requests · ${formatBytes(bytes)}`;
+
+  if (count === 0) {
+    elements.journalList.innerHTML = `
+      <div class="empty-state">
+        <p class="empty-text">Journal is empty</p>
+        <p class="empty-subtext">Requests show up here once they complete</p>
+      </div>
+    `;
+    return;
+  }
+
+  if (entries.length === 0) {
+    elements.journalList.innerHTML = `
+      <div class="empty-state">
+        <p class="empty-text">No matches</p>
+      </div>
+    `;
+    return;
+  }
+
+  elements.journalList.innerHTML = entries.map(entry => createJournalEntryHTML(entry, masking)).join('');
+}
+
+// Load the journal for the current filters and render it
+export async function loadJournal(elements, state = {}, masking = {}) {
+  const result = await sendMessage({ type: 'GET_JOURNAL', filter: getJournalFilter(state) }) ||
+    { entries: [], count: 0, bytes: 0, domains: [], handlers: [] };
+  renderJournal(elements, result, state, masking);
+  return result;
+}
+
+export async function clearJournal(elements) {
+  await sendMessage({ type: 'CLEAR_JOURNAL' });
+  showToast(elements, 'Journal cleared');
+}
+
+/**
+ * Download the journal entries matching the current filters as a HAR 1.2 file
+ * Entries sealed by a locked vault have no URL or headers and are left out
+ */
+export async function exportJournalHar(elements, state = {}) {
+  const result = await sendMessage({ type: 'GET_JOURNAL', filter: getJournalFilter(state) });
+  const entries = result?.entries || [];
+  const har = buildHar(entries, { creatorVersion: getExtensionVersion() });
+
+  if (har.log.entries.length === 0) {
+    showToast(elements, entries.length > 0 ? 'Unlock the vault to export the journal' : 'No requests to export');
+    return;
+  }
+
+  const filename = `journal-${getDateString()}.har`;
+  downloadFile(filename, JSON.stringify(har, null, 2));
+
+  const locked = entries.length - har.log.entries.length;
+  showToast(elements, locked > 0 ? `Exported to ${filename} (${locked} locked skipped)` : `Exported to ${filename}`);
+}
+
+/**
+ * Replay a HAR file through the handlers and the API Tracker
+ * @param {File} file - .har file picked by the user
+ * @returns {Promise<Object|null>} - Import summary, or null when it failed
+ */
+export async function importHarFile(elements, file) {
+  let har;
+  try {
+    har = JSON.parse(await file.text());
+  } catch {
+    showToast(elements, 'Not a valid HAR file');
+    return null;
+  }
+
+  const result = await sendMessage({ type: 'IMPORT_HAR', har });
+  if (!result?.success) {
+    showToast(elements, result?.error || 'Import failed');
+    return null;
+  }
+
+  showToast(elements, `Imported ${result.entries} requests: ${result.captured} captured, ${result.apiRequests} API calls`);
+  return result;
+}
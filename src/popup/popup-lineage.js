@@ -0,0 +1,67 @@
+// Popup lineage - every value a captured key has had, with lifetimes and rotation cadence
+
+import { sendMessage, escapeHtml, formatTime, formatDuration } from './popup-utils.js';
+import { getDisplayValue } from './popup-render.js';
+
+// Summary line: how many values, how many were rotated out and how long they lasted on average
+export function createLineageStatsHTML(lineage) {
+  const stats = [
+    `${lineage.values.length} value${lineage.values.length === 1 ? '' : 's'}`,
+    `${lineage.rotationCount} rotation${lineage.rotationCount === 1 ? '' : 's'}`
+  ];
+  if (lineage.averageRotationMs !== null && lineage.averageRotationMs !== undefined) {
+    stats.push(`rotates every ~${formatDuration(lineage.averageRotationMs)}`);
+  }
+
+  return stats.map(stat => `<span>${stat}</span>`).join('');
+}
+
+// Create one value in the chain - retired values show when they were replaced
+export function createLineageEntryHTML(entry, masking = {}) {
+  const valueClass = entry.value === null ? 'locked' : (masking.enabled && !masking.revealed ? 'masked' : '');
+  const ended = entry.expiredAt ? formatTime(entry.expiredAt) : 'now';
+
+  return `
+    <li class="lineage-entry ${entry.status}">
+      <div class="lineage-value ${valueClass}">${escapeHtml(getDisplayValue(entry.value, masking))}</div>
+      <div class="lineage-meta">
+        <span>${formatTime(entry.capturedAt)} → ${ended}</span>
+        <span class="lineage-lifetime">${entry.status === 'live' ? 'live for' : 'lived'} ${formatDuration(entry.lifetimeMs)}</span>
+        ${entry.identity ? `<span class="lineage-identity">${escapeHtml(entry.identity)}</span>` : ''}
+      </div>
+    </li>
+  `;
+}
+
+// Render a lineage, newest value first
+export function renderLineage(elements, lineage, masking = {}) {
+  elements.lineageStats.innerHTML = createLineageStatsHTML(lineage);
+
+  if (lineage.values.length === 0) {
+    elements.lineageList.innerHTML = '<li class="lineage-empty">No values recorded for this key</li>';
+    return;
+  }
+
+  elements.lineageList.innerHTML = [...lineage.values]
+    .reverse()
+    .map(entry => createLineageEntryHTML(entry, masking))
+    .join('');
+}
+
+// Load and show the lineage of a captured key
+export async function showLineage(elements, key, title, masking = {}) {
+  const lineage = await sendMessage({ type: 'GET_TOKEN_LINEAGE', key }) ||
+    { key, values: [], rotationCount: 0, averageRotationMs: null };
+
+  elements.lineageView.dataset.key = key;
+  elements.lineageTitle.textContent = title;
+  renderLineage(elements, lineage, masking);
+  elements.lineageView.classList.add('active');
+
+  return lineage;
+}
+
+export function hideLineage(elements) {
+  elements.lineageView.classList.remove('active');
+  delete elements.lineageView.dataset.key;
+}
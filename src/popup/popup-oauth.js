@@ -0,0 +1,130 @@
+// Popup OAuth - timeline view of recognized OAuth2 / OIDC flows
+
+import { sendMessage, showToast, escapeHtml, getTimeAgo, formatTime, maskValue } from './popup-utils.js';
+
+const STEP_LABELS = {
+  'authorization-request': 'Authorize',
+  'authorization-response': 'Callback',
+  'implicit-grant': 'Implicit tokens',
+  'token-request': 'Token exchange'
+};
+
+// Label a step, distinguishing refresh grants and error callbacks
+export function getStepLabel(step) {
+  if (step.oauth?.error) return `Error: ${step.oauth.error}`;
+  if (step.step === 'token-request' && step.oauth?.grantType) {
+    return step.oauth.grantType === 'refresh_token' ? 'Token refresh' : `Token exchange (${step.oauth.grantType})`;
+  }
+  return STEP_LABELS[step.step] || step.step;
+}
+
+// Copyable values linked by the flow, in the order they are issued
+function getFlowValues(flow) {
+  return [
+    ['code', flow.code],
+    ['access_token', flow.accessToken],
+    ['refresh_token', flow.refreshToken],
+    ['id_token', flow.idToken]
+  ].filter(([, value]) => value);
+}
+
+// Step URLs carry code, state and (for implicit grants) tokens in the query or fragment -
+// in streamer mode only the origin and path are shown
+export function getStepTitle(step, masking = {}) {
+  if (!step.url || !masking.enabled) return step.url || '';
+  try {
+    const url = new URL(step.url);
+    return `${url.origin}${url.pathname}`;
+  } catch {
+    return '';
+  }
+}
+
+// Create the flow summary (client, redirect URI, scopes, PKCE, state)
+export function createFlowDetailsHTML(flow, masking = {}) {
+  const rows = [];
+
+  if (flow.clientId) rows.push(['client_id', flow.clientId]);
+  if (flow.redirectUri) rows.push(['redirect_uri', flow.redirectUri]);
+  if (flow.scopes?.length > 0) rows.push(['scope', flow.scopes.join(' ')]);
+  if (flow.responseType) rows.push(['response_type', flow.responseType]);
+  rows.push(['pkce', flow.codeChallengeMethod || 'none']);
+  if (flow.state) rows.push(['state', masking.enabled ? maskValue(flow.state, masking.visibleChars) : flow.state]);
+
+  return `
+    <div class="data-item-claims">
+      ${rows.map(([name, value]) => `
+        <span class="claim-name">${name}</span>
+        <span class="claim-value">${escapeHtml(String(value))}</span>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Create a single flow card with its timeline
+export function createFlowHTML(flow, masking = {}) {
+  const values = getFlowValues(flow);
+
+  return `
+    <div class="flow-item ${flow.status}" data-flow-id="${escapeHtml(flow.id)}">
+      <div class="flow-header">
+        <span class="flow-server">${escapeHtml(flow.authServer || 'unknown server')}</span>
+        <span class="flow-status ${flow.status}">${escapeHtml(flow.status)}</span>
+      </div>
+      ${createFlowDetailsHTML(flow, masking)}
+      ${flow.errorDescription ? `<div class="flow-error">${escapeHtml(flow.errorDescription)}</div>` : ''}
+      <ol class="flow-timeline">
+        ${flow.steps.map(step => `
+          <li class="flow-step ${step.oauth?.error ? 'error' : ''}" title="${escapeHtml(getStepTitle(step, masking))}">
+            <span class="flow-step-label">${escapeHtml(getStepLabel(step))}</span>
+            <span class="flow-step-time">${formatTime(step.timestamp)}</span>
+          </li>
+        `).join('')}
+      </ol>
+      ${values.length > 0 ? `
+        <div class="flow-values">
+          ${values.map(([name, value]) => `
+            <button class="flow-value-btn" data-value="${escapeHtml(value)}" data-label="${name}" title="Copy ${name}">${name}</button>
+          `).join('')}
+        </div>
+      ` : ''}
+      <div class="flow-meta">Started ${getTimeAgo(flow.startedAt)}</div>
+    </div>
+  `;
+}
+
+// Render flow list
+export function renderOAuthFlows(elements, flows, onCopyValue, masking = {}) {
+  if (!flows || flows.length === 0) {
+    elements.flowList.innerHTML = `
+      <div class="empty-state">
+        <p class="empty-text">No OAuth flows yet</p>
+        <p class="empty-subtext">Sign in with an OAuth / OIDC provider to see the flow</p>
+      </div>
+    `;
+    return;
+  }
+
+  elements.flowList.innerHTML = flows.map(flow => createFlowHTML(flow, masking)).join('');
+
+  elements.flowList.querySelectorAll('.flow-value-btn').forEach(btn => {
+    btn.addEventListener('click', () => onCopyValue(btn.dataset.value, btn.dataset.label));
+  });
+}
+
+// Load and render OAuth flows
+export async function loadOAuthFlows(elements, onCopyValue, masking = {}) {
+  const flows = await sendMessage({ type: 'GET_OAUTH_FLOWS' }) || [];
+
+  if (elements.flowCount) {
+    elements.flowCount.textContent = flows.length;
+  }
+
+  renderOAuthFlows(elements, flows, onCopyValue, masking);
+}
+
+// Clear all recorded flows
+export async function clearOAuthFlows(elements) {
+  await sendMessage({ type: 'CLEAR_OAUTH_FLOWS' });
+  showToast(elements, 'OAuth flows cleared');
+}
@@ -0,0 +1,238 @@
+// Popup OpenAPI export - turns the API Tracker export into an OpenAPI 3.1 document
+// Built from formatDomainDataForExport() output, so only auth types are included, never tokens
+
+import { CREDENTIAL_TYPES, getCredentialLabel } from '../lib/credential-types.js';
+
+const OPENAPI_VERSION = '3.1.0';
+
+// Credential type -> [securitySchemes name, scheme]
+const SECURITY_SCHEMES = {
+  [CREDENTIAL_TYPES.BEARER]: ['bearerAuth', { type: 'http', scheme: 'bearer' }],
+  [CREDENTIAL_TYPES.JWT]: ['jwtAuth', { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }],
+  [CREDENTIAL_TYPES.BASIC]: ['basicAuth', { type: 'http', scheme: 'basic' }],
+  [CREDENTIAL_TYPES.DIGEST]: ['digestAuth', { type: 'http', scheme: 'digest' }],
+  [CREDENTIAL_TYPES.API_KEY]: ['apiKeyAuth', { type: 'apiKey', in: 'header', name: 'X-API-Key' }]
+};
+
+// Schemes OpenAPI has no type for are described as an Authorization header
+function getSecurityScheme(authType) {
+  if (SECURITY_SCHEMES[authType]) return SECURITY_SCHEMES[authType];
+
+  const name = `${authType.replace(/[^a-zA-Z0-9]+(.)?/g, (_, c) => (c || '').toUpperCase())}Auth`;
+  return [name, {
+    type: 'apiKey',
+    in: 'header',
+    name: 'Authorization',
+    description: `${getCredentialLabel(authType)} credentials in the Authorization header`
+  }];
+}
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content',
+  301: 'Moved Permanently',
+  302: 'Found',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Content',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+/**
+ * Infer a JSON Schema for observed parameter values
+ * @param {string[]} values
+ * @returns {Object}
+ */
+export function inferParamSchema(values = []) {
+  const present = values.filter(value => value !== '' && value !== undefined && value !== null);
+  if (present.length === 0) return { type: 'string' };
+
+  const all = test => present.every(value => test(String(value)));
+
+  if (all(value => /^-?\d+$/.test(value))) return { type: 'integer' };
+  if (all(value => /^-?\d+(\.\d+)?$/.test(value))) return { type: 'number' };
+  if (all(value => /^(true|false)$/i.test(value))) return { type: 'boolean' };
+  if (all(value => /^\d{4}-\d{2}-\d{2}$/.test(value))) return { type: 'string', format: 'date' };
+  if (all(value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value))) return { type: 'string', format: 'date-time' };
+  if (all(value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value))) {
+    return { type: 'string', format: 'uuid' };
+  }
+  return { type: 'string' };
+}
+
+// Example values typed to match their schema
+function toExample(value, schema) {
+  if (schema.type === 'integer' || schema.type === 'number') return Number(value);
+  if (schema.type === 'boolean') return String(value).toLowerCase() === 'true';
+  return value;
+}
+
+// 'users' -> 'userId', 'categories' -> 'categoryId'
+function getPathParamName(previousSegment) {
+  if (!previousSegment || previousSegment.startsWith('{')) return 'id';
+
+  const words = previousSegment.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  if (words.length === 0) return 'id';
+
+  const camel = words.map((word, i) => i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()).join('');
+  const singular = camel.replace(/ies$/, 'y').replace(/([^s])s$/, '$1');
+  return `${singular}Id`;
+}
+
+/**
+ * Turn a normalized path ('/v1/users/*') into a templated path ('/v1/users/{userId}')
+ * @param {string} normalizedPath - Path with '*' for ID segments
+ * @param {string} examplePath - A real path of the same endpoint, for example values
+ * @returns {{ path: string, parameters: Array }}
+ */
+export function templatePath(normalizedPath, examplePath = '') {
+  const segments = (normalizedPath || '/').split('/');
+  const exampleSegments = examplePath.split('/');
+  const sameShape = exampleSegments.length === segments.length;
+  const used = new Set();
+  const parameters = [];
+
+  const templated = segments.map((segment, i) => {
+    if (segment !== '*') return segment;
+
+    const baseName = getPathParamName(segments[i - 1]);
+    let name = baseName;
+    for (let n = 2; used.has(name); n++) name = `${baseName}${n}`;
+    used.add(name);
+
+    const example = sameShape ? exampleSegments[i] : undefined;
+    const schema = inferParamSchema(example ? [example] : []);
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema,
+      ...(example ? { example: toExample(example, schema) } : {})
+    });
+    return `{${name}}`;
+  });
+
+  return { path: templated.join('/') || '/', parameters };
+}
+
+function toQueryParameter(param) {
+  const schema = inferParamSchema(param.exampleValues);
+  if (param.exampleValues.length > 0) {
+    schema.examples = param.exampleValues.map(value => toExample(value, schema));
+  }
+
+  return {
+    name: param.name,
+    in: 'query',
+    required: false,
+    ...(param.description ? { description: param.description } : {}),
+    schema
+  };
+}
+
+function toResponses(stats) {
+  const codes = Object.keys(stats.statusCodes || {}).sort();
+  if (codes.length === 0) {
+    return { default: { description: 'No response recorded' } };
+  }
+
+  return Object.fromEntries(codes.map(code => [
+    code,
+    { description: STATUS_TEXT[code] || 'Observed response' }
+  ]));
+}
+
+function getServerUrl(endpoint) {
+  try {
+    return new URL(endpoint.fullUrl).origin;
+  } catch {
+    return `https://${endpoint.apiDomain}`;
+  }
+}
+
+function toOperationId(method, path, used) {
+  const words = path.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  const base = method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}${n}`;
+  used.add(id);
+  return id;
+}
+
+/**
+ * Build an OpenAPI 3.1 document from exported API Tracker data
+ * @param {Object} exportData - formatDomainDataForExport() or formatAllDataForExport() output
+ * @returns {Object}
+ */
+export function buildOpenApiDocument(exportData) {
+  const domains = exportData.exportType === 'all-domains' ? exportData.domains : [exportData];
+  const endpoints = domains.flatMap(domainData =>
+    domainData.endpoints.map(endpoint => ({ ...endpoint, pageDomain: domainData.domain }))
+  );
+
+  const servers = [...new Set(endpoints.map(getServerUrl))];
+  const multipleServers = servers.length > 1;
+  const paths = {};
+  const securitySchemes = {};
+  const operationIds = new Set();
+
+  for (const endpoint of endpoints) {
+    const method = (endpoint.method || 'GET').toLowerCase();
+    const { path, parameters: pathParameters } = templatePath(endpoint.normalizedPath, endpoint.path);
+    const server = getServerUrl(endpoint);
+    const pathItem = paths[path] || (paths[path] = {});
+
+    // The same call seen on another API domain is the same operation on another server
+    const existing = pathItem[method];
+    if (existing) {
+      if (existing.servers && !existing.servers.some(entry => entry.url === server)) {
+        existing.servers.push({ url: server });
+      }
+      continue;
+    }
+
+    const operation = {
+      operationId: toOperationId(method, path, operationIds),
+      summary: `${method.toUpperCase()} ${path}`,
+      ...(domains.length > 1 ? { tags: [endpoint.pageDomain] } : {}),
+      ...(multipleServers ? { servers: [{ url: server }] } : {}),
+      parameters: [...pathParameters, ...(endpoint.parameters || []).map(toQueryParameter)],
+      responses: toResponses(endpoint.stats || {}),
+      'x-call-count': endpoint.stats?.callCount || 0
+    };
+
+    if (endpoint.authentication?.required && endpoint.authentication.type) {
+      const [name, scheme] = getSecurityScheme(endpoint.authentication.type);
+      securitySchemes[name] = scheme;
+      operation.security = [{ [name]: [] }];
+    }
+
+    if (operation.parameters.length === 0) delete operation.parameters;
+    pathItem[method] = operation;
+  }
+
+  const title = exportData.exportType === 'all-domains' ? 'Recorded APIs' : `${exportData.domain} API`;
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title,
+      version: (exportData.exportedAt || new Date().toISOString()).slice(0, 10),
+      description: 'Generated by Browser Inspector from observed requests. Schemas are inferred from example values.'
+    },
+    servers: servers.map(url => ({ url })),
+    ...(domains.length > 1 ? { tags: domains.map(domainData => ({ name: domainData.domain })) } : {}),
+    paths,
+    components: { securitySchemes }
+  };
+}
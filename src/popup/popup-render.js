@@ -1,6 +1,15 @@
 // Popup rendering - UI rendering functions for captured data display
 
-import { escapeHtml, getTimeAgo, highlightMatches } from './popup-utils.js';
+import {
+  escapeHtml,
+  getTimeAgo,
+  formatTime,
+  highlightMatches,
+  formatCountdown,
+  getExpiryState,
+  maskValue
+} from './popup-utils.js';
+import { getCredentialLabel } from '../lib/credential-types.js';
 
 // Get CSS class for data type styling
 export function getTypeClass(data) {
@@ -10,6 +19,43 @@ export function getTypeClass(data) {
   return '';
 }
 
+// Value shown in lists - masked to prefix/suffix while masking is on and the item hasn't been revealed
+// masking: { enabled, revealed, visibleChars }
+export function getDisplayValue(value, masking = {}) {
+  if (value === null) return '🔒 Locked'; // Sealed value while the vault is locked
+  const str = value || '';
+  if (masking.enabled && !masking.revealed) {
+    return maskValue(str, masking.visibleChars);
+  }
+  return str.length > 60 ? str.substring(0, 60) + '...' : str;
+}
+
+// Create the button that opens an item's lineage (every value its key has had)
+export function createLineageButtonHTML(key) {
+  return `
+    <button class="data-item-btn lineage-btn" data-key="${escapeHtml(key)}" title="Show token lineage" aria-label="Show token lineage">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"/>
+        <path d="M12 6v6l4 2"/>
+      </svg>
+    </button>
+  `;
+}
+
+// Create the per-item reveal toggle (only rendered while masking is on)
+export function createRevealButtonHTML(key, revealed) {
+  const label = revealed ? 'Hide value' : 'Reveal value';
+  return `
+    <button class="data-item-btn reveal-btn ${revealed ? 'revealed' : ''}" data-key="${escapeHtml(key)}" title="${label}" aria-label="${label}" aria-pressed="${revealed ? 'true' : 'false'}">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+        <circle cx="12" cy="12" r="3"/>
+        ${revealed ? '' : '<line x1="3" y1="3" x2="21" y2="21"/>'}
+      </svg>
+    </button>
+  `;
+}
+
 // Create empty state element
 export function createEmptyState() {
   const div = document.createElement('div');
@@ -38,17 +84,131 @@ export function createNoResultsHTML() {
   `;
 }
 
+// Create HTML for decoded JWT claims (header algorithm, issuer, subject, audience, scope, timestamps)
+export function createJwtClaimsHTML(jwt) {
+  if (!jwt || !jwt.claims) return '';
+
+  const { claims, header = {} } = jwt;
+  const rows = [];
+
+  if (header.alg) rows.push(['alg', header.alg]);
+  if (claims.iss) rows.push(['iss', claims.iss]);
+  if (claims.sub) rows.push(['sub', claims.sub]);
+  if (claims.aud) rows.push(['aud', Array.isArray(claims.aud) ? claims.aud.join(', ') : claims.aud]);
+  if (claims.scope) rows.push(['scope', claims.scope]);
+  // JWT timestamps are seconds since epoch
+  if (typeof claims.iat === 'number') rows.push(['iat', formatTime(claims.iat * 1000)]);
+  if (typeof claims.exp === 'number') rows.push(['exp', formatTime(claims.exp * 1000)]);
+
+  if (rows.length === 0) return '';
+
+  return `
+    <div class="data-item-claims">
+      ${rows.map(([name, value]) => `
+        <span class="claim-name">${name}</span>
+        <span class="claim-value">${escapeHtml(String(value))}</span>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Create HTML for decoded credential parts (Basic user, SigV4 key/region/service, Digest realm...)
+export function createCredentialDetailsHTML(details) {
+  if (!details) return '';
+
+  const rows = Object.entries(details).filter(([, value]) => value);
+  if (rows.length === 0) return '';
+
+  return `
+    <div class="data-item-claims credential-details">
+      ${rows.map(([name, value]) => `
+        <span class="claim-name">${escapeHtml(name)}</span>
+        <span class="claim-value">${escapeHtml(String(value))}</span>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Create the credential type badge - the class keeps the raw type for styling
+export function createCredentialBadgeHTML(tokenType) {
+  if (!tokenType) return '';
+  return `<span class="credential-badge ${escapeHtml(tokenType)}">◈ ${escapeHtml(getCredentialLabel(tokenType))}</span>`;
+}
+
+// Create the badge for an item sending several values at once (e.g. two accounts)
+export function createLiveValuesBadgeHTML(liveValues) {
+  if (!liveValues || liveValues.length < 2) return '';
+
+  const identities = liveValues.map(entry => entry.identity || 'unidentified value').join('\n');
+  return `<span class="live-badge" title="${escapeHtml(identities)}">⇄ ${liveValues.length} live</span>`;
+}
+
+// Create Set-Cookie attribute flags (HttpOnly, Secure, SameSite, Domain, Path)
+export function createCookieAttributesHTML(attributes) {
+  if (!attributes) return '';
+
+  const flags = [];
+  if (attributes.httpOnly) flags.push('HttpOnly');
+  if (attributes.secure) flags.push('Secure');
+  if (attributes.sameSite) flags.push(`SameSite=${attributes.sameSite}`);
+  if (attributes.domain) flags.push(`Domain=${attributes.domain}`);
+  if (attributes.path) flags.push(`Path=${attributes.path}`);
+
+  if (flags.length === 0) return '';
+
+  return `
+    <div class="data-item-cookie-attrs">
+      ${flags.map(flag => `<span class="cookie-attr">${escapeHtml(flag)}</span>`).join('')}
+    </div>
+  `;
+}
+
+// Create the live expiry countdown badge (refreshed by updateExpiryCountdowns)
+export function createExpiryCountdownHTML(expiresAt) {
+  if (!expiresAt) return '';
+  return `
+    <span class="expiry-countdown ${getExpiryState(expiresAt)}" data-expires-at="${expiresAt}" title="${escapeHtml(formatTime(expiresAt))}">
+      ⌛ ${formatCountdown(expiresAt)}
+    </span>
+  `;
+}
+
+// Refresh countdown badges in place so the list doesn't need a full re-render every second
+export function updateExpiryCountdowns(container, now = Date.now()) {
+  container.querySelectorAll('.expiry-countdown').forEach(badge => {
+    const expiresAt = Number(badge.dataset.expiresAt);
+    badge.textContent = `⌛ ${formatCountdown(expiresAt, now)}`;
+    badge.className = `expiry-countdown ${getExpiryState(expiresAt, now)}`;
+    badge.closest('.data-item')?.classList.toggle('expired', expiresAt <= now);
+  });
+}
+
+// Create the checkbox shown on each item while the Captured list is in select mode
+export function createSelectCheckboxHTML(key, selected) {
+  return `
+    <label class="captured-select-label">
+      <input type="checkbox" class="captured-select" data-key="${escapeHtml(key)}" ${selected ? 'checked' : ''} aria-label="Select item">
+    </label>
+  `;
+}
+
 // Create HTML for a single data item
-export function createDataItemHTML(key, data, searchQuery) {
+// selection: { active, selected } while the list is in select mode
+export function createDataItemHTML(key, data, searchQuery, masking = {}, selection = {}) {
   const typeClass = getTypeClass(data);
-  const truncatedValue = data.value.length > 60 ? data.value.substring(0, 60) + '...' : data.value;
+  const isMasked = masking.enabled && !masking.revealed;
+  const valueClass = data.locked ? 'locked' : (isMasked ? 'masked' : '');
   const timeAgo = getTimeAgo(data.capturedAt);
   const hasRotated = data.rotationCount > 0;
+  const hasLineage = hasRotated || data.liveValues?.length > 1;
   const rotationClass = hasRotated ? 'rotated' : '';
+  const expiryState = getExpiryState(data.expiresAt);
+  const statusClass = data.status === 'expired' || expiryState === 'expired' ? 'expired' : '';
+  const selectedClass = selection.active && selection.selected ? 'selected' : '';
 
-  // Highlight search matches
-  let displayValue = escapeHtml(truncatedValue);
-  if (searchQuery) {
+  // Highlight search matches (not on masked values - a highlight would hint at the hidden part)
+  let displayValue = escapeHtml(getDisplayValue(data.value, masking));
+  if (searchQuery && !isMasked && !data.locked) {
     displayValue = highlightMatches(displayValue, searchQuery);
   }
 
@@ -65,8 +225,9 @@ export function createDataItemHTML(key, data, searchQuery) {
   ` : '';
 
   return `
-    <div class="data-item ${typeClass} ${rotationClass}">
+    <div class="data-item ${typeClass} ${rotationClass} ${selectedClass} ${statusClass}">
       <div class="data-item-header">
+        ${selection.active ? createSelectCheckboxHTML(key, selection.selected) : ''}
         <div class="data-item-info">
           <div class="data-item-type">
             <span>◈</span>
@@ -76,6 +237,8 @@ export function createDataItemHTML(key, data, searchQuery) {
           <div class="data-item-domain">${escapeHtml(data.source?.domain || 'Unknown')}</div>
         </div>
         <div class="data-item-actions">
+          ${masking.enabled && !data.locked ? createRevealButtonHTML(key, masking.revealed) : ''}
+          ${hasLineage ? createLineageButtonHTML(key) : ''}
           <button class="data-item-btn copy-btn" data-key="${escapeHtml(key)}" title="Copy">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
@@ -89,32 +252,109 @@ export function createDataItemHTML(key, data, searchQuery) {
           </button>
         </div>
       </div>
-      <div class="data-item-value">${displayValue}</div>
+      <div class="data-item-value ${valueClass}">${displayValue}</div>
+      ${createJwtClaimsHTML(data.jwt)}
+      ${createCredentialDetailsHTML(data.credentialDetails)}
+      ${createCookieAttributesHTML(data.cookieAttributes)}
       <div class="data-item-meta">
         <span>⏱ ${timeAgo}</span>
         ${data.headerName ? `<span>◉ ${escapeHtml(data.headerName)}</span>` : ''}
-        ${data.tokenType ? `<span>◈ ${escapeHtml(data.tokenType)}</span>` : ''}
+        ${createCredentialBadgeHTML(data.tokenType)}
+        ${data.jwt ? '<span class="jwt-badge">JWT</span>' : ''}
+        ${data.session?.incognito ? '<span class="incognito-badge">Incognito</span>' : ''}
+        ${createLiveValuesBadgeHTML(data.liveValues)}
+        ${createExpiryCountdownHTML(data.expiresAt)}
         ${rotationMeta}
       </div>
     </div>
   `;
 }
 
-// Create history item HTML
-export function createHistoryItemHTML(item) {
+// Tab a captured item came from (session info is newer; source.tabId predates it)
+function getItemTabId(data) {
+  const tabId = data.session?.tabId ?? data.source?.tabId;
+  return typeof tabId === 'number' && tabId >= 0 ? tabId : null;
+}
+
+/**
+ * Group [key, data] entries by tab, keeping the incoming order within and across groups
+ * Items without a tab (service workers, prefetches) are collected in a last group
+ * @returns {Array<{ id: string, tabId: number|null, title: string, incognito: boolean, items: Array }>}
+ */
+export function groupItemsByTab(items) {
+  const groups = new Map();
+
+  for (const [key, data] of items) {
+    const tabId = getItemTabId(data);
+    const id = tabId === null ? 'none' : String(tabId);
+
+    if (!groups.has(id)) {
+      groups.set(id, { id, tabId, title: '', titleSeenAt: 0, incognito: false, items: [] });
+    }
+
+    const group = groups.get(id);
+    group.items.push([key, data]);
+    group.incognito = group.incognito || data.session?.incognito === true;
+
+    // Use the most recently seen title - tabs navigate between captures
+    const seenAt = data.lastSeenAt || data.capturedAt || 0;
+    if (data.session?.tabTitle && seenAt >= group.titleSeenAt) {
+      group.title = data.session.tabTitle;
+      group.titleSeenAt = seenAt;
+    }
+  }
+
+  const ordered = [...groups.values()].map(({ titleSeenAt, ...group }) => ({
+    ...group,
+    title: group.title || (group.tabId === null ? 'No tab' : `Tab ${group.tabId}`)
+  }));
+
+  // Tab-less items last
+  return [
+    ...ordered.filter(group => group.tabId !== null),
+    ...ordered.filter(group => group.tabId === null)
+  ];
+}
+
+// Create the header shown above a tab's captured items
+export function createTabGroupHeaderHTML(group) {
+  return `
+    <div class="tab-group-header" data-tab-id="${group.tabId ?? ''}">
+      <span class="tab-group-title" title="${escapeHtml(group.title)}">${escapeHtml(group.title)}</span>
+      ${group.incognito ? '<span class="tab-group-badge incognito">Incognito</span>' : ''}
+      <span class="tab-group-count">${group.items.length}</span>
+    </div>
+  `;
+}
+
+// Entries stored before ids were added are addressed by key and time
+export function getHistoryEntryId(item) {
+  return item.id || `${item.key}::${item.timestamp}`;
+}
+
+// Create history item HTML (clicking copies the real value even when the preview is masked)
+export function createHistoryItemHTML(item, masking = {}) {
+  const isMasked = masking.enabled && !masking.revealed;
+
   return `
     <div class="history-item ${item.type || ''}" data-value="${escapeHtml(item.value)}">
       <div class="history-dot"></div>
       <div class="history-info">
         <div class="history-domain">${escapeHtml(item.source?.domain || item.key)}</div>
+        <div class="history-value ${isMasked ? 'masked' : ''}">${escapeHtml(getDisplayValue(item.value, masking))}</div>
         <div class="history-time">${getTimeAgo(item.timestamp)}</div>
       </div>
+      ${masking.enabled && item.value !== null ? createRevealButtonHTML(getHistoryEntryId(item), masking.revealed) : ''}
     </div>
   `;
 }
 
-// Render history list
-export function renderHistoryList(elements, history, onItemClick) {
+/**
+ * Render history list
+ * @param {Object} masking - { enabled, visibleChars, revealedIds: Set } - entries are revealed by history id
+ * @param {Function} onRevealToggle - (id) => void
+ */
+export function renderHistoryList(elements, history, onItemClick, masking = {}, onRevealToggle = () => {}) {
   if (history.length === 0) {
     elements.historyList.innerHTML = `
       <div class="empty-state">
@@ -124,11 +364,30 @@ export function renderHistoryList(elements, history, onItemClick) {
     return;
   }
 
-  elements.historyList.innerHTML = history.map(item => createHistoryItemHTML(item)).join('');
+  elements.historyList.innerHTML = history.map(item => createHistoryItemHTML(item, {
+    ...masking,
+    revealed: Boolean(masking.revealedIds?.has(getHistoryEntryId(item)))
+  })).join('');
 
   elements.historyList.querySelectorAll('.history-item').forEach(item => {
     item.addEventListener('click', () => onItemClick(item.dataset.value));
   });
+
+  elements.historyList.querySelectorAll('.reveal-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onRevealToggle(btn.dataset.key);
+    });
+  });
+}
+
+// Show or hide the select-mode bar and its selected count
+export function updateSelectionBar(elements, active, selectedCount) {
+  elements.selectModeBtn.classList.toggle('active', active);
+  elements.selectModeBtn.setAttribute('aria-pressed', active ? 'true' : 'false');
+  elements.selectionBar.classList.toggle('active', active);
+  elements.capturedSelectedCount.textContent = selectedCount;
+  elements.envExportBtn.disabled = selectedCount === 0;
 }
 
 // Update filter counts display
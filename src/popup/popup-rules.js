@@ -104,6 +104,13 @@ export function renderRules(elements, config, onDeleteRule) {
       </div>
       <span class="rule-badge builtin">BUILT-IN</span>
     </div>
+    <div class="rule-item builtin">
+      <div class="rule-info">
+        <span class="rule-name">OAuth Flow Handler</span>
+        <span class="rule-desc">Authorize redirects, codes, token exchanges</span>
+      </div>
+      <span class="rule-badge builtin">BUILT-IN</span>
+    </div>
   `;
 
   elements.rulesList.innerHTML = builtInHTML + customRulesHTML;
@@ -0,0 +1,65 @@
+// Popup settings - domain allowlist and request body capture
+
+import { sendMessage, showToast } from './popup-utils.js';
+
+// 'a.com, *.b.com' -> ['a.com', '*.b.com']
+export function parseDomainList(text) {
+  return String(text || '').split(/[\s,]+/).map(domain => domain.trim()).filter(Boolean);
+}
+
+// Bodies are only read on allowlisted domains, so the toggle says when it has nothing to apply to
+function updateRequestBodyHint(elements) {
+  const allowlisted = parseDomainList(elements.settingsAllowlist.value).length > 0;
+  elements.settingsRequestBodiesHint.textContent = allowlisted
+    ? 'Only read on the allowlisted domains above'
+    : 'Add an allowlist entry first - bodies are never read without one';
+}
+
+// Show the settings form filled in from the current config
+export function showSettingsForm(elements, config) {
+  elements.settingsAllowlist.value = (config.domainAllowlist || []).join(', ');
+  elements.settingsRequestBodies.checked = config.captureRequestBodies === true;
+  updateRequestBodyHint(elements);
+
+  elements.settingsForm.classList.add('active');
+  elements.settingsAllowlist.focus();
+}
+
+export function hideSettingsForm(elements) {
+  elements.settingsForm.classList.remove('active');
+}
+
+// Refresh the hint as the allowlist is edited
+export function handleSettingsInput(elements) {
+  updateRequestBodyHint(elements);
+}
+
+// Read the form into config fields
+export function readSettingsForm(elements) {
+  return {
+    domainAllowlist: parseDomainList(elements.settingsAllowlist.value),
+    captureRequestBodies: elements.settingsRequestBodies.checked
+  };
+}
+
+/**
+ * Save the form into the config
+ * @param {Object} elements
+ * @param {Object} config - Current config
+ * @returns {Promise<Object|null>} - The saved config, or null when the update failed
+ */
+export async function saveSettings(elements, config) {
+  const updated = { ...config, ...readSettingsForm(elements) };
+
+  try {
+    await sendMessage({ type: 'SET_CONFIG', config: updated });
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    showToast(elements, 'Settings update failed');
+    return null;
+  }
+
+  hideSettingsForm(elements);
+  showToast(elements, 'Settings saved');
+  return updated;
+}
@@ -16,12 +16,36 @@ export function showToast(elements, message) {
   }, 2000);
 }
 
-// Escape HTML to prevent XSS
+// Today as YYYYMMDD, for export file names
+export function getDateString() {
+  const now = new Date();
+  return now.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Extension version from the manifest (empty outside the extension)
+export function getExtensionVersion() {
+  return chrome.runtime.getManifest?.()?.version || '';
+}
+
+// Save text as a file through a temporary download link
+export function downloadFile(filename, text, type = 'application/json') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Escape HTML to prevent XSS - quotes too, so the result is safe inside attribute values
 export function escapeHtml(str) {
   if (!str) return '';
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Format timestamp as relative time
@@ -48,6 +72,60 @@ export function formatTime(timestamp) {
   });
 }
 
+// Tokens expiring within this window are flagged as "expiring soon"
+export const EXPIRING_SOON_MS = 5 * 60 * 1000;
+
+// Format a duration in ms as a compact string (e.g. "2h 5m", "4m 12s")
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+}
+
+// Format an expiry timestamp as a countdown ("expires in 4m 12s" / "expired 3h 0m ago")
+export function formatCountdown(expiresAt, now = Date.now()) {
+  if (!expiresAt) return '';
+  const remaining = expiresAt - now;
+  if (remaining <= 0) return `expired ${formatDuration(-remaining)} ago`;
+  return `expires in ${formatDuration(remaining)}`;
+}
+
+// Get the expiry state used for styling: 'expired', 'expiring' or 'valid'
+export function getExpiryState(expiresAt, now = Date.now()) {
+  if (!expiresAt) return null;
+  if (expiresAt <= now) return 'expired';
+  if (expiresAt - now <= EXPIRING_SOON_MS) return 'expiring';
+  return 'valid';
+}
+
+// Sort comparator: live tokens expiring soonest first, then tokens without expiry, then expired ones
+export function compareByExpiry(a, b, now = Date.now()) {
+  const rank = item => {
+    if (!item.expiresAt) return 1;
+    return item.expiresAt <= now ? 2 : 0;
+  };
+
+  const rankDiff = rank(a) - rank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (rank(a) === 0) return a.expiresAt - b.expiresAt;
+  if (rank(a) === 2) return b.expiresAt - a.expiresAt;
+  return 0;
+}
+
+// Characters kept at each end of a masked secret
+export const MASK_VISIBLE_CHARS = 4;
+
+// Mask a secret to its prefix/suffix ("eyJh••••••••Qssw"); the bullet run has a fixed width so the length doesn't leak
+export function maskValue(value, visibleChars = MASK_VISIBLE_CHARS) {
+  if (!value) return '';
+  const str = String(value);
+  if (visibleChars <= 0 || str.length <= visibleChars * 2) return '••••••••';
+  return `${str.slice(0, visibleChars)}••••••••${str.slice(-visibleChars)}`;
+}
+
 // Escape regex special characters
 export function escapeRegex(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,134 @@
+// Popup vault - passphrase setup, unlock and lock for encryption at rest
+
+import { sendMessage, showToast } from './popup-utils.js';
+
+const LOCKED_ICON = `
+  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+  <path d="M7 11V7a5 5 0 0110 0v4"/>
+`;
+
+const UNLOCKED_ICON = `
+  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+  <path d="M7 11V7a5 5 0 019.9-1"/>
+`;
+
+// Get { enabled, locked } from the service worker
+export async function loadVaultStatus() {
+  return await sendMessage({ type: 'GET_VAULT_STATUS' }) || { enabled: false, locked: false };
+}
+
+// Update the header lock button for the current vault state
+export function updateVaultUI(elements, status) {
+  if (!elements.vaultBtn) return;
+
+  let label = 'Encrypt stored tokens with a passphrase';
+  if (status.enabled) {
+    label = status.locked ? 'Unlock vault' : 'Lock vault';
+  }
+
+  elements.vaultBtn.setAttribute('title', label);
+  elements.vaultBtn.setAttribute('aria-label', label);
+  elements.vaultBtn.classList.toggle('locked', status.enabled && status.locked);
+  elements.vaultBtn.classList.toggle('unlocked', status.enabled && !status.locked);
+  elements.vaultIcon.innerHTML = status.enabled && status.locked ? LOCKED_ICON : UNLOCKED_ICON;
+}
+
+// Show the vault form in 'setup' or 'unlock' mode
+export function showVaultForm(elements, mode) {
+  const isSetup = mode === 'setup';
+
+  elements.vaultForm.dataset.mode = mode;
+  elements.vaultTitle.textContent = isSetup ? 'Encrypt stored tokens' : 'Vault locked';
+  elements.vaultHint.textContent = isSetup
+    ? 'Values are encrypted with a key derived from this passphrase. It cannot be recovered if lost.'
+    : 'Enter your passphrase to view captured values.';
+  elements.vaultConfirm.style.display = isSetup ? '' : 'none';
+  elements.vaultResetBtn.style.display = isSetup ? 'none' : '';
+  elements.vaultSubmitBtn.textContent = isSetup ? 'Encrypt' : 'Unlock';
+  setVaultError(elements, '');
+
+  elements.vaultForm.classList.add('active');
+  elements.vaultPassphrase.focus();
+}
+
+// Hide the vault form and clear the passphrase fields
+export function hideVaultForm(elements) {
+  elements.vaultForm.classList.remove('active');
+  elements.vaultPassphrase.value = '';
+  elements.vaultConfirm.value = '';
+  disarmVaultReset(elements);
+}
+
+function setVaultError(elements, message) {
+  elements.vaultError.textContent = message;
+}
+
+// Set up or unlock the vault from the form
+export async function submitVaultForm(elements, onSuccess) {
+  const mode = elements.vaultForm.dataset.mode;
+  const passphrase = elements.vaultPassphrase.value;
+
+  if (!passphrase) {
+    setVaultError(elements, 'Enter a passphrase');
+    return false;
+  }
+
+  if (mode === 'setup' && passphrase !== elements.vaultConfirm.value) {
+    setVaultError(elements, 'Passphrases do not match');
+    return false;
+  }
+
+  const response = await sendMessage({
+    type: mode === 'setup' ? 'SETUP_VAULT' : 'UNLOCK_VAULT',
+    passphrase
+  });
+
+  if (!response?.success) {
+    setVaultError(elements, response?.error || 'Vault request failed');
+    elements.vaultPassphrase.select();
+    return false;
+  }
+
+  hideVaultForm(elements);
+  showToast(elements, mode === 'setup' ? 'Stored tokens encrypted' : 'Vault unlocked');
+
+  if (onSuccess) {
+    await onSuccess();
+  }
+
+  return true;
+}
+
+// Lock the vault now
+export async function lockVault(elements, onSuccess) {
+  await sendMessage({ type: 'LOCK_VAULT' });
+  showToast(elements, 'Vault locked');
+
+  if (onSuccess) {
+    await onSuccess();
+  }
+}
+
+// Reset needs a second click - it deletes every sealed value along with the key
+export async function resetVault(elements, onSuccess) {
+  if (elements.vaultResetBtn.dataset.armed !== 'true') {
+    elements.vaultResetBtn.dataset.armed = 'true';
+    elements.vaultResetBtn.textContent = 'Click again to erase';
+    return false;
+  }
+
+  await sendMessage({ type: 'RESET_VAULT' });
+  hideVaultForm(elements);
+  showToast(elements, 'Vault reset - captured data erased');
+
+  if (onSuccess) {
+    await onSuccess();
+  }
+
+  return true;
+}
+
+function disarmVaultReset(elements) {
+  elements.vaultResetBtn.dataset.armed = 'false';
+  elements.vaultResetBtn.textContent = 'Forgot passphrase? Reset';
+}
@@ -1,12 +1,16 @@
 // Browser Inspector Popup - Main controller that orchestrates UI modules
 
-import { applyTheme, sendMessage, showToast } from './popup-utils.js';
+import { applyTheme, sendMessage, showToast, compareByExpiry } from './popup-utils.js';
 import {
   createEmptyState,
   createNoResultsHTML,
   createDataItemHTML,
   renderHistoryList,
-  updateFilterCounts
+  updateFilterCounts,
+  updateExpiryCountdowns,
+  groupItemsByTab,
+  createTabGroupHeaderHTML,
+  updateSelectionBar
 } from './popup-render.js';
 import {
   copyValue,
@@ -29,6 +33,30 @@ import {
   clearApiTrackerDomain,
   exportApiTrackerData
 } from './popup-api-tracker.js';
+import { loadOAuthFlows, clearOAuthFlows } from './popup-oauth.js';
+import { getCredentialLabel } from '../lib/credential-types.js';
+import {
+  loadVaultStatus,
+  updateVaultUI,
+  showVaultForm,
+  hideVaultForm,
+  submitVaultForm,
+  lockVault,
+  resetVault
+} from './popup-vault.js';
+import { showSettingsForm, hideSettingsForm, handleSettingsInput, saveSettings } from './popup-settings.js';
+import { showLineage, hideLineage } from './popup-lineage.js';
+import { exportEnvFile } from './popup-env-export.js';
+import { loadJournal, clearJournal, exportJournalHar, importHarFile } from './popup-journal.js';
+import {
+  getExpiredTokenId,
+  filterExpiredTokens,
+  updateExpiredDomainOptions,
+  renderExpiredList,
+  loadExpiredTokens,
+  removeExpiredTokens,
+  clearExpiredTokens
+} from './popup-expired.js';
 
 // DOM Elements
 const elements = {
@@ -50,8 +78,42 @@ const elements = {
   capturedList: document.getElementById('capturedList'),
   emptyState: document.getElementById('emptyState'),
   clearAllBtn: document.getElementById('clearAllBtn'),
+  groupByTabBtn: document.getElementById('groupByTabBtn'),
+  selectModeBtn: document.getElementById('selectModeBtn'),
+  selectionBar: document.getElementById('selectionBar'),
+  selectAllCapturedBtn: document.getElementById('selectAllCapturedBtn'),
+  envExportFormat: document.getElementById('envExportFormat'),
+  envExportBtn: document.getElementById('envExportBtn'),
+  capturedSelectedCount: document.getElementById('capturedSelectedCount'),
+  lineageView: document.getElementById('lineageView'),
+  lineageTitle: document.getElementById('lineageTitle'),
+  lineageStats: document.getElementById('lineageStats'),
+  lineageList: document.getElementById('lineageList'),
+  lineageCloseBtn: document.getElementById('lineageCloseBtn'),
   historyList: document.getElementById('historyList'),
   clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+  historyTitle: document.getElementById('historyTitle'),
+  journalToggleBtn: document.getElementById('journalToggleBtn'),
+  journalView: document.getElementById('journalView'),
+  journalDomainSelect: document.getElementById('journalDomainSelect'),
+  journalHandlerSelect: document.getElementById('journalHandlerSelect'),
+  journalRangeSelect: document.getElementById('journalRangeSelect'),
+  journalStats: document.getElementById('journalStats'),
+  journalList: document.getElementById('journalList'),
+  exportHarBtn: document.getElementById('exportHarBtn'),
+  importHarBtn: document.getElementById('importHarBtn'),
+  harFileInput: document.getElementById('harFileInput'),
+  flowList: document.getElementById('flowList'),
+  flowCount: document.getElementById('flowCount'),
+  clearFlowsBtn: document.getElementById('clearFlowsBtn'),
+  expiredCount: document.getElementById('expiredCount'),
+  expiredList: document.getElementById('expiredList'),
+  expiredSearchInput: document.getElementById('expiredSearchInput'),
+  expiredDomainSelect: document.getElementById('expiredDomainSelect'),
+  expiredSelectedCount: document.getElementById('expiredSelectedCount'),
+  selectAllExpiredBtn: document.getElementById('selectAllExpiredBtn'),
+  deleteExpiredBtn: document.getElementById('deleteExpiredBtn'),
+  clearExpiredBtn: document.getElementById('clearExpiredBtn'),
   rulesList: document.getElementById('rulesList'),
   addRuleBtn: document.getElementById('addRuleBtn'),
   addRuleForm: document.getElementById('addRuleForm'),
@@ -62,6 +124,24 @@ const elements = {
   ruleExtractFrom: document.getElementById('ruleExtractFrom'),
   ruleKey: document.getElementById('ruleKey'),
   settingsBtn: document.getElementById('settingsBtn'),
+  settingsForm: document.getElementById('settingsForm'),
+  settingsAllowlist: document.getElementById('settingsAllowlist'),
+  settingsRequestBodies: document.getElementById('settingsRequestBodies'),
+  settingsRequestBodiesHint: document.getElementById('settingsRequestBodiesHint'),
+  settingsCancelBtn: document.getElementById('settingsCancelBtn'),
+  settingsSaveBtn: document.getElementById('settingsSaveBtn'),
+  vaultBtn: document.getElementById('vaultBtn'),
+  vaultIcon: document.getElementById('vaultIcon'),
+  vaultForm: document.getElementById('vaultForm'),
+  vaultTitle: document.getElementById('vaultTitle'),
+  vaultHint: document.getElementById('vaultHint'),
+  vaultPassphrase: document.getElementById('vaultPassphrase'),
+  vaultConfirm: document.getElementById('vaultConfirm'),
+  vaultError: document.getElementById('vaultError'),
+  vaultSubmitBtn: document.getElementById('vaultSubmitBtn'),
+  vaultCancelBtn: document.getElementById('vaultCancelBtn'),
+  vaultResetBtn: document.getElementById('vaultResetBtn'),
+  streamerModeBtn: document.getElementById('streamerModeBtn'),
   themeToggleBtn: document.getElementById('themeToggleBtn'),
   themeToggleIcon: document.getElementById('themeToggleIcon'),
   toast: document.getElementById('toast'),
@@ -72,6 +152,8 @@ const elements = {
   apiSearchInput: document.getElementById('apiSearchInput'),
   apiEndpointList: document.getElementById('apiEndpointList'),
   clearApiBtn: document.getElementById('clearApiBtn'),
+  apiExportFormat: document.getElementById('apiExportFormat'),
+  apiExportIncludeTokens: document.getElementById('apiExportIncludeTokens'),
   exportApiBtn: document.getElementById('exportApiBtn'),
   exportAllApiBtn: document.getElementById('exportAllApiBtn')
 };
@@ -80,8 +162,37 @@ const elements = {
 let isEnabled = true;
 let capturedData = {};
 let config = {};
+let vaultStatus = { enabled: false, locked: false };
 let currentFilter = 'all';
 let searchQuery = '';
+// Captured keys, history ids and expired token ids revealed while streamer mode is on;
+// reset when the popup closes
+let revealedKeys = new Set();
+let revealedHistoryIds = new Set();
+let revealedExpiredIds = new Set();
+
+// Captured list select mode (environment-file export)
+let selectState = {
+  active: false,
+  keys: new Set()
+};
+
+// Expired tokens state
+let expiredState = {
+  tokens: [],
+  domain: '',
+  query: '',
+  selectedIds: new Set(),
+  comparingId: null
+};
+
+// Network journal state (shown in the History panel)
+let journalState = {
+  active: false,
+  domain: '',
+  handler: '',
+  range: 'all'
+};
 
 // API Tracker State
 let apiTrackerState = {
@@ -95,19 +206,31 @@ async function init() {
   setupEventListeners();
   setupMessageListener();
   render();
+
+  // Keep expiry countdowns live while the popup is open
+  setInterval(() => updateExpiryCountdowns(elements.capturedList), 1000);
 }
 
 async function loadData() {
   try {
-    [capturedData, config] = await Promise.all([
+    [capturedData, config, vaultStatus, expiredState.tokens] = await Promise.all([
       sendMessage({ type: 'GET_CAPTURED_DATA' }),
-      sendMessage({ type: 'GET_CONFIG' })
+      sendMessage({ type: 'GET_CONFIG' }),
+      loadVaultStatus(),
+      loadExpiredTokens()
     ]);
+    elements.expiredCount.textContent = expiredState.tokens.length;
+
+    updateVaultUI(elements, vaultStatus);
+    if (vaultStatus.locked) {
+      showVaultForm(elements, 'unlock');
+    }
 
     isEnabled = config.enabled !== false;
     config.theme = config.theme || 'dark';
     applyTheme(config.theme);
     updateThemeToggle(config.theme);
+    updateStreamerModeToggle(config.maskSecrets === true);
     updateStatusUI(elements, isEnabled);
   } catch (error) {
     console.error('Failed to load data:', error);
@@ -129,20 +252,74 @@ function setupEventListeners() {
   });
 
   elements.clearAllBtn.addEventListener('click', handleClearAll);
+  elements.groupByTabBtn.addEventListener('click', handleGroupByTabToggle);
+  elements.selectModeBtn.addEventListener('click', handleSelectModeToggle);
+  elements.selectAllCapturedBtn.addEventListener('click', handleSelectAllCaptured);
+  elements.envExportBtn.addEventListener('click', handleEnvExport);
+  elements.lineageCloseBtn.addEventListener('click', () => hideLineage(elements));
   elements.clearHistoryBtn.addEventListener('click', handleClearHistory);
 
+  // Network journal
+  elements.journalToggleBtn.addEventListener('click', handleJournalToggle);
+  elements.journalDomainSelect.addEventListener('change', (e) => {
+    journalState.domain = e.target.value;
+    loadHistory();
+  });
+  elements.journalHandlerSelect.addEventListener('change', (e) => {
+    journalState.handler = e.target.value;
+    loadHistory();
+  });
+  elements.journalRangeSelect.addEventListener('change', (e) => {
+    journalState.range = e.target.value;
+    loadHistory();
+  });
+  elements.exportHarBtn.addEventListener('click', () => exportJournalHar(elements, journalState));
+  elements.importHarBtn.addEventListener('click', () => elements.harFileInput.click());
+  elements.harFileInput.addEventListener('change', handleImportHar);
+  elements.clearFlowsBtn.addEventListener('click', handleClearFlows);
+
+  // Expired tokens
+  elements.expiredSearchInput.addEventListener('input', handleExpiredSearch);
+  elements.expiredDomainSelect.addEventListener('change', (e) => {
+    expiredState.domain = e.target.value;
+    renderExpired();
+  });
+  elements.selectAllExpiredBtn.addEventListener('click', handleSelectAllExpired);
+  elements.deleteExpiredBtn.addEventListener('click', handleDeleteExpired);
+  elements.clearExpiredBtn.addEventListener('click', handleClearExpired);
+
   elements.addRuleBtn.addEventListener('click', () => showAddRuleForm(elements));
   elements.cancelRuleBtn.addEventListener('click', () => hideAddRuleForm(elements));
   elements.saveRuleBtn.addEventListener('click', handleSaveRule);
 
+  // Settings
   elements.settingsBtn.addEventListener('click', () => {
-    showToast(elements, 'Settings coming soon');
+    if (elements.settingsForm.classList.contains('active')) {
+      hideSettingsForm(elements);
+    } else {
+      showSettingsForm(elements, config);
+    }
   });
+  elements.settingsAllowlist.addEventListener('input', () => handleSettingsInput(elements));
+  elements.settingsCancelBtn.addEventListener('click', () => hideSettingsForm(elements));
+  elements.settingsSaveBtn.addEventListener('click', handleSaveSettings);
 
   if (elements.themeToggleBtn) {
     elements.themeToggleBtn.addEventListener('click', handleThemeToggle);
   }
 
+  if (elements.streamerModeBtn) {
+    elements.streamerModeBtn.addEventListener('click', handleStreamerModeToggle);
+  }
+
+  // Vault
+  elements.vaultBtn.addEventListener('click', handleVaultClick);
+  elements.vaultSubmitBtn.addEventListener('click', () => submitVaultForm(elements, refreshAfterVaultChange));
+  elements.vaultPassphrase.addEventListener('keydown', handleVaultKeydown);
+  elements.vaultConfirm.addEventListener('keydown', handleVaultKeydown);
+  elements.vaultCancelBtn.addEventListener('click', () => hideVaultForm(elements));
+  elements.vaultResetBtn.addEventListener('click', () => resetVault(elements, refreshAfterVaultChange));
+
   // API Tracker event listeners
   if (elements.apiSearchInput) {
     elements.apiSearchInput.addEventListener('input', handleApiSearch);
@@ -169,6 +346,15 @@ function setupMessageListener() {
       render();
       const rotationCount = message.currentData?.rotationCount || 1;
       showToast(elements, `🔄 ${message.data.displayName} rotated (#${rotationCount})`);
+      if (elements.lineageView.dataset.key === message.key) {
+        handleLineageClick(message.key);
+      }
+      loadExpired(); // The rotated-out value is now an expired token
+    } else if (message.type === 'OAUTH_FLOW_UPDATED') {
+      const flowsPanel = document.getElementById('flowsPanel');
+      if (flowsPanel && flowsPanel.classList.contains('active')) {
+        loadFlows();
+      }
     } else if (message.type === 'API_TRACKED') {
       // Refresh API tracker if the panel is active
       const apisPanel = document.getElementById('apisPanel');
@@ -201,6 +387,116 @@ async function handleThemeToggle() {
   }
 }
 
+async function handleGroupByTabToggle() {
+  config = { ...config, groupByTab: config.groupByTab !== true };
+  render();
+  try {
+    await sendMessage({ type: 'SET_CONFIG', config });
+  } catch (error) {
+    console.error('Failed to save grouping:', error);
+  }
+}
+
+// Vault button: set up when there's no vault, otherwise lock / unlock
+async function handleVaultClick() {
+  if (!vaultStatus.enabled) {
+    showVaultForm(elements, 'setup');
+  } else if (vaultStatus.locked) {
+    showVaultForm(elements, 'unlock');
+  } else {
+    await lockVault(elements, refreshAfterVaultChange);
+  }
+}
+
+function handleVaultKeydown(e) {
+  if (e.key === 'Enter') {
+    submitVaultForm(elements, refreshAfterVaultChange);
+  }
+}
+
+// Values appear / disappear when the vault changes state, so reload everything shown
+async function refreshAfterVaultChange() {
+  await loadData();
+  render();
+  renderExpired();
+  if (document.getElementById('historyPanel')?.classList.contains('active')) {
+    loadHistory();
+  }
+}
+
+async function handleStreamerModeToggle() {
+  const maskSecrets = config.maskSecrets !== true;
+  config = { ...config, maskSecrets };
+  revealedKeys = new Set();
+  revealedHistoryIds = new Set();
+  revealedExpiredIds = new Set();
+  updateStreamerModeToggle(maskSecrets);
+  render();
+  renderExpired();
+  if (document.getElementById('historyPanel')?.classList.contains('active')) {
+    loadHistory();
+  }
+  if (document.getElementById('flowsPanel')?.classList.contains('active')) {
+    loadFlows();
+  }
+  try {
+    await sendMessage({ type: 'SET_CONFIG', config });
+    showToast(elements, maskSecrets ? 'Streamer mode on - secrets masked' : 'Streamer mode off');
+  } catch (error) {
+    console.error('Failed to update streamer mode:', error);
+    showToast(elements, 'Streamer mode update failed');
+  }
+}
+
+async function handleSaveSettings() {
+  const saved = await saveSettings(elements, config);
+  if (saved) {
+    config = saved;
+  }
+}
+
+function updateStreamerModeToggle(enabled) {
+  if (!elements.streamerModeBtn) return;
+  const label = enabled ? 'Disable streamer mode (show secrets)' : 'Enable streamer mode (mask secrets)';
+  elements.streamerModeBtn.setAttribute('title', label);
+  elements.streamerModeBtn.setAttribute('aria-label', label);
+  elements.streamerModeBtn.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+  elements.streamerModeBtn.classList.toggle('active', enabled);
+}
+
+// Masking options for list rendering; revealed applies to one captured item, and list renderers
+// that reveal entries one at a time are given the revealed ids instead
+function getMasking(key) {
+  return {
+    enabled: config.maskSecrets === true,
+    revealed: key !== undefined && revealedKeys.has(key),
+    visibleChars: config.maskVisibleChars
+  };
+}
+
+function toggleRevealed(ids, id) {
+  if (ids.has(id)) {
+    ids.delete(id);
+  } else {
+    ids.add(id);
+  }
+}
+
+function handleRevealToggle(key) {
+  toggleRevealed(revealedKeys, key);
+  render();
+}
+
+function handleHistoryRevealToggle(id) {
+  toggleRevealed(revealedHistoryIds, id);
+  loadHistory();
+}
+
+function handleExpiredRevealToggle(id) {
+  toggleRevealed(revealedExpiredIds, id);
+  renderExpired();
+}
+
 function updateThemeToggle(theme) {
   if (!elements.themeToggleBtn || !elements.themeToggleIcon) return;
   const nextTheme = theme === 'light' ? 'dark' : 'light';
@@ -244,14 +540,47 @@ function handleFilterClick(chip) {
 async function handleClearAll() {
   await clearAll();
   capturedData = {};
+  hideLineage(elements);
   render();
   showToast(elements, 'All data cleared');
 }
 
 async function handleClearHistory() {
-  await clearHistory();
+  if (journalState.active) {
+    await clearJournal(elements);
+  } else {
+    await clearHistory();
+    showToast(elements, 'History cleared');
+  }
+  loadHistory();
+}
+
+async function handleImportHar(e) {
+  const [file] = e.target.files;
+  e.target.value = ''; // Picking the same file again should import it again
+  if (!file) return;
+
+  if (await importHarFile(elements, file)) {
+    await loadData();
+    render();
+    loadHistory();
+  }
+}
+
+// Swap the history list for the network journal and back
+function handleJournalToggle() {
+  journalState.active = !journalState.active;
+  elements.journalToggleBtn.classList.toggle('active', journalState.active);
+  elements.journalToggleBtn.setAttribute('aria-pressed', journalState.active ? 'true' : 'false');
+  elements.historyTitle.textContent = journalState.active ? 'NETWORK JOURNAL' : 'CAPTURE HISTORY';
+  elements.historyList.hidden = journalState.active;
+  elements.journalView.classList.toggle('active', journalState.active);
   loadHistory();
-  showToast(elements, 'History cleared');
+}
+
+async function handleClearFlows() {
+  await clearOAuthFlows(elements);
+  loadFlows();
 }
 
 async function handleSaveRule() {
@@ -268,7 +597,17 @@ async function handleDeleteRule(ruleName) {
   });
 }
 
+async function handleLineageClick(key) {
+  const data = capturedData[key];
+  const title = `${data?.displayName || data?.type || 'Token'} · ${data?.source?.domain || 'Unknown'}`;
+  await showLineage(elements, key, title, getMasking(key));
+}
+
 async function handleRemoveItem(key) {
+  if (elements.lineageView.dataset.key === key) {
+    hideLineage(elements);
+  }
+
   capturedData = await removeItem(key);
   render();
   showToast(elements, 'Item removed');
@@ -276,11 +615,125 @@ async function handleRemoveItem(key) {
 
 function handleCopyClick(e, key) {
   const data = capturedData[key];
+  if (data?.locked) {
+    showToast(elements, 'Unlock the vault to copy');
+    return;
+  }
   if (data) {
     showCopyMenu(e, data, key, elements, (text, format) => copyValue(elements, text, format));
   }
 }
 
+// Captured list select mode
+function handleSelectModeToggle() {
+  selectState.active = !selectState.active;
+  selectState.keys.clear();
+  render();
+}
+
+function handleCapturedSelect(key, checked) {
+  if (checked) {
+    selectState.keys.add(key);
+  } else {
+    selectState.keys.delete(key);
+  }
+  render();
+}
+
+// Select (or clear) everything matching the current search and filter
+function handleSelectAllCaptured() {
+  const visibleKeys = getFilteredData().map(([key]) => key);
+  const allSelected = visibleKeys.length > 0 && visibleKeys.every(key => selectState.keys.has(key));
+
+  visibleKeys.forEach(key => allSelected ? selectState.keys.delete(key) : selectState.keys.add(key));
+  render();
+}
+
+function handleEnvExport() {
+  const items = [...selectState.keys].filter(key => capturedData[key]).map(key => [key, capturedData[key]]);
+  exportEnvFile(elements, items, config, elements.envExportFormat.value);
+}
+
+// Expired tokens
+async function loadExpired() {
+  expiredState.tokens = await loadExpiredTokens();
+  renderExpired();
+}
+
+function renderExpired() {
+  elements.expiredCount.textContent = expiredState.tokens.length;
+
+  // Drop selections that no longer exist
+  const ids = new Set(expiredState.tokens.map(getExpiredTokenId));
+  expiredState.selectedIds = new Set([...expiredState.selectedIds].filter(id => ids.has(id)));
+  expiredState.domain = updateExpiredDomainOptions(elements, expiredState.tokens, expiredState.domain);
+
+  renderExpiredList(elements, { ...expiredState, capturedData, masking: { ...getMasking(), revealedIds: revealedExpiredIds } }, {
+    onSelect: handleExpiredSelect,
+    onCopy: handleExpiredCopy,
+    onCompare: handleExpiredCompare,
+    onRevealToggle: handleExpiredRevealToggle
+  });
+}
+
+function handleExpiredSearch(e) {
+  expiredState.query = e.target.value.toLowerCase().trim();
+  renderExpired();
+}
+
+function handleExpiredSelect(id, checked) {
+  if (checked) {
+    expiredState.selectedIds.add(id);
+  } else {
+    expiredState.selectedIds.delete(id);
+  }
+  renderExpired();
+}
+
+// Select (or clear) everything matching the current filters
+function handleSelectAllExpired() {
+  const visibleIds = filterExpiredTokens(expiredState.tokens, {
+    domain: expiredState.domain,
+    query: expiredState.query,
+    searchValues: config.maskSecrets !== true
+  }).map(getExpiredTokenId);
+  const allSelected = visibleIds.length > 0 && visibleIds.every(id => expiredState.selectedIds.has(id));
+
+  visibleIds.forEach(id => allSelected ? expiredState.selectedIds.delete(id) : expiredState.selectedIds.add(id));
+  renderExpired();
+}
+
+function handleExpiredCopy(e, entry) {
+  if (!entry) return;
+  if (entry.value === null) {
+    e.stopPropagation();
+    showToast(elements, 'Unlock the vault to copy');
+    return;
+  }
+  showCopyMenu(e, entry, entry.key, elements, (text, format) => copyValue(elements, text, format));
+}
+
+function handleExpiredCompare(id) {
+  expiredState.comparingId = expiredState.comparingId === id ? null : id;
+  renderExpired();
+}
+
+async function handleDeleteExpired() {
+  const ids = [...expiredState.selectedIds];
+  if (ids.length === 0) return;
+
+  expiredState.tokens = await removeExpiredTokens(elements, ids);
+  expiredState.selectedIds.clear();
+  renderExpired();
+}
+
+async function handleClearExpired() {
+  await clearExpiredTokens(elements);
+  expiredState.tokens = [];
+  expiredState.selectedIds.clear();
+  renderExpired();
+}
+
 // Tab switching
 function switchTab(tabName) {
   elements.tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === tabName));
@@ -292,16 +745,36 @@ function switchTab(tabName) {
     renderRules(elements, config, handleDeleteRule);
   } else if (tabName === 'apis') {
     refreshApiTracker();
+  } else if (tabName === 'flows') {
+    loadFlows();
+  } else if (tabName === 'expired') {
+    loadExpired();
   }
 }
 
-// History loading
+// OAuth flow loading
+async function loadFlows() {
+  await loadOAuthFlows(elements, (value, label) => copyValue(elements, value, label), getMasking());
+}
+
+// History loading (or the journal, while it is toggled on)
 async function loadHistory() {
+  if (journalState.active) {
+    await loadJournal(elements, journalState, getMasking());
+    return;
+  }
+
   const history = await sendMessage({ type: 'GET_HISTORY' });
-  renderHistoryList(elements, history || [], (value) => copyValue(elements, value));
+  renderHistoryList(elements, history || [], (value) => {
+    if (!value) {
+      showToast(elements, 'Unlock the vault to copy');
+      return;
+    }
+    copyValue(elements, value);
+  }, { ...getMasking(), revealedIds: revealedHistoryIds }, handleHistoryRevealToggle);
 }
 
-// Filtering
+// Filtering - expiring-soon items sort to the top
 function getFilteredData() {
   const items = Object.entries(capturedData);
 
@@ -319,13 +792,20 @@ function getFilteredData() {
     }
 
     if (searchQuery) {
+      // Values are only searched while they are visible - a match would give a masked value away
+      const { enabled: masked, revealed } = getMasking(key);
       const searchableText = [
-        data.value || '',
+        masked && !revealed ? '' : data.value || '',
         data.source?.domain || '',
         data.displayName || '',
         data.type || '',
         data.tokenType || '',
+        data.tokenType ? getCredentialLabel(data.tokenType) : '',
+        data.credentialDetails?.username || '',
+        data.session?.tabTitle || '',
         data.headerName || '',
+        data.jwt?.claims?.iss || '',
+        data.jwt?.claims?.sub || '',
         key
       ].join(' ').toLowerCase();
 
@@ -335,7 +815,7 @@ function getFilteredData() {
     }
 
     return true;
-  });
+  }).sort(([, a], [, b]) => compareByExpiry(a, b));
 }
 
 function getCounts() {
@@ -356,10 +836,18 @@ function render() {
 
   updateFilterCounts(elements, counts, filteredItems.length);
 
+  // Drop selections that no longer exist
+  selectState.keys = new Set([...selectState.keys].filter(key => capturedData[key]));
+  updateSelectionBar(elements, selectState.active, selectState.keys.size);
+
   elements.filterChips.forEach(c => {
     c.classList.toggle('active', c.dataset.filter === currentFilter);
   });
 
+  const groupByTab = config.groupByTab === true;
+  elements.groupByTabBtn.classList.toggle('active', groupByTab);
+  elements.groupByTabBtn.setAttribute('aria-pressed', groupByTab ? 'true' : 'false');
+
   if (counts.all === 0) {
     elements.capturedList.innerHTML = '';
     elements.capturedList.appendChild(createEmptyState());
@@ -371,15 +859,42 @@ function render() {
     return;
   }
 
-  elements.capturedList.innerHTML = filteredItems.map(([key, data]) =>
-    createDataItemHTML(key, data, searchQuery)
+  const renderItems = items => items.map(([key, data]) =>
+    createDataItemHTML(key, data, searchQuery, getMasking(key), { active: selectState.active, selected: selectState.keys.has(key) })
   ).join('');
 
+  elements.capturedList.innerHTML = groupByTab
+    ? groupItemsByTab(filteredItems).map(group => `
+        <div class="tab-group">
+          ${createTabGroupHeaderHTML(group)}
+          ${renderItems(group.items)}
+        </div>
+      `).join('')
+    : renderItems(filteredItems);
+
   // Attach event listeners
+  elements.capturedList.querySelectorAll('.captured-select').forEach(checkbox => {
+    checkbox.addEventListener('change', () => handleCapturedSelect(checkbox.dataset.key, checkbox.checked));
+  });
+
   elements.capturedList.querySelectorAll('.copy-btn').forEach(btn => {
     btn.addEventListener('click', (e) => handleCopyClick(e, btn.dataset.key));
   });
 
+  elements.capturedList.querySelectorAll('.reveal-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleRevealToggle(btn.dataset.key);
+    });
+  });
+
+  elements.capturedList.querySelectorAll('.lineage-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleLineageClick(btn.dataset.key);
+    });
+  });
+
   elements.capturedList.querySelectorAll('.delete-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -392,7 +907,8 @@ function render() {
 async function refreshApiTracker() {
   await loadApiTracker(elements, apiTrackerState, {
     onDomainChange: handleApiDomainChange,
-    onCopyUrl: (url) => copyValue(elements, url, 'URL')
+    onCopyUrl: (url) => copyValue(elements, url, 'URL'),
+    onCopySnippet: (text, format) => copyValue(elements, text, format)
   });
 }
 
@@ -417,11 +933,15 @@ async function handleExportCurrentDomain() {
     showToast(elements, 'Select a domain first');
     return;
   }
-  await exportApiTrackerData(elements, apiTrackerState.currentApiDomain);
+  await exportApiTrackerData(elements, apiTrackerState.currentApiDomain, elements.apiExportFormat?.value, getApiExportOptions());
 }
 
 async function handleExportAllDomains() {
-  await exportApiTrackerData(elements, null);
+  await exportApiTrackerData(elements, null, elements.apiExportFormat?.value, getApiExportOptions());
+}
+
+function getApiExportOptions() {
+  return { includeTokens: Boolean(elements.apiExportIncludeTokens?.checked) };
 }
 
 // Initialize on load
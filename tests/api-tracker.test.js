@@ -43,6 +43,34 @@ describe('extractRootDomain', () => {
   it('should handle IP addresses', () => {
     expect(storage.extractRootDomain('192.168.1.1')).toBe('192.168.1.1');
   });
+
+  it('should keep customers of hosting platforms apart', () => {
+    expect(storage.extractRootDomain('alice.github.io')).toBe('alice.github.io');
+    expect(storage.extractRootDomain('api.shop-a.herokuapp.com')).toBe('shop-a.herokuapp.com');
+    expect(storage.extractRootDomain('preview-123.vercel.app')).toBe('preview-123.vercel.app');
+  });
+
+  it('should handle multi-part country suffixes from the public suffix list', () => {
+    expect(storage.extractRootDomain('www.example.co.kr')).toBe('example.co.kr');
+    expect(storage.extractRootDomain('api.example.com.sg')).toBe('example.com.sg');
+    expect(storage.extractRootDomain('app.example.co.id')).toBe('example.co.id');
+  });
+
+  it('should group a bare public suffix and IPv6 hosts as themselves', () => {
+    expect(storage.extractRootDomain('github.io')).toBe('github.io');
+    expect(storage.extractRootDomain('[::1]')).toBe('[::1]');
+  });
+
+  it('should apply domainGroups overrides first', () => {
+    const domainGroups = {
+      '*.corp.example.com': 'corp.example.com',
+      'team.github.io': 'github.io'
+    };
+
+    expect(storage.extractRootDomain('wiki.corp.example.com', domainGroups)).toBe('corp.example.com');
+    expect(storage.extractRootDomain('team.github.io', domainGroups)).toBe('github.io');
+    expect(storage.extractRootDomain('www.example.com', domainGroups)).toBe('example.com');
+  });
 });
 
 describe('getApiTracker', () => {
@@ -346,6 +374,97 @@ describe('trackApiRequest', () => {
   });
 });
 
+describe('recordApiResponse', () => {
+  const request = {
+    url: 'https://api.stockbit.com/v1/users/123?page=1',
+    method: 'GET',
+    requestHeaders: []
+  };
+
+  async function getEndpoint() {
+    const tracker = await storage.getApiTracker();
+    return tracker['stockbit.com'].endpoints['api.stockbit.com::/v1/users/*::GET'];
+  }
+
+  it('should build a status code histogram per endpoint', async () => {
+    await storage.trackApiRequest('stockbit.com', request);
+
+    await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 200, duration: 40 });
+    await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 200, duration: 60 });
+    await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 304, duration: 10 });
+
+    const endpoint = await getEndpoint();
+    expect(endpoint.statusCodes).toEqual({ 200: 2, 304: 1 });
+    expect(endpoint.errorCount).toBeUndefined();
+  });
+
+  it('should correlate responses from other IDs to the same normalized endpoint', async () => {
+    await storage.trackApiRequest('stockbit.com', request);
+
+    await storage.recordApiResponse('stockbit.com', {
+      url: 'https://api.stockbit.com/v1/users/456',
+      method: 'GET',
+      statusCode: 200,
+      duration: 25
+    });
+
+    const endpoint = await getEndpoint();
+    expect(endpoint.statusCodes).toEqual({ 200: 1 });
+  });
+
+  it('should count 4xx/5xx responses and network errors', async () => {
+    await storage.trackApiRequest('stockbit.com', request);
+
+    await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 404, duration: 15 });
+    await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 503, duration: 20 });
+    await storage.recordApiResponse('stockbit.com', { ...request, error: 'net::ERR_CONNECTION_RESET', duration: 30 });
+
+    const endpoint = await getEndpoint();
+    expect(endpoint.errorCount).toBe(3);
+    expect(endpoint.lastError).toBe('net::ERR_CONNECTION_RESET');
+    expect(endpoint.statusCodes).toEqual({ 404: 1, 503: 1 });
+
+    const tracker = await storage.getApiTracker();
+    expect(tracker['stockbit.com'].stats.errorCount).toBe(3);
+  });
+
+  it('should compute min/avg/p95/max latency', async () => {
+    await storage.trackApiRequest('stockbit.com', request);
+
+    for (let duration = 10; duration <= 200; duration += 10) {
+      await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 200, duration });
+    }
+
+    const { timing } = await getEndpoint();
+    expect(timing.count).toBe(20);
+    expect(timing.min).toBe(10);
+    expect(timing.max).toBe(200);
+    expect(timing.avg).toBe(105);
+    expect(timing.p95).toBe(190);
+  });
+
+  it('should keep a bounded window of latency samples', async () => {
+    await storage.trackApiRequest('stockbit.com', request);
+
+    for (let i = 0; i < 60; i++) {
+      await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 200, duration: i });
+    }
+
+    const { timing } = await getEndpoint();
+    expect(timing.samples.length).toBe(50);
+    expect(timing.count).toBe(60);
+    expect(timing.min).toBe(0);
+  });
+
+  it('should ignore responses for endpoints that are no longer tracked', async () => {
+    await storage.recordApiResponse('stockbit.com', { ...request, statusCode: 500, duration: 10 });
+    await storage.recordApiResponse('stockbit.com', { url: 'not a url', method: 'GET', statusCode: 500 });
+
+    const tracker = await storage.getApiTracker();
+    expect(tracker).toEqual({});
+  });
+});
+
 describe('clearApiTracker', () => {
   it('should clear all tracker data when no domain specified', async () => {
     await storage.trackApiRequest('stockbit.com', {
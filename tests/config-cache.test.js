@@ -0,0 +1,54 @@
+// Browser Inspector - Config cache tests
+
+import {
+  getConfigSnapshot,
+  getCachedConfig,
+  invalidateConfigCache
+} from '../src/background/config-cache.js';
+
+describe('config-cache', () => {
+  beforeEach(() => {
+    resetMockStorage();
+    invalidateConfigCache();
+    chrome.storage.local.get.mockClear();
+  });
+
+  it('should load the config once and share it between callers', async () => {
+    setMockStorage({ config: { enabled: true, journalScope: 'all' } });
+
+    const [first, second] = await Promise.all([getCachedConfig(), getCachedConfig()]);
+    await getConfigSnapshot();
+
+    expect(first).toBe(second);
+    expect(first.journalScope).toBe('all');
+    expect(chrome.storage.local.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reload after being invalidated', async () => {
+    setMockStorage({ config: { journalScope: 'all' } });
+    await getCachedConfig();
+
+    setMockStorage({ config: { journalScope: 'off' } });
+    expect((await getCachedConfig()).journalScope).toBe('all');
+
+    invalidateConfigCache();
+    expect((await getCachedConfig()).journalScope).toBe('off');
+  });
+
+  it('should precompile the domain filter with the snapshot', async () => {
+    setMockStorage({ config: { domainAllowlist: ['*.example.com'], domainBlocklist: ['ads.example.com'] } });
+
+    const { domainFilter } = await getConfigSnapshot();
+
+    expect(domainFilter.captureDomain('api.example.com')).toBe(true);
+    expect(domainFilter.captureDomain('ads.example.com')).toBe(false);
+    expect(domainFilter.captureDomain('other.com')).toBe(false);
+  });
+
+  it('should try again after a failed load', async () => {
+    chrome.storage.local.get.mockRejectedValueOnce(new Error('storage unavailable'));
+
+    await expect(getCachedConfig()).rejects.toThrow('storage unavailable');
+    expect(await getCachedConfig()).toEqual(expect.objectContaining({ enabled: true }));
+  });
+});
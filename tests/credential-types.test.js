@@ -0,0 +1,118 @@
+// Browser Inspector - Credential Type Classification Tests
+
+import {
+  classifyCredential,
+  getCredentialLabel,
+  CREDENTIAL_TYPES,
+  MASKED_PASSWORD
+} from '../src/lib/credential-types.js';
+
+function createJwt(payload) {
+  const encode = (obj) => btoa(JSON.stringify(obj)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+describe('classifyCredential', () => {
+  it('should classify bearer tokens and strip the scheme', () => {
+    const result = classifyCredential('Authorization', 'Bearer abc.def');
+    expect(result).toEqual({ tokenType: 'bearer', scheme: 'Bearer', token: 'abc.def', details: null });
+  });
+
+  it('should match schemes case-insensitively', () => {
+    expect(classifyCredential('Authorization', 'bearer abc').tokenType).toBe(CREDENTIAL_TYPES.BEARER);
+    expect(classifyCredential('Authorization', 'BASIC dXNlcjpwYXNz').tokenType).toBe(CREDENTIAL_TYPES.BASIC);
+  });
+
+  it('should decode Basic credentials and mask the password', () => {
+    const result = classifyCredential('Authorization', `Basic ${btoa('alice:s3cret:with:colons')}`);
+    expect(result.tokenType).toBe('basic');
+    expect(result.details).toEqual({ username: 'alice', password: MASKED_PASSWORD });
+    expect(JSON.stringify(result.details)).not.toContain('s3cret');
+  });
+
+  it('should decode UTF-8 Basic usernames', () => {
+    const encoded = btoa(unescape(encodeURIComponent('zoë:pw')));
+    expect(classifyCredential('Authorization', `Basic ${encoded}`).details.username).toBe('zoë');
+  });
+
+  it('should leave the password empty when none was sent', () => {
+    expect(classifyCredential('Authorization', `Basic ${btoa('alice:')}`).details).toEqual({ username: 'alice', password: '' });
+  });
+
+  it('should not fail on malformed Basic credentials', () => {
+    expect(classifyCredential('Authorization', 'Basic %%%').details).toBeNull();
+    expect(classifyCredential('Authorization', `Basic ${btoa('no-separator')}`).details).toBeNull();
+  });
+
+  it('should parse Digest parameters without the response hash', () => {
+    const result = classifyCredential('Authorization',
+      'Digest username="bob", realm="api@example.com", nonce="abc", uri="/x", qop=auth, algorithm=SHA-256, response="deadbeef"');
+
+    expect(result.tokenType).toBe('digest');
+    expect(result.details).toEqual({ username: 'bob', realm: 'api@example.com', algorithm: 'SHA-256', qop: 'auth' });
+  });
+
+  it('should parse AWS SigV4 credential scopes', () => {
+    const result = classifyCredential('Authorization',
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20240101/us-east-1/s3/aws4_request, SignedHeaders=host;x-amz-date, Signature=abc123');
+
+    expect(result.tokenType).toBe('aws-sigv4');
+    expect(result.details).toEqual({
+      accessKeyId: 'AKIDEXAMPLE',
+      date: '20240101',
+      region: 'us-east-1',
+      service: 's3',
+      signedHeaders: 'host;x-amz-date'
+    });
+  });
+
+  it('should return no SigV4 details without a credential scope', () => {
+    expect(classifyCredential('Authorization', 'AWS4-HMAC-SHA256 Signature=abc').details).toBeNull();
+  });
+
+  it('should classify HMAC signatures and extract the key id', () => {
+    const signature = classifyCredential('Authorization', 'Signature keyId="key-1",algorithm="hmac-sha256",signature="abc="');
+    expect(signature.tokenType).toBe('hmac');
+    expect(signature.details).toEqual({ keyId: 'key-1', algorithm: 'hmac-sha256' });
+
+    const legacyAws = classifyCredential('Authorization', 'AWS AKIDEXAMPLE:c2lnbmF0dXJl');
+    expect(legacyAws.tokenType).toBe('hmac');
+    expect(legacyAws.details).toEqual({ keyId: 'AKIDEXAMPLE' });
+
+    expect(classifyCredential('Authorization', 'HMAC opaque').details).toBeNull();
+  });
+
+  it('should classify API key schemes and headers', () => {
+    expect(classifyCredential('Authorization', 'ApiKey k_123').tokenType).toBe('api-key');
+    expect(classifyCredential('X-API-Key', 'k_123')).toEqual({ tokenType: 'api-key', scheme: null, token: 'k_123', details: null });
+    expect(classifyCredential('X-Auth-Token', 'k_123').tokenType).toBe('raw');
+  });
+
+  it('should classify "Token" and "JWT" prefixes', () => {
+    expect(classifyCredential('Authorization', 'Token abc123')).toMatchObject({ tokenType: 'token', token: 'abc123' });
+    expect(classifyCredential('Authorization', 'JWT abc.def.ghi')).toMatchObject({ tokenType: 'jwt', token: 'abc.def.ghi' });
+  });
+
+  it('should classify bare JWTs', () => {
+    expect(classifyCredential('X-Auth-Token', createJwt({ sub: '1' })).tokenType).toBe('jwt');
+  });
+
+  it('should fall back to raw for unknown schemes and empty values', () => {
+    expect(classifyCredential('Authorization', 'Custom abc')).toMatchObject({ tokenType: 'raw', token: 'Custom abc' });
+    expect(classifyCredential('Authorization', undefined)).toEqual({ tokenType: 'raw', scheme: null, token: '', details: null });
+    expect(classifyCredential('X-API-Key', '').tokenType).toBe('raw');
+  });
+});
+
+describe('getCredentialLabel', () => {
+  it('should label known types', () => {
+    expect(getCredentialLabel('bearer')).toBe('Bearer');
+    expect(getCredentialLabel('aws-sigv4')).toBe('AWS SigV4');
+    expect(getCredentialLabel('api-key')).toBe('API Key');
+  });
+
+  it('should fall back for unknown or missing types', () => {
+    expect(getCredentialLabel('custom')).toBe('custom');
+    expect(getCredentialLabel(undefined)).toBe('Raw');
+  });
+});
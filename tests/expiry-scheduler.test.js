@@ -0,0 +1,129 @@
+// Browser Inspector - Expiry Scheduler Tests
+
+import {
+  EXPIRY_ALARM_PREFIX,
+  scheduleExpiryWarning,
+  clearExpiryWarning,
+  clearAllExpiryWarnings,
+  handleExpiryAlarm
+} from '../src/background/expiry-scheduler.js';
+import { getExpiryWarningMinutes } from '../src/lib/storage.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('getExpiryWarningMinutes', () => {
+  it('should use the global default when no domain override matches', () => {
+    expect(getExpiryWarningMinutes('api.example.com', {})).toBe(5);
+    expect(getExpiryWarningMinutes('api.example.com', { expiryWarningMinutes: 10 })).toBe(10);
+  });
+
+  it('should prefer per-domain overrides including wildcards', () => {
+    const config = {
+      expiryWarningMinutes: 5,
+      expiryWarningDomains: { 'api.example.com': 15, '*.staging.example.com': 30 }
+    };
+
+    expect(getExpiryWarningMinutes('api.example.com', config)).toBe(15);
+    expect(getExpiryWarningMinutes('auth.staging.example.com', config)).toBe(30);
+    expect(getExpiryWarningMinutes('other.com', config)).toBe(5);
+  });
+});
+
+describe('scheduleExpiryWarning', () => {
+  beforeEach(() => {
+    resetMockStorage();
+  });
+
+  it('should create an alarm N minutes before expiry', async () => {
+    const expiresAt = Date.now() + HOUR;
+    const when = await scheduleExpiryWarning('key-1', {
+      expiresAt,
+      status: 'active',
+      source: { domain: 'api.example.com' }
+    }, { notifications: true, expiryWarningDomains: { 'api.example.com': 10 } });
+
+    expect(when).toBe(expiresAt - 10 * 60 * 1000);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`${EXPIRY_ALARM_PREFIX}key-1`, { when });
+  });
+
+  it('should clear the alarm when notifications are disabled', async () => {
+    const when = await scheduleExpiryWarning('key-1', { expiresAt: Date.now() + HOUR }, { notifications: false });
+
+    expect(when).toBeNull();
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${EXPIRY_ALARM_PREFIX}key-1`);
+  });
+
+  it('should skip items without expiry, already expired, or inside the warning window', async () => {
+    const config = { notifications: true };
+
+    expect(await scheduleExpiryWarning('a', { status: 'active' }, config)).toBeNull();
+    expect(await scheduleExpiryWarning('b', { expiresAt: Date.now() - 1, status: 'expired' }, config)).toBeNull();
+    expect(await scheduleExpiryWarning('c', { expiresAt: Date.now() + 60 * 1000 }, config)).toBeNull();
+    expect(await scheduleExpiryWarning('d', { expiresAt: Date.now() + HOUR }, { ...config, expiryWarningMinutes: 0 }))
+      .toBeNull();
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+
+  it('should clear single and all expiry alarms', async () => {
+    chrome.alarms.getAll.mockResolvedValueOnce([
+      { name: `${EXPIRY_ALARM_PREFIX}a` },
+      { name: 'unrelated' },
+      { name: `${EXPIRY_ALARM_PREFIX}b` }
+    ]);
+
+    await clearExpiryWarning('x');
+    await clearAllExpiryWarnings();
+
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${EXPIRY_ALARM_PREFIX}x`);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${EXPIRY_ALARM_PREFIX}a`);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${EXPIRY_ALARM_PREFIX}b`);
+    expect(chrome.alarms.clear).not.toHaveBeenCalledWith('unrelated');
+  });
+});
+
+describe('handleExpiryAlarm', () => {
+  beforeEach(() => {
+    resetMockStorage();
+  });
+
+  it('should notify when the captured item is still about to expire', async () => {
+    setMockStorage({
+      config: { notifications: true },
+      capturedData: {
+        k: { displayName: 'Auth Token', status: 'active', expiresAt: Date.now() + 5 * 60 * 1000, source: { domain: 'api.example.com' } }
+      }
+    });
+
+    const shown = await handleExpiryAlarm({ name: `${EXPIRY_ALARM_PREFIX}k` });
+
+    expect(shown).toBe(true);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      `${EXPIRY_ALARM_PREFIX}k`,
+      expect.objectContaining({ title: '⌛ Token Expiring Soon' })
+    );
+  });
+
+  it('should ignore unrelated alarms and respect the notifications switch', async () => {
+    setMockStorage({
+      config: { notifications: false },
+      capturedData: { k: { status: 'active', expiresAt: Date.now() + HOUR } }
+    });
+
+    expect(await handleExpiryAlarm({ name: 'other' })).toBe(false);
+    expect(await handleExpiryAlarm(undefined)).toBe(false);
+    expect(await handleExpiryAlarm({ name: `${EXPIRY_ALARM_PREFIX}k` })).toBe(false);
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+
+  it('should skip items that were removed or already expired', async () => {
+    setMockStorage({
+      config: { notifications: true },
+      capturedData: { gone: { status: 'active', expiresAt: Date.now() - 1000 } }
+    });
+
+    expect(await handleExpiryAlarm({ name: `${EXPIRY_ALARM_PREFIX}missing` })).toBe(false);
+    expect(await handleExpiryAlarm({ name: `${EXPIRY_ALARM_PREFIX}gone` })).toBe(false);
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+});
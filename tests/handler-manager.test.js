@@ -2,6 +2,7 @@
 
 import { jest } from '@jest/globals';
 import { HandlerManager } from '../src/handlers/index.js';
+import { BaseHandler } from '../src/handlers/base-handler.js';
 
 function createMockDetails(overrides = {}) {
   return {
@@ -46,29 +47,32 @@ describe('HandlerManager', () => {
     expect(capabilities[0]).toHaveProperty('displayName');
   });
 
+  // A BaseHandler with its process() replaced, so the manager's phase filtering still applies
+  const createHandler = fields => Object.assign(new BaseHandler(), fields);
+
   it('should process requests and handle handler errors', () => {
     const manager = new HandlerManager();
 
-    const okHandler = {
+    const okHandler = createHandler({
       name: 'ok',
       displayName: 'OK',
       enabled: true,
       process: jest.fn(() => ({ value: 'ok' }))
-    };
-    const failingHandler = {
+    });
+    const failingHandler = createHandler({
       name: 'bad',
       displayName: 'Bad',
       enabled: true,
       process: jest.fn(() => {
         throw new Error('boom');
       })
-    };
-    const nullHandler = {
+    });
+    const nullHandler = createHandler({
       name: 'null',
       displayName: 'Null',
       enabled: true,
       process: jest.fn(() => null)
-    };
+    });
 
     manager.handlers = [okHandler, failingHandler, nullHandler];
     manager.customHandlers = [];
@@ -82,4 +86,47 @@ describe('HandlerManager', () => {
 
     spy.mockRestore();
   });
+
+  it('should only run handlers registered for the requested phase', () => {
+    const manager = new HandlerManager();
+    const requestHandler = createHandler({ name: 'req', process: jest.fn(() => ({ value: 'req' })) });
+    const responseHandler = createHandler({ name: 'res', phase: 'response', process: jest.fn(() => ({ value: 'res' })) });
+    const bothHandler = createHandler({ name: 'both', phase: 'both', process: jest.fn(() => ({ value: 'both' })) });
+
+    manager.handlers = [requestHandler, responseHandler, bothHandler];
+    manager.customHandlers = [];
+
+    expect(manager.processRequest(createMockDetails()).map(r => r.value)).toEqual(['req', 'both']);
+    expect(manager.processResponse(createMockDetails()).map(r => r.value)).toEqual(['res', 'both']);
+    expect(bothHandler.process).toHaveBeenLastCalledWith(expect.any(Object), 'response');
+  });
+
+  it('should register the OAuth flow handler with the built-in handlers', () => {
+    const manager = new HandlerManager();
+    manager.initialize();
+
+    const results = manager.processRequest({
+      url: 'https://login.example.com/authorize?response_type=code&client_id=app-1&state=s1',
+      method: 'GET',
+      requestHeaders: []
+    });
+
+    expect(results.find(r => r.handler === 'oauth-flow')).toMatchObject({ step: 'authorization-request' });
+    expect(manager.getCapabilities().find(c => c.name === 'oauth-flow').phase).toBe('both');
+  });
+
+  it('should capture Set-Cookie from responses with built-in handlers', () => {
+    const manager = new HandlerManager();
+    manager.initialize();
+
+    const results = manager.processResponse({
+      url: 'https://app.example.com/login',
+      method: 'POST',
+      responseHeaders: [{ name: 'Set-Cookie', value: 'session=abc; HttpOnly' }]
+    });
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ handler: 'cookie', phase: 'response', value: 'abc' });
+    expect(manager.getCapabilities().find(c => c.name === 'cookie').phase).toBe('both');
+  });
 });
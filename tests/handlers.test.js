@@ -7,6 +7,14 @@ import { AuthTokenHandler } from '../src/handlers/auth-token-handler.js';
 import { CookieHandler } from '../src/handlers/cookie-handler.js';
 import { QueryParamHandler } from '../src/handlers/query-param-handler.js';
 import { CustomHandler, createCustomHandlers } from '../src/handlers/custom-handler.js';
+import { OAuthFlowHandler } from '../src/handlers/oauth-flow-handler.js';
+import { MASKED_PASSWORD } from '../src/lib/credential-types.js';
+
+// Helper to build an unsigned JWT for decoding tests
+function createJwt(payload) {
+  const encode = obj => btoa(JSON.stringify(obj)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.sig`;
+}
 
 // Helper to create mock request details
 function createMockRequest(overrides = {}) {
@@ -134,6 +142,26 @@ describe('AuthTokenHandler', () => {
       expect(result.source.domain).toBe('api.myapp.com');
     });
 
+    it('should decode JWT claims from bearer tokens', () => {
+      const token = createJwt({ iss: 'https://auth.example.com', sub: 'user-1', exp: 1700000000 });
+      const details = createMockRequest({
+        requestHeaders: [{ name: 'Authorization', value: `Bearer ${token}` }]
+      });
+
+      const result = handler.extract(details);
+
+      expect(result.jwt.header.alg).toBe('HS256');
+      expect(result.jwt.claims).toEqual({ iss: 'https://auth.example.com', sub: 'user-1', exp: 1700000000 });
+    });
+
+    it('should not attach JWT data to opaque tokens', () => {
+      const details = createMockRequest({
+        requestHeaders: [{ name: 'Authorization', value: 'Bearer opaque-token' }]
+      });
+
+      expect(handler.extract(details).jwt).toBeUndefined();
+    });
+
     it('should extract Basic auth token', () => {
       const details = createMockRequest({
         requestHeaders: [
@@ -143,8 +171,31 @@ describe('AuthTokenHandler', () => {
 
       const result = handler.extract(details);
 
-      // Note: Basic tokens are kept as-is (not parsed)
-      expect(result.tokenType).toBe('raw');
+      expect(result.tokenType).toBe('basic');
+      expect(result.value).toBe('Basic dXNlcjpwYXNz');
+      expect(result.credentialDetails).toEqual({ username: 'user', password: MASKED_PASSWORD });
+    });
+
+    it('should classify non-bearer schemes with the shared credential types', () => {
+      const extractType = (value) => handler.extract(createMockRequest({
+        requestHeaders: [{ name: 'Authorization', value }]
+      })).tokenType;
+
+      expect(extractType('Digest username="bob", realm="api"')).toBe('digest');
+      expect(extractType('AWS4-HMAC-SHA256 Credential=AKID/20240101/us-east-1/s3/aws4_request, Signature=abc')).toBe('aws-sigv4');
+      expect(extractType('Token abc123')).toBe('token');
+      expect(extractType('opaque-value')).toBe('raw');
+    });
+
+    it('should decode JWTs sent with a "JWT" prefix', () => {
+      const jwt = createJwt({ sub: 'user-1' });
+      const result = handler.extract(createMockRequest({
+        requestHeaders: [{ name: 'Authorization', value: `JWT ${jwt}` }]
+      }));
+
+      expect(result.tokenType).toBe('jwt');
+      expect(result.value).toBe(`JWT ${jwt}`);
+      expect(result.jwt.claims.sub).toBe('user-1');
     });
 
     it('should extract API key from X-API-Key header', () => {
@@ -313,6 +364,16 @@ describe('CookieHandler', () => {
       expect(result.cookieName).toBe('jwt');
     });
 
+    it('should decode JWT claims from cookie values', () => {
+      const token = createJwt({ sub: 'cookie-user', iat: 1700000000 });
+      const details = createMockRequest({
+        requestHeaders: [{ name: 'Cookie', value: `jwt=${token}` }]
+      });
+
+      const result = handler.extract(details);
+      expect(result.jwt.claims).toEqual({ sub: 'cookie-user', iat: 1700000000 });
+    });
+
     it('should track all auth cookies in allCookies', () => {
       const details = createMockRequest({
         requestHeaders: [
@@ -373,6 +434,137 @@ describe('CookieHandler', () => {
   });
 });
 
+describe('CookieHandler - response phase', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = new CookieHandler();
+  });
+
+  it('should inspect both requests and responses', () => {
+    expect(handler.phase).toBe('both');
+    expect(handler.inspects('request')).toBe(true);
+    expect(handler.inspects('response')).toBe(true);
+  });
+
+  it('should match responses that set target cookies', () => {
+    const details = createMockRequest({
+      responseHeaders: [
+        { name: 'Set-Cookie', value: 'theme=dark; Path=/' },
+        { name: 'set-cookie', value: 'sessionid=abc; HttpOnly' }
+      ]
+    });
+
+    expect(handler.matches(details, 'response')).toBe(true);
+    expect(handler.matches(createMockRequest({ responseHeaders: [] }), 'response')).toBe(false);
+    expect(handler.matches(createMockRequest(), 'response')).toBe(false);
+  });
+
+  it('should extract Set-Cookie attributes', () => {
+    const details = createMockRequest({
+      url: 'https://app.example.com/login',
+      method: 'POST',
+      statusCode: 200,
+      responseHeaders: [{
+        name: 'Set-Cookie',
+        value: 'sessionid=sess=42; Expires=Wed, 21 Oct 2026 07:28:00 GMT; Max-Age=3600; Domain=.example.com; Path=/; Secure; HttpOnly; SameSite=Lax'
+      }]
+    });
+
+    const result = handler.process(details, 'response');
+
+    expect(result.phase).toBe('response');
+    expect(result.value).toBe('sess=42');
+    expect(result.cookieName).toBe('sessionid');
+    expect(result.cookieAttributes).toEqual({
+      httpOnly: true,
+      secure: true,
+      sameSite: 'Lax',
+      expires: 'Wed, 21 Oct 2026 07:28:00 GMT',
+      maxAge: 3600,
+      domain: '.example.com',
+      path: '/'
+    });
+    expect(result.source).toMatchObject({ domain: 'app.example.com', method: 'POST', statusCode: 200 });
+  });
+
+  it('should prefer priority cookies and skip deletions', () => {
+    const details = createMockRequest({
+      responseHeaders: [
+        { name: 'Set-Cookie', value: 'connect.sid=; Max-Age=0' },
+        { name: 'Set-Cookie', value: 'sid=first' },
+        { name: 'Set-Cookie', value: 'auth_token=second\ntheme=dark' }
+      ]
+    });
+
+    const result = handler.extract(details, 'response');
+
+    expect(result.cookieName).toBe('auth_token');
+    expect(result.allCookies).toEqual({ sid: 'first', auth_token: 'second' });
+    expect(result.cookieAttributes).toEqual({ httpOnly: false, secure: false });
+  });
+
+  it('should return null when only deletions or malformed cookies are set', () => {
+    const details = createMockRequest({
+      url: 'http://',
+      responseHeaders: [
+        { name: 'Set-Cookie', value: 'session=; Max-Age=0' },
+        { name: 'Set-Cookie', value: 'garbage' }
+      ]
+    });
+
+    expect(handler.extract(details, 'response')).toBeNull();
+  });
+});
+
+describe('BaseHandler phases', () => {
+  it('should default to request phase and skip other phases', () => {
+    class TestHandler extends BaseHandler {
+      matches() {
+        return true;
+      }
+      extract() {
+        return { value: 'ok' };
+      }
+    }
+
+    const handler = new TestHandler();
+    expect(handler.process({}, 'response')).toBeNull();
+    expect(handler.process({})).toMatchObject({ phase: 'request', value: 'ok' });
+  });
+});
+
+describe('Handler URL patterns', () => {
+  it('should treat dots and question marks in wildcard patterns literally', () => {
+    const handler = new CustomHandler({
+      rule: { urlPattern: 'api.example.com/v?/*', extractFrom: 'header', extractKey: 'x-token' }
+    });
+
+    expect(handler.matches({ url: 'https://api.example.com/v1/users', method: 'GET' })).toBe(true);
+    expect(handler.matches({ url: 'https://apiXexample.com/v1/users', method: 'GET' })).toBe(false);
+  });
+
+  it('should compile wildcards once instead of per URL', () => {
+    const OriginalRegExp = global.RegExp;
+    let compiled = 0;
+    global.RegExp = function (...args) {
+      compiled++;
+      return new OriginalRegExp(...args);
+    };
+
+    try {
+      const handler = new AuthTokenHandler({ urlPatterns: ['*://api.example.com/*'] });
+      for (let i = 0; i < 5; i++) {
+        handler.matches({ url: `https://api.example.com/v${i}`, requestHeaders: [{ name: 'Authorization', value: 'Bearer x' }] });
+      }
+    } finally {
+      global.RegExp = OriginalRegExp;
+    }
+
+    expect(compiled).toBe(1);
+  });
+});
+
 describe('QueryParamHandler', () => {
   let handler;
 
@@ -420,6 +612,27 @@ describe('QueryParamHandler', () => {
       expect(result.paramName).toBe('api_key');
     });
 
+    it('should decode JWT claims from query parameters', () => {
+      const token = createJwt({ aud: 'maps', scope: 'tiles' });
+      const details = createMockRequest({
+        url: `https://api.example.com/data?access_token=${token}`
+      });
+
+      const result = handler.extract(details);
+      expect(result.jwt.claims).toEqual({ aud: 'maps', scope: 'tiles' });
+    });
+
+    it('should record OAuth expires_in next to the token', () => {
+      const details = createMockRequest({
+        url: 'https://app.example.com/callback?access_token=abc&expires_in=3600'
+      });
+
+      expect(handler.extract(details).expiresIn).toBe(3600);
+      expect(handler.extract(createMockRequest({
+        url: 'https://app.example.com/callback?access_token=abc&expires_in=soon'
+      })).expiresIn).toBeUndefined();
+    });
+
     it('should track all auth params in allParams', () => {
       const details = createMockRequest({
         url: 'https://api.example.com/data?api_key=key1&token=tok1'
@@ -501,6 +714,156 @@ describe('QueryParamHandler', () => {
   });
 });
 
+describe('OAuthFlowHandler', () => {
+  let handler;
+
+  beforeEach(() => {
+    handler = new OAuthFlowHandler();
+  });
+
+  it('should inspect both requests and responses', () => {
+    expect(handler.phase).toBe('both');
+  });
+
+  it('should recognize authorization requests with PKCE', () => {
+    const details = createMockRequest({
+      url: 'https://login.example.com/oauth2/authorize?response_type=code&client_id=app-1' +
+        '&redirect_uri=https%3A%2F%2Fapp.example.com%2Fcallback&scope=openid%20profile%20email' +
+        '&state=xyz&code_challenge=abc&code_challenge_method=S256'
+    });
+
+    expect(handler.matches(details, 'request')).toBe(true);
+
+    const result = handler.process(details);
+    expect(result).toMatchObject({
+      handler: 'oauth-flow',
+      type: 'oauth-flow',
+      step: 'authorization-request',
+      value: 'app-1',
+      oauth: {
+        clientId: 'app-1',
+        redirectUri: 'https://app.example.com/callback',
+        responseType: 'code',
+        scopes: ['openid', 'profile', 'email'],
+        state: 'xyz',
+        codeChallengeMethod: 'S256'
+      },
+      source: { domain: 'login.example.com', path: '/oauth2/authorize' }
+    });
+  });
+
+  it('should default the PKCE method to plain', () => {
+    const result = handler.extract(createMockRequest({
+      url: 'https://login.example.com/authorize?response_type=code&client_id=app-1&code_challenge=abc'
+    }), 'request');
+
+    expect(result.oauth.codeChallengeMethod).toBe('plain');
+  });
+
+  it('should recognize authorization code callbacks and errors', () => {
+    const success = handler.extract(createMockRequest({
+      url: 'https://app.example.com/callback?code=auth-code-1&state=xyz'
+    }), 'request');
+
+    expect(success).toMatchObject({
+      step: 'authorization-response',
+      value: 'auth-code-1',
+      oauth: { code: 'auth-code-1', state: 'xyz', redirectUri: 'https://app.example.com/callback' }
+    });
+
+    const failure = handler.extract(createMockRequest({
+      url: 'https://app.example.com/callback?error=access_denied&error_description=User+denied&state=xyz'
+    }), 'request');
+
+    expect(failure.value).toBe('access_denied');
+    expect(failure.oauth.errorDescription).toBe('User denied');
+  });
+
+  it('should ignore code params without state', () => {
+    expect(handler.matches(createMockRequest({
+      url: 'https://shop.example.com/promo?code=SUMMER'
+    }), 'request')).toBe(false);
+  });
+
+  it('should recognize token exchanges and read the grant from the body', () => {
+    const details = createMockRequest({
+      url: 'https://login.example.com/oauth2/token',
+      method: 'POST',
+      parsedBody: {
+        kind: 'form',
+        data: {
+          grant_type: ['authorization_code'],
+          code: ['auth-code-1'],
+          code_verifier: ['secret-verifier'],
+          client_id: ['app-1']
+        }
+      }
+    });
+
+    const result = handler.extract(details, 'request');
+    expect(result).toMatchObject({
+      step: 'token-request',
+      value: 'auth-code-1',
+      oauth: { grantType: 'authorization_code', code: 'auth-code-1', hasCodeVerifier: true, clientId: 'app-1' }
+    });
+    expect(JSON.stringify(result)).not.toContain('secret-verifier');
+  });
+
+  it('should recognize token requests without a captured body', () => {
+    const result = handler.extract(createMockRequest({
+      url: 'https://login.example.com/connect/token',
+      method: 'POST'
+    }), 'request');
+
+    expect(result).toMatchObject({ step: 'token-request', value: 'token-request', oauth: {} });
+    expect(handler.matches(createMockRequest({ url: 'https://login.example.com/connect/token' }), 'request')).toBe(false);
+    expect(handler.matches(createMockRequest({ url: 'https://api.example.com/tokens', method: 'POST' }), 'request')).toBe(false);
+  });
+
+  it('should read implicit-flow tokens from the redirect fragment', () => {
+    const details = {
+      url: 'https://login.example.com/authorize?response_type=token&client_id=app-1',
+      method: 'GET',
+      statusCode: 302,
+      responseHeaders: [{
+        name: 'Location',
+        value: 'https://app.example.com/cb#access_token=at-1&token_type=Bearer&expires_in=3600&state=xyz'
+      }]
+    };
+
+    expect(handler.matches(details, 'response')).toBe(true);
+
+    const result = handler.process(details, 'response');
+    expect(result).toMatchObject({
+      phase: 'response',
+      step: 'implicit-grant',
+      value: 'at-1',
+      oauth: {
+        accessToken: 'at-1',
+        tokenType: 'Bearer',
+        expiresIn: 3600,
+        state: 'xyz',
+        redirectUri: 'https://app.example.com/cb'
+      }
+    });
+  });
+
+  it('should read fragment-mode codes and ignore other redirects', () => {
+    const redirect = (location, statusCode = 302) => ({
+      url: 'https://login.example.com/authorize',
+      statusCode,
+      responseHeaders: [{ name: 'location', value: location }]
+    });
+
+    expect(handler.extract(redirect('https://app.example.com/cb#code=c-1&state=s'), 'response').step)
+      .toBe('authorization-response');
+    expect(handler.matches(redirect('https://app.example.com/cb?code=c-1&state=s'), 'response')).toBe(false);
+    expect(handler.matches(redirect('https://app.example.com/#section'), 'response')).toBe(false);
+    expect(handler.matches(redirect('https://app.example.com/cb#access_token=x', 200), 'response')).toBe(false);
+    expect(handler.matches({ url: 'https://login.example.com/', statusCode: 302, responseHeaders: [] }, 'response')).toBe(false);
+  });
+});
+
 describe('CustomHandler', () => {
   describe('header extraction', () => {
     it('should extract custom header by name', () => {
@@ -552,6 +915,53 @@ describe('CustomHandler', () => {
     });
   });
 
+  describe('body extraction', () => {
+    it('should extract a JSON path from the parsed request body', () => {
+      const handler = new CustomHandler({
+        name: 'refresh-token',
+        rule: {
+          urlPattern: '/oauth/token',
+          method: 'POST',
+          extractFrom: 'body',
+          extractKey: 'data.refresh_token'
+        }
+      });
+
+      const details = createMockRequest({
+        url: 'https://auth.example.com/oauth/token',
+        method: 'POST',
+        parsedBody: { kind: 'json', data: { data: { refresh_token: 'rt_abc' } } }
+      });
+
+      expect(handler.matches(details)).toBe(true);
+
+      const result = handler.extract(details);
+      expect(result.value).toBe('rt_abc');
+      expect(result.extractFrom).toBe('body');
+    });
+
+    it('should extract a form field from the parsed request body', () => {
+      const handler = new CustomHandler({
+        rule: { extractFrom: 'body', extractKey: 'refresh_token' }
+      });
+
+      const details = createMockRequest({
+        method: 'POST',
+        parsedBody: { kind: 'form', data: { grant_type: ['refresh_token'], refresh_token: ['rt_form'] } }
+      });
+
+      expect(handler.extract(details).value).toBe('rt_form');
+    });
+
+    it('should return null when the body was not captured', () => {
+      const handler = new CustomHandler({
+        rule: { extractFrom: 'body', extractKey: 'refresh_token' }
+      });
+
+      expect(handler.extract(createMockRequest({ method: 'POST' }))).toBeNull();
+    });
+  });
+
   describe('query param extraction', () => {
     it('should extract specific query parameter', () => {
       const handler = new CustomHandler({
@@ -0,0 +1,173 @@
+// Browser Inspector - HAR export/import tests
+
+import { buildHar, parseHar } from '../src/lib/har.js';
+
+function record(overrides = {}) {
+  return {
+    timestamp: Date.parse('2024-01-01T00:00:01.000Z'),
+    method: 'POST',
+    url: 'https://api.example.com/v1/login?next=%2Fhome',
+    resourceType: 'xmlhttprequest',
+    requestHeaders: [
+      { name: 'Authorization', value: 'Bearer abc' },
+      { name: 'Cookie', value: 'sid=1; theme=dark' }
+    ],
+    responseHeaders: [
+      { name: 'Content-Type', value: 'application/json' },
+      { name: 'Set-Cookie', value: 'sid=2; HttpOnly; Path=/' }
+    ],
+    statusCode: 200,
+    duration: 42.4,
+    ...overrides
+  };
+}
+
+describe('buildHar', () => {
+  it('should build a HAR 1.2 log', () => {
+    const har = buildHar([record()], { creatorVersion: '1.2.3' });
+
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.creator).toEqual({ name: 'Browser Inspector', version: '1.2.3' });
+
+    const [entry] = har.log.entries;
+    expect(entry.startedDateTime).toBe('2024-01-01T00:00:01.000Z');
+    expect(entry.time).toBe(42);
+    expect(entry.timings).toEqual({ send: 0, wait: 42, receive: 0 });
+    expect(entry._resourceType).toBe('xhr');
+    expect(entry.request).toMatchObject({
+      method: 'POST',
+      url: 'https://api.example.com/v1/login?next=%2Fhome',
+      httpVersion: 'HTTP/1.1',
+      cookies: [{ name: 'sid', value: '1' }, { name: 'theme', value: 'dark' }],
+      queryString: [{ name: 'next', value: '/home' }],
+      headersSize: -1,
+      bodySize: -1
+    });
+    expect(entry.response).toMatchObject({
+      status: 200,
+      cookies: [{ name: 'sid', value: '2' }],
+      content: { size: 0, mimeType: 'application/json' },
+      redirectURL: ''
+    });
+  });
+
+  it('should order entries by time and leave out locked records', () => {
+    const har = buildHar([
+      record({ url: 'https://b.example.com/', timestamp: 2000 }),
+      record({ url: undefined, locked: true, timestamp: 1500 }),
+      record({ url: 'https://a.example.com/', timestamp: 1000 })
+    ]);
+
+    expect(har.log.entries.map(entry => entry.request.url)).toEqual(['https://a.example.com/', 'https://b.example.com/']);
+  });
+
+  it('should describe failed requests without a response', () => {
+    const [entry] = buildHar([record({ statusCode: undefined, error: 'net::ERR_FAILED', responseHeaders: undefined, duration: undefined })]).log.entries;
+
+    expect(entry.response.status).toBe(0);
+    expect(entry.response.statusText).toBe('net::ERR_FAILED');
+    expect(entry.response.headers).toEqual([]);
+    expect(entry.time).toBe(0);
+  });
+});
+
+describe('parseHar', () => {
+  it('should read back what buildHar writes', () => {
+    const [details] = parseHar(JSON.stringify(buildHar([record()])));
+
+    expect(details).toEqual({
+      url: 'https://api.example.com/v1/login?next=%2Fhome',
+      method: 'POST',
+      type: 'xmlhttprequest',
+      timeStamp: Date.parse('2024-01-01T00:00:01.000Z'),
+      duration: 42,
+      requestHeaders: record().requestHeaders,
+      responseHeaders: record().responseHeaders,
+      statusCode: 200,
+      parsedBody: null,
+      pageUrl: null
+    });
+  });
+
+  it('should map resource types and guess API calls when the type is missing', () => {
+    const entry = (extra, response = {}) => ({
+      startedDateTime: '2024-01-01T00:00:00.000Z',
+      request: { method: 'get', url: 'https://api.example.com/', headers: [] },
+      response,
+      ...extra
+    });
+
+    const types = parseHar({
+      log: {
+        entries: [
+          entry({ _resourceType: 'fetch' }),
+          entry({ _resourceType: 'document' }),
+          entry({ _resourceType: 'manifest' }),
+          entry({}, { content: { mimeType: 'application/json; charset=utf-8' } }),
+          entry({})
+        ]
+      }
+    }).map(details => details.type);
+
+    expect(types).toEqual(['xmlhttprequest', 'main_frame', 'other', 'xmlhttprequest', 'other']);
+  });
+
+  it('should add a Cookie header from the cookie list and parse request bodies', () => {
+    const [form, json] = parseHar({
+      log: {
+        entries: [
+          {
+            startedDateTime: '2024-01-01T00:00:00.000Z',
+            request: {
+              method: 'POST',
+              url: 'https://auth.example.com/token',
+              headers: [],
+              cookies: [{ name: 'sid', value: '1' }],
+              postData: { mimeType: 'application/x-www-form-urlencoded', params: [{ name: 'grant_type', value: 'refresh_token' }] }
+            }
+          },
+          {
+            startedDateTime: '2024-01-01T00:00:01.000Z',
+            request: {
+              method: 'POST',
+              url: 'https://auth.example.com/login',
+              headers: [],
+              postData: { mimeType: 'application/json', text: '{"password":"x"}' }
+            }
+          }
+        ]
+      }
+    });
+
+    expect(form.requestHeaders).toEqual([{ name: 'Cookie', value: 'sid=1' }]);
+    expect(form.parsedBody).toEqual({ kind: 'form', data: { grant_type: ['refresh_token'] } });
+    expect(json.parsedBody).toEqual({ kind: 'json', data: { password: 'x' } });
+  });
+
+  it('should find the page from the HAR pages, Origin or Referer', () => {
+    const entry = (pageref, headers = []) => ({
+      pageref,
+      startedDateTime: '2024-01-01T00:00:00.000Z',
+      request: { method: 'GET', url: 'https://api.example.com/', headers }
+    });
+
+    const pages = parseHar({
+      log: {
+        pages: [{ id: 'p1', title: 'https://app.example.com/' }, { id: 'p2', title: 'Dashboard' }],
+        entries: [
+          entry('p1'),
+          entry('p2', [{ name: 'Origin', value: 'https://shop.example.com' }]),
+          entry(undefined, [{ name: 'Referer', value: 'https://blog.example.com/post' }]),
+          entry(undefined)
+        ]
+      }
+    }).map(details => details.pageUrl);
+
+    expect(pages).toEqual(['https://app.example.com/', 'https://shop.example.com', 'https://blog.example.com/post', null]);
+  });
+
+  it('should reject input that is not a HAR log', () => {
+    expect(() => parseHar({ entries: [] })).toThrow('Not a HAR file');
+    expect(() => parseHar('nope')).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,291 @@
+// In-memory IndexedDB for tests - jsdom has none
+// Covers what record-store.js uses: open/upgrade (adding and dropping indexes), object stores with a
+// keyPath, single-field and compound indexes, IDBKeyRange.bound, get/getAll/count/put/delete/clear
+// and transactions that complete once their requests have run
+
+const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// IndexedDB key order: numbers, then strings, then arrays (element by element)
+function compareKeys(a, b) {
+  const rank = key => Array.isArray(key) ? 2 : typeof key === 'string' ? 1 : 0;
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compareKeys(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length - b.length;
+  }
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// Records missing part of an index's key path are left out of the index, as in IndexedDB
+function getIndexKey(record, keyPath) {
+  const key = Array.isArray(keyPath) ? keyPath.map(field => record[field]) : record[keyPath];
+  return [].concat(key).includes(undefined) ? undefined : key;
+}
+
+export class MockKeyRange {
+  constructor(lower, upper) {
+    this.lower = lower;
+    this.upper = upper;
+  }
+
+  static bound(lower, upper) {
+    return new MockKeyRange(lower, upper);
+  }
+
+  includes(key) {
+    return compareKeys(this.lower, key) <= 0 && compareKeys(key, this.upper) <= 0;
+  }
+}
+
+function matchesQuery(key, query) {
+  if (query === undefined) return true;
+  return query instanceof MockKeyRange ? query.includes(key) : compareKeys(key, query) === 0;
+}
+
+function createRequest(tx, run) {
+  const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+  tx.pending++;
+  queueMicrotask(() => {
+    try {
+      request.result = run();
+      request.onsuccess?.();
+    } catch (error) {
+      request.error = error;
+      request.onerror?.();
+      tx.error = error;
+    }
+    tx.pending--;
+    tx.maybeComplete();
+  });
+  return request;
+}
+
+class MockObjectStore {
+  constructor(tx, data) {
+    this.tx = tx;
+    this.data = data;
+  }
+
+  sorted(records, field) {
+    return [...records].sort((a, b) => compareKeys(a[field], b[field]) || compareKeys(a[this.data.keyPath], b[this.data.keyPath]));
+  }
+
+  // Reads see writes queued earlier in the same transaction, like a real transaction would
+  all() {
+    this.tx.flush();
+    return this.sorted([...this.data.records.values()], this.data.keyPath);
+  }
+
+  get(id) {
+    return createRequest(this.tx, () => {
+      this.tx.flush();
+      return clone(this.data.records.get(id));
+    });
+  }
+
+  getAll(query, count) {
+    return createRequest(this.tx, () => {
+      const records = this.all().filter(record => query === undefined || record[this.data.keyPath] === query);
+      return clone(count ? records.slice(0, count) : records);
+    });
+  }
+
+  count(query) {
+    return createRequest(this.tx, () => this.all().filter(record => query === undefined || record[this.data.keyPath] === query).length);
+  }
+
+  put(record) {
+    this.tx.assertWritable();
+    return createRequest(this.tx, () => {
+      const id = record[this.data.keyPath];
+      if (id === undefined) throw new Error('DataError: record has no key');
+      this.tx.writes.push(() => this.data.records.set(id, clone(record)));
+      return id;
+    });
+  }
+
+  delete(id) {
+    this.tx.assertWritable();
+    return createRequest(this.tx, () => {
+      this.tx.writes.push(() => this.data.records.delete(id));
+    });
+  }
+
+  clear() {
+    this.tx.assertWritable();
+    return createRequest(this.tx, () => {
+      this.tx.writes.push(() => this.data.records.clear());
+    });
+  }
+
+  get indexNames() {
+    const names = [...this.data.indexes.keys()];
+    return Object.assign(names, { contains: name => this.data.indexes.has(name) });
+  }
+
+  createIndex(name, keyPath) {
+    this.tx.assertUpgrade();
+    this.data.indexes.set(name, keyPath);
+  }
+
+  deleteIndex(name) {
+    this.tx.assertUpgrade();
+    this.data.indexes.delete(name);
+  }
+
+  index(name) {
+    const keyPath = this.data.indexes.get(name);
+    if (!keyPath) throw new Error(`NotFoundError: no index ${name}`);
+
+    const matches = query => {
+      this.tx.flush();
+      return [...this.data.records.values()]
+        .map(record => ({ record, key: getIndexKey(record, keyPath) }))
+        .filter(({ key }) => key !== undefined && matchesQuery(key, query))
+        .sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.record[this.data.keyPath], b.record[this.data.keyPath]))
+        .map(({ record }) => record);
+    };
+    return {
+      getAll: (query, count) => createRequest(this.tx, () => {
+        const records = matches(query);
+        return clone(count ? records.slice(0, count) : records);
+      }),
+      count: query => createRequest(this.tx, () => matches(query).length)
+    };
+  }
+}
+
+class MockTransaction {
+  constructor(db, storeNames, mode) {
+    this.db = db;
+    this.storeNames = [].concat(storeNames);
+    this.mode = mode;
+    this.pending = 0;
+    this.writes = [];
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    this.done = false;
+    // A transaction with no requests still completes
+    queueMicrotask(() => this.maybeComplete());
+  }
+
+  assertWritable() {
+    if (this.mode !== 'readwrite' && this.mode !== 'versionchange') {
+      throw new Error('ReadOnlyError: transaction is read-only');
+    }
+  }
+
+  assertUpgrade() {
+    if (this.mode !== 'versionchange') {
+      throw new Error('InvalidStateError: indexes can only change during an upgrade');
+    }
+  }
+
+  flush() {
+    this.writes.splice(0).forEach(write => write());
+  }
+
+  objectStore(name) {
+    if (this.mode === 'versionchange') return new MockObjectStore(this, this.db.stores.get(name));
+    if (!this.storeNames.includes(name)) throw new Error(`NotFoundError: ${name} is not in this transaction`);
+    return new MockObjectStore(this, this.db.stores.get(name));
+  }
+
+  maybeComplete() {
+    if (this.done || this.pending > 0) return;
+    this.done = true;
+    setTimeout(() => {
+      if (this.error) {
+        this.writes = [];
+        this.onerror?.();
+        this.onabort?.();
+        return;
+      }
+      this.flush();
+      this.oncomplete?.();
+    }, 0);
+  }
+}
+
+class MockDatabase {
+  constructor(name, stores, transactions) {
+    this.name = name;
+    this.stores = stores;
+    this.transactions = transactions;
+    this.closed = false;
+    this.objectStoreNames = { contains: storeName => stores.has(storeName) };
+  }
+
+  createObjectStore(name, { keyPath }) {
+    const data = { keyPath, records: new Map(), indexes: new Map() };
+    this.stores.set(name, data);
+    return new MockObjectStore(this.upgradeTx, data);
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    if (this.closed) throw new Error('InvalidStateError: database is closed');
+    this.transactions.push({ storeNames: [].concat(storeNames), mode });
+    return new MockTransaction(this, storeNames, mode);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+/**
+ * Create a fresh in-memory indexedDB factory
+ */
+export function createIndexedDbMock() {
+  const databases = new Map();
+  // Every transaction opened, as { storeNames, mode }
+  const transactions = [];
+
+  return {
+    databases,
+    transactions,
+    open(name, version = 1) {
+      const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+
+      setTimeout(() => {
+        const existing = databases.get(name);
+        const stores = existing?.stores || new Map();
+        const db = new MockDatabase(name, stores, transactions);
+
+        if (!existing || existing.version < version) {
+          databases.set(name, { version, stores });
+          db.upgradeTx = new MockTransaction(db, [], 'versionchange');
+          request.result = db;
+          request.transaction = db.upgradeTx;
+          request.onupgradeneeded?.();
+        }
+
+        request.result = db;
+        request.onsuccess?.();
+      }, 0);
+
+      return request;
+    }
+  };
+}
+
+/**
+ * Install a fresh mock as the global indexedDB (with IDBKeyRange)
+ */
+export function installIndexedDbMock() {
+  const idb = createIndexedDbMock();
+  global.indexedDB = idb;
+  global.IDBKeyRange = MockKeyRange;
+  return idb;
+}
+
+export function uninstallIndexedDbMock() {
+  delete global.indexedDB;
+  delete global.IDBKeyRange;
+}
@@ -0,0 +1,81 @@
+// Browser Inspector - JWT Decoding Tests
+
+import { isJwtShaped, decodeJwt } from '../src/lib/jwt.js';
+
+function base64Url(obj) {
+  return btoa(JSON.stringify(obj)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function createJwt(payload, header = { alg: 'HS256', typ: 'JWT' }) {
+  return `${base64Url(header)}.${base64Url(payload)}.signature`;
+}
+
+describe('isJwtShaped', () => {
+  it('should accept three base64url segments', () => {
+    expect(isJwtShaped('aGVhZGVy.cGF5bG9hZA.c2ln')).toBe(true);
+    expect(isJwtShaped('aGVhZGVy.cGF5bG9hZA.')).toBe(true);
+  });
+
+  it('should reject opaque and malformed values', () => {
+    expect(isJwtShaped('sk_live_abc123')).toBe(false);
+    expect(isJwtShaped('a.b')).toBe(false);
+    expect(isJwtShaped('a.b.c.d')).toBe(false);
+    expect(isJwtShaped('a+b.c/d.e')).toBe(false);
+    expect(isJwtShaped(null)).toBe(false);
+  });
+});
+
+describe('decodeJwt', () => {
+  it('should decode header and the persisted claims only', () => {
+    const token = createJwt({
+      iss: 'https://auth.example.com',
+      sub: 'user-42',
+      aud: ['api', 'web'],
+      exp: 1700003600,
+      iat: 1700000000,
+      scope: 'read write',
+      email: 'dev@example.com'
+    }, { alg: 'RS256', typ: 'JWT', kid: 'key-1', jku: 'https://example.com/jwks' });
+
+    const decoded = decodeJwt(token);
+
+    expect(decoded.header).toEqual({ alg: 'RS256', typ: 'JWT', kid: 'key-1' });
+    expect(decoded.claims).toEqual({
+      iss: 'https://auth.example.com',
+      sub: 'user-42',
+      aud: ['api', 'web'],
+      exp: 1700003600,
+      iat: 1700000000,
+      scope: 'read write'
+    });
+  });
+
+  it('should normalize scp arrays into a scope string', () => {
+    const decoded = decodeJwt(createJwt({ sub: 'svc', scp: ['orders.read', 'orders.write'] }));
+    expect(decoded.claims.scope).toBe('orders.read orders.write');
+  });
+
+  it('should decode multi-byte UTF-8 payloads', () => {
+    const json = JSON.stringify({ sub: 'josé' });
+    const utf8 = unescape(encodeURIComponent(json));
+    const payload = btoa(utf8).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const token = `${base64Url({ alg: 'none' })}.${payload}.`;
+
+    expect(decodeJwt(token).claims.sub).toBe('josé');
+  });
+
+  it('should return null for non-JWT values', () => {
+    expect(decodeJwt('opaque-token')).toBeNull();
+    expect(decodeJwt('eyJhbGciOiJIUzI1NiJ9.test')).toBeNull();
+    expect(decodeJwt('bm90anNvbg.bm90anNvbg.sig')).toBeNull();
+  });
+
+  it('should return null when the header has no algorithm', () => {
+    expect(decodeJwt(createJwt({ sub: 'x' }, { typ: 'JWT' }))).toBeNull();
+  });
+
+  it('should return null when the payload is not an object', () => {
+    const token = `${base64Url({ alg: 'HS256' })}.${base64Url([1, 2])}.sig`;
+    expect(decodeJwt(token)).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+// Browser Inspector - Pattern matcher tests
+
+import {
+  getPatternSyntax,
+  compilePattern,
+  compilePatterns,
+  compileUrlPatterns,
+  compileDomainPatterns,
+  toHostMatchPattern
+} from '../src/lib/pattern-matcher.js';
+
+const url = pattern => compilePattern(pattern).test;
+const domain = pattern => compilePattern(pattern, { target: 'domain' }).test;
+
+describe('getPatternSyntax', () => {
+  it('should tell the four syntaxes apart', () => {
+    expect(getPatternSyntax('/^https:\\/\\/api\\./i')).toBe('regex');
+    expect(getPatternSyntax('*://*.example.com/*')).toBe('match-pattern');
+    expect(getPatternSyntax('<all_urls>')).toBe('match-pattern');
+    expect(getPatternSyntax('api.example.com/*/token')).toBe('glob');
+    expect(getPatternSyntax('api.example.com')).toBe('literal');
+    expect(getPatternSyntax('/oauth/token')).toBe('literal');
+    // A full URL without wildcards is still a plain substring
+    expect(getPatternSyntax('https://api.example.com/v1')).toBe('literal');
+  });
+});
+
+describe('URL patterns', () => {
+  it('should match literals anywhere in the URL, ignoring case', () => {
+    expect(url('API.example.com')('https://api.example.com/v1')).toBe(true);
+    expect(url('https://api.example.com/v1')('https://api.example.com/v1/users?page=2')).toBe(true);
+    expect(url('api.example.com')('https://example.com/api')).toBe(false);
+  });
+
+  it('should escape regex characters in globs', () => {
+    const matches = url('api.example.com/search?q=*');
+
+    expect(matches('https://api.example.com/search?q=token')).toBe(true);
+    expect(matches('https://apiXexample.com/search?q=token')).toBe(false);
+  });
+
+  it('should keep * within a path segment and let ** and ? span', () => {
+    expect(url('example.com/*/token')('https://example.com/v1/token')).toBe(true);
+    expect(url('example.com/*/token')('https://example.com/v1/oauth/token')).toBe(false);
+    expect(url('example.com/**/token')('https://example.com/v1/oauth/token')).toBe(true);
+    expect(url('example.com/v?/users')('https://example.com/v2/users')).toBe(true);
+    expect(url('example.com/v?/users')('https://example.com/v10/users')).toBe(false);
+  });
+
+  it('should follow Chrome match pattern rules', () => {
+    const matches = url('*://*.example.com/api/*');
+
+    expect(matches('https://example.com/api/users')).toBe(true);
+    expect(matches('http://auth.example.com:8080/api/')).toBe(true);
+    expect(matches('ftp://auth.example.com/api/users')).toBe(false);
+    expect(matches('https://notexample.com/api/users')).toBe(false);
+    expect(matches('https://evil.com/?next=https://example.com/api/x')).toBe(false);
+
+    expect(url('https://api.example.com/*')('http://api.example.com/v1')).toBe(false);
+    expect(url('<all_urls>')('https://anything.test/')).toBe(true);
+  });
+
+  it('should use regexes as written', () => {
+    expect(url('/\\/v\\d+\\/users$/')('https://api.example.com/v2/users')).toBe(true);
+    expect(url('/\\/V1\\//')('https://api.example.com/v1/users')).toBe(false);
+    expect(url('/\\/V1\\//i')('https://api.example.com/v1/users')).toBe(true);
+  });
+
+  it('should never match with an invalid regex', () => {
+    const matcher = compilePattern('/(unclosed/');
+
+    expect(matcher.error).toBeDefined();
+    expect(matcher.test('https://api.example.com/(unclosed')).toBe(false);
+  });
+});
+
+describe('Domain patterns', () => {
+  it('should match literals exactly', () => {
+    expect(domain('api.example.com')('api.example.com')).toBe(true);
+    expect(domain('api.example.com')('xapi.example.com')).toBe(false);
+    expect(domain('example.com')('api.example.com')).toBe(false);
+  });
+
+  it('should match the domain and its subdomains for a leading *.', () => {
+    const matches = domain('*.example.com');
+
+    expect(matches('example.com')).toBe(true);
+    expect(matches('deep.api.example.com')).toBe(true);
+    expect(matches('notexample.com')).toBe(false);
+    expect(matches('example.com.evil.net')).toBe(false);
+  });
+
+  it('should not match a bare public suffix for a leading *.', () => {
+    expect(domain('*.github.io')('alice.github.io')).toBe(true);
+    expect(domain('*.github.io')('github.io')).toBe(false);
+    expect(domain('*.co.uk')('co.uk')).toBe(false);
+  });
+
+  it('should keep * within one label elsewhere in the pattern', () => {
+    expect(domain('api-*.example.com')('api-eu.example.com')).toBe(true);
+    expect(domain('api-*.example.com')('api-eu.staging.example.com')).toBe(false);
+    expect(domain('api.example.*')('api.example.de')).toBe(true);
+  });
+
+  it('should use the host of a match pattern', () => {
+    expect(domain('*://*.example.com/*')('api.example.com')).toBe(true);
+    expect(domain('https://api.example.com:8443/*')('api.example.com')).toBe(true);
+    expect(domain('<all_urls>')('anything.test')).toBe(true);
+  });
+
+  it('should support regexes', () => {
+    expect(domain('/^api\\d\\.example\\.com$/')('api2.example.com')).toBe(true);
+  });
+});
+
+describe('compilePatterns', () => {
+  it('should pass when any pattern matches and skip empty ones', () => {
+    const matches = compilePatterns(['', 'a.com', '*.b.com'], { target: 'domain' });
+
+    expect(matches('a.com')).toBe(true);
+    expect(matches('x.b.com')).toBe(true);
+    expect(matches('c.com')).toBe(false);
+    expect(matches('')).toBe(false);
+  });
+
+  it('should match everything for empty URL lists and nothing for empty domain lists', () => {
+    expect(compileUrlPatterns([])('https://example.com/')).toBe(true);
+    expect(compileDomainPatterns([])('example.com')).toBe(false);
+    expect(compileDomainPatterns([''])('example.com')).toBe(false);
+  });
+});
+
+describe('toHostMatchPattern', () => {
+  it('should cover literal domains and leading wildcards', () => {
+    expect(toHostMatchPattern('Auth.MyApp.com')).toBe('*://auth.myapp.com/*');
+    expect(toHostMatchPattern('*.service.com')).toBe('*://*.service.com/*');
+    expect(toHostMatchPattern('https://*.service.com:8443/api/*')).toBe('*://*.service.com/*');
+  });
+
+  it('should widen inner wildcards to the subdomains of the fixed ending', () => {
+    expect(toHostMatchPattern('api-*.example.com')).toBe('*://*.example.com/*');
+    expect(toHostMatchPattern('**.eu.example.com')).toBe('*://*.eu.example.com/*');
+  });
+
+  it('should give up on patterns no host filter can express', () => {
+    expect(toHostMatchPattern('/^api\\d\\.example\\.com$/')).toBeNull();
+    expect(toHostMatchPattern('example.*')).toBeNull();
+    expect(toHostMatchPattern('**')).toBeNull();
+    expect(toHostMatchPattern('<all_urls>')).toBeNull();
+  });
+});
@@ -6,6 +6,7 @@ import {
   getCopyOptions,
   formatCopyValue,
   showCopyMenu,
+  showSnippetMenu,
   removeItem,
   clearAll,
   clearHistory,
@@ -76,6 +77,7 @@ describe('popup-actions', () => {
 
     const formats = options.map(opt => opt.format);
     expect(formats).toEqual(expect.arrayContaining(['raw', 'header', 'curl', 'bearer-only']));
+    expect(formats).toEqual(expect.arrayContaining(['fetch', 'axios', 'python', 'httpie', 'go', 'powershell', 'wget']));
   });
 
   it('should return only raw option when no extra metadata', () => {
@@ -124,6 +126,34 @@ describe('popup-actions', () => {
     expect(formatCopyValue(defaultData, 'curl')).toContain('Authorization: abc');
   });
 
+  it('should build snippets from the captured method, full URL and all auth headers', () => {
+    const data = {
+      type: 'auth-token',
+      headerName: 'Authorization',
+      tokenType: 'bearer',
+      value: 'abc',
+      allTokens: {
+        authorization: { value: 'abc', tokenType: 'bearer', originalHeader: 'Authorization' },
+        'x-api-key': { value: 'key-1', tokenType: 'api-key', originalHeader: 'X-API-Key' }
+      },
+      source: { url: 'https://api.example.com/v1/orders?page=2', domain: 'api.example.com', method: 'POST' }
+    };
+
+    const curl = formatCopyValue(data, 'curl');
+    expect(curl).toContain('curl -X POST "https://api.example.com/v1/orders?page=2"');
+    expect(curl).toContain('-H "Authorization: Bearer abc"');
+    expect(curl).toContain('-H "X-API-Key: key-1"');
+    expect(formatCopyValue(data, 'python')).toContain('requests.request("POST", url, headers=headers)');
+  });
+
+  it('should label snippet copies by client', async () => {
+    const toast = document.createElement('div');
+    toast.innerHTML = '<span class="toast-message"></span>';
+
+    await copyValue({ toast }, 'http GET "https://x.test/"', 'httpie');
+    expect(toast.querySelector('.toast-message').textContent).toBe('Copied HTTPie snippet');
+  });
+
   it('should show copy menu and call onCopy', async () => {
     document.body.innerHTML = '<button class="copy-btn">Copy</button>';
     const button = document.querySelector('.copy-btn');
@@ -145,6 +175,27 @@ describe('popup-actions', () => {
     expect(document.querySelector('.copy-menu')).toBeNull();
   });
 
+  it('should show snippet menu for a request', async () => {
+    document.body.innerHTML = '<button class="api-snippet-btn"><svg></svg></button>';
+    const button = document.querySelector('.api-snippet-btn');
+    button.getBoundingClientRect = () => ({ bottom: 10, right: 10 });
+
+    const event = { target: button.querySelector('svg'), stopPropagation: jest.fn() };
+    const onCopy = jest.fn(() => Promise.resolve());
+
+    showSnippetMenu(event, { method: 'DELETE', url: 'https://api.example.com/v1/items/1', headers: [] }, onCopy);
+
+    const items = [...document.querySelectorAll('.copy-menu-item')];
+    expect(items.map(item => item.dataset.format)).toEqual(['curl', 'fetch', 'axios', 'python', 'httpie', 'go', 'powershell', 'wget']);
+
+    items.find(item => item.dataset.format === 'wget').dispatchEvent(new MouseEvent('click'));
+    await Promise.resolve();
+
+    expect(event.stopPropagation).toHaveBeenCalled();
+    expect(onCopy).toHaveBeenCalledWith('wget -O - --method=DELETE \\\n  "https://api.example.com/v1/items/1"', 'wget');
+    expect(document.querySelector('.copy-menu')).toBeNull();
+  });
+
   it('should close copy menu on outside click', () => {
     jest.useFakeTimers();
 
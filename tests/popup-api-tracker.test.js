@@ -125,6 +125,41 @@ describe('popup-api-tracker', () => {
     expect(onCopy).toHaveBeenCalledWith('https://api.example.com/v1/items');
   });
 
+  it('should copy an endpoint as a code snippet', async () => {
+    const onCopySnippet = jest.fn(() => Promise.resolve());
+    const domainData = {
+      endpoints: {
+        'key-1': {
+          apiDomain: 'api.example.com',
+          path: '/v1/items',
+          normalizedPath: '/v1/items',
+          method: 'POST',
+          count: 1,
+          lastSeen: Date.now(),
+          exampleUrl: 'https://api.example.com/v1/items?page=1',
+          hasAuth: true,
+          authType: 'bearer'
+        }
+      }
+    };
+    document.body.appendChild(elements.apiEndpointList);
+
+    renderEndpointList(elements, domainData, '', () => {}, onCopySnippet);
+
+    const button = elements.apiEndpointList.querySelector('.api-snippet-btn');
+    expect(button.dataset.key).toBe('key-1');
+    button.getBoundingClientRect = () => ({ bottom: 10, right: 10 });
+    button.dispatchEvent(new MouseEvent('click'));
+
+    document.querySelector('.copy-menu-item[data-format="curl"]').dispatchEvent(new MouseEvent('click'));
+    await Promise.resolve();
+
+    expect(onCopySnippet).toHaveBeenCalledWith(
+      'curl -X POST "https://api.example.com/v1/items?page=1" \\\n  -H "Authorization: Bearer <bearer token>"',
+      'curl'
+    );
+  });
+
   it('should render no results for filtered endpoint list', () => {
     const domainData = {
       endpoints: {
@@ -343,6 +378,114 @@ describe('popup-api-tracker', () => {
     await exportApiTrackerData(elements, 'example.com');
   });
 
+  it('should export the selected format', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce({
+      totalRequests: 1,
+      lastVisited: Date.now(),
+      stats: {},
+      endpoints: {
+        'key-1': {
+          apiDomain: 'api.example.com',
+          path: '/v1/items/5',
+          normalizedPath: '/v1/items/*',
+          method: 'GET',
+          count: 1,
+          firstSeen: Date.now(),
+          lastSeen: Date.now(),
+          exampleUrl: 'https://api.example.com/v1/items/5'
+        }
+      }
+    });
+
+    await exportApiTrackerData(elements, 'example.com', 'openapi');
+
+    expect(elements.toast.querySelector('.toast-message').textContent).toMatch(/api-tracker-example\.com-\d{8}\.openapi\.json/);
+    const payload = JSON.parse(await capturedBlob.text());
+    expect(payload.openapi).toBe('3.1.0');
+    expect(Object.keys(payload.paths)).toEqual(['/v1/items/{itemId}']);
+  });
+
+  it('should export tracked example URLs as HAR', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce({
+      totalRequests: 3,
+      lastVisited: Date.now(),
+      stats: {},
+      endpoints: {
+        'key-1': {
+          apiDomain: 'api.example.com',
+          path: '/v1/items',
+          normalizedPath: '/v1/items',
+          method: 'GET',
+          count: 3,
+          firstSeen: 1000,
+          lastSeen: 2000,
+          exampleUrl: 'https://api.example.com/v1/items?page=1',
+          exampleUrls: ['https://api.example.com/v1/items?page=1', 'https://api.example.com/v1/items?page=2'],
+          statusCodes: { 200: 1, 304: 2 },
+          timing: { count: 3, min: 10, avg: 20, p95: 30, max: 30 },
+          hasAuth: true,
+          authType: 'bearer'
+        }
+      }
+    });
+
+    await exportApiTrackerData(elements, 'example.com', 'har');
+
+    expect(elements.toast.querySelector('.toast-message').textContent).toMatch(/\.har$/);
+    const har = JSON.parse(await capturedBlob.text());
+    expect(har.log.entries.map(entry => entry.request.url)).toEqual([
+      'https://api.example.com/v1/items?page=1',
+      'https://api.example.com/v1/items?page=2'
+    ]);
+    expect(har.log.entries[0]).toMatchObject({
+      startedDateTime: new Date(2000).toISOString(),
+      time: 20,
+      _resourceType: 'xhr',
+      request: { method: 'GET', headers: [] },
+      response: { status: 304 }
+    });
+  });
+
+  it('should only read captured tokens when the user opts in', async () => {
+    const domainData = {
+      totalRequests: 1,
+      lastVisited: Date.now(),
+      stats: {},
+      endpoints: {
+        'key-1': {
+          apiDomain: 'api.example.com',
+          path: '/v1/items',
+          normalizedPath: '/v1/items',
+          method: 'GET',
+          count: 1,
+          firstSeen: Date.now(),
+          lastSeen: Date.now(),
+          exampleUrl: 'https://api.example.com/v1/items',
+          hasAuth: true,
+          authType: 'bearer'
+        }
+      }
+    };
+    const captured = {
+      old: { type: 'auth-token', tokenType: 'bearer', value: 'old-token', capturedAt: 1, source: { domain: 'api.example.com' } },
+      current: { type: 'auth-token', tokenType: 'bearer', value: 'new-token', capturedAt: 2, source: { domain: 'api.example.com' } },
+      locked: { type: 'auth-token', tokenType: 'bearer', value: null, capturedAt: 3, source: { domain: 'api.example.com' } }
+    };
+
+    chrome.runtime.sendMessage.mockResolvedValueOnce(domainData);
+    await exportApiTrackerData(elements, 'example.com', 'postman');
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+    expect(await capturedBlob.text()).toContain('<bearer token>');
+
+    chrome.runtime.sendMessage.mockResolvedValueOnce(domainData).mockResolvedValueOnce(captured);
+    await exportApiTrackerData(elements, 'example.com', 'postman', { includeTokens: true });
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ type: 'GET_CAPTURED_DATA' });
+    expect(elements.toast.querySelector('.toast-message').textContent).toContain('.postman_collection.json');
+
+    const collection = JSON.parse(await capturedBlob.text());
+    expect(collection.variable.find(variable => variable.key === 'bearerToken').value).toBe('new-token');
+  });
+
   it('should export domain data with auth and example URLs', async () => {
     const domainData = {
       totalRequests: 2,
@@ -559,6 +702,131 @@ describe('popup-api-tracker', () => {
     expect(elements.apiEndpointList.textContent).toContain('Params:');
     expect(elements.apiEndpointList.textContent).toContain('calls');
     expect(elements.apiEndpointList.textContent).toContain('🔐');
+    expect(elements.apiEndpointList.querySelector('.auth-badge').title).toBe('Requires Bearer');
+  });
+
+  it('should label auth badges and match searches by credential type', () => {
+    const endpoint = {
+      apiDomain: 'api.example.com',
+      method: 'GET',
+      count: 1,
+      lastSeen: Date.now(),
+      exampleUrl: 'https://api.example.com/v1/items',
+      hasAuth: true
+    };
+    const domainData = {
+      endpoints: {
+        'key-1': { ...endpoint, path: '/v1/items', authType: 'aws-sigv4' },
+        'key-2': { ...endpoint, path: '/v1/users', authType: 'bearer' }
+      }
+    };
+
+    renderEndpointList(elements, domainData, 'sigv4', () => {});
+    const badges = elements.apiEndpointList.querySelectorAll('.auth-badge');
+    expect(badges.length).toBe(1);
+    expect(badges[0].textContent).toBe('🔐 AWS SigV4');
+    expect(badges[0].classList.contains('aws-sigv4')).toBe(true);
+  });
+
+  it('should render error badge and latency for endpoints with responses', () => {
+    const domainData = {
+      endpoints: {
+        'key-1': {
+          apiDomain: 'api.example.com',
+          path: '/v1/items',
+          normalizedPath: '/v1/items',
+          method: 'GET',
+          count: 4,
+          lastSeen: Date.now(),
+          exampleUrl: 'https://api.example.com/v1/items',
+          statusCodes: { 200: 3, 500: 1 },
+          errorCount: 1,
+          lastError: 'HTTP 500',
+          timing: { count: 4, total: 200, min: 20, max: 90, avg: 50, p95: 90, samples: [20, 40, 50, 90] }
+        },
+        'key-2': {
+          apiDomain: 'api.example.com',
+          path: '/v1/health',
+          normalizedPath: '/v1/health',
+          method: 'GET',
+          count: 1,
+          lastSeen: Date.now() - 1000,
+          exampleUrl: 'https://api.example.com/v1/health'
+        }
+      }
+    };
+
+    renderEndpointList(elements, domainData, '', () => {});
+
+    const badges = elements.apiEndpointList.querySelectorAll('.endpoint-error-badge');
+    expect(badges.length).toBe(1);
+    expect(badges[0].textContent).toBe('1 err');
+    expect(badges[0].title).toBe('HTTP 500');
+    expect(elements.apiEndpointList.querySelector('.endpoint-timing').textContent).toBe('avg 50ms · p95 90ms');
+    expect(elements.apiEndpointList.querySelectorAll('.endpoint-timing').length).toBe(1);
+  });
+
+  it('should render domain error count in stats', () => {
+    renderApiStats(elements, {
+      totalRequests: 5,
+      stats: { uniqueEndpoints: 2, byMethod: { GET: 5 }, errorCount: 2 }
+    });
+
+    const errors = elements.apiStats.querySelector('.has-errors');
+    expect(errors.textContent).toBe('2');
+  });
+
+  it('should export status codes, error counts and latency', async () => {
+    const domainData = {
+      totalRequests: 4,
+      lastVisited: Date.now(),
+      stats: { byMethod: { GET: 4 }, byApiDomain: { 'api.example.com': 1 }, errorCount: 1 },
+      endpoints: {
+        'key-1': {
+          apiDomain: 'api.example.com',
+          path: '/v1/items',
+          normalizedPath: '/v1/items',
+          method: 'GET',
+          count: 4,
+          firstSeen: Date.now(),
+          lastSeen: Date.now(),
+          exampleUrl: 'https://api.example.com/v1/items',
+          statusCodes: { 200: 3, 500: 1 },
+          errorCount: 1,
+          lastError: 'HTTP 500',
+          timing: { count: 4, total: 200, min: 20, max: 90, avg: 50, p95: 90, samples: [20, 40, 50, 90] }
+        },
+        'key-2': {
+          apiDomain: 'api.example.com',
+          path: '/v1/health',
+          normalizedPath: '/v1/health',
+          method: 'GET',
+          count: 1,
+          firstSeen: Date.now(),
+          lastSeen: Date.now(),
+          exampleUrl: 'https://api.example.com/v1/health'
+        }
+      }
+    };
+
+    chrome.runtime.sendMessage.mockResolvedValueOnce(domainData);
+    await exportApiTrackerData(elements, 'example.com');
+
+    const payload = JSON.parse(await capturedBlob.text());
+    expect(payload.summary.errorCount).toBe(1);
+    expect(payload.endpoints[0].stats).toMatchObject({
+      statusCodes: { 200: 3, 500: 1 },
+      errorCount: 1,
+      lastError: 'HTTP 500',
+      latency: { samples: 4, min: 20, avg: 50, p95: 90, max: 90 }
+    });
+    expect(payload.endpoints[0].stats.latency.total).toBeUndefined();
+    expect(payload.endpoints[1].stats).toMatchObject({
+      statusCodes: {},
+      errorCount: 0,
+      lastError: null,
+      latency: null
+    });
   });
 
   it('should render auth badge with default label', () => {
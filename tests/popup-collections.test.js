@@ -0,0 +1,175 @@
+// Browser Inspector - Postman and Insomnia export tests
+
+import { buildPostmanCollection, buildInsomniaExport, getBaseUrlVariable } from '../src/popup/popup-collections.js';
+import { formatDomainDataForExport, formatAllDataForExport } from '../src/popup/popup-api-tracker.js';
+
+function endpoint(overrides = {}) {
+  return {
+    apiDomain: 'api.example.com',
+    path: '/v1/users/42',
+    normalizedPath: '/v1/users/*',
+    method: 'GET',
+    count: 5,
+    firstSeen: 1700000000000,
+    lastSeen: 1700000100000,
+    exampleUrl: 'https://api.example.com/v1/users/42',
+    hasAuth: true,
+    authType: 'bearer',
+    queryParams: [],
+    queryParamExamples: {},
+    ...overrides
+  };
+}
+
+function domainExport(endpoints) {
+  return formatDomainDataForExport('example.com', {
+    totalRequests: 10,
+    lastVisited: 1700000100000,
+    stats: {},
+    endpoints
+  });
+}
+
+const sample = () => domainExport({
+  users: endpoint({ queryParams: ['page'], queryParamExamples: { page: ['2', '3'] } }),
+  search: endpoint({
+    path: '/search',
+    normalizedPath: '/search',
+    count: 2,
+    hasAuth: true,
+    authType: 'api-key',
+    queryParams: ['q'],
+    queryParamExamples: { q: ['a b'] }
+  }),
+  assets: endpoint({
+    apiDomain: 'cdn.example.com',
+    path: '/assets/app.js',
+    normalizedPath: '/assets/app.js',
+    exampleUrl: 'https://cdn.example.com/assets/app.js',
+    count: 1,
+    hasAuth: false,
+    authType: null
+  })
+});
+
+describe('getBaseUrlVariable', () => {
+  it('should turn an API domain into a variable name', () => {
+    expect(getBaseUrlVariable('api.example.com')).toBe('api_example_com_baseUrl');
+    expect(getBaseUrlVariable('localhost:3000')).toBe('localhost_3000_baseUrl');
+  });
+});
+
+describe('buildPostmanCollection', () => {
+  it('should group requests into a folder per API domain with base URL variables', () => {
+    const collection = buildPostmanCollection(sample());
+
+    expect(collection.info.schema).toBe('https://schema.getpostman.com/json/collection/v2.1.0/collection.json');
+    expect(collection.info.name).toBe('example.com APIs');
+    expect(collection.item.map(folder => folder.name)).toEqual(['api.example.com', 'cdn.example.com']);
+    expect(collection.variable).toEqual([
+      { key: 'api_example_com_baseUrl', value: 'https://api.example.com', type: 'string' },
+      { key: 'cdn_example_com_baseUrl', value: 'https://cdn.example.com', type: 'string' },
+      { key: 'bearerToken', value: '<bearer token>', type: 'string' },
+      { key: 'apiKey', value: '<api key>', type: 'string' }
+    ]);
+  });
+
+  it('should template paths and fill query params from examples', () => {
+    const [users] = buildPostmanCollection(sample()).item[0].item;
+
+    expect(users.name).toBe('GET /v1/users/{userId}');
+    expect(users.request.url).toEqual({
+      raw: '{{api_example_com_baseUrl}}/v1/users/:userId?page=2',
+      host: ['{{api_example_com_baseUrl}}'],
+      path: ['v1', 'users', ':userId'],
+      query: [{ key: 'page', value: '2' }],
+      variable: [{ key: 'userId', value: '42' }]
+    });
+  });
+
+  it('should put the most used auth on the collection and the rest on requests', () => {
+    const collection = buildPostmanCollection(sample());
+    const [users, search] = collection.item[0].item;
+    const [assets] = collection.item[1].item;
+
+    expect(collection.auth).toEqual({
+      type: 'bearer',
+      bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }]
+    });
+    expect(users.request.auth).toBeUndefined();
+    expect(search.request.auth).toEqual({
+      type: 'apikey',
+      apikey: [
+        { key: 'key', value: 'X-API-Key', type: 'string' },
+        { key: 'value', value: '{{apiKey}}', type: 'string' },
+        { key: 'in', value: 'header', type: 'string' }
+      ]
+    });
+    expect(search.request.url.raw).toBe('{{api_example_com_baseUrl}}/search?q=a%20b');
+    expect(assets.request.auth).toEqual({ type: 'noauth' });
+  });
+
+  it('should only use real tokens when credentials are passed', () => {
+    const credentials = {
+      'api.example.com': { tokenType: 'bearer', value: 'real-token', headerName: 'Authorization' }
+    };
+
+    expect(JSON.stringify(buildPostmanCollection(sample()))).not.toContain('real-token');
+
+    const variables = buildPostmanCollection(sample(), { credentials }).variable;
+    expect(variables.find(variable => variable.key === 'bearerToken').value).toBe('real-token');
+    // A bearer token is no use as an API key
+    expect(variables.find(variable => variable.key === 'apiKey').value).toBe('<api key>');
+  });
+
+  it('should send other schemes as an Authorization header and merge endpoints across pages', () => {
+    const collection = buildPostmanCollection(formatAllDataForExport({
+      'example.com': { totalRequests: 1, lastVisited: 2, stats: {}, endpoints: { a: endpoint({ authType: 'basic' }) } },
+      'other.com': { totalRequests: 1, lastVisited: 1, stats: {}, endpoints: { a: endpoint({ authType: 'basic' }) } }
+    }), {
+      credentials: { 'api.example.com': { tokenType: 'basic', value: 'Basic dXNlcjpwYXNz', headerName: 'Authorization' } }
+    });
+
+    expect(collection.info.name).toBe('Browser Inspector APIs');
+    expect(collection.item[0].item).toHaveLength(1);
+    expect(collection.auth.apikey[0]).toEqual({ key: 'key', value: 'Authorization', type: 'string' });
+    expect(collection.variable.find(variable => variable.key === 'authorization').value).toBe('Basic dXNlcjpwYXNz');
+  });
+});
+
+describe('buildInsomniaExport', () => {
+  it('should build a v4 export with a workspace, environment, folders and requests', () => {
+    const exported = buildInsomniaExport(sample());
+
+    expect(exported._type).toBe('export');
+    expect(exported.__export_format).toBe(4);
+
+    const byType = type => exported.resources.filter(resource => resource._type === type);
+    expect(byType('workspace')).toHaveLength(1);
+    expect(byType('environment')[0].data).toEqual({
+      api_example_com_baseUrl: 'https://api.example.com',
+      cdn_example_com_baseUrl: 'https://cdn.example.com',
+      bearerToken: '<bearer token>',
+      apiKey: '<api key>'
+    });
+    expect(byType('request_group').map(folder => folder.name)).toEqual(['api.example.com', 'cdn.example.com']);
+
+    const [users, search, assets] = byType('request');
+    expect(users.parentId).toBe(byType('request_group')[0]._id);
+    expect(users.url).toBe('{{ _.api_example_com_baseUrl }}/v1/users/42');
+    expect(users.parameters).toEqual([{ name: 'page', value: '2' }]);
+    expect(users.authentication).toEqual({ type: 'bearer', token: '{{ _.bearerToken }}' });
+    expect(search.authentication).toEqual({ type: 'apikey', key: 'X-API-Key', value: '{{ _.apiKey }}', addTo: 'header' });
+    expect(assets.authentication).toEqual({});
+  });
+
+  it('should keep real tokens out unless credentials are passed', () => {
+    const credentials = { 'api.example.com': { tokenType: 'api-key', value: 'key-123', headerName: 'X-Custom-Key' } };
+    const plain = buildInsomniaExport(sample());
+    const withTokens = buildInsomniaExport(sample(), { credentials });
+
+    expect(JSON.stringify(plain)).not.toContain('key-123');
+    expect(withTokens.resources[1].data.apiKey).toBe('key-123');
+    expect(withTokens.resources.find(resource => resource.name === 'GET /search').authentication.key).toBe('X-Custom-Key');
+  });
+});
@@ -0,0 +1,178 @@
+// Popup environment-file export tests
+
+import { jest } from '@jest/globals';
+import {
+  ENV_FORMATS,
+  getEnvVariableName,
+  buildEnvVariables,
+  buildEnvFile,
+  exportEnvFile
+} from '../src/popup/popup-env-export.js';
+
+describe('popup-env-export', () => {
+  const bearer = {
+    type: 'auth-token',
+    value: 'abc.def',
+    tokenType: 'bearer',
+    headerName: 'Authorization',
+    source: { domain: 'api.staging.myapp.com' }
+  };
+  const apiKey = {
+    type: 'auth-token',
+    value: 'key-1',
+    headerName: 'X-API-Key',
+    source: { domain: 'api.example.com' }
+  };
+  const cookie = {
+    type: 'cookie',
+    value: 's p$c\'e',
+    cookieName: 'session_id',
+    source: { domain: 'app.example.com' }
+  };
+  const custom = {
+    type: 'custom',
+    value: 'x1',
+    ruleName: 'CSRF token',
+    source: { domain: '1password.com' }
+  };
+
+  describe('getEnvVariableName', () => {
+    it('should default to the domain and what the value is called', () => {
+      expect(getEnvVariableName(bearer)).toBe('API_STAGING_MYAPP_COM_TOKEN');
+      expect(getEnvVariableName(apiKey)).toBe('API_EXAMPLE_COM_X_API_KEY');
+      expect(getEnvVariableName(cookie)).toBe('APP_EXAMPLE_COM_SESSION_ID');
+      expect(getEnvVariableName({ type: 'query-param', paramName: 'api_key', value: 'k' })).toBe('UNKNOWN_API_KEY');
+      expect(getEnvVariableName(custom)).toBe('_1PASSWORD_COM_CSRF_TOKEN');
+    });
+
+    it('should pick the most specific template', () => {
+      const names = {
+        cookie: 'COOKIE_{name}',
+        '*.myapp.com': 'MYAPP_{type}',
+        'auth-token@*.staging.myapp.com': 'STAGING_API_TOKEN'
+      };
+
+      expect(getEnvVariableName(bearer, names)).toBe('STAGING_API_TOKEN');
+      expect(getEnvVariableName({ ...bearer, type: 'query-param', paramName: 'token' }, names)).toBe('MYAPP_QUERY_PARAM');
+      expect(getEnvVariableName(cookie, names)).toBe('COOKIE_SESSION_ID');
+      expect(getEnvVariableName(apiKey, names)).toBe('API_EXAMPLE_COM_X_API_KEY');
+    });
+  });
+
+  describe('buildEnvVariables', () => {
+    it('should number duplicate names and skip locked values', () => {
+      const { variables, locked } = buildEnvVariables([
+        ['k1', bearer],
+        ['k2', { ...bearer, value: 'other' }],
+        ['k3', { ...apiKey, value: null, locked: true }]
+      ]);
+
+      expect(variables.map(({ name, value, key }) => ({ name, value, key }))).toEqual([
+        { name: 'API_STAGING_MYAPP_COM_TOKEN', value: 'abc.def', key: 'k1' },
+        { name: 'API_STAGING_MYAPP_COM_TOKEN_2', value: 'other', key: 'k2' }
+      ]);
+      expect(locked).toBe(1);
+    });
+  });
+
+  describe('buildEnvFile', () => {
+    const { variables } = buildEnvVariables([['k1', bearer], ['k2', cookie]]);
+    const options = { exportedAt: '2026-01-01T00:00:00.000Z', creatorVersion: '1.0.0', filename: 'credentials.sh' };
+
+    it('should offer every requested format', () => {
+      expect(Object.keys(ENV_FORMATS)).toEqual(['dotenv', 'shell', 'postman', 'json']);
+      expect(() => buildEnvFile(variables, 'yaml')).toThrow('Unknown environment format: yaml');
+    });
+
+    it('should write a .env file', () => {
+      const text = buildEnvFile(variables, 'dotenv', options);
+
+      expect(text).toContain('# Browser Inspector credentials - exported 2026-01-01T00:00:00.000Z');
+      expect(text).toContain('# auth-token · api.staging.myapp.com\nAPI_STAGING_MYAPP_COM_TOKEN=abc.def\n');
+      expect(text).toContain('APP_EXAMPLE_COM_SESSION_ID="s p$c\'e"');
+      expect(buildEnvFile([{ ...variables[0], value: 'a b' }], 'dotenv', options)).toContain("API_STAGING_MYAPP_COM_TOKEN='a b'");
+    });
+
+    it('should write shell exports', () => {
+      const text = buildEnvFile(variables, 'shell', options);
+
+      expect(text.startsWith('#!/bin/sh\n')).toBe(true);
+      expect(text).toContain('# Load with: . ./credentials.sh');
+      expect(text).toContain("export API_STAGING_MYAPP_COM_TOKEN='abc.def'");
+      expect(text).toContain("export APP_EXAMPLE_COM_SESSION_ID='s p$c'\\''e'");
+    });
+
+    it('should write a Postman environment and a JSON map', () => {
+      const environment = JSON.parse(buildEnvFile(variables, 'postman', options));
+      expect(environment).toEqual({
+        name: 'Browser Inspector credentials',
+        values: [
+          { key: 'API_STAGING_MYAPP_COM_TOKEN', value: 'abc.def', type: 'secret', enabled: true },
+          { key: 'APP_EXAMPLE_COM_SESSION_ID', value: 's p$c\'e', type: 'secret', enabled: true }
+        ],
+        _postman_variable_scope: 'environment',
+        _postman_exported_at: '2026-01-01T00:00:00.000Z',
+        _postman_exported_using: 'Browser Inspector/1.0.0'
+      });
+
+      expect(JSON.parse(buildEnvFile(variables, 'json', options))).toEqual({
+        API_STAGING_MYAPP_COM_TOKEN: 'abc.def',
+        APP_EXAMPLE_COM_SESSION_ID: 's p$c\'e'
+      });
+    });
+  });
+
+  describe('exportEnvFile', () => {
+    let elements;
+    let downloaded;
+    let originalBlob;
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      elements = { toast: document.createElement('div') };
+      elements.toast.innerHTML = '<span class="toast-message"></span>';
+      downloaded = null;
+      originalBlob = global.Blob;
+      global.Blob = class MockBlob {
+        constructor(parts, options) {
+          this.text = parts.join('');
+          this.type = options.type;
+        }
+      };
+      global.URL.createObjectURL = jest.fn(blob => {
+        downloaded = blob;
+        return 'blob:mock';
+      });
+      global.URL.revokeObjectURL = jest.fn();
+      jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      HTMLAnchorElement.prototype.click.mockRestore();
+      global.Blob = originalBlob;
+    });
+
+    it('should download the selected items with configured names', () => {
+      const count = exportEnvFile(
+        elements,
+        [['k1', bearer], ['k2', { ...apiKey, value: null, locked: true }]],
+        { envVariableNames: { 'auth-token@*.staging.myapp.com': 'STAGING_API_TOKEN' } },
+        'shell'
+      );
+
+      expect(count).toBe(1);
+      expect(downloaded.type).toBe('text/x-sh');
+      expect(downloaded.text).toContain("export STAGING_API_TOKEN='abc.def'");
+      expect(elements.toast.textContent).toMatch(/credentials-\d{8}\.sh \(1 locked skipped\)/);
+    });
+
+    it('should not download when nothing can be exported', () => {
+      expect(exportEnvFile(elements, [['k1', { ...bearer, value: null, locked: true }]])).toBe(0);
+      expect(elements.toast.textContent).toContain('Unlock the vault to export');
+
+      expect(exportEnvFile(elements, [])).toBe(0);
+      expect(elements.toast.textContent).toContain('Select items to export');
+      expect(downloaded).toBeNull();
+    });
+  });
+});
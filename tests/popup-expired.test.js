@@ -0,0 +1,227 @@
+// Popup expired tokens tests
+
+import { jest } from '@jest/globals';
+import {
+  getExpiredTokenId,
+  getExpiredDomains,
+  filterExpiredTokens,
+  compareWithCurrent,
+  createComparisonHTML,
+  createExpiredItemHTML,
+  updateExpiredDomainOptions,
+  renderExpiredList,
+  loadExpiredTokens,
+  removeExpiredTokens,
+  clearExpiredTokens
+} from '../src/popup/popup-expired.js';
+
+function createJwt(payload) {
+  const encode = (obj) => btoa(JSON.stringify(obj)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+}
+
+function createEntry(overrides = {}) {
+  return {
+    id: 'expired-1',
+    key: 'api.example.com::/v1::auth-token::Authorization',
+    value: 'old-token-value',
+    type: 'auth-token',
+    tokenType: 'bearer',
+    headerName: 'Authorization',
+    displayName: 'Authorization',
+    source: { domain: 'api.example.com', path: '/v1/users' },
+    capturedAt: Date.now() - 2 * 60 * 60 * 1000,
+    expiredAt: Date.now() - 60 * 60 * 1000,
+    ...overrides
+  };
+}
+
+describe('popup-expired', () => {
+  let elements;
+  let handlers;
+
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+
+    elements = {
+      expiredList: document.createElement('div'),
+      expiredDomainSelect: document.createElement('select'),
+      expiredSelectedCount: document.createElement('span'),
+      deleteExpiredBtn: document.createElement('button'),
+      toast: document.createElement('div')
+    };
+    elements.toast.innerHTML = '<span class="toast-message"></span>';
+
+    handlers = { onSelect: jest.fn(), onCopy: jest.fn(), onCompare: jest.fn() };
+  });
+
+  it('should address legacy entries by key and expiry time', () => {
+    expect(getExpiredTokenId(createEntry())).toBe('expired-1');
+    expect(getExpiredTokenId(createEntry({ id: undefined, key: 'k', expiredAt: 5 }))).toBe('k::5');
+  });
+
+  it('should list distinct domains in order', () => {
+    const tokens = [
+      createEntry({ source: { domain: 'b.example.com' } }),
+      createEntry({ source: { domain: 'a.example.com' } }),
+      createEntry({ source: { domain: 'b.example.com' } }),
+      createEntry({ source: undefined })
+    ];
+    expect(getExpiredDomains(tokens)).toEqual(['a.example.com', 'b.example.com']);
+  });
+
+  it('should filter by domain and search query', () => {
+    const tokens = [
+      createEntry({ id: 'a', value: 'alpha-token' }),
+      createEntry({ id: 'b', value: 'beta-token', source: { domain: 'other.example.com' } })
+    ];
+
+    expect(filterExpiredTokens(tokens, { domain: 'other.example.com' }).map(e => e.id)).toEqual(['b']);
+    expect(filterExpiredTokens(tokens, { query: 'alpha' }).map(e => e.id)).toEqual(['a']);
+    expect(filterExpiredTokens(tokens, { query: 'bearer' })).toHaveLength(2);
+    // Masked values are not searchable - a match would hint at the hidden part
+    expect(filterExpiredTokens(tokens, { query: 'alpha', searchValues: false })).toHaveLength(0);
+  });
+
+  it('should compare an expired token with the current one', () => {
+    const current = createEntry({ value: 'new-token-value', capturedAt: Date.now() - 1000, expiredAt: undefined });
+    const rows = compareWithCurrent(createEntry(), current);
+    const byField = Object.fromEntries(rows.map(row => [row.field, row]));
+
+    expect(byField.value).toMatchObject({ expired: 'old-token-value', current: 'new-token-value', changed: true });
+    expect(byField.header.changed).toBe(false);
+    expect(byField.type).toMatchObject({ expired: 'Bearer', changed: false });
+    expect(byField.lifetime.expired).toBe('1h 0m');
+  });
+
+  it('should diff JWT claims when both values are JWTs', () => {
+    const entry = createEntry({ value: createJwt({ sub: 'alice', exp: 1000, scope: 'read' }) });
+    const current = createEntry({ value: createJwt({ sub: 'alice', exp: 2000, scope: 'read write' }) });
+
+    const byField = Object.fromEntries(compareWithCurrent(entry, current).map(row => [row.field, row]));
+
+    expect(byField.sub.changed).toBe(false);
+    expect(byField.exp).toMatchObject({ expired: '1000', current: '2000', changed: true });
+    expect(byField.scope.changed).toBe(true);
+  });
+
+  it('should mask compared values in streamer mode', () => {
+    const html = createComparisonHTML(
+      createEntry({ value: 'OLD_SECRET_TOKEN_VALUE' }),
+      createEntry({ value: 'NEW_SECRET_TOKEN_VALUE' }),
+      { enabled: true, visibleChars: 4 }
+    );
+
+    expect(html).not.toContain('OLD_SECRET_TOKEN_VALUE');
+    expect(html).not.toContain('NEW_SECRET_TOKEN_VALUE');
+    expect(html).toContain('compare-value changed');
+  });
+
+  it('should explain when there is nothing to compare', () => {
+    expect(createComparisonHTML(createEntry(), undefined)).toContain('No live value');
+    expect(createComparisonHTML(createEntry({ value: null }), createEntry())).toContain('Unlock the vault');
+  });
+
+  it('should render an expired item with selection, copy and compare controls', () => {
+    const html = createExpiredItemHTML(createEntry(), { selected: true, current: createEntry(), comparing: true });
+
+    expect(html).toContain('expired-item');
+    expect(html).toContain('checked');
+    expect(html).toContain('copy-btn');
+    expect(html).toContain('compare-btn active');
+    expect(html).toContain('lived 1h 0m');
+    expect(html).toContain('expired-compare');
+    expect(createExpiredItemHTML(createEntry(), {})).toMatch(/compare-btn[^>]*disabled/);
+    expect(createExpiredItemHTML(createEntry({ value: null }), {})).toContain('data-item-value locked');
+  });
+
+  it('should keep the selected domain only while it still exists', () => {
+    const tokens = [createEntry()];
+
+    expect(updateExpiredDomainOptions(elements, tokens, 'api.example.com')).toBe('api.example.com');
+    expect(elements.expiredDomainSelect.options).toHaveLength(2);
+    expect(elements.expiredDomainSelect.value).toBe('api.example.com');
+
+    expect(updateExpiredDomainOptions(elements, tokens, 'gone.example.com')).toBe('');
+  });
+
+  it('should render the list and wire up its controls', () => {
+    const entry = createEntry();
+    const state = {
+      tokens: [entry],
+      domain: '',
+      query: '',
+      selectedIds: new Set(['expired-1']),
+      comparingId: null,
+      capturedData: { [entry.key]: createEntry({ value: 'current' }) }
+    };
+
+    renderExpiredList(elements, state, handlers);
+
+    expect(elements.expiredSelectedCount.textContent).toBe('1');
+    expect(elements.deleteExpiredBtn.disabled).toBe(false);
+
+    const checkbox = elements.expiredList.querySelector('.expired-select');
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new Event('change'));
+    expect(handlers.onSelect).toHaveBeenCalledWith('expired-1', false);
+
+    elements.expiredList.querySelector('.copy-btn').click();
+    expect(handlers.onCopy).toHaveBeenCalledWith(expect.any(Event), entry);
+
+    elements.expiredList.querySelector('.compare-btn').click();
+    expect(handlers.onCompare).toHaveBeenCalledWith('expired-1');
+  });
+
+  it('should reveal masked expired tokens one at a time', () => {
+    const entry = createEntry();
+    const other = createEntry({ id: 'expired-2', value: 'other-expired-value' });
+    const state = {
+      tokens: [entry, other],
+      domain: '',
+      query: '',
+      selectedIds: new Set(),
+      comparingId: null,
+      masking: { enabled: true, revealedIds: new Set(['expired-1']) }
+    };
+
+    const onRevealToggle = jest.fn();
+    renderExpiredList(elements, state, { ...handlers, onRevealToggle });
+
+    const [first, second] = elements.expiredList.querySelectorAll('.expired-item');
+    expect(first.querySelector('.data-item-value').textContent).toBe(entry.value);
+    expect(first.querySelector('.reveal-btn').classList.contains('revealed')).toBe(true);
+    expect(second.querySelector('.data-item-value').classList.contains('masked')).toBe(true);
+    expect(second.textContent).not.toContain('other-expired-value');
+
+    second.querySelector('.reveal-btn').click();
+    expect(onRevealToggle).toHaveBeenCalledWith('expired-2');
+    expect(handlers.onCopy).not.toHaveBeenCalled();
+  });
+
+  it('should render empty and no-match states', () => {
+    const state = { tokens: [], domain: '', query: '', selectedIds: new Set(), comparingId: null };
+
+    renderExpiredList(elements, state, handlers);
+    expect(elements.expiredList.textContent).toContain('No expired tokens');
+    expect(elements.deleteExpiredBtn.disabled).toBe(true);
+
+    renderExpiredList(elements, { ...state, tokens: [createEntry()], query: 'nothing-matches' }, handlers);
+    expect(elements.expiredList.textContent).toContain('No matches');
+  });
+
+  it('should load, delete and clear expired tokens through the worker', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce([createEntry()]);
+    expect(await loadExpiredTokens()).toHaveLength(1);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'GET_EXPIRED_TOKENS' });
+
+    chrome.runtime.sendMessage.mockResolvedValueOnce([]);
+    expect(await removeExpiredTokens(elements, ['expired-1', 'expired-2'])).toEqual([]);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'REMOVE_EXPIRED_TOKENS', ids: ['expired-1', 'expired-2'] });
+    expect(elements.toast.textContent).toContain('Deleted 2 expired tokens');
+
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true });
+    await clearExpiredTokens(elements);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'CLEAR_EXPIRED_TOKENS' });
+  });
+});
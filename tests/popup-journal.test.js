@@ -0,0 +1,214 @@
+// Popup network journal tests
+
+import { jest } from '@jest/globals';
+import {
+  getJournalFilter,
+  formatBytes,
+  createJournalEntryHTML,
+  renderJournal,
+  loadJournal,
+  clearJournal,
+  exportJournalHar,
+  importHarFile
+} from '../src/popup/popup-journal.js';
+
+function createEntry(overrides = {}) {
+  return {
+    requestId: 'r1',
+    timestamp: Date.now() - 60 * 1000,
+    method: 'GET',
+    url: 'https://api.example.com/v1/users?page=2',
+    domain: 'api.example.com',
+    path: '/v1/users',
+    tabId: 7,
+    statusCode: 200,
+    duration: 1500,
+    handlers: ['auth-token'],
+    requestHeaders: [{ name: 'Authorization', value: 'Bearer SECRET_TOKEN_VALUE' }],
+    responseHeaders: [{ name: 'Content-Type', value: 'application/json' }],
+    ...overrides
+  };
+}
+
+describe('popup-journal', () => {
+  let elements;
+
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+
+    elements = {
+      journalDomainSelect: document.createElement('select'),
+      journalHandlerSelect: document.createElement('select'),
+      journalStats: document.createElement('div'),
+      journalList: document.createElement('div'),
+      toast: document.createElement('div')
+    };
+    elements.toast.innerHTML = '<span class="toast-message"></span>';
+  });
+
+  it('should build the worker filter from the popup state', () => {
+    expect(getJournalFilter({})).toEqual({});
+    expect(getJournalFilter({ domain: 'example.com', handler: 'cookie', range: '15m' }, 1000000))
+      .toEqual({ domain: 'example.com', handler: 'cookie', since: 100000 });
+    expect(getJournalFilter({ range: 'all' }, 1000000)).toEqual({});
+  });
+
+  it('should format byte counts', () => {
+    expect(formatBytes(0)).toBe('0 B');
+    expect(formatBytes(812)).toBe('812 B');
+    expect(formatBytes(14540)).toBe('14.2 KB');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+
+  it('should render method, status, timing, tab, handlers and headers', () => {
+    const html = createJournalEntryHTML(createEntry());
+
+    expect(html).toContain('journal-method">GET');
+    expect(html).toContain('journal-status ok">200');
+    expect(html).toContain('1s');
+    expect(html).toContain('tab 7');
+    expect(html).toContain('journal-handler">auth-token');
+    expect(html).toContain('Bearer SECRET_TOKEN_VALUE');
+    expect(html).toContain('application/json');
+  });
+
+  it('should flag failed requests', () => {
+    expect(createJournalEntryHTML(createEntry({ statusCode: 503 }))).toContain('journal-status error">503');
+    expect(createJournalEntryHTML(createEntry({ statusCode: undefined, error: 'net::ERR_FAILED' })))
+      .toContain('journal-status error">net::ERR_FAILED');
+  });
+
+  it('should mask header values and hide the full URL in streamer mode', () => {
+    const html = createJournalEntryHTML(createEntry(), { enabled: true, visibleChars: 4 });
+
+    expect(html).not.toContain('SECRET_TOKEN_VALUE');
+    expect(html).not.toContain('page=2');
+    expect(html).toContain('/v1/users');
+  });
+
+  it('should show locked entries without headers', () => {
+    const html = createJournalEntryHTML(createEntry({ locked: true, url: undefined, requestHeaders: undefined }));
+
+    expect(html).toContain('journal-entry locked');
+    expect(html).toContain('Locked');
+  });
+
+  it('should render entries, stats and filter options', () => {
+    renderJournal(elements, {
+      entries: [createEntry(), createEntry({ requestId: 'r2' })],
+      count: 5,
+      bytes: 2048,
+      domains: ['api.example.com', 'cdn.example.com'],
+      handlers: ['auth-token', 'cookie']
+    }, { domain: 'api.example.com', handler: '' });
+
+    expect(elements.journalList.querySelectorAll('.journal-entry')).toHaveLength(2);
+    expect(elements.journalStats.textContent).toBe('Showing 2 of 5 requests · 2.0 KB');
+    expect(elements.journalDomainSelect.options).toHaveLength(3);
+    expect(elements.journalDomainSelect.value).toBe('api.example.com');
+    expect(elements.journalHandlerSelect.options).toHaveLength(3);
+  });
+
+  it('should keep a selected filter value that no longer matches anything', () => {
+    renderJournal(elements, { entries: [], count: 1, bytes: 10, domains: [], handlers: [] }, { handler: 'oauth' });
+
+    expect(elements.journalHandlerSelect.value).toBe('oauth');
+    expect(elements.journalList.textContent).toContain('No matches');
+  });
+
+  it('should render an empty journal', () => {
+    renderJournal(elements, { entries: [], count: 0, bytes: 0 });
+    expect(elements.journalList.textContent).toContain('Journal is empty');
+  });
+
+  it('should load and clear the journal through the worker', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ entries: [createEntry()], count: 1, bytes: 300, domains: [], handlers: [] });
+
+    const result = await loadJournal(elements, { handler: 'auth-token', range: 'all' });
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'GET_JOURNAL', filter: { handler: 'auth-token' } });
+    expect(result.entries).toHaveLength(1);
+
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true });
+    await clearJournal(elements);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'CLEAR_JOURNAL' });
+    expect(elements.toast.textContent).toContain('Journal cleared');
+  });
+
+  it('should fall back to an empty journal when the worker does not answer', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce(undefined);
+
+    const result = await loadJournal(elements);
+
+    expect(result.entries).toEqual([]);
+    expect(elements.journalStats.textContent).toContain('0 of 0');
+  });
+
+  describe('HAR files', () => {
+    let downloaded;
+    let originalBlob;
+
+    beforeEach(() => {
+      downloaded = null;
+      originalBlob = global.Blob;
+      global.Blob = class MockBlob {
+        constructor(parts) {
+          this.text = parts.join('');
+        }
+      };
+      global.URL.createObjectURL = jest.fn(blob => {
+        downloaded = JSON.parse(blob.text);
+        return 'blob:mock';
+      });
+      global.URL.revokeObjectURL = jest.fn();
+      jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      HTMLAnchorElement.prototype.click.mockRestore();
+      global.Blob = originalBlob;
+    });
+
+    it('should export the filtered journal as HAR and skip locked entries', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({
+        entries: [createEntry(), createEntry({ requestId: 'r2', url: undefined, requestHeaders: undefined, locked: true })]
+      });
+
+      await exportJournalHar(elements, { domain: 'api.example.com', range: 'all' });
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'GET_JOURNAL', filter: { domain: 'api.example.com' } });
+      expect(downloaded.log.version).toBe('1.2');
+      expect(downloaded.log.entries.map(entry => entry.request.url)).toEqual(['https://api.example.com/v1/users?page=2']);
+      expect(elements.toast.textContent).toMatch(/journal-\d{8}\.har \(1 locked skipped\)/);
+    });
+
+    it('should not download an empty or fully locked journal', async () => {
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ entries: [createEntry({ url: undefined, locked: true })] });
+      await exportJournalHar(elements);
+
+      expect(downloaded).toBeNull();
+      expect(elements.toast.textContent).toContain('Unlock the vault');
+    });
+
+    it('should send an imported HAR to the worker and report the summary', async () => {
+      const file = { text: async () => JSON.stringify({ log: { entries: [] } }) };
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true, entries: 3, skipped: 0, captured: 2, apiRequests: 1 });
+
+      const result = await importHarFile(elements, file);
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'IMPORT_HAR', har: { log: { entries: [] } } });
+      expect(result.captured).toBe(2);
+      expect(elements.toast.textContent).toBe('Imported 3 requests: 2 captured, 1 API calls');
+    });
+
+    it('should reject files that are not JSON or not HAR', async () => {
+      expect(await importHarFile(elements, { text: async () => 'not json' })).toBeNull();
+      expect(elements.toast.textContent).toBe('Not a valid HAR file');
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+
+      chrome.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'Not a HAR file: log.entries is missing' });
+      expect(await importHarFile(elements, { text: async () => '{}' })).toBeNull();
+      expect(elements.toast.textContent).toBe('Not a HAR file: log.entries is missing');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// Popup lineage tests
+
+import {
+  createLineageStatsHTML,
+  createLineageEntryHTML,
+  renderLineage,
+  showLineage,
+  hideLineage
+} from '../src/popup/popup-lineage.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function createLineage(overrides = {}) {
+  const start = Date.now() - 3 * HOUR;
+  return {
+    key: 'api.example.com::/v1::auth-token',
+    values: [
+      { value: 'token-1', status: 'retired', capturedAt: start, expiredAt: start + HOUR, lifetimeMs: HOUR },
+      { value: 'token-2', status: 'retired', capturedAt: start + HOUR, expiredAt: start + 2 * HOUR, lifetimeMs: HOUR },
+      { value: 'token-3', status: 'live', identity: 'jwt:|alice', capturedAt: start + 2 * HOUR, expiredAt: null, lifetimeMs: HOUR }
+    ],
+    rotationCount: 2,
+    averageRotationMs: HOUR,
+    ...overrides
+  };
+}
+
+describe('popup-lineage', () => {
+  let elements;
+
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+
+    elements = {
+      lineageView: document.createElement('div'),
+      lineageTitle: document.createElement('span'),
+      lineageStats: document.createElement('div'),
+      lineageList: document.createElement('ol')
+    };
+  });
+
+  it('should summarise values, rotations and the average lifetime', () => {
+    const html = createLineageStatsHTML(createLineage());
+
+    expect(html).toContain('3 values');
+    expect(html).toContain('2 rotations');
+    expect(html).toContain('rotates every ~1h 0m');
+    expect(createLineageStatsHTML(createLineage({ values: [], rotationCount: 0, averageRotationMs: null })))
+      .not.toContain('rotates every');
+  });
+
+  it('should show lifetimes and identities for each value', () => {
+    const [retired, , live] = createLineage().values;
+
+    const retiredHtml = createLineageEntryHTML(retired);
+    expect(retiredHtml).toContain('lineage-entry retired');
+    expect(retiredHtml).toContain('lived 1h 0m');
+
+    const liveHtml = createLineageEntryHTML(live);
+    expect(liveHtml).toContain('live for 1h 0m');
+    expect(liveHtml).toContain('→ now');
+    expect(liveHtml).toContain('jwt:|alice');
+  });
+
+  it('should mask values and mark locked ones', () => {
+    const entry = { value: 'SECRET_TOKEN_VALUE_1234', status: 'live', capturedAt: Date.now(), lifetimeMs: 0 };
+
+    const masked = createLineageEntryHTML(entry, { enabled: true, visibleChars: 4 });
+    expect(masked).not.toContain('SECRET_TOKEN_VALUE_1234');
+    expect(masked).toContain('lineage-value masked');
+
+    expect(createLineageEntryHTML({ ...entry, value: null })).toContain('lineage-value locked');
+  });
+
+  it('should render the newest value first', () => {
+    renderLineage(elements, createLineage());
+
+    const values = [...elements.lineageList.querySelectorAll('.lineage-value')].map(el => el.textContent);
+    expect(values).toEqual(['token-3', 'token-2', 'token-1']);
+  });
+
+  it('should render an empty lineage', () => {
+    renderLineage(elements, createLineage({ values: [], rotationCount: 0, averageRotationMs: null }));
+    expect(elements.lineageList.textContent).toContain('No values recorded');
+  });
+
+  it('should load and show the lineage for a key, then hide it', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce(createLineage());
+
+    await showLineage(elements, 'api.example.com::/v1::auth-token', 'Authorization · api.example.com');
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'GET_TOKEN_LINEAGE',
+      key: 'api.example.com::/v1::auth-token'
+    });
+    expect(elements.lineageView.classList.contains('active')).toBe(true);
+    expect(elements.lineageView.dataset.key).toBe('api.example.com::/v1::auth-token');
+    expect(elements.lineageTitle.textContent).toBe('Authorization · api.example.com');
+    expect(elements.lineageList.children).toHaveLength(3);
+
+    hideLineage(elements);
+    expect(elements.lineageView.classList.contains('active')).toBe(false);
+    expect(elements.lineageView.dataset.key).toBeUndefined();
+  });
+
+  it('should fall back to an empty lineage when the worker does not answer', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce(undefined);
+
+    const lineage = await showLineage(elements, 'missing', 'Missing');
+
+    expect(lineage.values).toEqual([]);
+    expect(elements.lineageStats.textContent).toContain('0 values');
+  });
+});
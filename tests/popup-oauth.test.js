@@ -0,0 +1,182 @@
+// Popup OAuth flow tests
+
+import { jest } from '@jest/globals';
+import {
+  getStepLabel,
+  getStepTitle,
+  createFlowHTML,
+  renderOAuthFlows,
+  loadOAuthFlows,
+  clearOAuthFlows
+} from '../src/popup/popup-oauth.js';
+
+function createFlow(overrides = {}) {
+  return {
+    id: 'flow-1',
+    authServer: 'login.example.com',
+    clientId: 'app-1',
+    redirectUri: 'https://app.example.com/callback',
+    scopes: ['openid', 'profile'],
+    state: 'xyz',
+    codeChallengeMethod: 'S256',
+    code: 'code-1',
+    accessToken: 'at-1',
+    status: 'completed',
+    startedAt: Date.now(),
+    steps: [
+      { step: 'authorization-request', timestamp: Date.now(), url: 'https://login.example.com/authorize', oauth: {} },
+      { step: 'authorization-response', timestamp: Date.now(), url: 'https://app.example.com/callback', oauth: { code: 'code-1' } },
+      { step: 'token-request', timestamp: Date.now(), url: 'https://login.example.com/token', oauth: { grantType: 'authorization_code' } }
+    ],
+    ...overrides
+  };
+}
+
+describe('popup-oauth', () => {
+  let elements;
+
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+
+    elements = {
+      flowList: document.createElement('div'),
+      flowCount: document.createElement('span'),
+      toast: document.createElement('div')
+    };
+    elements.toast.innerHTML = '<span class="toast-message"></span>';
+  });
+
+  it('should label steps, refresh grants and errors', () => {
+    expect(getStepLabel({ step: 'authorization-request' })).toBe('Authorize');
+    expect(getStepLabel({ step: 'token-request', oauth: { grantType: 'refresh_token' } })).toBe('Token refresh');
+    expect(getStepLabel({ step: 'token-request', oauth: { grantType: 'authorization_code' } }))
+      .toBe('Token exchange (authorization_code)');
+    expect(getStepLabel({ step: 'authorization-response', oauth: { error: 'access_denied' } }))
+      .toBe('Error: access_denied');
+    expect(getStepLabel({ step: 'something-else' })).toBe('something-else');
+  });
+
+  it('should render the flow details and timeline', () => {
+    const container = document.createElement('div');
+    container.innerHTML = createFlowHTML(createFlow());
+
+    expect(container.querySelector('.flow-item.completed')).not.toBeNull();
+    expect(container.querySelector('.flow-server').textContent).toBe('login.example.com');
+    expect(container.textContent).toContain('app-1');
+    expect(container.textContent).toContain('openid profile');
+    expect(container.textContent).toContain('S256');
+
+    const labels = [...container.querySelectorAll('.flow-step-label')].map(el => el.textContent);
+    expect(labels).toEqual(['Authorize', 'Callback', 'Token exchange (authorization_code)']);
+
+    const values = [...container.querySelectorAll('.flow-value-btn')].map(el => el.dataset.label);
+    expect(values).toEqual(['code', 'access_token']);
+  });
+
+  it('should mask state and step URL parameters in streamer mode', () => {
+    const flow = createFlow({
+      state: 'state-value-123',
+      steps: [
+        { step: 'authorization-response', timestamp: Date.now(), url: 'https://app.example.com/callback?code=code-1&state=state-value-123', oauth: { code: 'code-1' } },
+        { step: 'implicit-grant', timestamp: Date.now(), url: 'https://app.example.com/cb#access_token=at-1', oauth: {} }
+      ]
+    });
+    const container = document.createElement('div');
+
+    container.innerHTML = createFlowHTML(flow, { enabled: true, visibleChars: 2 });
+    expect(container.textContent).toContain('st••••••••23');
+    expect(container.innerHTML).not.toContain('state-value-123');
+    expect(container.innerHTML).not.toContain('code=');
+    expect([...container.querySelectorAll('.flow-step')].map(el => el.title))
+      .toEqual(['https://app.example.com/callback', 'https://app.example.com/cb']);
+
+    container.innerHTML = createFlowHTML(flow);
+    expect(container.textContent).toContain('state-value-123');
+    expect(container.querySelector('.flow-step').title).toBe('https://app.example.com/callback?code=code-1&state=state-value-123');
+  });
+
+  it('should drop unparseable step URLs while masked', () => {
+    expect(getStepTitle({ url: 'not a url?code=1' }, { enabled: true })).toBe('');
+    expect(getStepTitle({}, { enabled: true })).toBe('');
+  });
+
+  it('should show missing PKCE and error descriptions', () => {
+    const container = document.createElement('div');
+    container.innerHTML = createFlowHTML(createFlow({
+      authServer: null,
+      codeChallengeMethod: undefined,
+      code: undefined,
+      accessToken: undefined,
+      status: 'failed',
+      error: 'access_denied',
+      errorDescription: 'User <denied>',
+      steps: [{ step: 'authorization-response', timestamp: Date.now(), oauth: { error: 'access_denied' } }]
+    }));
+
+    expect(container.textContent).toContain('unknown server');
+    expect(container.textContent).toContain('none');
+    expect(container.querySelector('.flow-error').textContent).toBe('User <denied>');
+    expect(container.querySelector('.flow-step.error')).not.toBeNull();
+    expect(container.querySelector('.flow-values')).toBeNull();
+  });
+
+  it('should keep server-controlled step URLs and values inside their attributes', () => {
+    const url = 'https://login.example.com/cb?error="><img src=x onerror=alert(1)>';
+    const code = `c"'><img src=x>`;
+    const container = document.createElement('div');
+    container.innerHTML = createFlowHTML(createFlow({
+      code,
+      accessToken: undefined,
+      steps: [{ step: 'authorization-response', timestamp: Date.now(), url, oauth: { code } }]
+    }));
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('.flow-step').getAttribute('title')).toBe(url);
+    expect(container.querySelector('.flow-value-btn').dataset.value).toBe(code);
+  });
+
+  it('should render empty state and copy values', () => {
+    const onCopy = jest.fn();
+
+    renderOAuthFlows(elements, [], onCopy);
+    expect(elements.flowList.textContent).toContain('No OAuth flows yet');
+
+    renderOAuthFlows(elements, [createFlow()], onCopy);
+    elements.flowList.querySelector('.flow-value-btn[data-label="access_token"]').click();
+    expect(onCopy).toHaveBeenCalledWith('at-1', 'access_token');
+  });
+
+  it('should load flows and update the tab count', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce([createFlow(), createFlow({ id: 'flow-2' })]);
+
+    await loadOAuthFlows(elements, () => {});
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'GET_OAUTH_FLOWS' });
+    expect(elements.flowCount.textContent).toBe('2');
+    expect(elements.flowList.querySelectorAll('.flow-item')).toHaveLength(2);
+  });
+
+  it('should pass masking through when loading flows', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce([createFlow({ state: 'state-value-123' })]);
+
+    await loadOAuthFlows(elements, () => {}, { enabled: true, visibleChars: 4 });
+
+    expect(elements.flowList.textContent).toContain('stat••••••••-123');
+  });
+
+  it('should handle a missing response when loading flows', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce(undefined);
+
+    await loadOAuthFlows(elements, () => {});
+    expect(elements.flowCount.textContent).toBe('0');
+  });
+
+  it('should clear flows and show a toast', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true });
+
+    await clearOAuthFlows(elements);
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'CLEAR_OAUTH_FLOWS' });
+    expect(elements.toast.querySelector('.toast-message').textContent).toBe('OAuth flows cleared');
+  });
+});
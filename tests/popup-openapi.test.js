@@ -0,0 +1,157 @@
+// Browser Inspector - OpenAPI export tests
+
+import { buildOpenApiDocument, templatePath, inferParamSchema } from '../src/popup/popup-openapi.js';
+import { formatDomainDataForExport, formatAllDataForExport } from '../src/popup/popup-api-tracker.js';
+
+function endpoint(overrides = {}) {
+  return {
+    apiDomain: 'api.example.com',
+    path: '/v1/users/42',
+    normalizedPath: '/v1/users/*',
+    method: 'GET',
+    count: 3,
+    firstSeen: 1700000000000,
+    lastSeen: 1700000100000,
+    exampleUrl: 'https://api.example.com/v1/users/42?page=2',
+    queryParams: [],
+    queryParamExamples: {},
+    ...overrides
+  };
+}
+
+function domainExport(endpoints, domain = 'example.com') {
+  return formatDomainDataForExport(domain, {
+    totalRequests: 5,
+    lastVisited: 1700000100000,
+    stats: {},
+    endpoints
+  });
+}
+
+describe('inferParamSchema', () => {
+  it('should infer types from example values', () => {
+    expect(inferParamSchema(['1', '20'])).toEqual({ type: 'integer' });
+    expect(inferParamSchema(['1', '2.5'])).toEqual({ type: 'number' });
+    expect(inferParamSchema(['true', 'FALSE'])).toEqual({ type: 'boolean' });
+    expect(inferParamSchema(['2024-02-01'])).toEqual({ type: 'string', format: 'date' });
+    expect(inferParamSchema(['2024-02-01T10:00:00Z'])).toEqual({ type: 'string', format: 'date-time' });
+    expect(inferParamSchema(['550e8400-e29b-41d4-a716-446655440000'])).toEqual({ type: 'string', format: 'uuid' });
+    expect(inferParamSchema(['1', 'abc'])).toEqual({ type: 'string' });
+    expect(inferParamSchema([])).toEqual({ type: 'string' });
+  });
+});
+
+describe('templatePath', () => {
+  it('should name path parameters after the segment before them', () => {
+    const { path, parameters } = templatePath('/v1/categories/*/items/*', '/v1/categories/7/items/abc');
+
+    expect(path).toBe('/v1/categories/{categoryId}/items/{itemId}');
+    expect(parameters).toEqual([
+      { name: 'categoryId', in: 'path', required: true, schema: { type: 'integer' }, example: 7 },
+      { name: 'itemId', in: 'path', required: true, schema: { type: 'string' }, example: 'abc' }
+    ]);
+  });
+
+  it('should keep parameter names unique', () => {
+    expect(templatePath('/*/*/*').path).toBe('/{id}/{id2}/{id3}');
+  });
+
+  it('should leave paths without IDs alone', () => {
+    expect(templatePath('/v1/users', '/v1/users')).toEqual({ path: '/v1/users', parameters: [] });
+  });
+});
+
+describe('buildOpenApiDocument', () => {
+  it('should build a 3.1 document with servers, templated paths and query parameters', () => {
+    const doc = buildOpenApiDocument(domainExport({
+      'api.example.com::/v1/users/*::GET': endpoint({
+        queryParams: ['page', 'active'],
+        queryParamExamples: { page: ['2', '3'], active: ['true'] },
+        statusCodes: { 200: 3, 404: 1 }
+      })
+    }));
+
+    expect(doc.openapi).toBe('3.1.0');
+    expect(doc.info.title).toBe('example.com API');
+    expect(doc.servers).toEqual([{ url: 'https://api.example.com' }]);
+
+    const operation = doc.paths['/v1/users/{userId}'].get;
+    expect(operation.operationId).toBe('getV1UsersUserId');
+    expect(operation.servers).toBeUndefined();
+    expect(operation.parameters).toEqual([
+      { name: 'userId', in: 'path', required: true, schema: { type: 'integer' }, example: 42 },
+      {
+        name: 'page',
+        in: 'query',
+        required: false,
+        description: 'Pagination - page number',
+        schema: { type: 'integer', examples: [2, 3] }
+      },
+      {
+        name: 'active',
+        in: 'query',
+        required: false,
+        description: 'Boolean flag',
+        schema: { type: 'boolean', examples: [true] }
+      }
+    ]);
+    expect(operation.responses).toEqual({ 200: { description: 'OK' }, 404: { description: 'Not Found' } });
+  });
+
+  it('should turn auth types into security schemes without tokens', () => {
+    const doc = buildOpenApiDocument(domainExport({
+      a: endpoint({ path: '/a', normalizedPath: '/a', hasAuth: true, authType: 'bearer' }),
+      b: endpoint({ path: '/b', normalizedPath: '/b', hasAuth: true, authType: 'jwt' }),
+      c: endpoint({ path: '/c', normalizedPath: '/c', hasAuth: true, authType: 'api-key' }),
+      d: endpoint({ path: '/d', normalizedPath: '/d', hasAuth: true, authType: 'aws-sigv4' }),
+      e: endpoint({ path: '/e', normalizedPath: '/e' })
+    }));
+
+    expect(doc.components.securitySchemes).toEqual({
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      jwtAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      awsSigv4Auth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'Authorization',
+        description: 'AWS SigV4 credentials in the Authorization header'
+      }
+    });
+    expect(doc.paths['/a'].get.security).toEqual([{ bearerAuth: [] }]);
+    expect(doc.paths['/e'].get.security).toBeUndefined();
+  });
+
+  it('should list each API domain as a server and pin operations to theirs', () => {
+    const doc = buildOpenApiDocument(domainExport({
+      one: endpoint({ path: '/v1/users', normalizedPath: '/v1/users', exampleUrl: 'https://api.example.com/v1/users' }),
+      two: endpoint({ apiDomain: 'cdn.example.com', path: '/v1/users', normalizedPath: '/v1/users', exampleUrl: 'https://cdn.example.com/v1/users', count: 1 }),
+      three: endpoint({ apiDomain: 'cdn.example.com', path: '/assets', normalizedPath: '/assets', exampleUrl: 'https://cdn.example.com/assets', count: 1 })
+    }));
+
+    expect(doc.servers).toEqual([{ url: 'https://api.example.com' }, { url: 'https://cdn.example.com' }]);
+    expect(doc.paths['/v1/users'].get.servers).toEqual([
+      { url: 'https://api.example.com' },
+      { url: 'https://cdn.example.com' }
+    ]);
+    expect(doc.paths['/assets'].get.servers).toEqual([{ url: 'https://cdn.example.com' }]);
+  });
+
+  it('should tag operations by page domain when exporting every domain', () => {
+    const doc = buildOpenApiDocument(formatAllDataForExport({
+      'example.com': { totalRequests: 1, lastVisited: 2, stats: {}, endpoints: { a: endpoint() } },
+      'other.com': {
+        totalRequests: 1,
+        lastVisited: 1,
+        stats: {},
+        endpoints: { b: endpoint({ method: 'POST', path: '/v1/orders', normalizedPath: '/v1/orders' }) }
+      }
+    }));
+
+    expect(doc.info.title).toBe('Recorded APIs');
+    expect(doc.tags).toEqual([{ name: 'example.com' }, { name: 'other.com' }]);
+    expect(doc.paths['/v1/users/{userId}'].get.tags).toEqual(['example.com']);
+    expect(doc.paths['/v1/orders'].post.tags).toEqual(['other.com']);
+    expect(doc.paths['/v1/orders'].post.responses).toEqual({ default: { description: 'No response recorded' } });
+  });
+});
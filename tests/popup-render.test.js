@@ -6,9 +6,21 @@ import {
   createEmptyState,
   createNoResultsHTML,
   createDataItemHTML,
+  createJwtClaimsHTML,
+  createExpiryCountdownHTML,
+  createCookieAttributesHTML,
+  createCredentialDetailsHTML,
+  createCredentialBadgeHTML,
+  createLiveValuesBadgeHTML,
+  updateExpiryCountdowns,
   createHistoryItemHTML,
   renderHistoryList,
-  updateFilterCounts
+  getDisplayValue,
+  createRevealButtonHTML,
+  groupItemsByTab,
+  createTabGroupHeaderHTML,
+  updateFilterCounts,
+  updateSelectionBar
 } from '../src/popup/popup-render.js';
 
 describe('popup-render', () => {
@@ -83,6 +95,170 @@ describe('popup-render', () => {
     expect(html).toContain('Unknown');
   });
 
+  it('should render decoded JWT claims on data items', () => {
+    const html = createDataItemHTML('key-4', {
+      type: 'auth-token',
+      value: 'aaa.bbb.ccc',
+      displayName: 'Auth Token',
+      capturedAt: Date.now(),
+      rotationCount: 0,
+      source: { domain: 'api.example.com' },
+      jwt: {
+        header: { alg: 'RS256' },
+        claims: { iss: 'issuer', sub: '<user>', aud: ['a', 'b'], scope: 'read', iat: 1700000000, exp: 1700003600 }
+      }
+    }, '');
+
+    expect(html).toContain('data-item-claims');
+    expect(html).toContain('jwt-badge');
+    expect(html).toContain('RS256');
+    expect(html).toContain('a, b');
+    expect(html).toContain('&lt;user&gt;');
+  });
+
+  it('should skip claims HTML when no JWT data is present', () => {
+    expect(createJwtClaimsHTML(undefined)).toBe('');
+    expect(createJwtClaimsHTML({ header: {}, claims: {} })).toBe('');
+  });
+
+  it('should render expiry countdown and expired state on data items', () => {
+    const html = createDataItemHTML('key-5', {
+      type: 'auth-token',
+      value: 'token',
+      capturedAt: Date.now() - 120000,
+      expiresAt: Date.now() - 60000,
+      status: 'expired',
+      rotationCount: 0,
+      source: { domain: 'api.example.com' }
+    }, '');
+
+    expect(html).toContain('expiry-countdown expired');
+    expect(html).toMatch(/class="data-item\s+expired"/);
+    expect(createExpiryCountdownHTML(null)).toBe('');
+  });
+
+  it('should render Set-Cookie attribute flags', () => {
+    const html = createCookieAttributesHTML({
+      httpOnly: true,
+      secure: true,
+      sameSite: 'Strict',
+      domain: '.example.com',
+      path: '/'
+    });
+
+    expect(html).toContain('HttpOnly');
+    expect(html).toContain('Secure');
+    expect(html).toContain('SameSite=Strict');
+    expect(html).toContain('Domain=.example.com');
+    expect(html).toContain('Path=/');
+    expect(createCookieAttributesHTML(null)).toBe('');
+    expect(createCookieAttributesHTML({ httpOnly: false, secure: false })).toBe('');
+  });
+
+  it('should render credential details and labelled type badges', () => {
+    const html = createDataItemHTML('key-1', {
+      type: 'auth-token',
+      value: 'Basic dXNlcjpwYXNz',
+      capturedAt: Date.now(),
+      tokenType: 'basic',
+      credentialDetails: { username: 'user', password: '••••••••' },
+      source: { domain: 'api.example.com' }
+    }, '');
+
+    expect(html).toContain('credential-details');
+    expect(html).toContain('user');
+    expect(html).toContain('credential-badge basic');
+    expect(html).toContain('◈ Basic');
+
+    expect(createCredentialBadgeHTML('aws-sigv4')).toContain('AWS SigV4');
+    expect(createCredentialBadgeHTML(null)).toBe('');
+    expect(createCredentialDetailsHTML(null)).toBe('');
+    expect(createCredentialDetailsHTML({ keyId: '' })).toBe('');
+  });
+
+  it('should show a live badge when an item sends several values', () => {
+    const liveValues = [
+      { value: 'a', identity: 'jwt:https://id.example.com|alice' },
+      { value: 'b', identity: null }
+    ];
+    const html = createDataItemHTML('key', { type: 'auth-token', value: 'b', capturedAt: Date.now(), liveValues });
+
+    expect(html).toContain('⇄ 2 live');
+    expect(html).toContain('jwt:https://id.example.com|alice');
+    expect(html).toContain('unidentified value');
+    expect(html).toContain('lineage-btn');
+    expect(createDataItemHTML('key', { type: 'auth-token', value: 'b', capturedAt: Date.now() })).not.toContain('lineage-btn');
+    expect(createLiveValuesBadgeHTML([liveValues[0]])).toBe('');
+    expect(createLiveValuesBadgeHTML(undefined)).toBe('');
+  });
+
+  it('should keep attacker-controlled identities inside the live badge title', () => {
+    const identity = 'jwt:https://id.example.com|x"><img src=x onerror=alert(1)>';
+    const container = document.createElement('div');
+    container.innerHTML = createLiveValuesBadgeHTML([{ value: 'a', identity }, { value: 'b', identity: null }]);
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('.live-badge').getAttribute('title')).toBe(`${identity}\nunidentified value`);
+  });
+
+  it('should mask values in streamer mode until revealed', () => {
+    const data = {
+      type: 'auth-token',
+      value: 'SECRET_TOKEN_VALUE_1234',
+      capturedAt: Date.now(),
+      source: { domain: 'api.example.com' }
+    };
+
+    const masked = createDataItemHTML('key-1', data, 'secret', { enabled: true, revealed: false });
+    expect(masked).toContain('SECR••••••••1234');
+    expect(masked).not.toContain('SECRET_TOKEN_VALUE');
+    expect(masked).not.toContain('<mark>');
+    expect(masked).toContain('reveal-btn');
+    expect(masked).toContain('data-item-value masked');
+
+    const revealed = createDataItemHTML('key-1', data, 'secret', { enabled: true, revealed: true });
+    expect(revealed).toContain('<mark>SECRET</mark>_TOKEN_VALUE_1234');
+    expect(revealed).toContain('reveal-btn revealed');
+
+    expect(createDataItemHTML('key-1', data, '')).not.toContain('reveal-btn');
+  });
+
+  it('should show locked items without a value or reveal toggle', () => {
+    const html = createDataItemHTML('key-1', {
+      type: 'auth-token',
+      value: null,
+      locked: true,
+      capturedAt: Date.now(),
+      source: { domain: 'api.example.com' }
+    }, 'api', { enabled: true });
+
+    expect(html).toContain('🔒 Locked');
+    expect(html).toContain('data-item-value locked');
+    expect(html).not.toContain('reveal-btn');
+    expect(html).toContain('api.example.com');
+  });
+
+  it('should truncate unmasked display values and honour visible chars', () => {
+    expect(getDisplayValue('a'.repeat(80))).toBe('a'.repeat(60) + '...');
+    expect(getDisplayValue('abcdefghij', { enabled: true, visibleChars: 2 })).toBe('ab••••••••ij');
+    expect(getDisplayValue(undefined)).toBe('');
+    expect(createRevealButtonHTML('k', false)).toContain('Reveal value');
+    expect(createRevealButtonHTML('k', true)).toContain('Hide value');
+  });
+
+  it('should refresh countdown badges in place', () => {
+    const now = Date.now();
+    const container = document.createElement('div');
+    container.innerHTML = `<div class="data-item">${createExpiryCountdownHTML(now + 10000)}</div>`;
+
+    updateExpiryCountdowns(container, now + 20000);
+
+    const badge = container.querySelector('.expiry-countdown');
+    expect(badge.textContent).toContain('expired 10s ago');
+    expect(badge.classList.contains('expired')).toBe(true);
+    expect(container.querySelector('.data-item').classList.contains('expired')).toBe(true);
+  });
+
   it('should create history item HTML', () => {
     const html = createHistoryItemHTML({
       value: 'token',
@@ -95,6 +271,84 @@ describe('popup-render', () => {
     expect(html).toContain('api.example.com');
   });
 
+  it('should mask history previews but copy the real value', () => {
+    const historyList = document.createElement('div');
+    const onClick = jest.fn();
+
+    renderHistoryList({ historyList }, [{ value: 'secret-token-value', timestamp: Date.now() }], onClick, { enabled: true });
+
+    expect(historyList.querySelector('.history-value').textContent).toBe('secr••••••••alue');
+    expect(historyList.textContent).not.toContain('secret-token-value');
+    historyList.querySelector('.history-item').dispatchEvent(new MouseEvent('click'));
+    expect(onClick).toHaveBeenCalledWith('secret-token-value');
+  });
+
+  it('should reveal masked history entries one at a time', () => {
+    const historyList = document.createElement('div');
+    const onClick = jest.fn();
+    const onReveal = jest.fn();
+    const history = [
+      { id: 'history-1', value: 'secret-token-value', timestamp: Date.now() },
+      { key: 'k', value: 'other-token-value', timestamp: 5 },
+      { id: 'history-3', value: null, timestamp: Date.now() }
+    ];
+
+    renderHistoryList({ historyList }, history, onClick, { enabled: true, revealedIds: new Set(['history-1']) }, onReveal);
+
+    const values = historyList.querySelectorAll('.history-value');
+    expect(values[0].textContent).toBe('secret-token-value');
+    expect(values[0].classList.contains('masked')).toBe(false);
+    expect(values[1].textContent).toBe('othe••••••••alue');
+
+    const buttons = historyList.querySelectorAll('.reveal-btn');
+    expect(buttons).toHaveLength(2);
+    expect(buttons[0].classList.contains('revealed')).toBe(true);
+    buttons[1].click();
+    expect(onReveal).toHaveBeenCalledWith('k::5');
+    expect(onClick).not.toHaveBeenCalled();
+
+    renderHistoryList({ historyList }, history, onClick, {}, onReveal);
+    expect(historyList.querySelector('.reveal-btn')).toBeNull();
+  });
+
+  it('should group captured items by tab with the latest tab title', () => {
+    const now = Date.now();
+    const groups = groupItemsByTab([
+      ['a', { capturedAt: now - 2000, session: { tabId: 4, tabTitle: 'Login' } }],
+      ['b', { capturedAt: now - 5000, source: {} }],
+      ['c', { capturedAt: now - 1000, session: { tabId: 4, tabTitle: 'Dashboard - Alice' } }],
+      ['d', { capturedAt: now, session: { tabId: 9, incognito: true }, source: { tabId: 9 } }],
+      ['e', { capturedAt: now, source: { tabId: 12 } }]
+    ]);
+
+    expect(groups.map(g => g.title)).toEqual(['Dashboard - Alice', 'Tab 9', 'Tab 12', 'No tab']);
+    expect(groups[0].items.map(([key]) => key)).toEqual(['a', 'c']);
+    expect(groups[1].incognito).toBe(true);
+    expect(groups[3].items.map(([key]) => key)).toEqual(['b']);
+    expect(groups[0].titleSeenAt).toBeUndefined();
+  });
+
+  it('should create tab group headers', () => {
+    const html = createTabGroupHeaderHTML({ tabId: 9, title: '<Alice>', incognito: true, items: [['a', {}], ['b', {}]] });
+
+    expect(html).toContain('&lt;Alice&gt;');
+    expect(html).toContain('Incognito');
+    expect(html).toContain('data-tab-id="9"');
+    expect(html).toContain('<span class="tab-group-count">2</span>');
+    expect(createTabGroupHeaderHTML({ tabId: null, title: 'No tab', incognito: false, items: [] })).not.toContain('Incognito');
+  });
+
+  it('should keep a quoted tab title inside its attribute', () => {
+    const title = 'Inbox" onmouseover="alert(1)';
+    const container = document.createElement('div');
+    container.innerHTML = createTabGroupHeaderHTML({ tabId: 3, title, incognito: false, items: [] });
+
+    const span = container.querySelector('.tab-group-title');
+    expect(span.getAttribute('title')).toBe(title);
+    expect(span.hasAttribute('onmouseover')).toBe(false);
+    expect(span.textContent).toBe(title);
+  });
+
   it('should render empty history state', () => {
     const historyList = document.createElement('div');
     renderHistoryList({ historyList }, [], () => {});
@@ -129,4 +383,36 @@ describe('popup-render', () => {
     expect(elements.countBearer.textContent).toBe('1');
     expect(elements.showingCount.textContent).toBe('2');
   });
+
+  it('should render select checkboxes only in select mode', () => {
+    const data = { type: 'auth-token', value: 'abc', source: { domain: 'api.example.com' } };
+
+    expect(createDataItemHTML('key-1', data, '', {})).not.toContain('captured-select');
+
+    const container = document.createElement('div');
+    container.innerHTML = createDataItemHTML('key-1', data, '', {}, { active: true, selected: true });
+    const checkbox = container.querySelector('.captured-select');
+    expect(checkbox.dataset.key).toBe('key-1');
+    expect(checkbox.checked).toBe(true);
+    expect(container.querySelector('.data-item').classList.contains('selected')).toBe(true);
+  });
+
+  it('should update the selection bar', () => {
+    const elements = {
+      selectModeBtn: document.createElement('button'),
+      selectionBar: document.createElement('div'),
+      capturedSelectedCount: document.createElement('span'),
+      envExportBtn: document.createElement('button')
+    };
+
+    updateSelectionBar(elements, true, 2);
+    expect(elements.selectionBar.classList.contains('active')).toBe(true);
+    expect(elements.selectModeBtn.getAttribute('aria-pressed')).toBe('true');
+    expect(elements.capturedSelectedCount.textContent).toBe('2');
+    expect(elements.envExportBtn.disabled).toBe(false);
+
+    updateSelectionBar(elements, false, 0);
+    expect(elements.selectionBar.classList.contains('active')).toBe(false);
+    expect(elements.envExportBtn.disabled).toBe(true);
+  });
 });
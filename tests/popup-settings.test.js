@@ -0,0 +1,85 @@
+// Popup settings tests
+
+import { jest } from '@jest/globals';
+import {
+  parseDomainList,
+  showSettingsForm,
+  hideSettingsForm,
+  handleSettingsInput,
+  readSettingsForm,
+  saveSettings
+} from '../src/popup/popup-settings.js';
+
+describe('popup-settings', () => {
+  let elements;
+
+  beforeEach(() => {
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockImplementation(() => Promise.resolve({ success: true }));
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    elements = {
+      settingsForm: document.createElement('div'),
+      settingsAllowlist: document.createElement('input'),
+      settingsRequestBodies: checkbox,
+      settingsRequestBodiesHint: document.createElement('p'),
+      toast: document.createElement('div')
+    };
+    elements.toast.innerHTML = '<span class="toast-message"></span>';
+  });
+
+  it('should split the allowlist on commas and whitespace', () => {
+    expect(parseDomainList('api.example.com, *.example.org\n  other.test')).toEqual(['api.example.com', '*.example.org', 'other.test']);
+    expect(parseDomainList(' , ')).toEqual([]);
+    expect(parseDomainList(undefined)).toEqual([]);
+  });
+
+  it('should fill the form from the config', () => {
+    showSettingsForm(elements, { domainAllowlist: ['api.example.com', '*.example.org'], captureRequestBodies: true });
+
+    expect(elements.settingsForm.classList.contains('active')).toBe(true);
+    expect(elements.settingsAllowlist.value).toBe('api.example.com, *.example.org');
+    expect(elements.settingsRequestBodies.checked).toBe(true);
+    expect(elements.settingsRequestBodiesHint.textContent).toContain('allowlisted domains');
+
+    hideSettingsForm(elements);
+    expect(elements.settingsForm.classList.contains('active')).toBe(false);
+  });
+
+  it('should say bodies are never read without an allowlist', () => {
+    showSettingsForm(elements, {});
+    expect(elements.settingsRequestBodies.checked).toBe(false);
+    expect(elements.settingsRequestBodiesHint.textContent).toContain('never read without one');
+
+    elements.settingsAllowlist.value = 'api.example.com';
+    handleSettingsInput(elements);
+    expect(elements.settingsRequestBodiesHint.textContent).toContain('allowlisted domains');
+  });
+
+  it('should save the allowlist and body toggle into the config', async () => {
+    showSettingsForm(elements, { enabled: true, domainAllowlist: [] });
+    elements.settingsAllowlist.value = 'api.example.com';
+    elements.settingsRequestBodies.checked = true;
+
+    expect(readSettingsForm(elements)).toEqual({ domainAllowlist: ['api.example.com'], captureRequestBodies: true });
+
+    const saved = await saveSettings(elements, { enabled: true, domainAllowlist: [] });
+
+    expect(saved).toEqual({ enabled: true, domainAllowlist: ['api.example.com'], captureRequestBodies: true });
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'SET_CONFIG', config: saved });
+    expect(elements.settingsForm.classList.contains('active')).toBe(false);
+    expect(elements.toast.querySelector('.toast-message').textContent).toBe('Settings saved');
+  });
+
+  it('should keep the form open when saving fails', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    chrome.runtime.sendMessage.mockRejectedValueOnce(new Error('closed'));
+    showSettingsForm(elements, {});
+
+    expect(await saveSettings(elements, {})).toBeNull();
+    expect(elements.settingsForm.classList.contains('active')).toBe(true);
+    expect(elements.toast.querySelector('.toast-message').textContent).toBe('Settings update failed');
+    consoleSpy.mockRestore();
+  });
+});
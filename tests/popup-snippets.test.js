@@ -0,0 +1,190 @@
+// Popup code snippet tests
+
+import {
+  SNIPPET_FORMATS,
+  getCapturedRequest,
+  getEndpointRequest,
+  buildSnippet
+} from '../src/popup/popup-snippets.js';
+
+describe('popup-snippets', () => {
+  const request = {
+    method: 'POST',
+    url: 'https://api.example.com/v1/orders?page=2',
+    headers: [
+      { name: 'Authorization', value: 'Bearer abc' },
+      { name: 'Cookie', value: 'sid=1; theme=dark' }
+    ]
+  };
+
+  describe('getCapturedRequest', () => {
+    it('should replay an auth token with its real method, URL and every auth header', () => {
+      const result = getCapturedRequest({
+        type: 'auth-token',
+        value: 'abc',
+        tokenType: 'bearer',
+        headerName: 'Authorization',
+        allTokens: {
+          authorization: { value: 'abc', tokenType: 'bearer', originalHeader: 'Authorization' },
+          'x-api-key': { value: 'key-1', tokenType: 'api-key', originalHeader: 'X-API-Key' }
+        },
+        source: { url: 'https://api.example.com/v1/orders?page=2', domain: 'api.example.com', method: 'post' }
+      });
+
+      expect(result).toEqual({
+        method: 'POST',
+        url: 'https://api.example.com/v1/orders?page=2',
+        headers: [
+          { name: 'Authorization', value: 'Bearer abc' },
+          { name: 'X-API-Key', value: 'key-1' }
+        ]
+      });
+    });
+
+    it('should keep non-bearer schemes as captured and fall back to the primary header', () => {
+      const result = getCapturedRequest({
+        type: 'auth-token',
+        value: 'Basic dXNlcjpwYXNz',
+        tokenType: 'basic',
+        headerName: 'Authorization',
+        source: { domain: 'api.example.com', path: '/me' }
+      });
+
+      expect(result).toEqual({
+        method: 'GET',
+        url: 'https://api.example.com/me',
+        headers: [{ name: 'Authorization', value: 'Basic dXNlcjpwYXNz' }]
+      });
+    });
+
+    it('should send every extracted cookie in one Cookie header', () => {
+      const result = getCapturedRequest({
+        type: 'cookie',
+        value: '1',
+        cookieName: 'sid',
+        allCookies: { sid: '1', csrf: 'x' },
+        source: { url: 'https://app.example.com/', domain: 'app.example.com', method: 'GET' }
+      });
+
+      expect(result.headers).toEqual([{ name: 'Cookie', value: 'sid=1; csrf=x' }]);
+    });
+
+    it('should add query params missing from the URL', () => {
+      const withoutUrl = getCapturedRequest({
+        type: 'query-param',
+        value: 'abc',
+        paramName: 'token',
+        source: { domain: 'api.example.com', path: '/v1' }
+      });
+      expect(withoutUrl.url).toBe('https://api.example.com/v1?token=abc');
+
+      const captured = 'https://api.example.com/v1?token=abc&key=k%20y';
+      const withUrl = getCapturedRequest({
+        type: 'query-param',
+        value: 'abc',
+        paramName: 'token',
+        allParams: { token: 'abc', key: 'k y' },
+        source: { url: captured, domain: 'api.example.com' }
+      });
+      expect(withUrl.url).toBe(captured);
+    });
+
+    it('should place custom rule values where they were extracted from', () => {
+      const source = { url: 'https://api.example.com/v1', domain: 'api.example.com', method: 'GET' };
+
+      expect(getCapturedRequest({ type: 'custom', value: 't1', extractFrom: 'header', extractKey: 'X-Session', source }).headers)
+        .toEqual([{ name: 'X-Session', value: 't1' }]);
+      expect(getCapturedRequest({ type: 'custom', value: 't1', extractFrom: 'cookie', extractKey: 'sess', source }).headers)
+        .toEqual([{ name: 'Cookie', value: 'sess=t1' }]);
+      expect(getCapturedRequest({ type: 'custom', value: 't1', extractFrom: 'query', extractKey: 'sig', source }).url)
+        .toBe('https://api.example.com/v1?sig=t1');
+      expect(getCapturedRequest({ type: 'custom', value: 't1', extractFrom: 'body', extractKey: 'token', source }))
+        .toEqual({ method: 'GET', url: 'https://api.example.com/v1', headers: [] });
+    });
+  });
+
+  describe('getEndpointRequest', () => {
+    it('should use the example URL and a placeholder for the auth type', () => {
+      const endpoint = { method: 'GET', exampleUrl: 'https://api.example.com/v1/items?page=1' };
+
+      expect(getEndpointRequest({ ...endpoint, hasAuth: false }).headers).toEqual([]);
+      expect(getEndpointRequest({ ...endpoint, hasAuth: true, authType: 'bearer' }).headers)
+        .toEqual([{ name: 'Authorization', value: 'Bearer <bearer token>' }]);
+      expect(getEndpointRequest({ ...endpoint, hasAuth: true, authType: 'api-key' }).headers)
+        .toEqual([{ name: 'X-API-Key', value: '<api key>' }]);
+      expect(getEndpointRequest({ ...endpoint, hasAuth: true, authType: 'basic' })).toEqual({
+        method: 'GET',
+        url: 'https://api.example.com/v1/items?page=1',
+        headers: [{ name: 'Authorization', value: '<authorization header value>' }]
+      });
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should offer every requested client', () => {
+      expect(Object.keys(SNIPPET_FORMATS)).toEqual(['curl', 'fetch', 'axios', 'python', 'httpie', 'go', 'powershell', 'wget']);
+    });
+
+    it('should build shell commands', () => {
+      expect(buildSnippet(request, 'curl')).toBe(
+        'curl -X POST "https://api.example.com/v1/orders?page=2" \\\n' +
+        '  -H "Authorization: Bearer abc" \\\n' +
+        '  -H "Cookie: sid=1; theme=dark"'
+      );
+      expect(buildSnippet(request, 'httpie')).toBe(
+        'http POST "https://api.example.com/v1/orders?page=2" \\\n' +
+        '  "Authorization:Bearer abc" \\\n' +
+        '  "Cookie:sid=1; theme=dark"'
+      );
+      expect(buildSnippet(request, 'wget')).toBe(
+        'wget -O - --method=POST \\\n' +
+        '  --header="Authorization: Bearer abc" \\\n' +
+        '  --header="Cookie: sid=1; theme=dark" \\\n' +
+        '  "https://api.example.com/v1/orders?page=2"'
+      );
+    });
+
+    it('should escape shell and PowerShell metacharacters', () => {
+      const tricky = { method: 'GET', url: 'https://x.test/', headers: [{ name: 'X-Token', value: 'a"$b`c\'d' }] };
+
+      expect(buildSnippet(tricky, 'curl')).toContain('-H "X-Token: a\\"\\$b\\`c\'d"');
+      expect(buildSnippet(tricky, 'powershell')).toContain("'X-Token' = 'a\"$b`c''d'");
+      expect(buildSnippet(tricky, 'python')).toContain('"X-Token": "a\\"$b`c\'d",');
+    });
+
+    it('should build JavaScript snippets', () => {
+      const fetchSnippet = buildSnippet(request, 'fetch');
+      expect(fetchSnippet).toContain('await fetch("https://api.example.com/v1/orders?page=2", {');
+      expect(fetchSnippet).toContain('  method: "POST",');
+      expect(fetchSnippet).toContain('    "Authorization": "Bearer abc",\n    "Cookie": "sid=1; theme=dark"\n  }');
+
+      const axiosSnippet = buildSnippet(request, 'axios');
+      expect(axiosSnippet).toContain('axios.request({');
+      expect(axiosSnippet).toContain('  url: "https://api.example.com/v1/orders?page=2",');
+      expect(axiosSnippet).toContain('"Cookie": "sid=1; theme=dark"');
+
+      expect(buildSnippet({ method: 'GET', url: 'https://x.test/', headers: [] }, 'fetch'))
+        .not.toContain('headers');
+    });
+
+    it('should build Python, Go and PowerShell snippets', () => {
+      const python = buildSnippet(request, 'python');
+      expect(python).toContain('import requests');
+      expect(python).toContain('response = requests.request("POST", url, headers=headers)');
+
+      const go = buildSnippet(request, 'go');
+      expect(go).toContain('http.NewRequest("POST", "https://api.example.com/v1/orders?page=2", nil)');
+      expect(go).toContain('\treq.Header.Set("Authorization", "Bearer abc")');
+
+      const powershell = buildSnippet(request, 'powershell');
+      expect(powershell).toContain("    'Authorization' = 'Bearer abc'");
+      expect(powershell).toContain("Invoke-RestMethod -Uri 'https://api.example.com/v1/orders?page=2' -Method Post -Headers $headers");
+      expect(buildSnippet({ method: 'PROPFIND', url: 'https://x.test/' }, 'powershell'))
+        .toBe("Invoke-RestMethod -Uri 'https://x.test/' -CustomMethod 'PROPFIND'");
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => buildSnippet(request, 'perl')).toThrow('Unknown snippet format: perl');
+    });
+  });
+});
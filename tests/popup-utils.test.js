@@ -9,7 +9,12 @@ import {
   formatTime,
   escapeRegex,
   highlightMatches,
-  applyTheme
+  applyTheme,
+  formatDuration,
+  formatCountdown,
+  getExpiryState,
+  compareByExpiry,
+  maskValue
 } from '../src/popup/popup-utils.js';
 
 describe('popup-utils', () => {
@@ -45,6 +50,7 @@ describe('popup-utils', () => {
   it('should escape HTML content', () => {
     expect(escapeHtml('<script>alert(1)</script>')).toBe('&lt;script&gt;alert(1)&lt;/script&gt;');
     expect(escapeHtml('')).toBe('');
+    expect(escapeHtml(`"a" & 'b'`)).toBe('&quot;a&quot; &amp; &#39;b&#39;');
   });
 
   it('should format relative times', () => {
@@ -86,4 +92,49 @@ describe('popup-utils', () => {
     expect(applyTheme('unknown')).toBe('dark');
     expect(document.documentElement.dataset.theme).toBe('dark');
   });
+
+  it('should format durations compactly', () => {
+    expect(formatDuration(-5000)).toBe('0s');
+    expect(formatDuration(42 * 1000)).toBe('42s');
+    expect(formatDuration((4 * 60 + 12) * 1000)).toBe('4m 12s');
+    expect(formatDuration((2 * 3600 + 5 * 60) * 1000)).toBe('2h 5m');
+    expect(formatDuration((3 * 86400 + 4 * 3600) * 1000)).toBe('3d 4h');
+  });
+
+  it('should format expiry countdowns', () => {
+    const now = 1_700_000_000_000;
+    expect(formatCountdown(null, now)).toBe('');
+    expect(formatCountdown(now + 90 * 1000, now)).toBe('expires in 1m 30s');
+    expect(formatCountdown(now - 30 * 1000, now)).toBe('expired 30s ago');
+  });
+
+  it('should classify expiry state', () => {
+    const now = 1_700_000_000_000;
+    expect(getExpiryState(undefined, now)).toBeNull();
+    expect(getExpiryState(now - 1, now)).toBe('expired');
+    expect(getExpiryState(now + 60 * 1000, now)).toBe('expiring');
+    expect(getExpiryState(now + 60 * 60 * 1000, now)).toBe('valid');
+  });
+
+  it('should sort expiring-soon items first and expired items last', () => {
+    const now = 1_700_000_000_000;
+    const items = [
+      { id: 'none' },
+      { id: 'expired-old', expiresAt: now - 5000 },
+      { id: 'later', expiresAt: now + 60000 },
+      { id: 'expired-recent', expiresAt: now - 1000 },
+      { id: 'soon', expiresAt: now + 1000 }
+    ];
+
+    items.sort((a, b) => compareByExpiry(a, b, now));
+    expect(items.map(i => i.id)).toEqual(['soon', 'later', 'none', 'expired-recent', 'expired-old']);
+  });
+
+  it('should mask values to a prefix and suffix', () => {
+    expect(maskValue('eyJhbGciOiJIUzI1NiJ9.payload.sig')).toBe('eyJh••••••••.sig');
+    expect(maskValue('abcdefghij', 2)).toBe('ab••••••••ij');
+    expect(maskValue('short')).toBe('••••••••');
+    expect(maskValue('abcdef', 0)).toBe('••••••••');
+    expect(maskValue('')).toBe('');
+  });
 });
@@ -0,0 +1,139 @@
+// Popup vault tests
+
+import { jest } from '@jest/globals';
+import {
+  loadVaultStatus,
+  updateVaultUI,
+  showVaultForm,
+  hideVaultForm,
+  submitVaultForm,
+  lockVault,
+  resetVault
+} from '../src/popup/popup-vault.js';
+
+describe('popup-vault', () => {
+  let elements;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    chrome.runtime.sendMessage.mockReset();
+    chrome.runtime.sendMessage.mockImplementation(() => Promise.resolve());
+
+    elements = {
+      vaultBtn: document.createElement('button'),
+      vaultIcon: document.createElement('svg'),
+      vaultForm: document.createElement('div'),
+      vaultTitle: document.createElement('div'),
+      vaultHint: document.createElement('p'),
+      vaultPassphrase: document.createElement('input'),
+      vaultConfirm: document.createElement('input'),
+      vaultError: document.createElement('div'),
+      vaultSubmitBtn: document.createElement('button'),
+      vaultResetBtn: document.createElement('button'),
+      toast: document.createElement('div')
+    };
+    elements.toast.innerHTML = '<span class="toast-message"></span>';
+  });
+
+  it('should load vault status with a default', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ enabled: true, locked: true });
+    expect(await loadVaultStatus()).toEqual({ enabled: true, locked: true });
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'GET_VAULT_STATUS' });
+
+    chrome.runtime.sendMessage.mockResolvedValueOnce(undefined);
+    expect(await loadVaultStatus()).toEqual({ enabled: false, locked: false });
+  });
+
+  it('should reflect the vault state on the header button', () => {
+    updateVaultUI(elements, { enabled: false, locked: false });
+    expect(elements.vaultBtn.title).toBe('Encrypt stored tokens with a passphrase');
+
+    updateVaultUI(elements, { enabled: true, locked: true });
+    expect(elements.vaultBtn.title).toBe('Unlock vault');
+    expect(elements.vaultBtn.classList.contains('locked')).toBe(true);
+
+    updateVaultUI(elements, { enabled: true, locked: false });
+    expect(elements.vaultBtn.title).toBe('Lock vault');
+    expect(elements.vaultBtn.classList.contains('unlocked')).toBe(true);
+    expect(elements.vaultBtn.classList.contains('locked')).toBe(false);
+  });
+
+  it('should show setup and unlock modes', () => {
+    showVaultForm(elements, 'setup');
+    expect(elements.vaultForm.classList.contains('active')).toBe(true);
+    expect(elements.vaultSubmitBtn.textContent).toBe('Encrypt');
+    expect(elements.vaultConfirm.style.display).toBe('');
+    expect(elements.vaultResetBtn.style.display).toBe('none');
+
+    showVaultForm(elements, 'unlock');
+    expect(elements.vaultSubmitBtn.textContent).toBe('Unlock');
+    expect(elements.vaultConfirm.style.display).toBe('none');
+    expect(elements.vaultResetBtn.style.display).toBe('');
+
+    elements.vaultPassphrase.value = 'secret';
+    hideVaultForm(elements);
+    expect(elements.vaultForm.classList.contains('active')).toBe(false);
+    expect(elements.vaultPassphrase.value).toBe('');
+  });
+
+  it('should validate the passphrase before sending', async () => {
+    showVaultForm(elements, 'setup');
+    expect(await submitVaultForm(elements)).toBe(false);
+    expect(elements.vaultError.textContent).toBe('Enter a passphrase');
+
+    elements.vaultPassphrase.value = 'passphrase-1';
+    elements.vaultConfirm.value = 'passphrase-2';
+    expect(await submitVaultForm(elements)).toBe(false);
+    expect(elements.vaultError.textContent).toBe('Passphrases do not match');
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('should set up the vault and run the success callback', async () => {
+    const onSuccess = jest.fn();
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ success: true });
+
+    showVaultForm(elements, 'setup');
+    elements.vaultPassphrase.value = 'passphrase-1';
+    elements.vaultConfirm.value = 'passphrase-1';
+
+    expect(await submitVaultForm(elements, onSuccess)).toBe(true);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'SETUP_VAULT', passphrase: 'passphrase-1' });
+    expect(elements.vaultForm.classList.contains('active')).toBe(false);
+    expect(elements.toast.textContent).toContain('Stored tokens encrypted');
+    expect(onSuccess).toHaveBeenCalled();
+  });
+
+  it('should show unlock errors from the service worker', async () => {
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ success: false, error: 'Incorrect passphrase' });
+
+    showVaultForm(elements, 'unlock');
+    elements.vaultPassphrase.value = 'wrong';
+
+    expect(await submitVaultForm(elements)).toBe(false);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'UNLOCK_VAULT', passphrase: 'wrong' });
+    expect(elements.vaultError.textContent).toBe('Incorrect passphrase');
+    expect(elements.vaultForm.classList.contains('active')).toBe(true);
+  });
+
+  it('should lock the vault', async () => {
+    const onSuccess = jest.fn();
+    await lockVault(elements, onSuccess);
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'LOCK_VAULT' });
+    expect(onSuccess).toHaveBeenCalled();
+  });
+
+  it('should require a second click to reset', async () => {
+    const onSuccess = jest.fn();
+    showVaultForm(elements, 'unlock');
+
+    expect(await resetVault(elements, onSuccess)).toBe(false);
+    expect(elements.vaultResetBtn.textContent).toBe('Click again to erase');
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+
+    expect(await resetVault(elements, onSuccess)).toBe(true);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'RESET_VAULT' });
+    expect(onSuccess).toHaveBeenCalled();
+    expect(elements.vaultResetBtn.dataset.armed).toBe('false');
+  });
+});
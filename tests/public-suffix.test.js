@@ -0,0 +1,60 @@
+// Browser Inspector - Public Suffix List tests
+
+import { getPublicSuffix, getRegistrableDomain, isPublicSuffix } from '../src/lib/public-suffix.js';
+
+describe('getPublicSuffix', () => {
+  it('should fall back to the last label for unknown TLDs', () => {
+    expect(getPublicSuffix('api.example.com')).toBe('com');
+    expect(getPublicSuffix('example.dev')).toBe('dev');
+    expect(getPublicSuffix('intranet')).toBe('intranet');
+  });
+
+  it('should find multi-label country suffixes', () => {
+    expect(getPublicSuffix('app.example.co.uk')).toBe('co.uk');
+    expect(getPublicSuffix('example.co.kr')).toBe('co.kr');
+    expect(getPublicSuffix('shop.example.com.sg')).toBe('com.sg');
+  });
+
+  it('should find hosting platform suffixes', () => {
+    expect(getPublicSuffix('alice.github.io')).toBe('github.io');
+    expect(getPublicSuffix('bucket.s3.amazonaws.com')).toBe('s3.amazonaws.com');
+    // Sites on a platform's parent domain are not under the platform's suffix
+    expect(getPublicSuffix('amazonaws.com')).toBe('com');
+  });
+
+  it('should apply wildcard and exception rules', () => {
+    expect(getPublicSuffix('shop.example.ck')).toBe('example.ck');
+    expect(getPublicSuffix('www.ck')).toBe('ck');
+    expect(getPublicSuffix('foo.bar.kawasaki.jp')).toBe('bar.kawasaki.jp');
+    expect(getPublicSuffix('city.kawasaki.jp')).toBe('kawasaki.jp');
+  });
+
+  it('should ignore case and a trailing dot', () => {
+    expect(getPublicSuffix('App.Example.CO.UK.')).toBe('co.uk');
+  });
+});
+
+describe('getRegistrableDomain', () => {
+  it('should return the suffix plus one label', () => {
+    expect(getRegistrableDomain('a.b.example.com')).toBe('example.com');
+    expect(getRegistrableDomain('api.shop.herokuapp.com')).toBe('shop.herokuapp.com');
+    expect(getRegistrableDomain('www.ck')).toBe('www.ck');
+    expect(getRegistrableDomain('city.kawasaki.jp')).toBe('city.kawasaki.jp');
+  });
+
+  it('should return null for a public suffix itself', () => {
+    expect(getRegistrableDomain('co.uk')).toBeNull();
+    expect(getRegistrableDomain('vercel.app')).toBeNull();
+    expect(getRegistrableDomain('')).toBeNull();
+  });
+});
+
+describe('isPublicSuffix', () => {
+  it('should tell suffixes from sites', () => {
+    expect(isPublicSuffix('com')).toBe(true);
+    expect(isPublicSuffix('github.io')).toBe(true);
+    expect(isPublicSuffix('anything.bd')).toBe(true);
+    expect(isPublicSuffix('example.com')).toBe(false);
+    expect(isPublicSuffix('')).toBe(false);
+  });
+});
@@ -0,0 +1,333 @@
+// Record store tests - IndexedDB backend and legacy migration
+
+import {
+  STORES,
+  getRecord,
+  getAllRecords,
+  countRecords,
+  commitChanges,
+  queryRecords,
+  closeRecordStore
+} from '../src/lib/record-store.js';
+import {
+  getCapturedData,
+  updateCapturedItem,
+  removeCapturedItem,
+  getHistory,
+  getExpiredTokens,
+  addToExpiredTokens,
+  removeExpiredTokens,
+  getApiTracker,
+  getApiTrackerForDomain,
+  getTrackedDomains,
+  trackApiRequest,
+  recordApiResponse,
+  clearApiTracker,
+  getRotationLog,
+  getOAuthFlows,
+  recordOAuthFlowStep,
+  clearOAuthFlows,
+  appendJournalEntry,
+  getJournal,
+  getJournalStats,
+  getEntrySize
+} from '../src/lib/storage.js';
+import { createIndexedDbMock, installIndexedDbMock, uninstallIndexedDbMock } from './indexeddb-mock.js';
+
+const putRecords = (store, records) => commitChanges({ [store]: { put: records } });
+
+describe('Record store', () => {
+  describe('IndexedDB', () => {
+    let idb;
+
+    beforeEach(async () => {
+      resetMockStorage();
+      await closeRecordStore();
+      idb = installIndexedDbMock();
+    });
+
+    afterEach(async () => {
+      await closeRecordStore();
+      uninstallIndexedDbMock();
+    });
+
+    it('should create an object store per collection with its indexes', async () => {
+      await countRecords(STORES.CAPTURES);
+
+      const { stores } = idb.databases.get('browser-inspector');
+      expect([...stores.keys()].sort()).toEqual([
+        'apiDomains', 'captures', 'endpoints', 'expiredTokens', 'history', 'journal', 'meta', 'oauthFlows', 'rotationLog'
+      ]);
+      expect([...stores.get('expiredTokens').indexes.keys()]).toEqual(['expiredAt']);
+      expect([...stores.get('endpoints').indexes]).toEqual([['pageDomainLastSeen', ['pageDomain', 'lastSeen']]]);
+    });
+
+    it('should drop indexes nothing queries when upgrading an older database', async () => {
+      await closeRecordStore();
+      const v1 = createIndexedDbMock();
+      await new Promise(resolve => {
+        const request = v1.open('browser-inspector', 1);
+        request.onupgradeneeded = () => {
+          const endpoints = request.result.createObjectStore('endpoints', { keyPath: 'id' });
+          endpoints.createIndex('pageDomain', 'pageDomain');
+          endpoints.createIndex('lastSeen', 'lastSeen');
+          request.result.createObjectStore('expiredTokens', { keyPath: 'id' }).createIndex('key', 'key');
+        };
+        request.onsuccess = () => {
+          request.result.close();
+          resolve();
+        };
+      });
+      global.indexedDB = v1;
+
+      await countRecords(STORES.CAPTURES);
+
+      const { version, stores } = v1.databases.get('browser-inspector');
+      expect(version).toBeGreaterThan(1);
+      expect([...stores.get('endpoints').indexes.keys()]).toEqual(['pageDomainLastSeen']);
+      expect([...stores.get('expiredTokens').indexes.keys()]).toEqual(['expiredAt']);
+      expect(stores.has('captures')).toBe(true);
+    });
+
+    it('should put, get, count and delete records', async () => {
+      await putRecords(STORES.HISTORY, [
+        { id: 'a', key: 'k1', timestamp: 3 },
+        { id: 'b', key: 'k2', timestamp: 1 },
+        { id: 'c', key: 'k1', timestamp: 2 }
+      ]);
+
+      expect(await getRecord(STORES.HISTORY, 'b')).toEqual({ id: 'b', key: 'k2', timestamp: 1 });
+      expect(await countRecords(STORES.HISTORY)).toBe(3);
+
+      await commitChanges({ [STORES.HISTORY]: { delete: ['b'] } });
+      expect(await getRecord(STORES.HISTORY, 'b')).toBeUndefined();
+      expect(await countRecords(STORES.HISTORY)).toBe(2);
+    });
+
+    it('should read records in index order with a value filter and limit', async () => {
+      await putRecords(STORES.EXPIRED_TOKENS, [
+        { id: 'x', key: 'k1', expiredAt: 30 },
+        { id: 'y', key: 'k2', expiredAt: 10 },
+        { id: 'z', key: 'k1', expiredAt: 20 }
+      ]);
+
+      const ids = records => records.map(record => record.id);
+      expect(ids(await getAllRecords(STORES.EXPIRED_TOKENS, { index: 'expiredAt' }))).toEqual(['y', 'z', 'x']);
+      expect(ids(await getAllRecords(STORES.EXPIRED_TOKENS, { index: 'expiredAt', limit: 1 }))).toEqual(['y']);
+      expect(await countRecords(STORES.EXPIRED_TOKENS, { index: 'expiredAt', value: 20 })).toBe(1);
+    });
+
+    it('should query a compound index by its first field in the order of the rest', async () => {
+      await putRecords(STORES.ENDPOINTS, [
+        { id: 'a::1', pageDomain: 'a.com', lastSeen: 30 },
+        { id: 'b::1', pageDomain: 'b.com', lastSeen: 5 },
+        { id: 'a::2', pageDomain: 'a.com', lastSeen: 10 },
+        { id: 'a::3', pageDomain: 'a.com', lastSeen: 20 }
+      ]);
+
+      const ids = records => records.map(record => record.id);
+      const index = 'pageDomainLastSeen';
+      expect(ids(await getAllRecords(STORES.ENDPOINTS, { index, value: 'a.com' }))).toEqual(['a::2', 'a::3', 'a::1']);
+      expect(ids(await getAllRecords(STORES.ENDPOINTS, { index, value: 'a.com', limit: 1 }))).toEqual(['a::2']);
+      expect(await countRecords(STORES.ENDPOINTS, { index, value: 'b.com' })).toBe(1);
+      expect(await countRecords(STORES.ENDPOINTS, { index, value: 'c.com' })).toBe(0);
+    });
+
+    it('should replace and clear a store', async () => {
+      await putRecords(STORES.CAPTURES, [{ key: 'old', value: 'v' }]);
+      await commitChanges({ [STORES.CAPTURES]: { clear: true, put: [{ key: 'new', value: 'v' }] } });
+      expect((await getAllRecords(STORES.CAPTURES)).map(record => record.key)).toEqual(['new']);
+
+      await commitChanges({ [STORES.CAPTURES]: { clear: true } });
+      expect(await countRecords(STORES.CAPTURES)).toBe(0);
+    });
+
+    it('should keep bulk data out of chrome.storage.local', async () => {
+      await updateCapturedItem('api.example.com::/v1::auth-token', { value: 'Bearer abc', type: 'auth-token' });
+      await trackApiRequest('example.com', { url: 'https://api.example.com/v1/users', method: 'GET', requestHeaders: [] });
+
+      const stored = getMockStorage();
+      expect(stored.capturedData).toBeUndefined();
+      expect(stored.history).toBeUndefined();
+      expect(stored.apiTracker).toBeUndefined();
+
+      expect((await getCapturedData())['api.example.com::/v1::auth-token'].value).toBe('Bearer abc');
+      expect(await getHistory()).toHaveLength(1);
+    });
+
+    it('should migrate the original storage keys once', async () => {
+      setMockStorage({
+        config: { enabled: true },
+        capturedData: { k1: { value: 'token-1', type: 'auth-token', capturedAt: 1 } },
+        history: [
+          { key: 'k1', value: 'token-1', timestamp: 2 },
+          { key: 'k1', value: 'token-0', timestamp: 1 }
+        ],
+        expiredTokens: [{ key: 'k1', value: 'token-0', expiredAt: 5 }],
+        apiTracker: {
+          'example.com': {
+            displayName: 'example.com',
+            lastVisited: 10,
+            totalRequests: 1,
+            stats: { uniqueEndpoints: 1, byApiDomain: {}, byMethod: {} },
+            endpoints: { 'api.example.com::/v1::GET': { method: 'GET', count: 1, lastSeen: 10 } }
+          }
+        },
+        rotationLog: {
+          k1: [
+            { value: 'token-a', capturedAt: 1, expiredAt: 3 },
+            { value: 'token-0', capturedAt: 3, expiredAt: 5 }
+          ]
+        },
+        oauthFlows: [
+          { id: 'flow-2', status: 'completed', steps: [], updatedAt: 20 },
+          { id: 'flow-1', status: 'started', steps: [], updatedAt: 10 }
+        ],
+        journal: {
+          entries: [{ requestId: 'r1', domain: 'a.com', size: 40 }, { requestId: 'r2', domain: 'b.com', size: 60 }],
+          bytes: 100
+        }
+      });
+
+      expect(await getCapturedData()).toEqual({ k1: { value: 'token-1', type: 'auth-token', capturedAt: 1 } });
+      expect((await getHistory()).map(entry => entry.value)).toEqual(['token-1', 'token-0']);
+      // Legacy entries keep the id the popup already used for them
+      expect((await getExpiredTokens())[0].id).toBe('k1::5');
+      expect((await getApiTracker())['example.com'].endpoints['api.example.com::/v1::GET'].count).toBe(1);
+      expect((await getRotationLog('k1')).map(entry => entry.value)).toEqual(['token-a', 'token-0']);
+      expect((await getOAuthFlows()).map(flow => flow.id)).toEqual(['flow-2', 'flow-1']);
+      expect((await getJournal()).map(entry => entry.requestId)).toEqual(['r2', 'r1']);
+      expect(await getJournalStats()).toMatchObject({ count: 2, bytes: 100 });
+
+      const stored = getMockStorage();
+      expect(Object.keys(stored)).toEqual(['config']);
+    });
+
+    it('should keep captures, history and expired tokens per record', async () => {
+      const key = 'api.example.com::/v1::auth-token';
+      await updateCapturedItem(key, { value: 'Bearer one', type: 'auth-token', tokenType: 'bearer' });
+      await updateCapturedItem('other', { value: 'x', type: 'cookie' });
+      await addToExpiredTokens(key, { value: 'Bearer zero', type: 'auth-token' });
+
+      const [expired] = await getExpiredTokens();
+      expect(await removeExpiredTokens([expired.id])).toEqual([]);
+
+      expect(Object.keys(await removeCapturedItem('other'))).toEqual([key]);
+      expect((await getHistory()).map(entry => entry.key)).toEqual(['other', key]);
+    });
+
+    it('should keep rotation log entries and OAuth flows as records', async () => {
+      const key = 'api.example.com::/v1::auth-token';
+      const identified = value => ({ value, type: 'auth-token', jwt: { claims: { sub: 'alice' } } });
+      await updateCapturedItem(key, identified('token-1'));
+      await updateCapturedItem(key, identified('token-2'));
+      await recordOAuthFlowStep({ step: 'authorization-request', oauth: { clientId: 'c1', state: 's1' }, source: { domain: 'login.example.com' } });
+
+      expect(await countRecords(STORES.ROTATION_LOG, { index: 'keyExpiredAt', value: key })).toBe(1);
+      expect(await getRotationLog(key)).toEqual([expect.objectContaining({ value: 'token-1' })]);
+      expect(await countRecords(STORES.OAUTH_FLOWS)).toBe(1);
+
+      const stored = getMockStorage();
+      expect(stored.rotationLog).toBeUndefined();
+      expect(stored.oauthFlows).toBeUndefined();
+
+      await removeCapturedItem(key);
+      await clearOAuthFlows();
+      expect(await countRecords(STORES.ROTATION_LOG)).toBe(0);
+      expect(await getOAuthFlows()).toEqual([]);
+    });
+
+    it('should keep journal entries as records with a running byte total', async () => {
+      const entry = requestId => ({ requestId, timestamp: 1, url: 'https://api.example.com/', handlers: [] });
+      const size = getEntrySize(entry('r0'));
+
+      for (let i = 0; i < 4; i++) {
+        await appendJournalEntry(entry(`r${i}`), size * 3);
+      }
+
+      expect(await countRecords(STORES.JOURNAL)).toBe(3);
+      expect(await getRecord(STORES.META, 'journal')).toEqual({ name: 'journal', bytes: size * 3 });
+      expect((await getJournal()).map(record => record.requestId)).toEqual(['r3', 'r2', 'r1']);
+      expect(getMockStorage().journal).toBeUndefined();
+    });
+
+    it('should store API domains and endpoints as separate records', async () => {
+      const request = path => ({ url: `https://api.example.com${path}`, method: 'GET', requestHeaders: [] });
+      await trackApiRequest('example.com', request('/v1/users'));
+      await trackApiRequest('example.com', request('/v1/users'));
+      await trackApiRequest('example.com', request('/v1/orders'));
+      await trackApiRequest('other.com', request('/v2/items'));
+
+      expect(await countRecords(STORES.ENDPOINTS, { index: 'pageDomainLastSeen', value: 'example.com' })).toBe(2);
+
+      const domain = await getApiTrackerForDomain('example.com');
+      expect(domain.totalRequests).toBe(3);
+      expect(domain.stats.uniqueEndpoints).toBe(2);
+      expect(domain.endpoints['api.example.com::/v1/users::GET'].count).toBe(2);
+
+      await recordApiResponse('example.com', { url: 'https://api.example.com/v1/users', method: 'GET', statusCode: 500, duration: 40 });
+      const afterResponse = await getApiTrackerForDomain('example.com');
+      expect(afterResponse.stats.errorCount).toBe(1);
+      expect(afterResponse.endpoints['api.example.com::/v1/users::GET'].statusCodes).toEqual({ 500: 1 });
+
+      expect((await getTrackedDomains()).map(entry => entry.domain).sort()).toEqual(['example.com', 'other.com']);
+
+      await clearApiTracker('example.com');
+      expect(await getApiTrackerForDomain('example.com')).toBeNull();
+      expect(await countRecords(STORES.ENDPOINTS)).toBe(1);
+    });
+
+    it('should evict the least recently seen endpoint through the index', async () => {
+      const request = path => ({ url: `https://api.example.com${path}`, method: 'GET', requestHeaders: [] });
+      const endpoints = Array.from({ length: 200 }, (_, i) => ({
+        id: `example.com::api.example.com::/v1/e${i}::GET`,
+        pageDomain: 'example.com',
+        endpointKey: `api.example.com::/v1/e${i}::GET`,
+        method: 'GET',
+        count: 1,
+        lastSeen: i === 7 ? 1 : 1000 + i
+      }));
+      await putRecords(STORES.ENDPOINTS, endpoints);
+      await putRecords(STORES.API_DOMAINS, [{
+        domain: 'example.com',
+        displayName: 'example.com',
+        lastVisited: 1,
+        totalRequests: 200,
+        stats: { uniqueEndpoints: 200, byApiDomain: {}, byMethod: {} }
+      }]);
+
+      await trackApiRequest('example.com', request('/v1/new'));
+
+      const domain = await getApiTrackerForDomain('example.com');
+      expect(Object.keys(domain.endpoints)).toHaveLength(200);
+      expect(domain.endpoints['api.example.com::/v1/e7::GET']).toBeUndefined();
+      expect(domain.endpoints['api.example.com::/v1/new::GET']).toBeDefined();
+    });
+
+    it('should commit concurrent writes in one transaction without losing counts', async () => {
+      const request = path => ({ url: `https://api.example.com${path}`, method: 'GET', requestHeaders: [] });
+      await Promise.all(Array.from({ length: 40 }, (_, i) => trackApiRequest('example.com', request(`/v1/items-${i % 4}`))));
+
+      const domain = await getApiTrackerForDomain('example.com');
+      expect(domain.totalRequests).toBe(40);
+      expect(Object.values(domain.endpoints).map(endpoint => endpoint.count)).toEqual([10, 10, 10, 10]);
+    });
+  });
+
+  describe('queryRecords', () => {
+    it('should query indexes in memory the way IndexedDB does', () => {
+      const records = [
+        { id: 'a::1', pageDomain: 'a.com', lastSeen: 30 },
+        { id: 'b::1', pageDomain: 'b.com', lastSeen: 5 },
+        { id: 'a::2', pageDomain: 'a.com', lastSeen: 10 }
+      ];
+
+      expect(queryRecords(STORES.ENDPOINTS, records, { index: 'pageDomainLastSeen', value: 'a.com' }).map(record => record.id))
+        .toEqual(['a::2', 'a::1']);
+      expect(queryRecords(STORES.ENDPOINTS, records, { index: 'pageDomainLastSeen' }).map(record => record.id))
+        .toEqual(['a::2', 'a::1', 'b::1']);
+      expect(queryRecords(STORES.ENDPOINTS, records).map(record => record.id)).toEqual(['a::1', 'a::2', 'b::1']);
+      expect(queryRecords(STORES.ENDPOINTS, records, { limit: 1 })).toEqual([records[0]]);
+    });
+  });
+});
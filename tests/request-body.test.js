@@ -0,0 +1,88 @@
+// Browser Inspector - Request Body Parsing Tests
+
+import { parseRequestBody, parseBodyText, getBodyValue, MAX_BODY_BYTES } from '../src/lib/request-body.js';
+
+function rawBody(text) {
+  const bytes = Uint8Array.from(unescape(encodeURIComponent(text)), c => c.charCodeAt(0));
+  return { raw: [{ bytes: bytes.buffer }] };
+}
+
+describe('parseRequestBody', () => {
+  it('should pass through formData parsed by the browser', () => {
+    const body = parseRequestBody({ formData: { username: ['alice'], password: ['hunter2'] } });
+    expect(body).toEqual({ kind: 'form', data: { username: ['alice'], password: ['hunter2'] } });
+  });
+
+  it('should parse raw JSON bodies', () => {
+    const body = parseRequestBody(rawBody('{"refresh_token":"rt_123","user":{"name":"Zoë"}}'));
+    expect(body.kind).toBe('json');
+    expect(body.data.user.name).toBe('Zoë');
+  });
+
+  it('should join raw chunks before parsing', () => {
+    const first = rawBody('{"token":');
+    const second = rawBody('"abc"}');
+    const body = parseRequestBody({ raw: [...first.raw, { file: '/tmp/upload' }, ...second.raw] });
+    expect(body).toEqual({ kind: 'json', data: { token: 'abc' } });
+  });
+
+  it('should parse raw urlencoded bodies', () => {
+    const body = parseRequestBody(rawBody('grant_type=refresh_token&refresh_token=rt%2F1'));
+    expect(body).toEqual({
+      kind: 'form',
+      data: { grant_type: ['refresh_token'], refresh_token: ['rt/1'] }
+    });
+  });
+
+  it('should return null for errors, empty and oversized bodies', () => {
+    expect(parseRequestBody(null)).toBeNull();
+    expect(parseRequestBody({ error: 'Unknown error.' })).toBeNull();
+    expect(parseRequestBody({ raw: [] })).toBeNull();
+    expect(parseRequestBody(rawBody('   '))).toBeNull();
+    expect(parseRequestBody(rawBody('x'.repeat(MAX_BODY_BYTES + 1)))).toBeNull();
+  });
+
+  it('should keep invalid UTF-8 bytes as-is', () => {
+    const body = parseRequestBody({ raw: [{ bytes: new Uint8Array([0x74, 0xff]).buffer }] });
+    expect(body).toEqual({ kind: 'text', data: 'tÿ' });
+  });
+});
+
+describe('parseBodyText', () => {
+  it('should fall back to text for malformed JSON and free text', () => {
+    expect(parseBodyText('{not json')).toEqual({ kind: 'text', data: '{not json' });
+    expect(parseBodyText('hello world')).toEqual({ kind: 'text', data: 'hello world' });
+  });
+});
+
+describe('getBodyValue', () => {
+  const json = {
+    kind: 'json',
+    data: { data: { tokens: [{ refresh: 'rt_1' }], expires: 3600, active: true, empty: '' } }
+  };
+
+  it('should resolve JSON paths with array indexes', () => {
+    expect(getBodyValue(json, 'data.tokens[0].refresh')).toBe('rt_1');
+    expect(getBodyValue(json, '$.data.tokens[0].refresh')).toBe('rt_1');
+  });
+
+  it('should stringify scalar JSON values and skip objects', () => {
+    expect(getBodyValue(json, 'data.expires')).toBe('3600');
+    expect(getBodyValue(json, 'data.active')).toBe('true');
+    expect(getBodyValue(json, 'data.tokens')).toBeNull();
+    expect(getBodyValue(json, 'data.empty')).toBeNull();
+    expect(getBodyValue(json, 'data.missing.deeper')).toBeNull();
+  });
+
+  it('should return the first value of a form field', () => {
+    const form = { kind: 'form', data: { scope: ['read', 'write'] } };
+    expect(getBodyValue(form, 'scope')).toBe('read');
+    expect(getBodyValue(form, 'missing')).toBeNull();
+  });
+
+  it('should return null without a body, key or for text bodies', () => {
+    expect(getBodyValue(null, 'token')).toBeNull();
+    expect(getBodyValue(json, '')).toBeNull();
+    expect(getBodyValue({ kind: 'text', data: 'token=abc' }, 'token')).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+// Browser Inspector - Request timing metrics tests
+
+import {
+  recordTiming,
+  timeStage,
+  getTimingStats,
+  resetTimings
+} from '../src/background/request-timings.js';
+
+describe('request-timings', () => {
+  beforeEach(() => {
+    resetTimings();
+  });
+
+  it('should summarize count, average, percentiles and max per stage', () => {
+    for (let i = 1; i <= 100; i++) {
+      recordTiming('request', i);
+    }
+    recordTiming('filter', 0.123);
+
+    const { stages } = getTimingStats();
+
+    expect(stages.request).toEqual({ count: 100, avgMs: 50.5, p50Ms: 50, p95Ms: 95, maxMs: 100 });
+    expect(stages.filter).toEqual({ count: 1, avgMs: 0.12, p50Ms: 0.12, p95Ms: 0.12, maxMs: 0.12 });
+  });
+
+  it('should keep percentiles to the most recent samples', () => {
+    for (let i = 0; i < 500; i++) {
+      recordTiming('storage', 100);
+    }
+    for (let i = 0; i < 500; i++) {
+      recordTiming('storage', 1);
+    }
+
+    const { storage } = getTimingStats().stages;
+
+    expect(storage.count).toBe(1000);
+    expect(storage.p95Ms).toBe(1);
+    expect(storage.maxMs).toBe(100);
+  });
+
+  it('should time async stages, including ones that throw', async () => {
+    expect(await timeStage('handlers', async () => 'done')).toBe('done');
+    await expect(timeStage('handlers', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+    expect(getTimingStats().stages.handlers.count).toBe(2);
+  });
+
+  it('should start over on reset', () => {
+    recordTiming('request', 5);
+    const before = getTimingStats().since;
+
+    resetTimings();
+
+    expect(getTimingStats().stages).toEqual({});
+    expect(getTimingStats().since).toBeGreaterThanOrEqual(before);
+  });
+});
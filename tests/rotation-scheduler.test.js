@@ -0,0 +1,103 @@
+// Browser Inspector - Rotation Scheduler Tests
+
+import {
+  ROTATION_ALARM_PREFIX,
+  scheduleRotationCheck,
+  clearRotationCheck,
+  clearAllRotationChecks,
+  handleRotationAlarm
+} from '../src/background/rotation-scheduler.js';
+import { updateCapturedItem, getCapturedData, getExpiredTokens } from '../src/lib/storage.js';
+
+const MINUTE = 60 * 1000;
+
+const liveValue = (value, lastSeenAt) => ({ value, identity: null, firstSeenAt: lastSeenAt, lastSeenAt });
+
+describe('scheduleRotationCheck', () => {
+  beforeEach(() => {
+    resetMockStorage();
+  });
+
+  it('should create an alarm for when the idle value reaches the end of its grace period', async () => {
+    const now = Date.now();
+    const item = { liveValues: [liveValue('key-A', now - MINUTE), liveValue('key-B', now)] };
+
+    const when = await scheduleRotationCheck('key-1', item, { rotationGraceMinutes: 10 });
+
+    expect(when).toBe(now - MINUTE + 10 * MINUTE);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`${ROTATION_ALARM_PREFIX}key-1`, { when });
+  });
+
+  it('should clear the alarm while the item has a single live value', async () => {
+    const when = await scheduleRotationCheck('key-1', { liveValues: [liveValue('key-A', Date.now())] }, {});
+
+    expect(when).toBeNull();
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ROTATION_ALARM_PREFIX}key-1`);
+  });
+
+  it('should clear single and all rotation alarms', async () => {
+    chrome.alarms.getAll.mockResolvedValueOnce([
+      { name: `${ROTATION_ALARM_PREFIX}a` },
+      { name: 'expiry-warning::a' },
+      { name: `${ROTATION_ALARM_PREFIX}b` }
+    ]);
+
+    await clearRotationCheck('x');
+    await clearAllRotationChecks();
+
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ROTATION_ALARM_PREFIX}x`);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ROTATION_ALARM_PREFIX}a`);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(`${ROTATION_ALARM_PREFIX}b`);
+    expect(chrome.alarms.clear).not.toHaveBeenCalledWith('expiry-warning::a');
+  });
+});
+
+describe('handleRotationAlarm', () => {
+  const key = 'api.example.com::/v1/data::auth-token::X-API-Key';
+
+  beforeEach(() => {
+    resetMockStorage();
+  });
+
+  it('should retire the idle value once its grace period has ended', async () => {
+    const now = Date.now();
+    setMockStorage({
+      config: { rotationGraceMinutes: 5 },
+      capturedData: {
+        [key]: {
+          value: 'key-B',
+          type: 'auth-token',
+          status: 'active',
+          rotationCount: 0,
+          liveValues: [liveValue('key-A', now - 6 * MINUTE), liveValue('key-B', now - 2 * MINUTE)]
+        }
+      }
+    });
+
+    const result = await handleRotationAlarm({ name: `${ROTATION_ALARM_PREFIX}${key}` });
+
+    expect(result).toMatchObject({ key, rotationDetected: true, previousToken: { value: 'key-A' } });
+    expect((await getCapturedData())[key]).toMatchObject({ rotationCount: 1, previousValue: 'key-A' });
+    expect((await getExpiredTokens()).map(entry => entry.value)).toEqual(['key-A']);
+    // Nothing left to retire, so no further check
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+
+  it('should reschedule while another value is still inside its grace period', async () => {
+    await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+    await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+
+    const result = await handleRotationAlarm({ name: `${ROTATION_ALARM_PREFIX}${key}` });
+
+    expect(result.rotationDetected).toBe(false);
+    expect(result.data[key].liveValues).toHaveLength(2);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(`${ROTATION_ALARM_PREFIX}${key}`, { when: expect.any(Number) });
+  });
+
+  it('should ignore unrelated alarms and removed items', async () => {
+    expect(await handleRotationAlarm({ name: 'other' })).toBeNull();
+    expect(await handleRotationAlarm(undefined)).toBeNull();
+    expect(await handleRotationAlarm({ name: `${ROTATION_ALARM_PREFIX}missing` })).toBeNull();
+  });
+});
@@ -4,6 +4,7 @@ import { jest } from '@jest/globals';
 
 let storageMocks;
 let handlerManagerMocks;
+let vaultMocks;
 
 async function importServiceWorker() {
   await jest.unstable_mockModule('../src/handlers/index.js', () => ({
@@ -11,6 +12,7 @@ async function importServiceWorker() {
       constructor() {
         this.initialize = handlerManagerMocks.initialize;
         this.processRequest = handlerManagerMocks.processRequest;
+        this.processResponse = handlerManagerMocks.processResponse;
         this.getCapabilities = handlerManagerMocks.getCapabilities;
         this.addCustomHandler = handlerManagerMocks.addCustomHandler;
         this.removeCustomHandler = handlerManagerMocks.removeCustomHandler;
@@ -19,6 +21,7 @@ async function importServiceWorker() {
   }));
 
   await jest.unstable_mockModule('../src/lib/storage.js', () => storageMocks);
+  await jest.unstable_mockModule('../src/lib/vault.js', () => vaultMocks);
 
   const module = await import('../src/background/service-worker.js');
   await Promise.resolve();
@@ -29,6 +32,34 @@ function getRequestListener() {
   return chrome.webRequest.onBeforeSendHeaders.addListener.mock.calls[0][0];
 }
 
+function getBodyListener() {
+  return chrome.webRequest.onBeforeRequest.addListener.mock.calls[0][0];
+}
+
+function getResponseListener() {
+  return chrome.webRequest.onHeadersReceived.addListener.mock.calls[0][0];
+}
+
+function getCompletedListener() {
+  return chrome.webRequest.onCompleted.addListener.mock.calls[0][0];
+}
+
+function getErrorListener() {
+  return chrome.webRequest.onErrorOccurred.addListener.mock.calls[0][0];
+}
+
+function getJournalCompletedListener() {
+  return chrome.webRequest.onCompleted.addListener.mock.calls[1][0];
+}
+
+function getJournalErrorListener() {
+  return chrome.webRequest.onErrorOccurred.addListener.mock.calls[1][0];
+}
+
+function getAlarmListener() {
+  return chrome.alarms.onAlarm.addListener.mock.calls[0][0];
+}
+
 function getMessageListener() {
   return chrome.runtime.onMessage.addListener.mock.calls[0][0];
 }
@@ -48,15 +79,25 @@ describe('service-worker', () => {
   beforeEach(() => {
     jest.resetModules();
     chrome.runtime.sendMessage.mockClear();
+    chrome.webRequest.onBeforeRequest.addListener.mockClear();
+    chrome.webRequest.onBeforeRequest.removeListener.mockClear();
+    chrome.webRequest.onBeforeRequest.hasListener.mockClear();
     chrome.webRequest.onBeforeSendHeaders.addListener.mockClear();
+    chrome.webRequest.onHeadersReceived.addListener.mockClear();
+    chrome.webRequest.onCompleted.addListener.mockClear();
+    chrome.webRequest.onErrorOccurred.addListener.mockClear();
     chrome.runtime.onMessage.addListener.mockClear();
     chrome.storage.onChanged.addListener.mockClear();
     chrome.notifications.create.mockClear();
     chrome.tabs.get.mockClear();
+    chrome.alarms.create.mockClear();
+    chrome.alarms.clear.mockClear();
+    chrome.alarms.onAlarm.addListener.mockClear();
 
     handlerManagerMocks = {
       initialize: jest.fn(),
       processRequest: jest.fn(() => []),
+      processResponse: jest.fn(() => []),
       getCapabilities: jest.fn(() => []),
       addCustomHandler: jest.fn(),
       removeCustomHandler: jest.fn()
@@ -73,13 +114,50 @@ describe('service-worker', () => {
       clearAllCapturedData: jest.fn(async () => {}),
       getExpiredTokens: jest.fn(async () => []),
       clearExpiredTokens: jest.fn(async () => {}),
+      removeExpiredTokens: jest.fn(async () => []),
+      recordOAuthFlowStep: jest.fn(async () => ({ flows: [], flow: { id: 'flow-1' } })),
+      getOAuthFlows: jest.fn(async () => []),
+      unsealOAuthFlows: jest.fn(async flows => flows),
+      clearOAuthFlows: jest.fn(async () => {}),
       shouldCaptureDomain: jest.fn(() => true),
+      shouldCaptureRequestBody: jest.fn(() => true),
+      createDomainFilter: jest.fn(config => ({
+        captureDomain: domain => storageMocks.shouldCaptureDomain(domain, config),
+        captureRequestBody: domain => storageMocks.shouldCaptureRequestBody(domain, config)
+      })),
       trackApiRequest: jest.fn(async () => {}),
+      recordApiResponse: jest.fn(async () => {}),
       getApiTracker: jest.fn(async () => ({})),
       getTrackedDomains: jest.fn(async () => []),
       getApiTrackerForDomain: jest.fn(async () => null),
       clearApiTracker: jest.fn(async () => {}),
-      extractRootDomain: jest.fn((host) => host.split('.').slice(-2).join('.'))
+      extractRootDomain: jest.fn((host) => host.split('.').slice(-2).join('.')),
+      getExpiryWarningMinutes: jest.fn(() => 5),
+      getRequestBodyUrlPatterns: jest.fn(config => (config.captureRequestBodies ? config.domainAllowlist || [] : [])
+        .map(domain => `*://${domain}/*`)),
+      getNextRetirementAt: jest.fn(() => null),
+      retireIdleValues: jest.fn(async () => null),
+      unsealCapturedData: jest.fn(async (data) => data),
+      unsealEntries: jest.fn(async (entries) => entries),
+      sealStoredData: jest.fn(async () => {}),
+      refreshFingerprints: jest.fn(async () => {}),
+      appendJournalEntry: jest.fn(async () => {}),
+      getJournal: jest.fn(async () => []),
+      getJournalStats: jest.fn(async () => ({ count: 0, bytes: 0 })),
+      unsealJournal: jest.fn(async (entries) => entries),
+      clearJournal: jest.fn(async () => {}),
+      getTokenLineage: jest.fn(async (key) => ({ key, values: [], rotationCount: 0, averageRotationMs: null }))
+    };
+
+    vaultMocks = {
+      getVaultStatus: jest.fn(async () => ({ enabled: false, locked: false, lockMinutes: 15 })),
+      setupVault: jest.fn(async () => ({})),
+      unlockVault: jest.fn(async () => true),
+      lockVault: jest.fn(async () => {}),
+      resetVault: jest.fn(async () => {}),
+      touchVault: jest.fn(async () => {}),
+      setVaultLockMinutes: jest.fn(),
+      handleVaultLockAlarm: jest.fn(async () => false)
     };
   });
 
@@ -360,6 +438,284 @@ describe('service-worker', () => {
     expect(chrome.notifications.create).toHaveBeenCalled();
   });
 
+  describe('network journal', () => {
+    const request = {
+      requestId: 'r1',
+      url: 'https://api.example.com/v1/users?page=2',
+      method: 'GET',
+      type: 'xmlhttprequest',
+      tabId: 3,
+      timeStamp: 1000,
+      requestHeaders: [{ name: 'Authorization', value: 'Bearer abc' }]
+    };
+    const captured = { handler: 'auth-token', type: 'auth-token', value: 'abc', source: { domain: 'api.example.com' } };
+
+    it('should write a record with handlers, headers and timing once the request completes', async () => {
+      storageMocks.getConfig.mockResolvedValue({ enabled: true, rules: [], journalMaxBytes: 4096 });
+      handlerManagerMocks.processRequest.mockReturnValueOnce([captured]);
+      await importServiceWorker();
+
+      await getRequestListener()(request);
+      expect(storageMocks.appendJournalEntry).not.toHaveBeenCalled();
+
+      await getJournalCompletedListener()({ requestId: 'r1', statusCode: 200, timeStamp: 1042.6 });
+
+      expect(storageMocks.appendJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        requestId: 'r1',
+        method: 'GET',
+        url: request.url,
+        domain: 'api.example.com',
+        path: '/v1/users',
+        resourceType: 'xmlhttprequest',
+        tabId: 3,
+        requestHeaders: request.requestHeaders,
+        handlers: ['auth-token'],
+        statusCode: 200,
+        duration: 43
+      }), 4096);
+    });
+
+    it('should skip requests no handler matched in the default scope', async () => {
+      await importServiceWorker();
+
+      await getRequestListener()(request);
+      await getJournalCompletedListener()({ requestId: 'r1', statusCode: 200, timeStamp: 1010 });
+
+      expect(storageMocks.appendJournalEntry).not.toHaveBeenCalled();
+    });
+
+    it('should record every inspected request with the all scope and nothing when off', async () => {
+      storageMocks.getConfig.mockResolvedValue({ enabled: true, rules: [], journalScope: 'all' });
+      await importServiceWorker();
+
+      await getRequestListener()(request);
+      await getJournalErrorListener()({ requestId: 'r1', error: 'net::ERR_FAILED', timeStamp: 1005 });
+
+      expect(storageMocks.appendJournalEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ handlers: [], error: 'net::ERR_FAILED', duration: 5 }),
+        undefined
+      );
+
+      storageMocks.appendJournalEntry.mockClear();
+      storageMocks.getConfig.mockResolvedValue({ enabled: true, rules: [], journalScope: 'off' });
+      getStorageListener()({ config: { newValue: { journalScope: 'off' } } }, 'local');
+      handlerManagerMocks.processRequest.mockReturnValueOnce([captured]);
+
+      await getRequestListener()({ ...request, requestId: 'r2' });
+      await getJournalCompletedListener()({ requestId: 'r2', statusCode: 200, timeStamp: 1010 });
+
+      expect(storageMocks.appendJournalEntry).not.toHaveBeenCalled();
+    });
+
+    it('should merge response handlers and headers into the record', async () => {
+      handlerManagerMocks.processRequest.mockReturnValueOnce([captured]);
+      handlerManagerMocks.processResponse.mockReturnValueOnce([{ ...captured, handler: 'cookie', type: 'cookie' }]);
+      await importServiceWorker();
+
+      await getRequestListener()(request);
+      await getResponseListener()({
+        ...request,
+        statusCode: 302,
+        responseHeaders: [{ name: 'Set-Cookie', value: 'sid=1' }]
+      });
+      await getJournalCompletedListener()({ requestId: 'r1', statusCode: 302, timeStamp: 1100 });
+
+      expect(storageMocks.appendJournalEntry).toHaveBeenCalledWith(expect.objectContaining({
+        handlers: ['auth-token', 'cookie'],
+        statusCode: 302,
+        responseHeaders: [{ name: 'Set-Cookie', value: 'sid=1' }]
+      }), undefined);
+    });
+
+    it('should answer journal queries unsealed and clear the journal', async () => {
+      const entries = [{ requestId: 'r1', sealed: {} }];
+      storageMocks.getJournal.mockResolvedValueOnce(entries);
+      storageMocks.getJournalStats.mockResolvedValueOnce({ count: 1, bytes: 300 });
+      await importServiceWorker();
+
+      const response = await callMessageListener({ type: 'GET_JOURNAL', filter: { domain: 'example.com' } });
+
+      expect(storageMocks.getJournal).toHaveBeenCalledWith({ domain: 'example.com' });
+      expect(storageMocks.unsealJournal).toHaveBeenCalledWith(entries);
+      expect(response).toEqual({ entries, count: 1, bytes: 300 });
+
+      await callMessageListener({ type: 'CLEAR_JOURNAL' });
+      expect(storageMocks.clearJournal).toHaveBeenCalled();
+    });
+  });
+
+  describe('HAR import', () => {
+    const har = {
+      log: {
+        version: '1.2',
+        pages: [{ id: 'page_1', title: 'https://app.example.com/dashboard' }],
+        entries: [
+          {
+            pageref: 'page_1',
+            startedDateTime: '2024-01-01T00:00:01.000Z',
+            time: 40,
+            request: {
+              method: 'GET',
+              url: 'https://api.example.com/v1/users',
+              headers: [{ name: 'Authorization', value: 'Bearer abc' }],
+              postData: { mimeType: 'application/json', text: '{"refresh_token":"r1"}' }
+            },
+            response: { status: 200, headers: [{ name: 'Set-Cookie', value: 'sid=1' }] },
+            _resourceType: 'xhr'
+          },
+          {
+            startedDateTime: '2024-01-01T00:00:00.000Z',
+            request: { method: 'GET', url: 'https://blocked.test/app.js', headers: [] },
+            response: { status: 200, headers: [] },
+            _resourceType: 'script'
+          }
+        ]
+      }
+    };
+    const captured = { handler: 'auth-token', type: 'auth-token', value: 'abc', displayName: 'Authorization', source: { domain: 'api.example.com' } };
+
+    it('should replay entries through the handlers and the API tracker without notifying', async () => {
+      storageMocks.shouldCaptureDomain.mockImplementation(domain => domain !== 'blocked.test');
+      storageMocks.shouldCaptureRequestBody.mockReturnValue(false);
+      handlerManagerMocks.processRequest.mockReturnValueOnce([captured]);
+      await importServiceWorker();
+
+      const response = await callMessageListener({ type: 'IMPORT_HAR', har });
+
+      expect(response).toEqual({ success: true, entries: 2, skipped: 1, captured: 1, apiRequests: 1 });
+      expect(handlerManagerMocks.processRequest).toHaveBeenCalledTimes(1);
+      const details = handlerManagerMocks.processRequest.mock.calls[0][0];
+      expect(details).toMatchObject({
+        url: 'https://api.example.com/v1/users',
+        method: 'GET',
+        type: 'xmlhttprequest',
+        tabId: -1,
+        requestHeaders: [{ name: 'Authorization', value: 'Bearer abc' }]
+      });
+      // Body capture is off for this domain
+      expect(details.parsedBody).toBeUndefined();
+      expect(handlerManagerMocks.processResponse).toHaveBeenCalledWith(expect.objectContaining({
+        responseHeaders: [{ name: 'Set-Cookie', value: 'sid=1' }],
+        statusCode: 200
+      }));
+
+      expect(storageMocks.updateCapturedItem).toHaveBeenCalledWith(expect.stringContaining('api.example.com'), captured, expect.any(Object));
+      expect(chrome.notifications.create).not.toHaveBeenCalled();
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+
+      // Grouped under the page the HAR recorded, not the API host
+      expect(storageMocks.trackApiRequest).toHaveBeenCalledWith('example.com', {
+        url: 'https://api.example.com/v1/users',
+        method: 'GET',
+        requestHeaders: [{ name: 'Authorization', value: 'Bearer abc' }]
+      });
+      expect(storageMocks.recordApiResponse).toHaveBeenCalledWith('example.com', {
+        url: 'https://api.example.com/v1/users',
+        method: 'GET',
+        statusCode: 200,
+        duration: 40
+      });
+      expect(storageMocks.appendJournalEntry).not.toHaveBeenCalled();
+    });
+
+    it('should pass request bodies only where body capture allows them', async () => {
+      await importServiceWorker();
+
+      await callMessageListener({ type: 'IMPORT_HAR', har });
+
+      // Entries are replayed oldest first
+      expect(handlerManagerMocks.processRequest.mock.calls.map(([details]) => details.url)).toEqual([
+        'https://blocked.test/app.js',
+        'https://api.example.com/v1/users'
+      ]);
+      expect(handlerManagerMocks.processRequest.mock.calls[1][0].parsedBody).toEqual({
+        kind: 'json',
+        data: { refresh_token: 'r1' }
+      });
+    });
+
+    it('should report files that are not HAR logs', async () => {
+      await importServiceWorker();
+
+      const response = await callMessageListener({ type: 'IMPORT_HAR', har: { entries: [] } });
+
+      expect(response).toEqual({ success: false, error: 'Not a HAR file: log.entries is missing' });
+      expect(handlerManagerMocks.processRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('session dimension', () => {
+    const result = {
+      type: 'auth-token',
+      value: 'token',
+      displayName: 'Authorization',
+      headerName: 'Authorization',
+      source: { domain: 'api.example.com', path: '/v1/me' }
+    };
+    const tab = { id: 7, windowId: 3, incognito: true, title: 'Dashboard - Alice' };
+
+    async function captureFromTab(sessionScope, tabInfo = tab) {
+      storageMocks.getConfig.mockResolvedValue({ enabled: true, rules: [], sessionScope });
+      handlerManagerMocks.processRequest.mockReturnValueOnce([{ ...result }]);
+      chrome.tabs.get.mockResolvedValueOnce(tabInfo);
+
+      await importServiceWorker();
+      await getRequestListener()({
+        url: 'https://api.example.com/v1/me',
+        type: 'main_frame',
+        tabId: 7,
+        method: 'GET',
+        requestHeaders: []
+      });
+
+      return storageMocks.updateCapturedItem.mock.calls[0];
+    }
+
+    it('should store tab info without changing keys by default', async () => {
+      const [key, stored] = await captureFromTab(undefined);
+
+      expect(key).toBe('api.example.com::/v1/me::auth-token::Authorization');
+      expect(chrome.tabs.get).toHaveBeenCalledWith(7);
+      expect(stored.session).toEqual({
+        tabId: 7,
+        windowId: 3,
+        incognito: true,
+        cookieStoreId: '1',
+        tabTitle: 'Dashboard - Alice'
+      });
+    });
+
+    it.each([
+      ['tab', 'tab:7'],
+      ['window', 'window:3'],
+      ['incognito', 'incognito'],
+      ['cookieStore', 'store:1']
+    ])('should add the %s dimension to keys', async (scope, sessionId) => {
+      const [key, stored] = await captureFromTab(scope);
+
+      expect(key).toBe(`api.example.com::/v1/me::auth-token::Authorization::${sessionId}`);
+      expect(stored.session).toMatchObject({ scope, id: sessionId });
+    });
+
+    it('should prefer the tab cookie store when the browser provides one', async () => {
+      const [key] = await captureFromTab('cookieStore', { ...tab, incognito: false, cookieStoreId: 'firefox-container-2' });
+      expect(key).toMatch(/::store:firefox-container-2$/);
+    });
+
+    it('should store without session info when the tab is gone', async () => {
+      chrome.tabs.get.mockRejectedValueOnce(new Error('No tab with id: 7'));
+      storageMocks.getConfig.mockResolvedValue({ enabled: true, rules: [], sessionScope: 'tab' });
+      handlerManagerMocks.processRequest.mockReturnValueOnce([{ ...result }]);
+
+      await importServiceWorker();
+      await getRequestListener()({ url: 'https://api.example.com/v1/me', tabId: 7, method: 'GET', requestHeaders: [] });
+
+      const [key, stored] = storageMocks.updateCapturedItem.mock.calls[0];
+      expect(key).toBe('api.example.com::/v1/me::auth-token::Authorization');
+      expect(stored.session).toBeUndefined();
+    });
+  });
+
   it('should normalize path patterns in generated keys', async () => {
     const result = {
       type: 'auth-token',
@@ -416,6 +772,122 @@ describe('service-worker', () => {
     spy.mockRestore();
   });
 
+  it('should only listen for request bodies when body capture is enabled', async () => {
+    await importServiceWorker();
+    expect(chrome.webRequest.onBeforeRequest.addListener).not.toHaveBeenCalled();
+
+    jest.resetModules();
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: true, domainAllowlist: ['auth.example.com'], rules: [] });
+    await importServiceWorker();
+
+    expect(chrome.webRequest.onBeforeRequest.addListener).toHaveBeenCalledWith(
+      expect.any(Function),
+      { urls: ['*://auth.example.com/*'] },
+      ['requestBody']
+    );
+  });
+
+  it('should re-register the request body listener when the allowlist changes', async () => {
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: true, domainAllowlist: ['auth.example.com'], rules: [] });
+    await importServiceWorker();
+    const bodyListener = getBodyListener();
+
+    // An unchanged allowlist keeps the listener as it is
+    chrome.webRequest.onBeforeRequest.hasListener.mockReturnValueOnce(true);
+    getStorageListener()({ config: { newValue: {} } }, 'local');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(chrome.webRequest.onBeforeRequest.removeListener).not.toHaveBeenCalled();
+
+    chrome.webRequest.onBeforeRequest.hasListener.mockReturnValueOnce(true);
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: true, domainAllowlist: ['login.example.org'], rules: [] });
+    getStorageListener()({ config: { newValue: {} } }, 'local');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.webRequest.onBeforeRequest.removeListener).toHaveBeenCalledWith(bodyListener);
+    expect(chrome.webRequest.onBeforeRequest.addListener).toHaveBeenLastCalledWith(
+      bodyListener,
+      { urls: ['*://login.example.org/*'] },
+      ['requestBody']
+    );
+  });
+
+  it('should not listen for request bodies without an allowlist', async () => {
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: true, domainAllowlist: [], rules: [] });
+    await importServiceWorker();
+
+    expect(chrome.webRequest.onBeforeRequest.addListener).not.toHaveBeenCalled();
+  });
+
+  it('should remove the request body listener when body capture is turned off', async () => {
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: true, domainAllowlist: ['auth.example.com'], rules: [] });
+    await importServiceWorker();
+    const bodyListener = getBodyListener();
+
+    chrome.webRequest.onBeforeRequest.hasListener.mockReturnValueOnce(true);
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: false, rules: [] });
+    getStorageListener()({ config: { newValue: {} } }, 'local');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.webRequest.onBeforeRequest.removeListener).toHaveBeenCalledWith(bodyListener);
+  });
+
+  it('should pass parsed request bodies to handlers for the same requestId', async () => {
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: true, domainAllowlist: ['auth.example.com'], rules: [] });
+    await importServiceWorker();
+
+    getBodyListener()({
+      requestId: '11',
+      url: 'https://auth.example.com/oauth/token',
+      method: 'POST',
+      requestBody: { formData: { refresh_token: ['rt_1'] } }
+    });
+    getBodyListener()({ requestId: '12', url: 'https://auth.example.com/ping', method: 'GET' });
+
+    await getRequestListener()({
+      requestId: '11',
+      url: 'https://auth.example.com/oauth/token',
+      method: 'POST',
+      requestHeaders: []
+    });
+
+    expect(storageMocks.shouldCaptureRequestBody).toHaveBeenCalledWith('auth.example.com', expect.any(Object));
+    expect(handlerManagerMocks.processRequest).toHaveBeenCalledWith(expect.objectContaining({
+      requestId: '11',
+      parsedBody: { kind: 'form', data: { refresh_token: ['rt_1'] } }
+    }));
+
+    // The body is consumed once
+    await getRequestListener()({
+      requestId: '11',
+      url: 'https://auth.example.com/oauth/token',
+      method: 'POST',
+      requestHeaders: []
+    });
+    expect(handlerManagerMocks.processRequest.mock.calls[1][0].parsedBody).toBeUndefined();
+  });
+
+  it('should not parse request bodies for domains outside the allowlist', async () => {
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, captureRequestBodies: true, domainAllowlist: ['auth.example.com'], rules: [] });
+    storageMocks.shouldCaptureRequestBody.mockReturnValue(false);
+    await importServiceWorker();
+
+    getBodyListener()({
+      requestId: '21',
+      url: 'https://other.example.com/login',
+      method: 'POST',
+      requestBody: { formData: { password: ['secret'] } }
+    });
+
+    await getRequestListener()({
+      requestId: '21',
+      url: 'https://other.example.com/login',
+      method: 'POST',
+      requestHeaders: []
+    });
+
+    expect(handlerManagerMocks.processRequest.mock.calls[0][0].parsedBody).toBeUndefined();
+  });
+
   it('should track API requests grouped by page domain', async () => {
     chrome.tabs.get.mockResolvedValueOnce({ url: 'https://app.example.com' });
 
@@ -511,6 +983,122 @@ describe('service-worker', () => {
     expect(storageMocks.trackApiRequest).not.toHaveBeenCalled();
   });
 
+  it('should group page domains with the configured domainGroups', async () => {
+    const domainGroups = { '*.corp.example.com': 'corp.example.com' };
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, rules: [], domainGroups });
+    await importServiceWorker();
+
+    chrome.tabs.get.mockResolvedValueOnce({ url: 'https://wiki.corp.example.com/page' });
+    await getRequestListener()({
+      requestId: 'g1',
+      url: 'https://api.example.com/v1/items',
+      type: 'xmlhttprequest',
+      tabId: 2,
+      method: 'GET',
+      requestHeaders: []
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(storageMocks.extractRootDomain).toHaveBeenCalledWith('wiki.corp.example.com', domainGroups);
+  });
+
+  it('should record status code and latency when a tracked API request completes', async () => {
+    chrome.tabs.get.mockResolvedValueOnce({ url: 'https://app.example.com' });
+
+    await importServiceWorker();
+
+    await getRequestListener()({
+      requestId: '42',
+      url: 'https://api.example.com/v1/items',
+      type: 'xmlhttprequest',
+      tabId: 2,
+      method: 'GET',
+      requestHeaders: [],
+      timeStamp: 1000
+    });
+
+    await getCompletedListener()({ requestId: '42', statusCode: 201, timeStamp: 1125.4 });
+
+    expect(storageMocks.recordApiResponse).toHaveBeenCalledWith('example.com', {
+      url: 'https://api.example.com/v1/items',
+      method: 'GET',
+      statusCode: 201,
+      error: undefined,
+      duration: 125
+    });
+
+    // Each requestId is only recorded once
+    await getCompletedListener()({ requestId: '42', statusCode: 201, timeStamp: 1200 });
+    expect(storageMocks.recordApiResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record network errors for tracked API requests', async () => {
+    chrome.tabs.get.mockResolvedValueOnce({ url: 'https://app.example.com' });
+
+    await importServiceWorker();
+
+    await getRequestListener()({
+      requestId: '7',
+      url: 'https://api.example.com/v1/items',
+      type: 'xmlhttprequest',
+      tabId: 2,
+      method: 'POST',
+      requestHeaders: [],
+      timeStamp: 500
+    });
+
+    await getErrorListener()({ requestId: '7', error: 'net::ERR_FAILED', timeStamp: 800 });
+
+    expect(storageMocks.recordApiResponse).toHaveBeenCalledWith('example.com', expect.objectContaining({
+      method: 'POST',
+      error: 'net::ERR_FAILED',
+      duration: 300
+    }));
+  });
+
+  it('should ignore completions for requests that were not tracked', async () => {
+    chrome.tabs.get.mockResolvedValueOnce({ url: 'chrome://extensions' });
+
+    await importServiceWorker();
+
+    await getCompletedListener()({ requestId: 'unknown', statusCode: 200, timeStamp: 10 });
+
+    await getRequestListener()({
+      requestId: '9',
+      url: 'https://api.example.com/v1/items',
+      type: 'xmlhttprequest',
+      tabId: 2,
+      method: 'GET',
+      requestHeaders: [],
+      timeStamp: 0
+    });
+    await getCompletedListener()({ requestId: '9', statusCode: 200, timeStamp: 10 });
+
+    expect(storageMocks.recordApiResponse).not.toHaveBeenCalled();
+  });
+
+  it('should log errors while recording API responses', async () => {
+    chrome.tabs.get.mockResolvedValueOnce({ url: 'https://app.example.com' });
+    storageMocks.recordApiResponse.mockRejectedValueOnce(new Error('boom'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await importServiceWorker();
+
+    await getRequestListener()({
+      requestId: '3',
+      url: 'https://api.example.com/v1/items',
+      type: 'xmlhttprequest',
+      tabId: 2,
+      method: 'GET',
+      requestHeaders: [],
+      timeStamp: 0
+    });
+    await getCompletedListener()({ requestId: '3', statusCode: 200, timeStamp: 10 });
+
+    expect(spy).toHaveBeenCalledWith('[Browser Inspector] Error recording API response:', expect.any(Error));
+    spy.mockRestore();
+  });
+
   it('should skip API tracking for edge URLs', async () => {
     chrome.tabs.get.mockResolvedValueOnce({ url: 'edge://extensions' });
 
@@ -529,6 +1117,215 @@ describe('service-worker', () => {
     expect(storageMocks.trackApiRequest).not.toHaveBeenCalled();
   });
 
+  it('should register the response listener with extra headers', async () => {
+    await importServiceWorker();
+
+    const [, filter, extraInfo] = chrome.webRequest.onHeadersReceived.addListener.mock.calls[0];
+    expect(filter).toEqual({ urls: ['<all_urls>'] });
+    expect(extraInfo).toEqual(['responseHeaders', 'extraHeaders']);
+  });
+
+  it('should store Set-Cookie captures from responses', async () => {
+    handlerManagerMocks.processResponse.mockReturnValueOnce([{
+      type: 'cookie',
+      value: 'abc',
+      displayName: 'Session Cookie',
+      cookieAttributes: { httpOnly: true },
+      source: { domain: 'app.example.com' }
+    }]);
+
+    await importServiceWorker();
+    await getResponseListener()({
+      url: 'https://app.example.com/login',
+      method: 'POST',
+      responseHeaders: [{ name: 'Set-Cookie', value: 'session=abc; HttpOnly' }]
+    });
+
+    expect(handlerManagerMocks.processResponse).toHaveBeenCalled();
+    expect(handlerManagerMocks.processRequest).not.toHaveBeenCalled();
+    expect(storageMocks.updateCapturedItem).toHaveBeenCalledWith(
+      'app.example.com::::cookie',
+      expect.objectContaining({ cookieAttributes: { httpOnly: true } }),
+      expect.objectContaining({ enabled: true })
+    );
+  });
+
+  it('should route OAuth steps to flow records instead of captured items', async () => {
+    const step = {
+      type: 'oauth-flow',
+      step: 'authorization-request',
+      value: 'app-1',
+      oauth: { clientId: 'app-1', state: 'xyz' },
+      source: { domain: 'login.example.com' }
+    };
+    handlerManagerMocks.processRequest.mockReturnValueOnce([step]);
+    storageMocks.recordOAuthFlowStep.mockResolvedValueOnce({ flows: [], flow: { id: 'flow-1', status: 'started' } });
+
+    await importServiceWorker();
+    await getRequestListener()({
+      url: 'https://login.example.com/authorize?response_type=code&client_id=app-1&state=xyz',
+      method: 'GET',
+      requestHeaders: []
+    });
+
+    expect(storageMocks.recordOAuthFlowStep).toHaveBeenCalledWith(step);
+    expect(storageMocks.updateCapturedItem).not.toHaveBeenCalled();
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'OAUTH_FLOW_UPDATED',
+      step: 'authorization-request',
+      flow: { id: 'flow-1', status: 'started' }
+    });
+  });
+
+  it('should skip responses when disabled, filtered or failing', async () => {
+    storageMocks.shouldCaptureDomain.mockReturnValueOnce(false);
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await importServiceWorker();
+    const listener = getResponseListener();
+
+    await listener({ url: 'https://blocked.example.com', responseHeaders: [] });
+    await listener({ url: 'chrome://settings', responseHeaders: [] });
+    expect(handlerManagerMocks.processResponse).not.toHaveBeenCalled();
+
+    handlerManagerMocks.processResponse.mockImplementationOnce(() => {
+      throw new Error('boom');
+    });
+    await listener({ url: 'https://app.example.com', responseHeaders: [] });
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  it('should schedule a pre-expiry alarm for captured tokens with an expiry', async () => {
+    const expiresAt = Date.now() + 60 * 60 * 1000;
+    handlerManagerMocks.processRequest.mockReturnValueOnce([{
+      type: 'auth-token',
+      value: 'token',
+      displayName: 'Authorization',
+      source: { domain: 'api.example.com' }
+    }]);
+    storageMocks.updateCapturedItem.mockImplementationOnce(async (key) => ({
+      data: { [key]: { status: 'active', expiresAt, source: { domain: 'api.example.com' } } },
+      rotationDetected: false,
+      previousToken: null
+    }));
+
+    await importServiceWorker();
+    await getRequestListener()({
+      url: 'https://api.example.com/v1/items',
+      type: 'image',
+      tabId: 2,
+      method: 'GET',
+      requestHeaders: []
+    });
+
+    expect(chrome.alarms.create).toHaveBeenCalledWith(
+      expect.stringMatching(/^expiry-warning::api\.example\.com::/),
+      { when: expiresAt - 5 * 60 * 1000 }
+    );
+  });
+
+  it('should show a warning notification when an expiry alarm fires', async () => {
+    storageMocks.getCapturedData.mockResolvedValueOnce({
+      'api.example.com::::auth-token': {
+        type: 'auth-token',
+        displayName: 'Auth Token',
+        status: 'active',
+        expiresAt: Date.now() + 4 * 60 * 1000,
+        source: { domain: 'api.example.com' }
+      }
+    });
+
+    await importServiceWorker();
+    getAlarmListener()({ name: 'expiry-warning::api.example.com::::auth-token' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith(
+      'expiry-warning::api.example.com::::auth-token',
+      expect.objectContaining({ message: expect.stringContaining('expires in 4 min') })
+    );
+  });
+
+  it('should schedule a grace period check while a key holds several live values', async () => {
+    const retireAt = Date.now() + 5 * 60 * 1000;
+    handlerManagerMocks.processRequest.mockReturnValueOnce([{
+      type: 'auth-token',
+      value: 'key-B',
+      displayName: 'X-API-Key',
+      source: { domain: 'api.example.com' }
+    }]);
+    storageMocks.getNextRetirementAt.mockReturnValueOnce(retireAt);
+
+    await importServiceWorker();
+    await getRequestListener()({
+      url: 'https://api.example.com/v1/items',
+      type: 'image',
+      tabId: 2,
+      method: 'GET',
+      requestHeaders: []
+    });
+
+    expect(chrome.alarms.create).toHaveBeenCalledWith(
+      expect.stringMatching(/^rotation-grace::api\.example\.com::/),
+      { when: retireAt }
+    );
+  });
+
+  it('should report a rotation when a grace period alarm retires a value', async () => {
+    const key = 'api.example.com::::auth-token';
+    const item = {
+      type: 'auth-token',
+      value: 'key-B',
+      displayName: 'X-API-Key',
+      rotationCount: 2,
+      source: { domain: 'api.example.com' },
+      liveValues: [{ value: 'key-B' }]
+    };
+    const previousToken = { value: 'key-A', capturedAt: 1, expiredAt: 2 };
+    storageMocks.retireIdleValues.mockResolvedValueOnce({ data: { [key]: item }, rotationDetected: true, previousToken });
+
+    await importServiceWorker();
+    getAlarmListener()({ name: `rotation-grace::${key}` });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(storageMocks.retireIdleValues).toHaveBeenCalledWith(key, expect.any(Object));
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'TOKEN_ROTATED',
+      key,
+      previousToken,
+      currentData: item
+    }));
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: '🔄 Token Rotated',
+      message: expect.stringContaining('X-API-Key from api.example.com has been refreshed (rotation #2)')
+    }));
+  });
+
+  it('should remove expired tokens by id and return the rest unsealed', async () => {
+    const remaining = [{ id: 'expired-2', value: 'sealed' }];
+    storageMocks.removeExpiredTokens.mockResolvedValueOnce(remaining);
+    await importServiceWorker();
+
+    const response = await callMessageListener({ type: 'REMOVE_EXPIRED_TOKENS', ids: ['expired-1'] });
+
+    expect(storageMocks.removeExpiredTokens).toHaveBeenCalledWith(['expired-1']);
+    expect(storageMocks.unsealEntries).toHaveBeenCalledWith(remaining);
+    expect(response).toEqual(remaining);
+  });
+
+  it('should return the unsealed lineage of a key', async () => {
+    const values = [{ value: 'old', status: 'retired' }, { value: 'new', status: 'live' }];
+    storageMocks.getTokenLineage.mockResolvedValueOnce({ key: 'k', values, rotationCount: 1, averageRotationMs: 1000 });
+    await importServiceWorker();
+
+    const lineage = await callMessageListener({ type: 'GET_TOKEN_LINEAGE', key: 'k' });
+
+    expect(storageMocks.getTokenLineage).toHaveBeenCalledWith('k');
+    expect(storageMocks.unsealEntries).toHaveBeenCalledWith(values);
+    expect(lineage).toEqual({ key: 'k', values, rotationCount: 1, averageRotationMs: 1000 });
+  });
+
   it('should handle runtime messages', async () => {
     await importServiceWorker();
 
@@ -553,12 +1350,75 @@ describe('service-worker', () => {
     await callMessageListener({ type: 'GET_TRACKED_DOMAINS' });
     await callMessageListener({ type: 'GET_API_TRACKER_FOR_DOMAIN', domain: 'example.com' });
     await callMessageListener({ type: 'CLEAR_API_TRACKER', domain: 'example.com' });
+    await callMessageListener({ type: 'GET_OAUTH_FLOWS' });
+    await callMessageListener({ type: 'CLEAR_OAUTH_FLOWS' });
     const defaultResponse = await callMessageListener({ type: 'UNKNOWN' });
 
     expect(defaultResponse).toEqual({ error: 'Unknown message type' });
     expect(storageMocks.setConfig).toHaveBeenCalled();
     expect(handlerManagerMocks.addCustomHandler).toHaveBeenCalled();
     expect(handlerManagerMocks.removeCustomHandler).toHaveBeenCalled();
+    expect(storageMocks.getOAuthFlows).toHaveBeenCalled();
+    expect(storageMocks.clearOAuthFlows).toHaveBeenCalled();
+  });
+
+  it('should decrypt stored values before sending them to the popup', async () => {
+    await importServiceWorker();
+    storageMocks.getCapturedData.mockResolvedValueOnce({ a: { value: { sealed: 1 } } });
+    storageMocks.unsealCapturedData.mockResolvedValueOnce({ a: { value: 'opened' } });
+    storageMocks.getHistory.mockResolvedValueOnce([{ value: { sealed: 1 } }]);
+    storageMocks.unsealEntries.mockResolvedValueOnce([{ value: null, locked: true }]);
+    storageMocks.getOAuthFlows.mockResolvedValueOnce([{ id: 'flow-1', code: { sealed: 1 } }]);
+    storageMocks.unsealOAuthFlows.mockResolvedValueOnce([{ id: 'flow-1', code: 'opened-code' }]);
+
+    expect(await callMessageListener({ type: 'GET_CAPTURED_DATA' })).toEqual({ a: { value: 'opened' } });
+    expect(await callMessageListener({ type: 'GET_HISTORY' })).toEqual([{ value: null, locked: true }]);
+    expect(await callMessageListener({ type: 'GET_OAUTH_FLOWS' })).toEqual([{ id: 'flow-1', code: 'opened-code' }]);
+    expect(storageMocks.unsealOAuthFlows).toHaveBeenCalledWith([{ id: 'flow-1', code: { sealed: 1 } }]);
+    expect(vaultMocks.touchVault).toHaveBeenCalledTimes(3);
+  });
+
+  it('should set up, unlock, lock and reset the vault', async () => {
+    await importServiceWorker();
+
+    expect(await callMessageListener({ type: 'GET_VAULT_STATUS' })).toEqual({ enabled: false, locked: false, lockMinutes: 15 });
+
+    expect(await callMessageListener({ type: 'SETUP_VAULT', passphrase: 'passphrase-1' })).toEqual({ success: true });
+    expect(vaultMocks.setupVault).toHaveBeenCalledWith('passphrase-1');
+    expect(storageMocks.sealStoredData).toHaveBeenCalled();
+
+    vaultMocks.setupVault.mockRejectedValueOnce(new Error('Vault is already set up'));
+    expect(await callMessageListener({ type: 'SETUP_VAULT', passphrase: 'passphrase-1' }))
+      .toEqual({ success: false, error: 'Vault is already set up' });
+
+    expect(await callMessageListener({ type: 'UNLOCK_VAULT', passphrase: 'passphrase-1' })).toEqual({ success: true });
+    expect(storageMocks.refreshFingerprints).toHaveBeenCalledTimes(1);
+    vaultMocks.unlockVault.mockResolvedValueOnce(false);
+    expect(await callMessageListener({ type: 'UNLOCK_VAULT', passphrase: 'wrong' }))
+      .toEqual({ success: false, error: 'Incorrect passphrase' });
+    expect(storageMocks.refreshFingerprints).toHaveBeenCalledTimes(1);
+
+    await callMessageListener({ type: 'LOCK_VAULT' });
+    expect(vaultMocks.lockVault).toHaveBeenCalled();
+
+    await callMessageListener({ type: 'RESET_VAULT' });
+    expect(vaultMocks.resetVault).toHaveBeenCalled();
+    expect(storageMocks.clearAllCapturedData).toHaveBeenCalled();
+    expect(storageMocks.clearHistory).toHaveBeenCalled();
+    expect(storageMocks.clearExpiredTokens).toHaveBeenCalled();
+    expect(storageMocks.clearOAuthFlows).toHaveBeenCalled();
+  });
+
+  it('should apply the vault idle timeout from config and pass alarms to the vault', async () => {
+    storageMocks.getConfig.mockResolvedValue({ enabled: true, rules: [], vaultLockMinutes: 5 });
+    await importServiceWorker();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(vaultMocks.setVaultLockMinutes).toHaveBeenCalledWith(5);
+
+    getAlarmListener()({ name: 'vault-lock' });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(vaultMocks.handleVaultLockAlarm).toHaveBeenCalledWith({ name: 'vault-lock' });
   });
 
   it('should re-initialize on storage config changes', async () => {
@@ -570,6 +1430,72 @@ describe('service-worker', () => {
     expect(handlerManagerMocks.initialize).toHaveBeenCalled();
   });
 
+  it('should read the config once for many requests until it changes', async () => {
+    await importServiceWorker();
+    const request = { requestId: 'c1', url: 'https://api.example.com/v1', method: 'GET', type: 'script', tabId: 1 };
+
+    await Promise.all([1, 2, 3].map(i => getRequestListener()({ ...request, requestId: `c${i}` })));
+    const callsAfterRequests = storageMocks.getConfig.mock.calls.length;
+    await getRequestListener()({ ...request, requestId: 'c4' });
+    expect(storageMocks.getConfig.mock.calls.length).toBe(callsAfterRequests);
+
+    storageMocks.shouldCaptureDomain.mockReturnValue(false);
+    getStorageListener()({ config: { newValue: { domainBlocklist: ['api.example.com'] } } }, 'local');
+    handlerManagerMocks.processRequest.mockClear();
+    await getRequestListener()({ ...request, requestId: 'c5' });
+
+    expect(storageMocks.createDomainFilter).toHaveBeenCalledTimes(2);
+    expect(handlerManagerMocks.processRequest).not.toHaveBeenCalled();
+  });
+
+  it('should pass the cached config to every capture instead of reading it again', async () => {
+    handlerManagerMocks.processRequest.mockReturnValue([
+      { type: 'auth-token', value: 'abc', displayName: 'Authorization', source: { domain: 'api.example.com' } }
+    ]);
+    await importServiceWorker();
+    const request = { url: 'https://api.example.com/v1', method: 'GET', type: 'script', tabId: -1 };
+
+    await getRequestListener()({ ...request, requestId: 'p1' });
+    const configReads = storageMocks.getConfig.mock.calls.length;
+    await getRequestListener()({ ...request, requestId: 'p2' });
+
+    expect(storageMocks.getConfig.mock.calls.length).toBe(configReads);
+    const [first, second] = storageMocks.updateCapturedItem.mock.calls.map(call => call[2]);
+    expect(first).toEqual({ enabled: true, notifications: true, rules: [] });
+    expect(second).toBe(first);
+  });
+
+  it('should report and reset per-request timings', async () => {
+    await importServiceWorker();
+
+    await getRequestListener()({ requestId: 't1', url: 'https://api.example.com/v1', method: 'GET', type: 'script', tabId: 1 });
+    await getResponseListener()({ requestId: 't1', url: 'https://api.example.com/v1', statusCode: 200, tabId: 1 });
+
+    const { stages } = await callMessageListener({ type: 'GET_REQUEST_TIMINGS' });
+    expect(Object.keys(stages).sort()).toEqual(['filter', 'handlers', 'request', 'response', 'storage']);
+    expect(stages.request).toEqual(expect.objectContaining({ count: 1 }));
+    expect(stages.filter.count).toBe(2);
+
+    expect(await callMessageListener({ type: 'RESET_REQUEST_TIMINGS' })).toEqual({ success: true });
+    expect((await callMessageListener({ type: 'GET_REQUEST_TIMINGS' })).stages).toEqual({});
+  });
+
+  it('should stop the request timing before the results are written', async () => {
+    handlerManagerMocks.processRequest.mockReturnValueOnce([
+      { type: 'auth-token', value: 'abc', displayName: 'Authorization', source: { domain: 'api.example.com' } }
+    ]);
+    storageMocks.updateCapturedItem.mockImplementationOnce(() => new Promise(resolve => {
+      setTimeout(() => resolve({ data: {}, rotationDetected: false, previousToken: null }), 60);
+    }));
+    await importServiceWorker();
+
+    await getRequestListener()({ requestId: 'w1', url: 'https://api.example.com/v1', method: 'GET', type: 'script', tabId: -1 });
+
+    const { stages } = await callMessageListener({ type: 'GET_REQUEST_TIMINGS' });
+    expect(stages.storage.maxMs).toBeGreaterThanOrEqual(50);
+    expect(stages.request.maxMs).toBeLessThan(stages.storage.maxMs);
+  });
+
   it('should ignore non-config storage changes', async () => {
     await importServiceWorker();
     const listener = getStorageListener();
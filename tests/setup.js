@@ -2,8 +2,18 @@
 // Mock Chrome Extension APIs for testing
 
 import { jest } from '@jest/globals';
+import { webcrypto } from 'node:crypto';
+import { TextEncoder, TextDecoder } from 'node:util';
+import { installIndexedDbMock } from './indexeddb-mock.js';
+import { closeRecordStore } from '../src/lib/record-store.js';
+
+// jsdom has no WebCrypto subtle API or TextEncoder - use Node's
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
 
 const mockStorage = new Map();
+const mockSessionStorage = new Map();
 
 // Mock chrome.storage.local
 global.chrome = {
@@ -43,6 +53,18 @@ global.chrome = {
         mockStorage.clear();
       })
     },
+    // In-memory only in Chrome - never written to disk
+    session: {
+      get: jest.fn(async (key) => ({ [key]: mockSessionStorage.get(key) })),
+      set: jest.fn(async (items) => {
+        Object.entries(items).forEach(([key, value]) => {
+          mockSessionStorage.set(key, value);
+        });
+      }),
+      remove: jest.fn(async (key) => {
+        mockSessionStorage.delete(key);
+      })
+    },
     onChanged: {
       addListener: jest.fn()
     }
@@ -55,13 +77,35 @@ global.chrome = {
     getURL: jest.fn((path) => `chrome-extension://test-id/${path}`)
   },
   webRequest: {
+    onBeforeRequest: {
+      addListener: jest.fn(),
+      removeListener: jest.fn(),
+      hasListener: jest.fn(() => false)
+    },
     onBeforeSendHeaders: {
       addListener: jest.fn()
+    },
+    onHeadersReceived: {
+      addListener: jest.fn()
+    },
+    onCompleted: {
+      addListener: jest.fn()
+    },
+    onErrorOccurred: {
+      addListener: jest.fn()
     }
   },
   notifications: {
     create: jest.fn()
   },
+  alarms: {
+    create: jest.fn(async () => {}),
+    clear: jest.fn(async () => true),
+    getAll: jest.fn(async () => []),
+    onAlarm: {
+      addListener: jest.fn()
+    }
+  },
   tabs: {
     get: jest.fn()
   }
@@ -70,6 +114,7 @@ global.chrome = {
 // Helper to reset storage between tests
 global.resetMockStorage = () => {
   mockStorage.clear();
+  mockSessionStorage.clear();
   jest.clearAllMocks();
 };
 
@@ -89,3 +134,10 @@ global.getMockStorage = () => {
   });
   return result;
 };
+
+// Each test starts with an empty IndexedDB; data seeded with setMockStorage() under the original
+// chrome.storage.local keys is migrated into it the first time the test opens the record store
+beforeEach(async () => {
+  await closeRecordStore();
+  installIndexedDbMock();
+});
@@ -1,6 +1,7 @@
 // Browser Inspector - Storage Module Tests
 // Tests for 100% local storage operations
 
+import { jest } from '@jest/globals';
 import {
   getCapturedData,
   setCapturedData,
@@ -10,19 +11,48 @@ import {
   getExpiredTokens,
   addToExpiredTokens,
   clearExpiredTokens,
+  removeExpiredTokens,
   getHistory,
   addToHistory,
   clearHistory,
+  getOAuthFlows,
+  recordOAuthFlowStep,
+  clearOAuthFlows,
   getConfig,
   setConfig,
   updateConfig,
+  computeExpiresAt,
+  getValueIdentity,
+  getNextRetirementAt,
+  retireIdleValues,
+  getRotationLog,
+  addToRotationLog,
+  buildTokenLineage,
+  getTokenLineage,
+  appendJournalEntry,
+  getJournal,
+  getJournalStats,
+  getEntrySize,
+  unsealJournal,
+  clearJournal,
+  refreshExpiryStatus,
   shouldCaptureDomain,
+  shouldCaptureRequestBody,
+  getRequestBodyUrlPatterns,
+  createDomainFilter,
   getApiTracker,
   getApiTrackerForDomain,
   getTrackedDomains,
   trackApiRequest,
-  extractRootDomain
+  extractRootDomain,
+  unsealCapturedData,
+  unsealEntries,
+  sealStoredData,
+  unsealOAuthFlows
 } from '../src/lib/storage.js';
+import { setupVault, lockVault, unlockVault, resetVault } from '../src/lib/vault.js';
+import { STORES, getRecord, closeRecordStore } from '../src/lib/record-store.js';
+import { installIndexedDbMock } from './indexeddb-mock.js';
 
 describe('Storage Module', () => {
   beforeEach(() => {
@@ -60,8 +90,8 @@ describe('Storage Module', () => {
 
       await setCapturedData(testData);
 
-      const storage = getMockStorage();
-      expect(storage.capturedData).toEqual(testData);
+      expect(await getCapturedData()).toEqual(testData);
+      expect(getMockStorage().capturedData).toBeUndefined();
     });
   });
 
@@ -89,6 +119,21 @@ describe('Storage Module', () => {
   });
 
   describe('updateCapturedItem - Same Token', () => {
+    it('should refresh session info when the same token is seen again', async () => {
+      const key = 'api.example.com::/v1/me::auth-token::tab:7';
+      setMockStorage({
+        capturedData: {
+          [key]: { value: 'tok', type: 'auth-token', capturedAt: Date.now(), session: { tabId: 7, tabTitle: 'Login' } }
+        }
+      });
+
+      const result = await updateCapturedItem(key, { value: 'tok', type: 'auth-token', session: { tabId: 7, tabTitle: 'Dashboard' } });
+
+      expect(result.rotationDetected).toBe(false);
+      expect(result.data[key].session.tabTitle).toBe('Dashboard');
+      expect((await getHistory())[0].session).toEqual({ tabId: 7, tabTitle: 'Dashboard' });
+    });
+
     it('should update lastSeenAt without rotation when token is same', async () => {
       const key = 'api.example.com::/v1/auth::auth-token';
       const initialValue = {
@@ -114,7 +159,7 @@ describe('Storage Module', () => {
       const oldToken = {
         value: 'Bearer oldtoken123',
         type: 'auth-token',
-        capturedAt: Date.now() - 60000,
+        capturedAt: Date.now() - 10 * 60 * 1000, // Not sent within the rotation grace window
         status: 'active',
         rotationCount: 0
       };
@@ -143,7 +188,7 @@ describe('Storage Module', () => {
       const existingToken = {
         value: 'Bearer token_v2',
         type: 'auth-token',
-        capturedAt: Date.now() - 60000,
+        capturedAt: Date.now() - 10 * 60 * 1000, // Not sent within the rotation grace window
         status: 'active',
         rotationCount: 2,
         previousValue: 'Bearer token_v1'
@@ -165,7 +210,7 @@ describe('Storage Module', () => {
         value: 'Bearer expiring_token',
         type: 'auth-token',
         displayName: 'Authorization',
-        capturedAt: Date.now() - 60000,
+        capturedAt: Date.now() - 10 * 60 * 1000, // Not sent within the rotation grace window
         status: 'active',
         rotationCount: 0
       };
@@ -183,6 +228,348 @@ describe('Storage Module', () => {
     });
   });
 
+  describe('updateCapturedItem - Concurrent identities', () => {
+    const key = 'api.example.com::/v1/data::auth-token::X-API-Key';
+    const jwtToken = (value, claims) => ({ value, type: 'auth-token', jwt: { claims } });
+
+    it('should keep alternating values live without declaring rotations', async () => {
+      await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+      await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+      await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+      const result = await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+
+      expect(result.rotationDetected).toBe(false);
+      expect(result.data[key].value).toBe('key-B');
+      expect(result.data[key].rotationCount).toBe(0);
+      expect(result.data[key].liveValues.map(entry => entry.value)).toEqual(['key-A', 'key-B']);
+      expect(await getExpiredTokens()).toEqual([]);
+    });
+
+    it('should retire a value once it stops being sent', async () => {
+      const start = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+      await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+
+      clock.mockReturnValue(start + 6 * 60 * 1000);
+      const result = await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+      clock.mockRestore();
+
+      expect(result.rotationDetected).toBe(true);
+      expect(result.previousToken.value).toBe('key-A');
+      expect(result.data[key].liveValues.map(entry => entry.value)).toEqual(['key-B']);
+      expect(result.data[key].rotationCount).toBe(1);
+      expect(result.data[key].previousValue).toBe('key-A');
+      expect((await getExpiredTokens()).map(entry => entry.value)).toEqual(['key-A']);
+    });
+
+    it('should honour rotationGraceMinutes', async () => {
+      await updateConfig({ rotationGraceMinutes: 30 });
+      const start = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+      clock.mockReturnValue(start + 10 * 60 * 1000);
+      const result = await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+      clock.mockRestore();
+
+      expect(result.rotationDetected).toBe(false);
+      expect(result.data[key].liveValues).toHaveLength(2);
+    });
+
+    it('should rotate immediately when the same principal sends a new token', async () => {
+      await updateCapturedItem(key, jwtToken('alice-1', { iss: 'https://id.example.com', sub: 'alice' }));
+      await updateCapturedItem(key, jwtToken('bob-1', { iss: 'https://id.example.com', sub: 'bob' }));
+      const result = await updateCapturedItem(key, jwtToken('alice-2', { iss: 'https://id.example.com', sub: 'alice' }));
+
+      expect(result.rotationDetected).toBe(true);
+      expect(result.previousToken.value).toBe('alice-1');
+      expect(result.data[key].identity).toBe('jwt:https://id.example.com|alice');
+      expect(result.data[key].liveValues.map(entry => entry.value)).toEqual(['bob-1', 'alice-2']);
+      expect((await getExpiredTokens()).map(entry => entry.value)).toEqual(['alice-1']);
+    });
+
+    it('should use the configured identity claims', async () => {
+      await updateConfig({ identityClaims: ['tid'] });
+
+      await updateCapturedItem(key, jwtToken('tenant-1', { sub: 'alice', tid: 'one' }));
+      const result = await updateCapturedItem(key, jwtToken('tenant-2', { sub: 'alice', tid: 'two' }));
+
+      expect(result.rotationDetected).toBe(false);
+      expect(result.data[key].liveValues.map(entry => entry.identity)).toEqual(['jwt:one', 'jwt:two']);
+    });
+
+    it('should treat a new value for the same cookie name as a rotation', async () => {
+      const cookieKey = 'app.example.com::/::cookie';
+      await updateCapturedItem(cookieKey, { value: 'csrf-1', type: 'cookie', cookieName: 'csrf' });
+      await updateCapturedItem(cookieKey, { value: 'sess-1', type: 'cookie', cookieName: 'session' });
+      const result = await updateCapturedItem(cookieKey, { value: 'sess-2', type: 'cookie', cookieName: 'session' });
+
+      expect(result.rotationDetected).toBe(true);
+      expect(result.previousToken.value).toBe('sess-1');
+      expect(result.data[cookieKey].liveValues.map(entry => entry.value)).toEqual(['csrf-1', 'sess-2']);
+    });
+
+    it('should migrate items stored with a single value', async () => {
+      setMockStorage({
+        capturedData: {
+          [key]: { ...jwtToken('alice-1', { sub: 'alice' }), capturedAt: Date.now(), status: 'active', rotationCount: 0 }
+        }
+      });
+
+      const result = await updateCapturedItem(key, jwtToken('bob-1', { sub: 'bob' }));
+
+      expect(result.rotationDetected).toBe(false);
+      expect(result.data[key].liveValues.map(entry => entry.identity)).toEqual(['jwt:|alice', 'jwt:|bob']);
+    });
+
+    it('should say when the next idle value reaches the end of its grace period', async () => {
+      const start = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      const single = await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+      expect(getNextRetirementAt(single.data[key], {})).toBeNull();
+
+      clock.mockReturnValue(start + 1000);
+      const both = await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+      clock.mockRestore();
+
+      expect(getNextRetirementAt(both.data[key], {})).toBe(start + 5 * 60 * 1000);
+      expect(getNextRetirementAt(both.data[key], { rotationGraceMinutes: 30 })).toBe(start + 30 * 60 * 1000);
+      expect(getNextRetirementAt(undefined, {})).toBeNull();
+    });
+
+    it('should retire idle values without waiting for another request', async () => {
+      const start = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(start);
+      await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+      clock.mockReturnValue(start + 1000);
+      await updateCapturedItem(key, { value: 'key-B', type: 'auth-token' });
+      clock.mockRestore();
+
+      const early = await retireIdleValues(key, {}, start + 60 * 1000);
+      expect(early.rotationDetected).toBe(false);
+      expect(early.data[key].liveValues).toHaveLength(2);
+
+      const result = await retireIdleValues(key, {}, start + 5 * 60 * 1000);
+
+      expect(result.rotationDetected).toBe(true);
+      expect(result.previousToken).toEqual({ value: 'key-A', capturedAt: start, expiredAt: start + 5 * 60 * 1000 });
+      expect(result.data[key]).toMatchObject({ value: 'key-B', rotationCount: 1, previousValue: 'key-A' });
+      expect(result.data[key].liveValues.map(entry => entry.value)).toEqual(['key-B']);
+
+      const stored = await getCapturedData();
+      expect(stored[key].liveValues.map(entry => entry.value)).toEqual(['key-B']);
+      expect((await getExpiredTokens()).map(entry => entry.value)).toEqual(['key-A']);
+      expect((await getRotationLog(key)).map(entry => entry.value)).toEqual(['key-A']);
+    });
+
+    it('should keep the value sent last however long the key is idle', async () => {
+      await updateCapturedItem(key, { value: 'key-A', type: 'auth-token' });
+
+      const result = await retireIdleValues(key, {}, Date.now() + 24 * 60 * 60 * 1000);
+
+      expect(result.rotationDetected).toBe(false);
+      expect(result.data[key].liveValues.map(entry => entry.value)).toEqual(['key-A']);
+      expect(await retireIdleValues('missing-key', {})).toBeNull();
+    });
+  });
+
+  describe('Rotation log and lineage', () => {
+    const key = 'api.example.com::/v1/data::auth-token';
+    const identified = value => ({ value, type: 'auth-token', jwt: { claims: { sub: 'alice' } } });
+
+    it('should log every retired value per key, oldest first', async () => {
+      await updateCapturedItem(key, identified('token-1'));
+      await updateCapturedItem(key, identified('token-2'));
+      await updateCapturedItem(key, identified('token-3'));
+      await updateCapturedItem('other-key', identified('other-1'));
+
+      const log = await getRotationLog(key);
+      expect(log.map(entry => entry.value)).toEqual(['token-1', 'token-2']);
+      expect(log[0]).toMatchObject({ identity: 'jwt:|alice', expiredAt: expect.any(Number) });
+      expect(await getRotationLog('other-key')).toEqual([]);
+    });
+
+    it('should keep more history per key than the global expired list', async () => {
+      for (let i = 0; i < 60; i++) {
+        await addToRotationLog(key, { value: `token-${i}`, capturedAt: i, expiredAt: i + 1 });
+      }
+      for (let i = 0; i < 60; i++) {
+        await addToExpiredTokens(key, { value: `token-${i}` });
+      }
+
+      expect(await getRotationLog(key)).toHaveLength(60);
+      expect(await getExpiredTokens()).toHaveLength(50);
+    });
+
+    it('should cap each key at 100 entries, dropping the oldest', async () => {
+      for (let i = 0; i < 105; i++) {
+        await addToRotationLog(key, { value: `token-${i}`, capturedAt: i, expiredAt: i + 1 });
+      }
+
+      const log = await getRotationLog(key);
+      expect(log).toHaveLength(100);
+      expect(log[0].value).toBe('token-5');
+    });
+
+    it('should drop the log with its item', async () => {
+      await updateCapturedItem(key, identified('token-1'));
+      await updateCapturedItem(key, identified('token-2'));
+
+      await removeCapturedItem(key);
+      expect(await getRotationLog(key)).toEqual([]);
+
+      await addToRotationLog(key, { value: 'token-0', capturedAt: 0, expiredAt: 1 });
+      await clearAllCapturedData();
+      expect(await getRotationLog(key)).toEqual([]);
+    });
+
+    it('should build lifetimes and the average rotation interval', () => {
+      const now = 10 * 60000;
+      const item = {
+        value: 'token-3',
+        liveValues: [{ value: 'token-3', identity: null, firstSeenAt: 7 * 60000, lastSeenAt: now }]
+      };
+      const log = [
+        { value: 'token-1', capturedAt: 0, expiredAt: 2 * 60000 },
+        { value: 'token-2', capturedAt: 2 * 60000, expiredAt: 7 * 60000 }
+      ];
+
+      const lineage = buildTokenLineage(item, log, now);
+
+      expect(lineage.values.map(entry => [entry.value, entry.status, entry.lifetimeMs])).toEqual([
+        ['token-1', 'retired', 2 * 60000],
+        ['token-2', 'retired', 5 * 60000],
+        ['token-3', 'live', 3 * 60000]
+      ]);
+      expect(lineage.rotationCount).toBe(2);
+      expect(lineage.averageRotationMs).toBe(3.5 * 60000);
+      expect(buildTokenLineage(undefined, []).averageRotationMs).toBeNull();
+    });
+
+    it('should include live values of a stored item', async () => {
+      await updateCapturedItem(key, identified('token-1'));
+      await updateCapturedItem(key, identified('token-2'));
+
+      const lineage = await getTokenLineage(key);
+
+      expect(lineage.key).toBe(key);
+      expect(lineage.values.map(entry => entry.status)).toEqual(['retired', 'live']);
+      expect(lineage.values[1].value).toBe('token-2');
+    });
+  });
+
+  describe('getValueIdentity', () => {
+    it('should combine the cookie name with the JWT principal', () => {
+      expect(getValueIdentity({
+        type: 'cookie',
+        cookieName: 'id_token',
+        jwt: { claims: { iss: 'https://id.example.com', sub: 'alice' } }
+      })).toBe('cookie:id_token::jwt:https://id.example.com|alice');
+    });
+
+    it('should use the Basic username or access key id', () => {
+      expect(getValueIdentity({ credentialDetails: { username: 'alice', password: '••••••••' } })).toBe('principal:alice');
+      expect(getValueIdentity({ credentialDetails: { accessKeyId: 'AKIDEXAMPLE' } })).toBe('principal:AKIDEXAMPLE');
+    });
+
+    it('should return null for opaque values', () => {
+      expect(getValueIdentity({ value: 'sk_live_123', type: 'auth-token' })).toBeNull();
+      expect(getValueIdentity({ jwt: { claims: { exp: 1700000000 } } })).toBeNull();
+    });
+  });
+
+  describe('Token expiry', () => {
+    it('should compute expiresAt from the JWT exp claim first', () => {
+      expect(computeExpiresAt({
+        jwt: { claims: { exp: 1700000000 } },
+        expiresIn: 60
+      }, 1000)).toBe(1700000000 * 1000);
+    });
+
+    it('should compute expiresAt from OAuth expires_in relative to capture time', () => {
+      expect(computeExpiresAt({ expiresIn: 3600 }, 1000)).toBe(1000 + 3600 * 1000);
+      expect(computeExpiresAt({ expiresIn: '120' }, 0)).toBe(120000);
+    });
+
+    it('should compute expiresAt from cookie Max-Age before Expires', () => {
+      expect(computeExpiresAt({ cookieAttributes: { maxAge: 60, expires: 'Wed, 21 Oct 2015 07:28:00 GMT' } }, 0))
+        .toBe(60000);
+      expect(computeExpiresAt({ cookieAttributes: { expires: 'Wed, 21 Oct 2015 07:28:00 GMT' } }, 0))
+        .toBe(Date.UTC(2015, 9, 21, 7, 28, 0));
+    });
+
+    it('should return null when no expiry information exists', () => {
+      expect(computeExpiresAt({ value: 'opaque' })).toBeNull();
+      expect(computeExpiresAt({ cookieAttributes: { expires: 'not a date' } })).toBeNull();
+      expect(computeExpiresAt(null)).toBeNull();
+    });
+
+    it('should flip past-expiry items to expired', () => {
+      const now = Date.now();
+      const data = {
+        a: { status: 'active', expiresAt: now - 1 },
+        b: { status: 'active', expiresAt: now + 60000 },
+        c: { status: 'active' }
+      };
+
+      expect(refreshExpiryStatus(data, now)).toBe(true);
+      expect(data.a.status).toBe('expired');
+      expect(data.b.status).toBe('active');
+      expect(data.c.status).toBe('active');
+      expect(refreshExpiryStatus(data, now)).toBe(false);
+    });
+
+    it('should store expiresAt on newly captured items', async () => {
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      const result = await updateCapturedItem('k', {
+        value: 'jwt',
+        type: 'auth-token',
+        jwt: { claims: { exp } }
+      });
+
+      expect(result.data.k.expiresAt).toBe(exp * 1000);
+      expect(result.data.k.status).toBe('active');
+    });
+
+    it('should refresh cookie attributes and expiry when the same value is re-issued', async () => {
+      setMockStorage({
+        capturedData: { k: { value: 'sess', status: 'expired', expiresAt: Date.now() - 1000, capturedAt: 1 } }
+      });
+
+      const result = await updateCapturedItem('k', {
+        value: 'sess',
+        type: 'cookie',
+        cookieAttributes: { maxAge: 600, httpOnly: true }
+      });
+
+      expect(result.data.k.status).toBe('active');
+      expect(result.data.k.cookieAttributes.httpOnly).toBe(true);
+      expect(result.data.k.expiresAt).toBeGreaterThan(Date.now());
+    });
+
+    it('should mark items expired when read without writing', async () => {
+      await setCapturedData({ k: { value: 'old', status: 'active', expiresAt: Date.now() - 1000 } });
+      indexedDB.transactions.splice(0);
+
+      const data = await getCapturedData();
+
+      expect(data.k.status).toBe('expired');
+      expect(indexedDB.transactions.map(tx => tx.mode)).toEqual(['readonly']);
+    });
+
+    it('should store the expired status when the item is next updated', async () => {
+      await setCapturedData({ k: { value: 'old', type: 'cookie', status: 'active', expiresAt: Date.now() - 1000 } });
+
+      const result = await updateCapturedItem('k', { value: 'old', type: 'cookie' });
+
+      expect(result.data.k.status).toBe('expired');
+      expect((await getRecord(STORES.CAPTURES, 'k')).status).toBe('expired');
+    });
+  });
+
   describe('removeCapturedItem', () => {
     it('should remove specified item', async () => {
       const key = 'api.test.com::auth-token';
@@ -235,6 +622,31 @@ describe('Storage Module', () => {
       expect(expired.length).toBe(1);
       expect(expired[0].key).toBe('test-key');
       expect(expired[0].value).toBe('Bearer old');
+      expect(expired[0].id).toMatch(/^expired-/);
+    });
+
+    it('should keep the cookie and param names needed for copy formats', async () => {
+      await addToExpiredTokens('cookie-key', { value: 'abc', type: 'cookie', cookieName: 'session' });
+      await addToExpiredTokens('param-key', { value: 'xyz', type: 'query-param', paramName: 'api_key' });
+
+      const [param, cookie] = await getExpiredTokens();
+      expect(cookie.cookieName).toBe('session');
+      expect(param.paramName).toBe('api_key');
+    });
+
+    it('should remove selected expired tokens by id', async () => {
+      setMockStorage({
+        expiredTokens: [
+          { id: 'expired-1', key: 'a', value: 'one', expiredAt: 1700000000002 },
+          { id: 'expired-2', key: 'b', value: 'two', expiredAt: 1700000000001 },
+          { key: 'legacy', value: 'three', expiredAt: 1700000000000 }
+        ]
+      });
+
+      const remaining = await removeExpiredTokens(['expired-1', 'legacy::1700000000000']);
+
+      expect(remaining.map(entry => entry.value)).toEqual(['two']);
+      expect(await getExpiredTokens()).toEqual(remaining);
     });
 
     it('should limit expired tokens to 50', async () => {
@@ -263,6 +675,83 @@ describe('Storage Module', () => {
     });
   });
 
+  describe('Network journal', () => {
+    const record = (overrides = {}) => ({
+      requestId: 'r1',
+      timestamp: 1000,
+      method: 'GET',
+      url: 'https://api.example.com/v1/users',
+      domain: 'api.example.com',
+      path: '/v1/users',
+      tabId: 1,
+      requestHeaders: [{ name: 'Authorization', value: 'Bearer abc' }],
+      handlers: ['auth-token'],
+      ...overrides
+    });
+
+    it('should append records and report their size', async () => {
+      await appendJournalEntry(record());
+      await appendJournalEntry(record({ requestId: 'r2', timestamp: 2000 }));
+
+      const entries = await getJournal();
+      expect(entries.map(entry => entry.requestId)).toEqual(['r2', 'r1']);
+      expect(entries[0].size).toBe(getEntrySize(record({ requestId: 'r2', timestamp: 2000 })));
+
+      const stats = await getJournalStats();
+      expect(stats.count).toBe(2);
+      expect(stats.bytes).toBe(entries[0].size + entries[1].size);
+    });
+
+    it('should drop the oldest records once the byte cap is exceeded', async () => {
+      const size = getEntrySize(record());
+      const maxBytes = size * 3 + 10;
+
+      for (let i = 0; i < 5; i++) {
+        await appendJournalEntry(record({ requestId: `r${i}` }), maxBytes);
+      }
+
+      const entries = await getJournal();
+      expect(entries.map(entry => entry.requestId)).toEqual(['r4', 'r3', 'r2']);
+      expect((await getJournalStats()).bytes).toBeLessThanOrEqual(maxBytes);
+    });
+
+    it('should cap by bytes rather than count', async () => {
+      const maxBytes = getEntrySize(record()) * 4;
+      const large = record({ requestHeaders: [{ name: 'Cookie', value: 'x'.repeat(getEntrySize(record()) * 2) }] });
+
+      await appendJournalEntry(record({ requestId: 'small-1' }), maxBytes);
+      await appendJournalEntry(record({ requestId: 'small-2' }), maxBytes);
+      await appendJournalEntry({ ...large, requestId: 'large' }, maxBytes);
+
+      expect((await getJournal()).map(entry => entry.requestId)).toEqual(['large', 'small-2']);
+    });
+
+    it('should filter by domain, handler and time range', async () => {
+      await appendJournalEntry(record({ requestId: 'a', timestamp: 1000 }));
+      await appendJournalEntry(record({ requestId: 'b', timestamp: 2000, domain: 'cdn.other.com', handlers: [] }));
+      await appendJournalEntry(record({ requestId: 'c', timestamp: 3000, handlers: ['cookie'] }));
+
+      const ids = async filter => (await getJournal(filter)).map(entry => entry.requestId);
+
+      expect(await ids({ domain: 'example.com' })).toEqual(['c', 'a']);
+      expect(await ids({ domain: 'other.com' })).toEqual(['b']);
+      expect(await ids({ handler: 'cookie' })).toEqual(['c']);
+      expect(await ids({ since: 1500, until: 2500 })).toEqual(['b']);
+
+      const stats = await getJournalStats();
+      expect(stats.domains).toEqual(['api.example.com', 'cdn.other.com']);
+      expect(stats.handlers).toEqual(['auth-token', 'cookie']);
+    });
+
+    it('should clear the journal', async () => {
+      await appendJournalEntry(record());
+      await clearJournal();
+
+      expect(await getJournal()).toEqual([]);
+      expect(await getJournalStats()).toEqual({ count: 0, bytes: 0, domains: [], handlers: [] });
+    });
+  });
+
   describe('History', () => {
     it('should return empty array when no history', async () => {
       const history = await getHistory();
@@ -307,6 +796,410 @@ describe('Storage Module', () => {
     });
   });
 
+  describe('Encryption at rest', () => {
+    const PASSPHRASE = 'storage test passphrase';
+    const token = {
+      type: 'auth-token',
+      value: 'secret-token-1',
+      displayName: 'Authorization',
+      allTokens: { authorization: { value: 'secret-token-1', tokenType: 'bearer' } },
+      source: { domain: 'api.example.com' }
+    };
+
+    beforeEach(async () => {
+      await resetVault();
+      resetMockStorage();
+      await setupVault(PASSPHRASE, { iterations: 1000 });
+    });
+
+    afterAll(async () => {
+      await resetVault();
+    });
+
+    it('should store values sealed and keep metadata readable', async () => {
+      await updateCapturedItem('key-1', token);
+
+      const raw = JSON.stringify(getMockStorage());
+      expect(raw).not.toContain('secret-token-1');
+
+      const stored = (await getCapturedData())['key-1'];
+      expect(stored.value.sealed).toBe(1);
+      expect(stored.allTokens.authorization.value.sealed).toBe(1);
+      expect(stored.source.domain).toBe('api.example.com');
+      expect(stored.capturedAt).toEqual(expect.any(Number));
+      expect((await getHistory())[0].value.sealed).toBe(1);
+    });
+
+    it('should open sealed values while unlocked', async () => {
+      await updateCapturedItem('key-1', token);
+
+      const opened = await unsealCapturedData(await getCapturedData());
+      expect(opened['key-1'].value).toBe('secret-token-1');
+      expect(opened['key-1'].allTokens.authorization.value).toBe('secret-token-1');
+      expect(opened['key-1'].valueFingerprint).toBeUndefined();
+      expect((await unsealEntries(await getHistory()))[0].value).toBe('secret-token-1');
+    });
+
+    it('should return metadata only while locked', async () => {
+      await updateCapturedItem('key-1', token);
+      await lockVault();
+
+      const opened = (await unsealCapturedData(await getCapturedData()))['key-1'];
+      expect(opened).toMatchObject({ value: null, locked: true, type: 'auth-token', displayName: 'Authorization' });
+      expect(opened.allTokens).toBeUndefined();
+      expect(opened.liveValues).toEqual([expect.objectContaining({ value: null, identity: null })]);
+    });
+
+    it('should seal every cookie, query param and source URL stored with a value', async () => {
+      const source = { url: 'https://app.example.com/home?session=url-secret', domain: 'app.example.com', path: '/home' };
+      await updateCapturedItem('cookie-key', {
+        value: 'cookie-secret-1', type: 'cookie', cookieName: 'sid', allCookies: { sid: 'cookie-secret-1', csrf: 'csrf-secret' }, source
+      });
+      await updateCapturedItem('param-key', {
+        value: 'param-secret', type: 'query-param', paramName: 'token', allParams: { token: 'param-secret', sig: 'sig-secret' }, source
+      });
+      // The replaced cookie moves to the expired tokens with its source
+      await updateCapturedItem('cookie-key', {
+        value: 'cookie-secret-2', type: 'cookie', cookieName: 'sid', allCookies: { sid: 'cookie-secret-2' }, source
+      }, { rotationGraceMinutes: 0 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await updateCapturedItem('cookie-key', {
+        value: 'cookie-secret-2', type: 'cookie', cookieName: 'sid', allCookies: { sid: 'cookie-secret-2' }, source
+      }, { rotationGraceMinutes: 0 });
+
+      const raw = JSON.stringify(getMockStorage());
+      for (const secret of ['cookie-secret-1', 'cookie-secret-2', 'csrf-secret', 'param-secret', 'sig-secret', 'url-secret']) {
+        expect(raw).not.toContain(secret);
+      }
+      expect(await getExpiredTokens()).toHaveLength(1);
+
+      const opened = await unsealCapturedData(await getCapturedData());
+      expect(opened['cookie-key'].allCookies).toEqual({ sid: 'cookie-secret-2' });
+      expect(opened['param-key'].allParams).toEqual({ token: 'param-secret', sig: 'sig-secret' });
+      expect(opened['param-key'].source).toEqual(source);
+      expect((await unsealEntries(await getHistory()))[0].source.url).toBe(source.url);
+      expect((await unsealEntries(await getExpiredTokens()))[0].source.url).toBe(source.url);
+
+      await lockVault();
+      const locked = (await unsealCapturedData(await getCapturedData()))['param-key'];
+      expect(locked.allParams).toBeUndefined();
+      expect(locked.source).toEqual({ domain: 'app.example.com', path: '/home' });
+      expect((await unsealEntries(await getExpiredTokens()))[0]).toMatchObject({ locked: true, source: { domain: 'app.example.com' } });
+    });
+
+    it('should detect rotation while locked without opening values', async () => {
+      const identified = { ...token, jwt: { claims: { iss: 'https://id.example.com', sub: 'user-1' } } };
+      await lockVault();
+      await updateCapturedItem('key-1', identified);
+
+      const same = await updateCapturedItem('key-1', { ...identified });
+      expect(same.rotationDetected).toBe(false);
+
+      const rotated = await updateCapturedItem('key-1', { ...identified, value: 'secret-token-2' });
+      expect(rotated.rotationDetected).toBe(true);
+      expect(rotated.data['key-1'].previousValue.sealed).toBe(1);
+      expect(rotated.data['key-1'].liveValues).toHaveLength(1);
+      expect(rotated.data['key-1'].liveValues[0].value.sealed).toBe(1);
+
+      await unlockVault(PASSPHRASE);
+      const [expired] = await unsealEntries(await getExpiredTokens());
+      expect(expired.value).toBe('secret-token-1');
+      expect((await unsealCapturedData(rotated.data))['key-1'].previousValue).toBe('secret-token-1');
+      expect((await getRotationLog('key-1'))[0].value.sealed).toBe(1);
+    });
+
+    it('should hold off comparing values until the vault is unlocked after a browser restart', async () => {
+      await updateCapturedItem('key-1', token);
+      await lockVault();
+
+      // A browser restart clears the session, and with it the fingerprint key
+      await chrome.storage.session.remove('vaultFingerprintKey');
+      jest.resetModules();
+      const restarted = await import('../src/lib/storage.js');
+      const restartedVault = await import('../src/lib/vault.js');
+
+      const unchecked = await restarted.updateCapturedItem('key-1', { ...token, value: 'secret-token-2' }, { rotationGraceMinutes: 0 });
+      expect(unchecked.rotationDetected).toBe(false);
+      expect(unchecked.data['key-1'].liveValues).toHaveLength(1);
+      await restarted.updateCapturedItem('key-2', token);
+      expect((await restarted.getCapturedData())['key-2'].valueFingerprint).toBeFalsy();
+
+      expect(await restartedVault.unlockVault(PASSPHRASE)).toBe(true);
+      await restarted.refreshFingerprints();
+
+      const captured = await restarted.getCapturedData();
+      expect(captured['key-2'].valueFingerprint).toBe(captured['key-1'].valueFingerprint);
+      expect((await restarted.updateCapturedItem('key-2', token)).data['key-2'].liveValues).toHaveLength(1);
+    });
+
+    it('should seal OAuth codes, tokens and step URLs while still joining steps into one flow', async () => {
+      const login = { domain: 'login.example.com', method: 'POST', url: 'https://login.example.com/token' };
+      await recordOAuthFlowStep({
+        step: 'authorization-request',
+        oauth: { clientId: 'app-1', state: 'xyz' },
+        source: { url: 'https://login.example.com/authorize?state=xyz&login_hint=hint-secret', domain: 'login.example.com', method: 'GET' }
+      });
+      await recordOAuthFlowStep({
+        step: 'authorization-response',
+        oauth: { code: 'code-secret', state: 'xyz' },
+        source: { url: 'https://app.example.com/callback?code=code-secret&state=xyz', domain: 'app.example.com', method: 'GET' }
+      });
+      // No state on the token requests - matched by the fingerprints of the code and refresh token
+      await recordOAuthFlowStep({
+        step: 'token-request',
+        oauth: { grantType: 'authorization_code', code: 'code-secret', accessToken: 'access-secret', refreshToken: 'refresh-secret', idToken: 'id-secret' },
+        source: login
+      });
+      const { flows } = await recordOAuthFlowStep({
+        step: 'token-request',
+        oauth: { grantType: 'refresh_token', refreshToken: 'refresh-secret', clientId: 'other-app' },
+        source: { ...login, url: 'https://other.example.com/oauth/token', domain: 'other.example.com' }
+      });
+
+      // A redirect chain reporting the same step again is still recognized by its URL fingerprint
+      const repeated = await recordOAuthFlowStep({
+        step: 'token-request',
+        oauth: { grantType: 'refresh_token', refreshToken: 'refresh-secret' },
+        source: { ...login, url: 'https://other.example.com/oauth/token', domain: 'other.example.com' }
+      });
+
+      expect(flows).toHaveLength(1);
+      expect(repeated.flow.steps).toHaveLength(4);
+      const raw = JSON.stringify(getMockStorage());
+      for (const secret of ['code-secret', 'access-secret', 'refresh-secret', 'id-secret', 'hint-secret']) {
+        expect(raw).not.toContain(secret);
+      }
+
+      const [opened] = await unsealOAuthFlows(await getOAuthFlows());
+      expect(opened).toMatchObject({ state: 'xyz', code: 'code-secret', accessToken: 'access-secret', refreshToken: 'refresh-secret', idToken: 'id-secret' });
+      expect(opened.fingerprints).toBeUndefined();
+      expect(opened.steps[1]).toMatchObject({ url: 'https://app.example.com/callback?code=code-secret&state=xyz', oauth: { code: 'code-secret' } });
+
+      await lockVault();
+      const [locked] = await unsealOAuthFlows(await getOAuthFlows());
+      expect(locked).toMatchObject({ locked: true, clientId: 'other-app', state: 'xyz', status: 'completed' });
+      expect(locked.code).toBeUndefined();
+      expect(locked.steps.map(step => step.step)).toEqual(['authorization-request', 'authorization-response', 'token-request', 'token-request']);
+      expect(locked.steps[1].url).toBeUndefined();
+    });
+
+    it('should seal journal URLs and headers while keeping filter fields readable', async () => {
+      await appendJournalEntry({
+        requestId: 'r1',
+        timestamp: 1000,
+        url: 'https://api.example.com/v1?api_key=secret-key',
+        domain: 'api.example.com',
+        requestHeaders: [{ name: 'Authorization', value: 'Bearer secret-token-1' }],
+        handlers: ['auth-token']
+      });
+
+      const raw = JSON.stringify(getMockStorage());
+      expect(raw).not.toContain('secret-token-1');
+      expect(raw).not.toContain('secret-key');
+      expect((await getJournal({ handler: 'auth-token' }))[0].domain).toBe('api.example.com');
+
+      const [opened] = await unsealJournal(await getJournal());
+      expect(opened.url).toBe('https://api.example.com/v1?api_key=secret-key');
+      expect(opened.requestHeaders[0].value).toBe('Bearer secret-token-1');
+
+      await lockVault();
+      const [locked] = await unsealJournal(await getJournal());
+      expect(locked).toMatchObject({ requestId: 'r1', locked: true });
+      expect(locked.url).toBeUndefined();
+    });
+
+    it('should seal data captured before the vault was set up', async () => {
+      await resetVault();
+      await updateCapturedItem('key-1', token);
+      await addToExpiredTokens('key-0', { value: 'old-token', type: 'auth-token' });
+      await addToRotationLog('key-0', { value: 'logged-token', capturedAt: 0, expiredAt: 1 });
+      await appendJournalEntry({ requestId: 'r1', url: 'https://api.example.com/?token=journal-token', handlers: [] });
+      await recordOAuthFlowStep({
+        step: 'authorization-response',
+        oauth: { code: 'oauth-code', state: 's1' },
+        source: { url: 'https://app.example.com/cb?code=oauth-code', domain: 'app.example.com' }
+      });
+      await updateCapturedItem('key-2', {
+        value: 'cookie-token', type: 'cookie', allCookies: { sid: 'cookie-token', csrf: 'csrf-token' },
+        source: { url: 'https://app.example.com/?session=url-token', domain: 'app.example.com' }
+      });
+      await setupVault(PASSPHRASE, { iterations: 1000 });
+
+      await sealStoredData();
+
+      const raw = JSON.stringify(getMockStorage());
+      expect(raw).not.toContain('secret-token-1');
+      expect(raw).not.toContain('old-token');
+      expect(raw).not.toContain('logged-token');
+      expect(raw).not.toContain('journal-token');
+      expect(raw).not.toContain('csrf-token');
+      expect(raw).not.toContain('url-token');
+      expect(raw).not.toContain('oauth-code');
+      expect((await unsealOAuthFlows(await getOAuthFlows()))[0].code).toBe('oauth-code');
+      expect((await getJournalStats()).bytes).toBe((await getJournal())[0].size);
+      expect((await unsealCapturedData(await getCapturedData()))['key-1'].value).toBe('secret-token-1');
+      expect((await unsealEntries(await getExpiredTokens()))[0].value).toBe('old-token');
+    });
+
+    it('should leave unsealed records untouched', async () => {
+      expect(await unsealCapturedData({ a: { value: 'plain' } })).toEqual({ a: { value: 'plain' } });
+      expect(await unsealEntries(undefined)).toEqual([]);
+    });
+  });
+
+  describe('OAuth flows', () => {
+    const authorize = {
+      type: 'oauth-flow',
+      step: 'authorization-request',
+      oauth: {
+        clientId: 'app-1',
+        redirectUri: 'https://app.example.com/callback',
+        scopes: ['openid', 'profile'],
+        state: 'xyz',
+        codeChallengeMethod: 'S256'
+      },
+      source: { url: 'https://login.example.com/authorize?state=xyz', domain: 'login.example.com', method: 'GET' }
+    };
+    const callback = {
+      type: 'oauth-flow',
+      step: 'authorization-response',
+      oauth: { code: 'code-1', state: 'xyz', redirectUri: 'https://app.example.com/callback' },
+      source: { url: 'https://app.example.com/callback?code=code-1&state=xyz', domain: 'app.example.com', method: 'GET' }
+    };
+    const tokenExchange = {
+      type: 'oauth-flow',
+      step: 'token-request',
+      oauth: { grantType: 'authorization_code', code: 'code-1', hasCodeVerifier: true },
+      source: { url: 'https://login.example.com/token', domain: 'login.example.com', method: 'POST' }
+    };
+
+    it('should return empty array when no flows are recorded', async () => {
+      expect(await getOAuthFlows()).toEqual([]);
+    });
+
+    it('should group authorize, callback and token steps into one flow', async () => {
+      await recordOAuthFlowStep(authorize);
+      await recordOAuthFlowStep(callback);
+      const { flows, flow } = await recordOAuthFlowStep(tokenExchange);
+
+      expect(flows).toHaveLength(1);
+      expect(flow).toMatchObject({
+        authServer: 'login.example.com',
+        clientId: 'app-1',
+        redirectUri: 'https://app.example.com/callback',
+        scopes: ['openid', 'profile'],
+        state: 'xyz',
+        codeChallengeMethod: 'S256',
+        code: 'code-1',
+        grantType: 'authorization_code',
+        codeVerifierSent: true,
+        status: 'token-requested'
+      });
+      expect(flow.steps.map(s => s.step)).toEqual(['authorization-request', 'authorization-response', 'token-request']);
+      expect(await getOAuthFlows()).toEqual(flows);
+    });
+
+    it('should derive flow status from the steps seen so far', async () => {
+      expect((await recordOAuthFlowStep(authorize)).flow.status).toBe('started');
+      expect((await recordOAuthFlowStep(callback)).flow.status).toBe('authorized');
+
+      const { flow } = await recordOAuthFlowStep({
+        ...callback,
+        oauth: { error: 'access_denied', state: 'xyz' },
+        source: { ...callback.source, url: 'https://app.example.com/callback?error=access_denied&state=xyz' }
+      });
+      expect(flow.status).toBe('failed');
+    });
+
+    it('should not call a flow completed just because a token request was sent', async () => {
+      await recordOAuthFlowStep(authorize);
+      await recordOAuthFlowStep(callback);
+      expect((await recordOAuthFlowStep(tokenExchange)).flow.status).toBe('token-requested');
+
+      const { flow } = await recordOAuthFlowStep({
+        ...callback,
+        step: 'implicit-grant',
+        oauth: { accessToken: 'at-1', state: 'xyz' },
+        source: { ...callback.source, url: 'https://app.example.com/callback#access_token=at-1&state=xyz' }
+      });
+      expect(flow.status).toBe('completed');
+    });
+
+    it('should start a new flow for each authorization request', async () => {
+      await recordOAuthFlowStep(authorize);
+      const { flows } = await recordOAuthFlowStep({ ...authorize, oauth: { ...authorize.oauth, state: 'other' } });
+
+      expect(flows).toHaveLength(2);
+      expect(flows[0].state).toBe('other');
+    });
+
+    it('should link refresh grants to the flow that issued the refresh token', async () => {
+      await recordOAuthFlowStep({
+        type: 'oauth-flow',
+        step: 'implicit-grant',
+        oauth: { accessToken: 'at-1', refreshToken: 'rt-1', state: 'abc' },
+        source: { url: 'https://login.example.com/authorize', domain: 'login.example.com' }
+      });
+      await recordOAuthFlowStep(authorize);
+
+      const { flows, flow } = await recordOAuthFlowStep({
+        type: 'oauth-flow',
+        step: 'token-request',
+        oauth: { grantType: 'refresh_token', refreshToken: 'rt-1' },
+        source: { url: 'https://login.example.com/token', domain: 'login.example.com', method: 'POST' }
+      });
+
+      expect(flows).toHaveLength(2);
+      expect(flow.accessToken).toBe('at-1');
+      expect(flow.steps.map(s => s.step)).toEqual(['implicit-grant', 'token-request']);
+    });
+
+    it('should join opaque token requests to the latest flow for the same server', async () => {
+      await recordOAuthFlowStep(authorize);
+      await recordOAuthFlowStep(callback);
+
+      const { flows } = await recordOAuthFlowStep({
+        type: 'oauth-flow',
+        step: 'token-request',
+        oauth: {},
+        source: { url: 'https://login.example.com/token', domain: 'login.example.com', method: 'POST' }
+      });
+      expect(flows).toHaveLength(1);
+
+      const other = await recordOAuthFlowStep({
+        type: 'oauth-flow',
+        step: 'token-request',
+        oauth: {},
+        source: { url: 'https://other.example.com/token', domain: 'other.example.com', method: 'POST' }
+      });
+      expect(other.flows).toHaveLength(2);
+      expect(other.flow.authServer).toBe('other.example.com');
+    });
+
+    it('should not repeat a step reported twice for the same URL', async () => {
+      await recordOAuthFlowStep(authorize);
+      const { flow } = await recordOAuthFlowStep(authorize);
+
+      expect(flow.steps).toHaveLength(1);
+    });
+
+    it('should keep only the most recent 20 flows', async () => {
+      for (let i = 0; i < 25; i++) {
+        await recordOAuthFlowStep({ ...authorize, oauth: { ...authorize.oauth, state: `s-${i}` } });
+      }
+
+      const flows = await getOAuthFlows();
+      expect(flows).toHaveLength(20);
+    });
+
+    it('should clear flows', async () => {
+      await recordOAuthFlowStep(authorize);
+      await clearOAuthFlows();
+
+      expect(await getOAuthFlows()).toEqual([]);
+    });
+  });
+
   describe('Config', () => {
     it('should return default config when none exists', async () => {
       const config = await getConfig();
@@ -377,6 +1270,51 @@ describe('Storage Module', () => {
       expect(shouldCaptureDomain(null, config)).toBe(false);
     });
 
+    it('should compile the lists into a reusable filter', () => {
+      const filter = createDomainFilter({
+        captureRequestBodies: true,
+        domainAllowlist: ['*.service.com', 'api.myapp.com'],
+        domainBlocklist: ['legacy.service.com']
+      });
+
+      expect(filter.captureDomain('service.com')).toBe(true);
+      expect(filter.captureDomain('deep.sub.service.com')).toBe(true);
+      expect(filter.captureDomain('legacy.service.com')).toBe(false);
+      expect(filter.captureDomain('myapp.com')).toBe(false);
+      expect(filter.captureRequestBody('api.myapp.com')).toBe(true);
+      expect(createDomainFilter({ captureRequestBodies: true }).captureRequestBody('api.myapp.com')).toBe(false);
+    });
+
+    it('should only read request bodies for allowlisted domains when enabled', () => {
+      const config = {
+        captureRequestBodies: true,
+        domainAllowlist: ['auth.myapp.com', '*.service.com'],
+        domainBlocklist: ['legacy.service.com']
+      };
+
+      expect(shouldCaptureRequestBody('auth.myapp.com', config)).toBe(true);
+      expect(shouldCaptureRequestBody('login.service.com', config)).toBe(true);
+      expect(shouldCaptureRequestBody('legacy.service.com', config)).toBe(false);
+      expect(shouldCaptureRequestBody('other.com', config)).toBe(false);
+      expect(shouldCaptureRequestBody('auth.myapp.com', { ...config, captureRequestBodies: false })).toBe(false);
+    });
+
+    it('should build the request body listener filter from the allowlist', () => {
+      const config = { captureRequestBodies: true, domainAllowlist: ['auth.myapp.com', '*.service.com', 'sso-*.service.com', '/^x$/'] };
+
+      expect(getRequestBodyUrlPatterns(config)).toEqual(['*://auth.myapp.com/*', '*://*.service.com/*']);
+      expect(getRequestBodyUrlPatterns({ ...config, captureRequestBodies: false })).toEqual([]);
+      expect(getRequestBodyUrlPatterns({ captureRequestBodies: true })).toEqual([]);
+    });
+
+    it('should never read request bodies with an empty allowlist', () => {
+      const config = { captureRequestBodies: true, domainAllowlist: [], domainBlocklist: [] };
+
+      expect(shouldCaptureDomain('example.com', config)).toBe(true);
+      expect(shouldCaptureRequestBody('example.com', config)).toBe(false);
+      expect(shouldCaptureRequestBody('example.com', { captureRequestBodies: true })).toBe(false);
+    });
+
     it('should ignore null blocklist patterns', () => {
       const config = {
         domainAllowlist: [],
@@ -462,7 +1400,7 @@ describe('Storage Module', () => {
       expect(endpoint.hasAuth).toBe(false);
     });
 
-    it('should treat missing auth header values as token auth', async () => {
+    it('should treat missing auth header values as raw auth', async () => {
       await trackApiRequest('example.com', {
         url: 'https://api.example.com/v1/items',
         method: 'GET',
@@ -471,7 +1409,7 @@ describe('Storage Module', () => {
 
       const tracker = await getApiTracker();
       const endpoint = Object.values(tracker['example.com'].endpoints)[0];
-      expect(endpoint.authType).toBe('token');
+      expect(endpoint.authType).toBe('raw');
     });
 
     it('should ignore non-auth headers', async () => {
@@ -486,7 +1424,7 @@ describe('Storage Module', () => {
       expect(endpoint.hasAuth).toBe(false);
     });
 
-    it('should detect token auth when not bearer or basic', async () => {
+    it('should detect API key auth from API key headers', async () => {
       await trackApiRequest('example.com', {
         url: 'https://api.example.com/v1/items',
         method: 'GET',
@@ -495,7 +1433,7 @@ describe('Storage Module', () => {
 
       const tracker = await getApiTracker();
       const endpoint = Object.values(tracker['example.com'].endpoints)[0];
-      expect(endpoint.authType).toBe('token');
+      expect(endpoint.authType).toBe('api-key');
     });
 
     it('should update auth info for existing endpoint', async () => {
@@ -654,25 +1592,106 @@ describe('Storage Module', () => {
       global.URL = OriginalURL;
     });
   });
+
+  // Each batch is a single IndexedDB transaction
+  describe('Concurrent writes', () => {
+    let idb;
+
+    beforeEach(async () => {
+      await closeRecordStore();
+      idb = installIndexedDbMock();
+    });
+
+    const request = path => ({ url: `https://api.example.com${path}`, method: 'GET', requestHeaders: [] });
+
+    it('should not lose counts from concurrent trackApiRequest calls', async () => {
+      await Promise.all(Array.from({ length: 60 }, (_, i) =>
+        trackApiRequest('example.com', request(`/v1/items-${i % 3}`))
+      ));
+
+      const domain = await getApiTrackerForDomain('example.com');
+      expect(domain.totalRequests).toBe(60);
+      expect(domain.stats.uniqueEndpoints).toBe(3);
+      expect(domain.stats.byMethod.GET).toBe(60);
+      for (let i = 0; i < 3; i++) {
+        expect(domain.endpoints[`api.example.com::/v1/items-${i}::GET`].count).toBe(20);
+      }
+    });
+
+    it('should not lose counts when requests span several batches', async () => {
+      const calls = [];
+      for (let i = 0; i < 30; i++) {
+        calls.push(trackApiRequest(i % 2 ? 'example.com' : 'other.com', request('/v1/users')));
+        if (i % 10 === 9) await new Promise(resolve => setTimeout(resolve, 15));
+      }
+      await Promise.all(calls);
+
+      const tracker = await getApiTracker();
+      expect(tracker['example.com'].totalRequests).toBe(15);
+      expect(tracker['other.com'].totalRequests).toBe(15);
+      expect(tracker['example.com'].endpoints['api.example.com::/v1/users::GET'].count).toBe(15);
+    });
+
+    it('should coalesce writes queued together into one storage write', async () => {
+      await getHistory(); // Open the database first
+      chrome.storage.local.set.mockClear();
+      idb.transactions.splice(0);
+
+      await Promise.all([
+        ...Array.from({ length: 20 }, (_, i) => trackApiRequest('example.com', request(`/v1/items-${i}`))),
+        addToHistory('k1', 'v1'),
+        clearOAuthFlows()
+      ]);
+
+      // One transaction for the whole batch, and nothing written outside it
+      expect(idb.transactions.filter(tx => tx.mode === 'readwrite')).toEqual([
+        { storeNames: ['history', 'apiDomains', 'endpoints', 'oauthFlows'], mode: 'readwrite' }
+      ]);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should keep every capture, history entry and journal entry written concurrently', async () => {
+      await Promise.all([
+        ...Array.from({ length: 10 }, (_, i) => updateCapturedItem(`key-${i}`, { value: `v${i}`, type: 'cookie' })),
+        ...Array.from({ length: 10 }, (_, i) => appendJournalEntry({ requestId: `r${i}`, url: 'https://a.com/' }))
+      ]);
+
+      expect(Object.keys(await getCapturedData())).toHaveLength(10);
+      expect(await getHistory()).toHaveLength(10);
+      expect((await getJournalStats()).count).toBe(10);
+    });
+
+    it('should reject a failed write without dropping the rest of its batch', async () => {
+      const results = await Promise.allSettled([
+        addToHistory('k1', 'v1'),
+        // scopes must be iterable - this step throws half way through its update
+        recordOAuthFlowStep({ step: 'authorize', oauth: { clientId: 'c1', scopes: 5 }, source: {} }),
+        addToHistory('k2', 'v2')
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+      expect((await getHistory()).map(entry => entry.key)).toEqual(['k2', 'k1']);
+      expect(await getOAuthFlows()).toEqual([]);
+    });
+  });
 });
 
 describe('Security - No External Communication', () => {
-  it('should only use chrome.storage.local for data persistence', async () => {
+  it('should only use the extension IndexedDB database for data persistence', async () => {
     // This test verifies the storage module only uses local storage
     await updateCapturedItem('test-key', { value: 'test', type: 'auth-token' });
 
-    // Verify chrome.storage.local.set was called
-    expect(chrome.storage.local.set).toHaveBeenCalled();
+    expect(indexedDB.databases.get('browser-inspector')).toBeDefined();
 
     // Verify no fetch/XHR calls were made (would throw in test environment)
     expect(global.fetch).toBeUndefined();
   });
 
-  it('should store data with correct keys in local storage', async () => {
+  it('should store captures and history as records', async () => {
     await updateCapturedItem('test-key', { value: 'secure', type: 'auth-token' });
 
-    const storage = getMockStorage();
-    expect(storage.capturedData).toBeDefined();
-    expect(storage.history).toBeDefined();
+    expect(Object.keys(await getCapturedData())).toEqual(['test-key']);
+    expect(await getHistory()).toHaveLength(1);
+    expect(getMockStorage().capturedData).toBeUndefined();
   });
 });
@@ -0,0 +1,181 @@
+// Browser Inspector - Vault (encryption at rest) Tests
+
+import { jest } from '@jest/globals';
+import {
+  setupVault,
+  unlockVault,
+  lockVault,
+  resetVault,
+  touchVault,
+  getVaultStatus,
+  getVaultMeta,
+  sealValue,
+  openValue,
+  isSealed,
+  fingerprintValue,
+  setVaultLockMinutes,
+  handleVaultLockAlarm,
+  VAULT_LOCK_ALARM
+} from '../src/lib/vault.js';
+
+// Keep PBKDF2 cheap in tests
+const TEST_OPTIONS = { iterations: 1000 };
+const PASSPHRASE = 'correct horse battery';
+
+describe('vault', () => {
+  beforeEach(async () => {
+    await resetVault();
+    resetMockStorage();
+    setVaultLockMinutes(15);
+  });
+
+  it('should pass values through when no vault is set up', async () => {
+    expect(await sealValue('plain')).toBe('plain');
+    expect(await openValue('plain')).toBe('plain');
+    expect(await fingerprintValue('plain')).toBeNull();
+    expect(await getVaultStatus()).toEqual({ enabled: false, locked: false, lockMinutes: 15 });
+  });
+
+  it('should set up an unlocked vault without storing the passphrase or private key in plaintext', async () => {
+    const meta = await setupVault(PASSPHRASE, TEST_OPTIONS);
+
+    expect(meta.kdf).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256', iterations: 1000 });
+    expect(await getVaultMeta()).toEqual(meta);
+    expect(JSON.stringify(getMockStorage())).not.toContain(PASSPHRASE);
+    expect(await getVaultStatus()).toMatchObject({ enabled: true, locked: false });
+  });
+
+  it('should reject short passphrases and a second setup', async () => {
+    await expect(setupVault('short', TEST_OPTIONS)).rejects.toThrow('at least 8');
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+    await expect(setupVault(PASSPHRASE, TEST_OPTIONS)).rejects.toThrow('already set up');
+  });
+
+  it('should seal values and open them while unlocked', async () => {
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+
+    const sealed = await sealValue('Bearer sëcret');
+    expect(isSealed(sealed)).toBe(true);
+    expect(JSON.stringify(sealed)).not.toContain('sëcret');
+    expect(await openValue(sealed)).toBe('Bearer sëcret');
+    expect(await sealValue(sealed)).toBe(sealed);
+  });
+
+  it('should seal while locked and only open after unlocking', async () => {
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+    await lockVault();
+
+    const sealed = await sealValue('captured-while-locked');
+    expect(isSealed(sealed)).toBe(true);
+    expect(await openValue(sealed)).toBeNull();
+    expect(await getVaultStatus()).toMatchObject({ enabled: true, locked: true });
+
+    expect(await unlockVault('wrong passphrase')).toBe(false);
+    expect(await openValue(sealed)).toBeNull();
+
+    expect(await unlockVault(PASSPHRASE)).toBe(true);
+    expect(await openValue(sealed)).toBe('captured-while-locked');
+  });
+
+  it('should return false when unlocking without a vault', async () => {
+    expect(await unlockVault(PASSPHRASE)).toBe(false);
+  });
+
+  it('should lock after the idle timeout', async () => {
+    setVaultLockMinutes(1);
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+    const sealed = await sealValue('value');
+
+    expect(chrome.alarms.create).toHaveBeenCalledWith(VAULT_LOCK_ALARM, expect.objectContaining({ when: expect.any(Number) }));
+
+    const later = Date.now() + 2 * 60 * 1000;
+    await touchVault(later); // Too late - activity after the timeout doesn't revive the vault
+    expect(await handleVaultLockAlarm({ name: VAULT_LOCK_ALARM }, later)).toBe(true);
+    expect(await openValue(sealed)).toBeNull();
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(VAULT_LOCK_ALARM);
+  });
+
+  it('should push the idle lock back on activity', async () => {
+    setVaultLockMinutes(1);
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+
+    const now = Date.now();
+    await touchVault(now + 50 * 1000);
+    expect(await handleVaultLockAlarm({ name: VAULT_LOCK_ALARM }, now + 90 * 1000)).toBe(false);
+    expect((await getVaultStatus()).locked).toBe(false);
+  });
+
+  it('should ignore unrelated alarms', async () => {
+    expect(await handleVaultLockAlarm({ name: 'expiry-warning::key' })).toBe(false);
+  });
+
+  it('should never lock on idle when the timeout is 0', async () => {
+    setVaultLockMinutes(0);
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+
+    await touchVault(Date.now() + 24 * 60 * 60 * 1000);
+    expect((await getVaultStatus()).locked).toBe(false);
+  });
+
+  it('should restore the unlocked key from session storage after a worker restart', async () => {
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+    const sealed = await sealValue('survives restart');
+
+    // A fresh module instance has no key in memory, like a restarted service worker
+    jest.resetModules();
+    const restarted = await import('../src/lib/vault.js');
+
+    expect(await restarted.openValue(sealed)).toBe('survives restart');
+  });
+
+  it('should fingerprint values with a keyed HMAC whose key is stored sealed', async () => {
+    const meta = await setupVault(PASSPHRASE, TEST_OPTIONS);
+
+    const first = await fingerprintValue('token-a');
+    expect(first).toBe(await fingerprintValue('token-a'));
+    expect(first).not.toBe(await fingerprintValue('token-b'));
+    expect(await fingerprintValue(undefined)).toBeNull();
+    expect(isSealed(meta.fingerprintKey)).toBe(true);
+
+    // Nothing stored on disk is enough to recompute it
+    const salted = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${meta.kdf.salt}:token-a`));
+    expect(first).not.toBe(Buffer.from(salted).toString('base64'));
+  });
+
+  it('should keep fingerprinting after an idle lock but not before the first unlock of a browser session', async () => {
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+    const first = await fingerprintValue('token-a');
+
+    await lockVault();
+    expect(await fingerprintValue('token-a')).toBe(first);
+
+    // A browser restart clears the session
+    await chrome.storage.session.remove('vaultFingerprintKey');
+    jest.resetModules();
+    const restarted = await import('../src/lib/vault.js');
+    expect(await restarted.fingerprintValue('token-a')).toBeNull();
+
+    await restarted.unlockVault(PASSPHRASE);
+    expect(await restarted.fingerprintValue('token-a')).toBe(first);
+  });
+
+  it('should add a fingerprint key to an older vault on unlock', async () => {
+    const { fingerprintKey: _key, ...meta } = await setupVault(PASSPHRASE, TEST_OPTIONS);
+    await resetVault();
+    setMockStorage({ vault: { ...meta, version: 1 } });
+
+    expect(await fingerprintValue('token-a')).toBeNull();
+    await unlockVault(PASSPHRASE);
+
+    expect(await getVaultMeta()).toMatchObject({ version: 2, fingerprintKey: expect.objectContaining({ sealed: 1 }) });
+    expect(await fingerprintValue('token-a')).toEqual(expect.any(String));
+  });
+
+  it('should remove the vault on reset', async () => {
+    await setupVault(PASSPHRASE, TEST_OPTIONS);
+    await resetVault();
+
+    expect(await getVaultMeta()).toBeNull();
+    expect(await sealValue('plain')).toBe('plain');
+  });
+});